@@ -0,0 +1,267 @@
+#!/usr/bin/env node
+// Command-line renderer for AnimFrame projects.
+// Reads a saved project (.animframe bundle or project .json) and writes SVG frames, PNG frames
+// or an animated SVG using project-schema.js and render-core.js. Needs only Node's built-in
+// modules: no browser, no network.
+//
+//   node animframe-cli.js walk-cycle.animframe --format png --scale 2 --out frames
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const schema = require('./project-schema.js');
+const core = require('./render-core.js');
+
+const USAGE = `Usage: node animframe-cli.js <project.animframe | project.json> [options]
+
+Options:
+  --format <type>   svg, png or animated-svg (default: png)
+  --out <path>      Folder for frames, or the file for animated-svg
+                    (default: named after the project, next to it)
+  --from <n>        First frame, counting from 1 (default: 1)
+  --to <n>          Last frame (default: the last frame)
+  --scale <n>       Output scale, e.g. 0.5 or 2 (default: 1)
+  --layers <list>   Comma-separated layer names or ids
+                    (default: visible layers without reference images)
+  --transparent     png: leave out the background
+  --mode <mode>     animated-svg: smil or css (default: smil)
+  --once            animated-svg: play once instead of looping
+  -h, --help        Show this help
+`;
+
+const FORMATS = ['svg', 'png', 'animated-svg'];
+const VALUE_FLAGS = ['format', 'out', 'from', 'to', 'scale', 'layers', 'mode'];
+const SWITCH_FLAGS = ['transparent', 'once', 'help'];
+
+// ==================== ARGUMENTS ====================
+function parseArgs(argv) {
+    const args = { input: null, format: 'png', mode: 'smil' };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '-h') {
+            args.help = true;
+            continue;
+        }
+        if (!arg.startsWith('--')) {
+            if (args.input) throw new Error(`Unexpected argument "${arg}"`);
+            args.input = arg;
+            continue;
+        }
+        
+        const eq = arg.indexOf('=');
+        const name = arg.slice(2, eq === -1 ? undefined : eq);
+        if (SWITCH_FLAGS.includes(name)) {
+            args[name] = true;
+        } else if (VALUE_FLAGS.includes(name)) {
+            const value = eq === -1 ? argv[++i] : arg.slice(eq + 1);
+            if (value === undefined) throw new Error(`--${name} needs a value`);
+            args[name] = value;
+        } else {
+            throw new Error(`Unknown option --${name}`);
+        }
+    }
+    
+    if (!FORMATS.includes(args.format)) {
+        throw new Error(`--format must be one of ${FORMATS.join(', ')}`);
+    }
+    if (args.mode !== 'smil' && args.mode !== 'css') {
+        throw new Error('--mode must be smil or css');
+    }
+    ['from', 'to'].forEach(key => {
+        if (args[key] === undefined) return;
+        const n = Number(args[key]);
+        if (!Number.isInteger(n) || n < 1) throw new Error(`--${key} must be a frame number from 1`);
+        args[key] = n;
+    });
+    if (args.scale !== undefined) {
+        const scale = Number(args.scale);
+        if (!(scale > 0) || scale > 16) throw new Error('--scale must be a number above 0 and up to 16');
+        args.scale = scale;
+    }
+    return args;
+}
+
+// ==================== PROJECT FILES ====================
+// Entries of a zip archive by name; only what JSZip writes for .animframe bundles
+// (stored or deflated entries, sizes in the central directory) is supported.
+function readZipEntries(buffer) {
+    let end = buffer.length - 22;
+    while (end >= 0 && buffer.readUInt32LE(end) !== 0x06054b50) end--;
+    if (end < 0) throw new Error('Not a zip archive (no central directory)');
+    
+    const entries = new Map();
+    const count = buffer.readUInt16LE(end + 10);
+    let offset = buffer.readUInt32LE(end + 16);
+    for (let i = 0; i < count; i++) {
+        if (buffer.readUInt32LE(offset) !== 0x02014b50) throw new Error('Corrupt zip central directory');
+        const method = buffer.readUInt16LE(offset + 10);
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const localOffset = buffer.readUInt32LE(offset + 42);
+        const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+        
+        const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+        const data = buffer.subarray(dataStart, dataStart + compressedSize);
+        entries.set(name, () => {
+            if (method === 0) return data;
+            if (method === 8) return zlib.inflateRawSync(data);
+            throw new Error(`${name} uses an unsupported zip compression method (${method})`);
+        });
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+    return entries;
+}
+
+// Mirrors readProjectBundle in main.js: assets become inline data URLs again
+function readProjectBundle(buffer) {
+    const entries = readZipEntries(buffer);
+    if (!entries.has('project.json')) {
+        throw new Error('project.json is missing from the bundle');
+    }
+    const data = JSON.parse(entries.get('project.json')().toString('utf8'));
+    if (data.format !== 'animframe-bundle') {
+        throw schema.projectFieldError('format', '"animframe-bundle"', data.format);
+    }
+    
+    const assetUrls = new Map();
+    (Array.isArray(data.layers) ? data.layers : []).forEach((layer, li) => {
+        if (!layer || !Array.isArray(layer.frames)) return;
+        layer.frames.forEach((frame, fi) => {
+            if (!frame || frame.referenceAsset === undefined) return;
+            const assetPath = frame.referenceAsset;
+            if (!assetUrls.has(assetPath)) {
+                if (!entries.has(assetPath)) {
+                    throw schema.projectFieldError(`layers[${li}].frames[${fi}].referenceAsset`, 'a file in the bundle', assetPath);
+                }
+                const ext = path.extname(assetPath).slice(1).toLowerCase();
+                const mime = ext === 'jpg' ? 'image/jpeg' : ext === 'webp' ? 'image/webp' : 'image/png';
+                assetUrls.set(assetPath, `data:${mime};base64,` + entries.get(assetPath)().toString('base64'));
+            }
+            frame.referenceImage = assetUrls.get(assetPath);
+            delete frame.referenceAsset;
+        });
+    });
+    return data;
+}
+
+function loadProject(file) {
+    const buffer = fs.readFileSync(file);
+    // Bundles are zips ("PK"); anything else should be project JSON
+    const isBundle = buffer.length > 4 && buffer.readUInt32LE(0) === 0x04034b50;
+    // Same migrations and field checks as the editor's import
+    return schema.migrateProject(isBundle ? readProjectBundle(buffer) : JSON.parse(buffer.toString('utf8')));
+}
+
+// ==================== RENDER OPTIONS ====================
+// Same defaults as the editor's export options: visible layers, reference layers left out
+function resolveLayerIds(project, list) {
+    if (list === undefined) {
+        return new Set(project.layers.filter(layer => layer.visible && !core.isReferenceLayer(layer)).map(layer => layer.id));
+    }
+    
+    const ids = new Set();
+    list.split(',').map(name => name.trim()).filter(Boolean).forEach(name => {
+        const layer = project.layers.find(l => l.id === name) || project.layers.find(l => l.name === name);
+        if (!layer) {
+            throw new Error(`No layer named "${name}". Layers: ${project.layers.map(l => l.name).join(', ')}`);
+        }
+        if (!layer.visible) {
+            throw new Error(`Layer "${layer.name}" is hidden in the project and can't be rendered`);
+        }
+        ids.add(layer.id);
+    });
+    if (ids.size === 0) throw new Error('--layers needs at least one layer');
+    return ids;
+}
+
+function resolveRenderOptions(project, args) {
+    const last = core.countProjectFrames(project.layers);
+    const from = (args.from || 1) - 1;
+    const to = (args.to || last) - 1;
+    if (to >= last || from >= last) {
+        throw new Error(`--from and --to must be within 1–${last} (the project has ${last} frame${last === 1 ? '' : 's'})`);
+    }
+    if (to < from) throw new Error(`--to must not come before --from (the project has ${last} frames)`);
+    
+    const scale = args.scale || 1;
+    const rect = { x: 0, y: 0, width: project.canvasWidth, height: project.canvasHeight };
+    return {
+        from: from,
+        to: to,
+        scale: scale,
+        layerIds: resolveLayerIds(project, args.layers),
+        rect: rect,
+        width: Math.max(1, Math.round(rect.width * scale)),
+        height: Math.max(1, Math.round(rect.height * scale))
+    };
+}
+
+// ==================== OUTPUT ====================
+function writeSVGFrames(project, options, outDir) {
+    fs.mkdirSync(outDir, { recursive: true });
+    for (let i = options.from; i <= options.to; i++) {
+        // Same names as the editor's SVG sequence export
+        const file = path.join(outDir, `frame-${String(i + 1).padStart(3, '0')}.svg`);
+        fs.writeFileSync(file, core.createCompositeSVG(project, i, options));
+    }
+    return options.to - options.from + 1;
+}
+
+function writePNGFrames(project, options, outDir, baseName) {
+    fs.mkdirSync(outDir, { recursive: true });
+    let skippedReferences = false;
+    for (let i = options.from; i <= options.to; i++) {
+        const composite = core.getProjectFrameComposite(project, i, false, options.layerIds);
+        if (composite.some(entry => entry.isReference)) skippedReferences = true;
+        
+        const pixels = core.rasterizeFrame(project, i, options);
+        const png = core.encodePNG(options.width, options.height, pixels, (bytes) => zlib.deflateSync(bytes));
+        // Same names as the editor's PNG sequence export
+        fs.writeFileSync(path.join(outDir, `${baseName}_${String(i + 1).padStart(4, '0')}.png`), png);
+    }
+    if (skippedReferences) {
+        console.warn('Warning: reference images are not rasterized; only the drawings were rendered.');
+    }
+    return options.to - options.from + 1;
+}
+
+function writeAnimatedSVG(project, options, outFile) {
+    fs.mkdirSync(path.dirname(outFile), { recursive: true });
+    fs.writeFileSync(outFile, core.createAnimatedSVG(project, options));
+}
+
+function run(argv) {
+    const args = parseArgs(argv);
+    if (args.help || !args.input) {
+        process.stdout.write(USAGE);
+        return args.help ? 0 : 1;
+    }
+    
+    const project = loadProject(args.input);
+    const options = resolveRenderOptions(project, args);
+    const baseName = (project.name || path.basename(args.input, path.extname(args.input)))
+        .replace(/[\\/:*?"<>|]+/g, '').trim() || 'animation';
+    const outBase = path.join(path.dirname(args.input), baseName);
+    
+    if (args.format === 'animated-svg') {
+        const outFile = args.out || outBase + '.svg';
+        writeAnimatedSVG(project, Object.assign({ mode: args.mode, loop: !args.once, title: baseName }, options), outFile);
+        console.log(`Wrote ${outFile}`);
+    } else {
+        const outDir = args.out || `${outBase}-${args.format}`;
+        const count = args.format === 'svg'
+            ? writeSVGFrames(project, options, outDir)
+            : writePNGFrames(project, Object.assign({ transparent: !!args.transparent }, options), outDir, baseName);
+        console.log(`Wrote ${count} ${args.format.toUpperCase()} frame${count === 1 ? '' : 's'} to ${outDir}`);
+    }
+    return 0;
+}
+
+try {
+    process.exitCode = run(process.argv.slice(2));
+} catch (err) {
+    console.error(`animframe: ${err.message}`);
+    process.exitCode = 1;
+}
@@ -0,0 +1,442 @@
+// GIF encoder worker for AnimFrame.
+// Receives every distinct frame of an export as RGBA pixels with its delay and answers
+// with the finished GIF file. Quantisation (median cut), dithering and LZW all run here
+// so the editor stays responsive.
+
+// ==================== MESSAGES ====================
+// in:  { options, frames: [{ pixels: Uint8ClampedArray, delay }] }
+//      options: width, height, palette ('global' | 'frame'), dither ('none' | 'floyd-steinberg' | 'ordered'),
+//               colors (2-256), transparent, crop, loop (0 = forever, -1 = play once, n = repeat n times)
+// out: { type: 'progress', done, total } | { type: 'done', bytes } | { type: 'error', message }
+self.onmessage = (e) => {
+    try {
+        const bytes = encodeGIF(e.data.frames, e.data.options);
+        self.postMessage({ type: 'done', bytes: bytes }, [bytes.buffer]);
+    } catch (err) {
+        self.postMessage({ type: 'error', message: err.message });
+    }
+};
+
+const ALPHA_THRESHOLD = 128;
+const BAYER_4X4 = [0, 8, 2, 10, 12, 4, 14, 6, 3, 11, 1, 9, 15, 7, 13, 5];
+
+// ==================== BYTE OUTPUT ====================
+class ByteWriter {
+    constructor() {
+        this.buffer = new Uint8Array(1 << 16);
+        this.length = 0;
+    }
+
+    ensure(extra) {
+        if (this.length + extra <= this.buffer.length) return;
+        let size = this.buffer.length * 2;
+        while (size < this.length + extra) size *= 2;
+        const next = new Uint8Array(size);
+        next.set(this.buffer.subarray(0, this.length));
+        this.buffer = next;
+    }
+
+    byte(value) {
+        this.ensure(1);
+        this.buffer[this.length++] = value & 0xff;
+    }
+
+    word(value) {
+        this.byte(value);
+        this.byte(value >> 8);
+    }
+
+    bytes(values) {
+        this.ensure(values.length);
+        this.buffer.set(values, this.length);
+        this.length += values.length;
+    }
+
+    string(text) {
+        for (let i = 0; i < text.length; i++) this.byte(text.charCodeAt(i));
+    }
+
+    result() {
+        return this.buffer.slice(0, this.length);
+    }
+}
+
+// ==================== PALETTE ====================
+// 15-bit colour bins that remember the exact average colour that fell into them
+function createHistogram() {
+    return {
+        count: new Float64Array(32768),
+        r: new Float64Array(32768),
+        g: new Float64Array(32768),
+        b: new Float64Array(32768)
+    };
+}
+
+function colorKey(r, g, b) {
+    return ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+}
+
+function addToHistogram(histogram, pixels, width, rect, skip) {
+    for (let y = rect.y; y < rect.y + rect.height; y++) {
+        for (let x = rect.x; x < rect.x + rect.width; x++) {
+            const p = y * width + x;
+            if (skip && skip(p)) continue;
+            const i = p * 4;
+            const key = colorKey(pixels[i], pixels[i + 1], pixels[i + 2]);
+            histogram.count[key]++;
+            histogram.r[key] += pixels[i];
+            histogram.g[key] += pixels[i + 1];
+            histogram.b[key] += pixels[i + 2];
+        }
+    }
+}
+
+// Median cut over the histogram bins
+function buildPalette(histogram, maxColors) {
+    const colors = [];
+    for (let key = 0; key < 32768; key++) {
+        const count = histogram.count[key];
+        if (count > 0) {
+            colors.push({ r: histogram.r[key] / count, g: histogram.g[key] / count, b: histogram.b[key] / count, count: count });
+        }
+    }
+    if (colors.length === 0) return [[0, 0, 0]];
+
+    const describe = (list) => {
+        const min = [255, 255, 255];
+        const max = [0, 0, 0];
+        let total = 0;
+        for (const c of list) {
+            const values = [c.r, c.g, c.b];
+            for (let ch = 0; ch < 3; ch++) {
+                if (values[ch] < min[ch]) min[ch] = values[ch];
+                if (values[ch] > max[ch]) max[ch] = values[ch];
+            }
+            total += c.count;
+        }
+        const ranges = [max[0] - min[0], max[1] - min[1], max[2] - min[2]];
+        const channel = ranges.indexOf(Math.max(...ranges));
+        return { colors: list, channel: channel, range: ranges[channel], total: total };
+    };
+
+    const boxes = [describe(colors)];
+    while (boxes.length < maxColors) {
+        // Split the box with the most pixels spread over the widest range
+        let best = -1;
+        let bestScore = 0;
+        boxes.forEach((box, i) => {
+            const score = box.colors.length > 1 ? box.range * box.total : 0;
+            if (score > bestScore) {
+                bestScore = score;
+                best = i;
+            }
+        });
+        if (best === -1) break;
+
+        const box = boxes[best];
+        const key = ['r', 'g', 'b'][box.channel];
+        box.colors.sort((a, b) => a[key] - b[key]);
+
+        let half = box.total / 2;
+        let split = 1;
+        for (let i = 0; i < box.colors.length - 1; i++) {
+            half -= box.colors[i].count;
+            if (half <= 0) {
+                split = i + 1;
+                break;
+            }
+            split = i + 1;
+        }
+        boxes.splice(best, 1, describe(box.colors.slice(0, split)), describe(box.colors.slice(split)));
+    }
+
+    return boxes.map(box => {
+        let r = 0, g = 0, b = 0;
+        for (const c of box.colors) {
+            r += c.r * c.count;
+            g += c.g * c.count;
+            b += c.b * c.count;
+        }
+        return [Math.round(r / box.total), Math.round(g / box.total), Math.round(b / box.total)];
+    });
+}
+
+// Nearest palette entry, cached per 15-bit colour
+function createColorMatcher(palette) {
+    const cache = new Int16Array(32768).fill(-1);
+    return (r, g, b) => {
+        const key = colorKey(r, g, b);
+        let index = cache[key];
+        if (index !== -1) return index;
+        let bestDistance = Infinity;
+        for (let i = 0; i < palette.length; i++) {
+            const dr = palette[i][0] - r;
+            const dg = palette[i][1] - g;
+            const db = palette[i][2] - b;
+            const distance = dr * dr * 2 + dg * dg * 4 + db * db * 3;
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                index = i;
+            }
+        }
+        cache[key] = index;
+        return index;
+    };
+}
+
+// ==================== FRAME ANALYSIS ====================
+function fullRect(options) {
+    return { x: 0, y: 0, width: options.width, height: options.height };
+}
+
+function boundsOf(width, height, test) {
+    let minX = width, minY = height, maxX = -1, maxY = -1;
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (!test(y * width + x)) continue;
+            if (x < minX) minX = x;
+            if (x > maxX) maxX = x;
+            if (y < minY) minY = y;
+            if (y > maxY) maxY = y;
+        }
+    }
+    if (maxX < 0) return { x: 0, y: 0, width: 1, height: 1 };
+    return { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 };
+}
+
+function samePixel(a, b, p) {
+    const i = p * 4;
+    return a[i] === b[i] && a[i + 1] === b[i + 1] && a[i + 2] === b[i + 2] && a[i + 3] === b[i + 3];
+}
+
+// ==================== INDEXING & DITHERING ====================
+function indexFrame(pixels, width, rect, palette, options, isTransparent) {
+    const match = createColorMatcher(palette);
+    const indices = new Uint8Array(rect.width * rect.height);
+    const transparentIndex = palette.length;
+    const clamp = (v) => v < 0 ? 0 : v > 255 ? 255 : v;
+
+    const diffuse = options.dither === 'floyd-steinberg';
+    const errors = diffuse ? new Float32Array((rect.width + 2) * 2 * 3) : null;
+    const rowLength = (rect.width + 2) * 3;
+    const spread = options.dither === 'ordered' ? 256 / Math.cbrt(palette.length) : 0;
+
+    for (let y = 0; y < rect.height; y++) {
+        // Two rolling error rows: current and next
+        const current = (y % 2) * rowLength;
+        const next = ((y + 1) % 2) * rowLength;
+        if (diffuse) errors.fill(0, next, next + rowLength);
+
+        for (let x = 0; x < rect.width; x++) {
+            const p = (rect.y + y) * width + rect.x + x;
+            const out = y * rect.width + x;
+            if (isTransparent(p)) {
+                indices[out] = transparentIndex;
+                continue;
+            }
+
+            const i = p * 4;
+            let r = pixels[i], g = pixels[i + 1], b = pixels[i + 2];
+            const e = current + (x + 1) * 3;
+            if (diffuse) {
+                r = clamp(r + errors[e]);
+                g = clamp(g + errors[e + 1]);
+                b = clamp(b + errors[e + 2]);
+            } else if (spread) {
+                const offset = (BAYER_4X4[(y & 3) * 4 + (x & 3)] / 16 - 0.5) * spread;
+                r = clamp(r + offset);
+                g = clamp(g + offset);
+                b = clamp(b + offset);
+            }
+
+            const index = match(r | 0, g | 0, b | 0);
+            indices[out] = index;
+
+            if (diffuse) {
+                const color = palette[index];
+                const er = r - color[0], eg = g - color[1], eb = b - color[2];
+                const n = next + (x + 1) * 3;
+                errors[e + 3] += er * 7 / 16; errors[e + 4] += eg * 7 / 16; errors[e + 5] += eb * 7 / 16;
+                errors[n - 3] += er * 3 / 16; errors[n - 2] += eg * 3 / 16; errors[n - 1] += eb * 3 / 16;
+                errors[n] += er * 5 / 16; errors[n + 1] += eg * 5 / 16; errors[n + 2] += eb * 5 / 16;
+                errors[n + 3] += er / 16; errors[n + 4] += eg / 16; errors[n + 5] += eb / 16;
+            }
+        }
+    }
+    return indices;
+}
+
+// ==================== GIF ENCODING ====================
+function paletteBits(size) {
+    let bits = 1;
+    while ((1 << bits) < size) bits++;
+    return bits;
+}
+
+function writeColorTable(out, palette, bits) {
+    for (let i = 0; i < (1 << bits); i++) {
+        const color = palette[i] || [0, 0, 0];
+        out.byte(color[0]);
+        out.byte(color[1]);
+        out.byte(color[2]);
+    }
+}
+
+// GIF-flavoured LZW, written as 255-byte sub-blocks
+function writeLZW(out, indices, minCodeSize) {
+    out.byte(minCodeSize);
+
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    let table = new Map();
+
+    const block = new Uint8Array(255);
+    let blockLength = 0;
+    let bits = 0;
+    let bitCount = 0;
+
+    const emit = (code) => {
+        bits |= code << bitCount;
+        bitCount += codeSize;
+        while (bitCount >= 8) {
+            block[blockLength++] = bits & 0xff;
+            bits >>>= 8;
+            bitCount -= 8;
+            if (blockLength === 255) {
+                out.byte(255);
+                out.bytes(block);
+                blockLength = 0;
+            }
+        }
+    };
+
+    emit(clearCode);
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const k = indices[i];
+        const key = (prefix << 8) | k;
+        const code = table.get(key);
+        if (code !== undefined) {
+            prefix = code;
+            continue;
+        }
+        emit(prefix);
+        if (nextCode === 4096) {
+            emit(clearCode);
+            table = new Map();
+            codeSize = minCodeSize + 1;
+            nextCode = endCode + 1;
+        } else {
+            if (nextCode >= (1 << codeSize)) codeSize++;
+            table.set(key, nextCode++);
+        }
+        prefix = k;
+    }
+    emit(prefix);
+    emit(endCode);
+
+    if (bitCount > 0) {
+        block[blockLength++] = bits & 0xff;
+    }
+    if (blockLength > 0) {
+        out.byte(blockLength);
+        out.bytes(block.subarray(0, blockLength));
+    }
+    out.byte(0); // Block terminator
+}
+
+function encodeGIF(frames, options) {
+    const { width, height } = options;
+    const transparentMode = !!options.transparent;
+    const isClear = (pixels) => (p) => pixels[p * 4 + 3] < ALPHA_THRESHOLD;
+    // One palette slot is kept for transparency (see-through pixels, or pixels unchanged since the last frame)
+    const colorCount = Math.max(2, Math.min(256, options.colors)) - 1;
+
+    let globalPalette = null;
+    if (options.palette === 'global') {
+        const histogram = createHistogram();
+        frames.forEach(frame => {
+            addToHistogram(histogram, frame.pixels, width, fullRect(options), transparentMode ? isClear(frame.pixels) : null);
+        });
+        globalPalette = buildPalette(histogram, colorCount);
+    }
+
+    const out = new ByteWriter();
+    out.string('GIF89a');
+    out.word(width);
+    out.word(height);
+
+    const globalBits = globalPalette ? paletteBits(globalPalette.length + 1) : 0;
+    out.byte(globalPalette ? 0x80 | ((globalBits - 1) << 4) | (globalBits - 1) : 0);
+    out.byte(0); // Background colour index
+    out.byte(0); // Pixel aspect ratio
+    if (globalPalette) writeColorTable(out, globalPalette, globalBits);
+
+    if (options.loop !== -1) {
+        out.bytes([0x21, 0xff, 0x0b]);
+        out.string('NETSCAPE2.0');
+        out.bytes([0x03, 0x01]);
+        out.word(options.loop);
+        out.byte(0);
+    }
+
+    let previous = null;
+    frames.forEach((frame, n) => {
+        const pixels = frame.pixels;
+        let rect = fullRect(options);
+        let skip = null;
+        let disposal = 1; // Leave in place
+
+        if (transparentMode) {
+            // Each frame starts from a cleared canvas, so it only needs to cover its visible pixels
+            disposal = 2;
+            skip = isClear(pixels);
+            if (options.crop) rect = boundsOf(width, height, p => !skip(p));
+        } else if (options.crop && previous) {
+            // Only the changed area is stored; unchanged pixels inside it show through
+            const prev = previous;
+            rect = boundsOf(width, height, p => !samePixel(pixels, prev, p));
+            skip = (p) => samePixel(pixels, prev, p);
+        }
+
+        let palette = globalPalette;
+        if (!palette) {
+            const histogram = createHistogram();
+            addToHistogram(histogram, pixels, width, rect, skip);
+            palette = buildPalette(histogram, colorCount);
+        }
+        const indices = indexFrame(pixels, width, rect, palette, options, skip || (() => false));
+        const hasTransparency = !!skip;
+
+        // Graphic control extension: disposal, delay and transparent index
+        out.bytes([0x21, 0xf9, 0x04]);
+        out.byte((disposal << 2) | (hasTransparency ? 1 : 0));
+        out.word(frame.delay);
+        out.byte(hasTransparency ? palette.length : 0);
+        out.byte(0);
+
+        // Image descriptor, with a local colour table when palettes are per frame
+        out.byte(0x2c);
+        out.word(rect.x);
+        out.word(rect.y);
+        out.word(rect.width);
+        out.word(rect.height);
+        const bits = paletteBits(palette.length + 1);
+        if (globalPalette) {
+            out.byte(0);
+        } else {
+            out.byte(0x80 | (bits - 1));
+            writeColorTable(out, palette, bits);
+        }
+
+        writeLZW(out, indices, Math.max(2, bits));
+
+        previous = pixels;
+        self.postMessage({ type: 'progress', done: n + 1, total: frames.length });
+    });
+
+    out.byte(0x3b); // Trailer
+    return out.result();
+}
@@ -28,6 +28,56 @@ const state = {
     strokeColor: '#000000',
     smoothing: 3, // Smoothing amount (0.5 = low, 3 = medium, 8 = high)
     taper: 0, // Taper amount (0-100, 0 = uniform stroke, 100 = maximum taper)
+    shapeType: 'rect', // rect, ellipse, polygon, star or line
+    shapeSettings: {
+        stroke: true,
+        fill: false,
+        fillColor: '#cccccc',
+        cornerRadius: 0,
+        sides: 5,       // Polygon sides / star points
+        innerRatio: 0.5 // Star inner radius as a fraction of the outer radius
+    },
+    shapeDraft: null, // Shape being dragged out
+    animationExportSettings: {
+        format: 'gif', // gif, png, mp4, webm, apng or webp
+        codec: 'vp9', // WebM only
+        bitrate: 5, // Mbps, video formats
+        quality: 80, // WebP
+        gifPalette: 'global', // global or frame
+        dither: 'floyd-steinberg', // none, floyd-steinberg or ordered
+        colors: 256,
+        crop: true, // GIF frame-diff cropping
+        loop: 0, // GIF/APNG/WebP, 0 = forever
+        audio: true // MP4/WebM: include the audio track
+    },
+    exportOptions: {
+        from: 1,
+        to: null, // null = last frame
+        scale: 1,
+        layers: {}, // layer id -> included; unset layers follow isLayerExported
+        bounds: 'canvas', // canvas or content
+        padding: 0,
+        fileName: '{project}'
+    },
+    spriteSheetSettings: {
+        layout: 'grid', // grid or packed
+        columns: 0, // 0 = roughly square
+        spacing: 2,
+        atlas: 'hash', // hash, array or phaser
+        trim: true,
+        dedupe: true,
+        transparent: true
+    },
+    svgExportSettings: {
+        mode: 'smil', // smil or css
+        loop: true
+    },
+    canvasResizeSettings: {
+        mode: 'anchor', // anchor (crop/extend), scale, fit or fill
+        anchor: { x: 0.5, y: 0.5 }
+    },
+    audioTrack: null, // { name, src (audio data URL), offset (seconds), volume }, see AUDIO TRACK
+    lipSync: null, // { text, layerId, marks: [{ frame, phoneme }], chart: { phoneme: paths[] } }, see LIP SYNC
     backgroundColor: '#ffffff', // Global background color
     canvasWidth: 600, // Canvas width
     canvasHeight: 600, // Canvas height
@@ -52,11 +102,21 @@ const state = {
     },
     isPlaying: false,
     playInterval: null,
+    playbackSettings: createPlaybackSettings(), // saved with the project; see PLAYBACK
     fps: 12,
+    frameDurations: {}, // timeline frame index -> milliseconds, overriding 1000 / fps; see FRAME TIMING
     frameClipboard: null,
+    xsheet: {
+        visible: false,
+        selection: null, // { rowFrom, rowTo, from, to }; rows count from the top layer
+        anchor: null,    // { row, frame } the selection was started from
+        clipboard: null  // Rows of copied cells, see copyXSheetCells
+    },
     frameDrag: null,
     undoStack: [],
     redoStack: [],
+    historyBudgetMB: 32, // Undo memory budget, overridden from localStorage
+    historyTrimmed: false, // True once old entries have been dropped for the budget
     selection: {
         indices: [],       // Array of selected path indices in current frame
         bbox: null,        // {x, y, width, height} bounding box
@@ -75,7 +135,13 @@ const state = {
         anchorLocked: false, // true if user repositioned anchor
         isDraggingAnchor: false,
         rotateAnchor: null, // Fixed pivot during rotation drag
-        _anchorAtDragStart: null
+        _anchorAtDragStart: null,
+        isAdjustingShape: false // Dragging a shape's corner radius / star depth handle
+    },
+    nodeEdit: {
+        paths: [],     // Indices of paths whose anchors are shown
+        selected: [],  // Selected anchors as {path, sub, node}
+        drag: null     // Active anchor or handle drag
     }
 };
 
@@ -100,18 +166,20 @@ function init() {
     updateSmoothingLabel(); // Set initial smoothing label
     updateSizeValue(); // Set initial size value
     updateTaperValue(); // Set initial taper value
-    updateCanvasSizeSelector(state.canvasWidth, state.canvasHeight); // Set initial canvas size
+    updateCanvasSize(state.canvasWidth, state.canvasHeight); // Set initial canvas size
     
-    // Sync onion skin button with state
-    const onionToggle = document.getElementById('onionSkinToggle');
-    if (onionToggle) {
-        onionToggle.classList.toggle('active', state.onionSkinEnabled);
-    }
+    // Sync onion skin controls with state
+    syncOnionSkinUI();
+    syncPlaybackUI();
+    syncAudioTrack();
     
     renderFrame();
     updateLayerList();
     updateFrameList();
     updateFrameCounter();
+    
+    // Swap in the last project from the IndexedDB library once it opens
+    initProjectLibrary();
 }
 
 // Watchdog timer to detect and fix stuck playback states (iPad Safari bug workaround)
@@ -143,7 +211,7 @@ let autoSaveInterval = null;
 function startAutoSave() {
     // Auto-save every 30 seconds
     autoSaveInterval = setInterval(() => {
-        saveToLocalStorage();
+        saveProject();
         showAutoSaveIndicator();
     }, 30000); // 30 seconds
     
@@ -307,7 +375,7 @@ function setupEventListeners() {
         // Final colour commit for selected paths
         if (state.tool === 'select' && state.selection && state.selection.indices.length > 0) {
             applyColorToSelection(e.target.value);
-            saveToLocalStorage();
+            saveProject();
         }
     });
     
@@ -332,22 +400,24 @@ function setupEventListeners() {
             showCanvasSizeDialog();
             // Note: Don't reset here - updateCanvasSize will handle it after dialog confirms
         } else {
-            // Preset size
+            // Preset size: confirm how the drawing should follow the canvas
             const [width, height] = value.split('x').map(Number);
-            updateCanvasSize(width, height);
+            showCanvasSizeDialog(width, height);
         }
     });
 
     // Background color picker
     document.getElementById('backgroundColorPicker').addEventListener('change', (e) => {
+        saveStateForUndo('Background color', 'settings');
         state.backgroundColor = e.target.value;
         updateBackground();
-        saveToLocalStorage();
+        saveProject();
     });
 
     // Transparent background toggle
     document.getElementById('transparentBgToggle').addEventListener('change', (e) => {
         const colorPicker = document.getElementById('backgroundColorPicker');
+        saveStateForUndo(e.target.checked ? 'Transparent background' : 'Opaque background', 'settings');
         if (e.target.checked) {
             state.backgroundColor = 'transparent';
             colorPicker.disabled = true;
@@ -356,7 +426,7 @@ function setupEventListeners() {
             colorPicker.disabled = false;
         }
         updateBackground();
-        saveToLocalStorage();
+        saveProject();
     });
 
     // Layer controls
@@ -366,9 +436,15 @@ function setupEventListeners() {
     // Frame controls
     document.getElementById('addFrameBtn').addEventListener('click', addFrame);
     document.getElementById('duplicateFrameBtn').addEventListener('click', duplicateFrame);
+    document.getElementById('tweenBtn').addEventListener('click', showTweenDialog);
+    document.getElementById('motionTweenBtn').addEventListener('click', showMotionTweenDialog);
     document.getElementById('deleteFrameBtn').addEventListener('click', deleteFrame);
     document.getElementById('copyFrameBtn').addEventListener('click', copyFrame);
     document.getElementById('pasteFrameBtn').addEventListener('click', pasteFrame);
+    document.getElementById('xsheetToggle').addEventListener('click', toggleXSheet);
+    setupFrameOpsPanel();
+    setupXSheet();
+    setupPlaybackPanel();
 
     // Onion skin toggle
     const onionToggleBtn = document.getElementById('onionSkinToggle');
@@ -386,7 +462,7 @@ function setupEventListeners() {
         
         // Re-render and save
         renderFrame();
-        saveToLocalStorage();
+        saveProject();
     });
     
     // Onion skin settings panel toggle
@@ -413,12 +489,12 @@ function setupEventListeners() {
     
     // Onion skin settings inputs
     document.getElementById('onionBefore').addEventListener('input', (e) => {
-        state.onionSkinSettings.framesBefore = parseInt(e.target.value);
+        state.onionSkinSettings.framesBefore = parseInt(e.target.value) || 0;
         renderFrame();
     });
     
     document.getElementById('onionAfter').addEventListener('input', (e) => {
-        state.onionSkinSettings.framesAfter = parseInt(e.target.value);
+        state.onionSkinSettings.framesAfter = parseInt(e.target.value) || 0;
         renderFrame();
     });
     
@@ -488,11 +564,13 @@ function setupEventListeners() {
     }
     
     document.getElementById('fpsSelect').addEventListener('change', (e) => {
+        saveStateForUndo('Frame rate', 'settings');
         state.fps = parseInt(e.target.value) || 12;
         if (state.isPlaying) {
             stopPlayback();
             startPlayback(); // Use startPlayback directly instead of toggle
         }
+        updateScrubBar();
     });
 
     // Undo/Redo
@@ -536,21 +614,63 @@ function setupEventListeners() {
         exportMenu.style.display = 'none';
         exportMenu.style.visibility = 'hidden';
         exportMenu.style.opacity = '0';
-        exportAsGIF();
+        showAnimationExportDialog('gif');
     });
     
     document.getElementById('exportPngBtn').addEventListener('click', () => {
         exportMenu.style.display = 'none';
         exportMenu.style.visibility = 'hidden';
         exportMenu.style.opacity = '0';
-        exportAsPNGSequence();
+        showAnimationExportDialog('png');
     });
     
     document.getElementById('exportMp4Btn').addEventListener('click', () => {
         exportMenu.style.display = 'none';
         exportMenu.style.visibility = 'hidden';
         exportMenu.style.opacity = '0';
-        exportAsMP4();
+        showAnimationExportDialog('mp4');
+    });
+    
+    document.getElementById('exportWebmBtn').addEventListener('click', () => {
+        exportMenu.style.display = 'none';
+        exportMenu.style.visibility = 'hidden';
+        exportMenu.style.opacity = '0';
+        showAnimationExportDialog('webm');
+    });
+    
+    document.getElementById('exportApngBtn').addEventListener('click', () => {
+        exportMenu.style.display = 'none';
+        exportMenu.style.visibility = 'hidden';
+        exportMenu.style.opacity = '0';
+        showAnimationExportDialog('apng');
+    });
+    
+    document.getElementById('exportWebpBtn').addEventListener('click', () => {
+        exportMenu.style.display = 'none';
+        exportMenu.style.visibility = 'hidden';
+        exportMenu.style.opacity = '0';
+        showAnimationExportDialog('webp');
+    });
+    
+    document.getElementById('exportSvgBtn').addEventListener('click', () => {
+        exportMenu.style.display = 'none';
+        exportMenu.style.visibility = 'hidden';
+        exportMenu.style.opacity = '0';
+        showAnimatedSVGDialog();
+    });
+    
+    document.getElementById('exportSpriteBtn').addEventListener('click', () => {
+        exportMenu.style.display = 'none';
+        exportMenu.style.visibility = 'hidden';
+        exportMenu.style.opacity = '0';
+        showSpriteSheetDialog();
+    });
+    
+    document.getElementById('exportLottieBtn').addEventListener('click', () => {
+        exportMenu.style.display = 'none';
+        exportMenu.style.visibility = 'hidden';
+        exportMenu.style.opacity = '0';
+        exportAsLottie();
     });
     document.getElementById('exportJsonBtn').addEventListener('click', exportProject);
     document.getElementById('importJsonBtn').addEventListener('click', () => {
@@ -558,6 +678,7 @@ function setupEventListeners() {
     });
     document.getElementById('fileInput').addEventListener('change', importProject);
     document.getElementById('newProjectBtn').addEventListener('click', newProject);
+    document.getElementById('projectsBtn').addEventListener('click', showProjectBrowser);
 
     // Video import
     document.getElementById('importVideoBtn').addEventListener('click', () => {
@@ -570,9 +691,20 @@ function setupEventListeners() {
         document.getElementById('imageFileInput').click();
     });
     document.getElementById('imageFileInput').addEventListener('change', handleImageFileSelect);
+    
+    // Audio track
+    document.getElementById('importAudioBtn').addEventListener('click', () => {
+        if (state.audioTrack) {
+            showAudioTrackDialog();
+        } else {
+            document.getElementById('audioFileInput').click();
+        }
+    });
+    document.getElementById('audioFileInput').addEventListener('change', handleAudioFileSelect);
+    document.getElementById('lipSyncBtn').addEventListener('click', showLipSyncDialog);
 
     // Auto-save every 10 seconds
-    setInterval(saveToLocalStorage, 10000);
+    setInterval(saveProject, 10000);
 
     // Zoom & Pan
     setupZoomControls();
@@ -580,6 +712,15 @@ function setupEventListeners() {
     // Frame scrub bar
     setupFrameScrubBar();
 
+    // Shape tools
+    setupShapeTool();
+
+    // Node editing
+    setupNodeTool();
+
+    // Undo history panel
+    setupHistoryPanel();
+
     // Keyboard shortcuts help panel
     document.getElementById('shortcutsBtn').addEventListener('click', toggleShortcutsPanel);
     document.getElementById('shortcutsCloseBtn').addEventListener('click', closeShortcutsPanel);
@@ -712,6 +853,11 @@ function handleKeyboardShortcut(e) {
             clearSelection();
             return;
         }
+        if (state.tool === 'node' && state.nodeEdit.paths.length > 0) {
+            e.preventDefault();
+            clearNodeEdit();
+            return;
+        }
     }
     
     // Spacebar - toggle playback
@@ -754,6 +900,41 @@ function handleKeyboardShortcut(e) {
         return;
     }
     
+    // A key - switch to node (direct selection) tool
+    if ((e.key === 'a' || e.key === 'A') && !e.ctrlKey && !e.metaKey) {
+        e.preventDefault();
+        selectTool('node');
+        return;
+    }
+    
+    // I key - assign a tween ID to the selected paths
+    if ((e.key === 'i' || e.key === 'I') && state.tool === 'select' && state.selection.indices.length > 0) {
+        e.preventDefault();
+        showTweenIdDialog();
+        return;
+    }
+    
+    // M key - motion tween the selected paths
+    if ((e.key === 'm' || e.key === 'M') && state.tool === 'select' && state.selection.indices.length > 0) {
+        e.preventDefault();
+        showMotionTweenDialog();
+        return;
+    }
+    
+    // J key - join the two selected end anchors
+    if ((e.key === 'j' || e.key === 'J') && state.tool === 'node') {
+        e.preventDefault();
+        joinSelectedNodes();
+        return;
+    }
+    
+    // U key - switch to shape tool
+    if (e.key === 'u' || e.key === 'U') {
+        e.preventDefault();
+        selectTool('shape');
+        return;
+    }
+    
     // V key - switch to select tool
     if (e.key === 'v' || e.key === 'V') {
         e.preventDefault();
@@ -775,11 +956,12 @@ function handleKeyboardShortcut(e) {
         return;
     }
     
-    // , key - previous frame
+    // , key - previous frame (or previous change of drawing, see getSteppedFrame)
     if (e.key === ',') {
         e.preventDefault();
-        if (state.currentFrameIndex > 0) {
-            selectFrame(state.currentFrameIndex - 1);
+        const frame = getSteppedFrame(-1);
+        if (frame !== state.currentFrameIndex) {
+            selectFrame(frame);
         }
         return;
     }
@@ -787,12 +969,20 @@ function handleKeyboardShortcut(e) {
     // . key - next frame
     if (e.key === '.') {
         e.preventDefault();
-        if (state.currentFrameIndex < state.maxFrames - 1) {
-            selectFrame(state.currentFrameIndex + 1);
+        const frame = getSteppedFrame(1);
+        if (frame !== state.currentFrameIndex) {
+            selectFrame(frame);
         }
         return;
     }
     
+    // [ and ] keys - set or clear the playback in/out markers at the current frame
+    if (e.key === '[' || e.key === ']') {
+        e.preventDefault();
+        togglePlaybackMarker(e.key === '[' ? 'inPoint' : 'outPoint');
+        return;
+    }
+    
     // N key - add new frame
     if (e.key === 'n' || e.key === 'N') {
         e.preventDefault();
@@ -807,6 +997,24 @@ function handleKeyboardShortcut(e) {
         return;
     }
     
+    // Delete/Backspace - delete selected anchors
+    if ((e.key === 'Delete' || e.key === 'Backspace') && state.tool === 'node' && state.nodeEdit.selected.length > 0) {
+        e.preventDefault();
+        deleteSelectedNodes();
+        return;
+    }
+    
+    // Enter - edit parameters of the selected shape
+    if (e.key === 'Enter' && state.tool === 'select' && state.selection && state.selection.indices.length === 1 &&
+            document.getElementById('modal').style.display !== 'flex') {
+        const frame = getSelectionFrame();
+        if (frame && frame.paths[state.selection.indices[0]] && frame.paths[state.selection.indices[0]].shape) {
+            e.preventDefault();
+            showShapeDialog(state.selection.indices[0]);
+            return;
+        }
+    }
+    
     // Detect platform: macOS uses Cmd, Windows/Linux use Ctrl
     const isMac = navigator.platform.toUpperCase().indexOf('MAC') >= 0;
     const modifier = isMac ? e.metaKey : e.ctrlKey;
@@ -868,6 +1076,7 @@ function getNextLayerNumber() {
 }
 
 function addLayer() {
+    saveStateForUndo('Add layer', 'project');
     state.layerIdCounter++;
     const layerNum = getNextLayerNumber();
     const newLayer = {
@@ -886,13 +1095,14 @@ function addLayer() {
     updateLayerList();
     updateFrameList();
     renderFrame();
-    saveToLocalStorage();
+    saveProject();
 }
 
 function duplicateLayer() {
     const sourceLayer = state.layers.find(l => l.id === state.currentLayerId);
     if (!sourceLayer) return;
     
+    saveStateForUndo('Duplicate layer', 'project');
     state.layerIdCounter++;
     const newLayer = {
         id: 'layer-' + state.layerIdCounter,
@@ -912,7 +1122,7 @@ function duplicateLayer() {
     updateLayerList();
     updateFrameList();
     renderFrame();
-    saveToLocalStorage();
+    saveProject();
 }
 
 function moveLayerUp(layerId) {
@@ -921,6 +1131,8 @@ function moveLayerUp(layerId) {
     // Can't move beyond the end (which renders on top)
     if (index === state.layers.length - 1) return;
     
+    saveStateForUndo('Move layer up', 'settings');
+    
     // Swap with next layer (moves forward in render order = up in visual list)
     const temp = state.layers[index];
     state.layers[index] = state.layers[index + 1];
@@ -928,7 +1140,7 @@ function moveLayerUp(layerId) {
     
     updateLayerList();
     renderFrame();
-    saveToLocalStorage();
+    saveProject();
 }
 
 function moveLayerDown(layerId) {
@@ -937,6 +1149,8 @@ function moveLayerDown(layerId) {
     // Can't move beyond the beginning (which renders on bottom)
     if (index === 0) return;
     
+    saveStateForUndo('Move layer down', 'settings');
+    
     // Swap with previous layer (moves backward in render order = down in visual list)
     const temp = state.layers[index];
     state.layers[index] = state.layers[index - 1];
@@ -944,10 +1158,10 @@ function moveLayerDown(layerId) {
     
     updateLayerList();
     renderFrame();
-    saveToLocalStorage();
+    saveProject();
 }
 
-function deleteLayer() {
+function deleteLayer(layerId = state.currentLayerId) {
     if (state.layers.length === 1) {
         showAlert('Cannot delete the only layer!', 'Error');
         return;
@@ -957,11 +1171,16 @@ function deleteLayer() {
         'Delete this layer and all its frames?',
         'Delete Layer',
         () => {
-            const layerIndex = state.layers.findIndex(l => l.id === state.currentLayerId);
+            const layerIndex = state.layers.findIndex(l => l.id === layerId);
+            if (layerIndex < 0) return;
+            
+            saveStateForUndo('Delete layer', 'project');
             state.layers.splice(layerIndex, 1);
             
-            // Select another layer
-            state.currentLayerId = state.layers[Math.max(0, layerIndex - 1)].id;
+            // Select another layer if the active one was removed
+            if (layerId === state.currentLayerId) {
+                state.currentLayerId = state.layers[Math.max(0, layerIndex - 1)].id;
+            }
             
             // Recalculate max frames
             updateMaxFrames();
@@ -969,7 +1188,7 @@ function deleteLayer() {
             updateLayerList();
             updateFrameList();
             renderFrame();
-            saveToLocalStorage();
+            saveProject();
         }
     );
 }
@@ -985,6 +1204,7 @@ function selectLayer(layerId) {
 function toggleLayerVisibility(layerId) {
     const layer = state.layers.find(l => l.id === layerId);
     if (layer) {
+        saveStateForUndo(layer.visible ? 'Hide layer' : 'Show layer', 'settings');
         layer.visible = !layer.visible;
         updateMaxFrames();
         if (state.currentFrameIndex >= state.maxFrames) {
@@ -992,7 +1212,7 @@ function toggleLayerVisibility(layerId) {
         }
         updateFrameCounter();
         renderFrame();
-        saveToLocalStorage();
+        saveProject();
     }
 }
 
@@ -1000,6 +1220,7 @@ function toggleBackgroundLayer(layerId, isBackground) {
     const layer = state.layers.find(l => l.id === layerId);
     if (!layer) return;
     
+    saveStateForUndo(isBackground ? 'Set background layer' : 'Unset background layer', 'project');
     layer.isBackground = isBackground;
     
     if (isBackground) {
@@ -1014,7 +1235,7 @@ function toggleBackgroundLayer(layerId, isBackground) {
     updateMaxFrames();
     updateLayerList();
     renderFrame();
-    saveToLocalStorage();
+    saveProject();
 }
 
 function updateLayerList() {
@@ -1100,12 +1321,13 @@ function updateLayerList() {
                 var toState = total - 1 - targetIdx;
                 if (fromState === toState || fromState < 0) return;
                 
+                saveStateForUndo('Reorder layers', 'settings');
                 var moved = state.layers.splice(fromState, 1)[0];
                 state.layers.splice(toState, 0, moved);
                 
                 updateLayerList();
                 renderFrame();
-                saveToLocalStorage();
+                saveProject();
             };
             
             dragHandle.addEventListener('pointerup', endDrag);
@@ -1158,8 +1380,21 @@ function updateLayerList() {
             frameCount.style.color = 'var(--accent)';
             frameCount.style.fontWeight = '700';
         } else {
-            frameCount.textContent = layer.frames.length;
-        }
+            frameCount.textContent = getLayerLength(layer);
+        }
+        
+        // Lock timing toggle (animation layers only)
+        const lockBtn = document.createElement('button');
+        lockBtn.className = 'layer-lock-btn' + (layer.lockTiming ? ' active' : '');
+        lockBtn.innerHTML = '<svg width="12" height="12" viewBox="0 0 16 16" fill="none" stroke="currentColor" stroke-width="1.75" stroke-linecap="round" stroke-linejoin="round">' +
+            '<rect x="3" y="7" width="10" height="7.5" rx="1.5"/>' +
+            (layer.lockTiming ? '<path d="M5 7V5a3 3 0 0 1 6 0v2"/>' : '<path d="M5 7V5a3 3 0 0 1 5.8-1"/>') + '</svg>';
+        lockBtn.title = layer.lockTiming ? 'Timing locked – click to unlock' : 'Lock timing (frames can\'t be added, removed or moved)';
+        lockBtn.style.visibility = layer.isBackground ? 'hidden' : '';
+        lockBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            toggleLayerTimingLock(layer.id);
+        });
         
         // Delete button
         const deleteBtn = document.createElement('button');
@@ -1191,8 +1426,14 @@ function updateLayerList() {
         opacitySlider.step = '5';
         opacitySlider.value = Math.round(currentOpacity * 100);
         opacitySlider.title = 'Layer Opacity';
+        let opacityUndoSaved = false;
         opacitySlider.addEventListener('input', (e) => {
             e.stopPropagation();
+            // One history entry per slider drag
+            if (!opacityUndoSaved) {
+                saveStateForUndo('Layer opacity', 'settings');
+                opacityUndoSaved = true;
+            }
             const val = parseInt(e.target.value) / 100;
             layer.opacity = val;
             opacityVal.textContent = e.target.value + '%';
@@ -1200,7 +1441,8 @@ function updateLayerList() {
         });
         opacitySlider.addEventListener('change', (e) => {
             e.stopPropagation();
-            saveToLocalStorage();
+            opacityUndoSaved = false;
+            saveProject();
         });
         opacitySlider.addEventListener('pointerdown', (e) => e.stopPropagation());
         
@@ -1215,6 +1457,7 @@ function updateLayerList() {
         topRow.appendChild(nameSpan);
         topRow.appendChild(bgLabel);
         topRow.appendChild(frameCount);
+        topRow.appendChild(lockBtn);
         topRow.appendChild(deleteBtn);
         
         layerItem.appendChild(topRow);
@@ -1223,6 +1466,8 @@ function updateLayerList() {
         layerItem.addEventListener('click', () => selectLayer(layer.id));
         layerList.appendChild(layerItem);
     });
+    
+    updateXSheet();
 }
 
 function startLayerRename(layerId, nameSpan) {
@@ -1238,8 +1483,9 @@ function startLayerRename(layerId, nameSpan) {
     const finishRename = () => {
         const newName = input.value.trim();
         if (newName && newName !== layer.name) {
+            saveStateForUndo('Rename layer', 'settings');
             layer.name = newName;
-            saveToLocalStorage();
+            saveProject();
         }
         updateLayerList();
     };
@@ -1267,12 +1513,7 @@ function startLayerRename(layerId, nameSpan) {
 }
 
 function updateMaxFrames() {
-    var visibleLayers = state.layers.filter(function(l) { return l.visible; });
-    if (visibleLayers.length === 0) {
-        state.maxFrames = Math.max(...state.layers.map(l => l.frames.length), 1);
-    } else {
-        state.maxFrames = Math.max(...visibleLayers.map(l => l.frames.length), 1);
-    }
+    state.maxFrames = countProjectFrames(state.layers);
 }
 
 // Apply shift-key constraints for straight lines and circles
@@ -1350,6 +1591,11 @@ function startDrawing(e) {
         return;
     }
     
+    if (state.tool === 'node') {
+        handleNodePointerDown(e);
+        return;
+    }
+    
     // Zoom tool: click to zoom in, shift/alt+click to zoom out, drag to pan
     if (state.tool === 'zoom') {
         if (e.pointerType !== 'touch' || _pinchPointers.length === 0) {
@@ -1372,28 +1618,38 @@ function startDrawing(e) {
     
     // Determine which frame to draw on
     const drawFrameIndex = currentLayer.isBackground ? 0 : state.currentFrameIndex;
+    const undoLabel = state.tool === 'eraser' ? 'Erase' : state.tool === 'shape' ? 'Draw shape' : 'Draw stroke';
     
     // Make sure current layer has a frame at the target index
-    if (!currentLayer.frames[drawFrameIndex]) {
+    if (!resolveLayerFrame(currentLayer, drawFrameIndex)) {
+        // The padding frames are part of this edit, so record the whole layer
+        saveStateForUndo(undoLabel, 'layer');
+        
         // Extend layer's frames to target index
-        while (currentLayer.frames.length <= drawFrameIndex) {
+        while (getLayerLength(currentLayer) <= drawFrameIndex) {
             currentLayer.frames.push({ paths: [] });
         }
         updateMaxFrames();
+    } else {
+        // Save state for undo
+        saveStateForUndo(undoLabel);
     }
     
     state.isDrawing = true;
     state.currentPoints = [];
     
-    // Save state for undo
-    saveStateForUndo();
-    
     const point = getSvgPoint(e);
     point.pressure = e.pressure || 0.5;
     state.currentPoints.push(point);
     state.startPoint = point; // Store starting point for shift-constrained drawing
     state.lastPointerEvent = e; // Store event for shift key updates
     
+    // Shape tool builds its preview from parameters rather than points
+    if (state.tool === 'shape') {
+        startShapeDrawing(point);
+        return;
+    }
+    
     // Create new path element
     state.currentPath = document.createElementNS('http://www.w3.org/2000/svg', 'path');
     state.brushGroup = null; // Group for multi-stroke brushes
@@ -1401,12 +1657,13 @@ function startDrawing(e) {
     
     // ERASER MODE: Draw path that will be used to cut through existing paths
     if (state.tool === 'eraser') {
+        // Neutral preview so the swept area is visible on any background
         state.currentPath.setAttribute('fill', 'none');
-        state.currentPath.setAttribute('stroke', state.backgroundColor || '#ffffff');
+        state.currentPath.setAttribute('stroke', '#888888');
         state.currentPath.setAttribute('stroke-width', state.strokeSize * 3);
         state.currentPath.setAttribute('stroke-linecap', 'round');
         state.currentPath.setAttribute('stroke-linejoin', 'round');
-        state.currentPath.setAttribute('opacity', '0.5'); // Semi-transparent preview
+        state.currentPath.setAttribute('opacity', '0.35'); // Semi-transparent preview
     }
     // Dual-mode brush: tapered (filled) vs uniform (stroked)
     else if (state.taper > 0 && state.tool === 'pen' && state.brushType === 'smooth') {
@@ -1456,6 +1713,11 @@ function draw(e) {
         return;
     }
     
+    if (state.tool === 'node') {
+        handleNodePointerMove(e);
+        return;
+    }
+    
     // Zoom tool: drag to pan
     if (state.tool === 'zoom') {
         handleZoomToolDrag(e);
@@ -1470,6 +1732,11 @@ function draw(e) {
     let point = getSvgPoint(e);
     point.pressure = e.pressure || 0.5;
     
+    if (state.tool === 'shape') {
+        updateShapeDraft(point);
+        return;
+    }
+    
     // Apply shift constraints for straight lines and circles
     // Works with either keyboard Shift OR constraint mode toggle button
     const isConstrained = (state.shiftPressed || state.constraintMode);
@@ -1802,6 +2069,12 @@ function stopDrawing(e) {
         return;
     }
     
+    if (state.tool === 'node') {
+        if (e) e.preventDefault();
+        handleNodePointerUp(e);
+        return;
+    }
+    
     // Zoom tool: if barely dragged, treat as click-to-zoom
     if (state.tool === 'zoom' && state.isPanning && e) {
         state.isPanning = false;
@@ -1833,17 +2106,24 @@ function stopDrawing(e) {
     if (state.currentPath && state.currentPoints.length > 0) {
         const currentLayer = getCurrentLayer();
         
-        // Determine which frame to save to (frame 0 for BG layers, current frame otherwise)
-        const saveFrameIndex = currentLayer && currentLayer.isBackground ? 0 : state.currentFrameIndex;
+        // The drawing shown on the current frame (the first frame for BG layers); strokes on a
+        // held frame go into the drawing it holds
+        const saveFrame = currentLayer ? resolveLayerFrame(currentLayer, state.currentFrameIndex) : null;
         
-        if (currentLayer && currentLayer.frames[saveFrameIndex]) {
-            // ERASER MODE: Apply eraser effect to existing paths
+        if (saveFrame) {
+            // ERASER MODE: Cut the swept outline out of existing paths
             if (state.tool === 'eraser') {
-                applyEraserCut(currentLayer.frames[saveFrameIndex], state.currentPath);
+                applyEraserCut(saveFrame, state.currentPoints, state.strokeSize * 3);
                 // Remove the eraser path preview
                 if (state.currentPath.parentNode) {
                     state.currentPath.parentNode.removeChild(state.currentPath);
                 }
+            } else if (state.tool === 'shape') {
+                if (!commitShapeDraft(saveFrame)) {
+                    // Nothing was drawn, so drop the undo snapshot taken on pointer down
+                    state.undoStack.pop();
+                    renderFrame();
+                }
             } else {
                 // PEN MODE: Store the path data
                 if (state.brushGroup && state.brushSeeds && state.brushType !== 'smooth') {
@@ -1852,7 +2132,7 @@ function stopDrawing(e) {
                     for (var gi = 0; gi < groupElements.length; gi++) {
                         var el = groupElements[gi];
                         if (el.tagName === 'path') {
-                            currentLayer.frames[saveFrameIndex].paths.push({
+                            saveFrame.paths.push({
                                 d: el.getAttribute('d'),
                                 stroke: el.getAttribute('stroke'),
                                 strokeWidth: el.getAttribute('stroke-width'),
@@ -1868,7 +2148,7 @@ function stopDrawing(e) {
                             var d = 'M ' + (cx - r) + ' ' + cy +
                                     ' A ' + r + ' ' + r + ' 0 1 0 ' + (cx + r) + ' ' + cy +
                                     ' A ' + r + ' ' + r + ' 0 1 0 ' + (cx - r) + ' ' + cy + ' Z';
-                            currentLayer.frames[saveFrameIndex].paths.push({
+                            saveFrame.paths.push({
                                 d: d,
                                 stroke: 'none',
                                 strokeWidth: 0,
@@ -1889,7 +2169,7 @@ function stopDrawing(e) {
                         fill: state.currentPath.getAttribute('fill'),
                         tool: state.tool
                     };
-                    currentLayer.frames[saveFrameIndex].paths.push(basePathData);
+                    saveFrame.paths.push(basePathData);
                     // Remove the live preview path
                     if (state.currentPath.parentNode) {
                         state.currentPath.parentNode.removeChild(state.currentPath);
@@ -1898,11 +2178,9 @@ function stopDrawing(e) {
                 renderFrame();
             }
             
-            // Clear redo stack on new action
-            state.redoStack = [];
-            
+            refreshTweensForCurrentFrame();
             updateFrameList();
-            saveToLocalStorage();
+            saveProject();
             showAutoSaveIndicator(); // Show save confirmation
         }
     }
@@ -2284,30 +2562,395 @@ function generateBrushStrokes(points, basePathData, brushType) {
     return results;
 }
 
-// Apply eraser cut - save eraser stroke as a background-colored path
-function applyEraserCut(frame, eraserPath) {
-    if (!frame || !frame.paths || !eraserPath) return;
+// ==================== VECTOR ERASER ====================
+// The eraser subtracts its swept outline (a round-capped polyline) from the
+// paths in the frame. Stroked paths are cut along their centreline, filled
+// paths are re-traced from a raster mask (same technique as the fill tool).
+// Paths that end up fully covered are removed.
+function applyEraserCut(frame, eraserPoints, eraserWidth) {
+    if (!frame || !frame.paths || !eraserPoints || eraserPoints.length === 0) return;
     
-    const eraserPathD = eraserPath.getAttribute('d');
-    if (!eraserPathD) return;
+    const radius = eraserWidth / 2;
+    const eraserBBox = getPointsBBox(eraserPoints, radius);
+    const newPaths = [];
+    let changed = false;
     
-    // Instead of deleting paths, save the eraser stroke as a background-colored path
-    // This creates a "pencil eraser" effect - it covers what's underneath
-    const eraserData = {
-        d: eraserPathD,
-        stroke: state.backgroundColor || '#ffffff',
-        strokeWidth: state.strokeSize * 3,
-        fill: 'none',
-        tool: 'eraser'
-    };
+    frame.paths.forEach(pathData => {
+        // Legacy background-coloured eraser strokes are left untouched
+        if (!pathData.d || pathData.tool === 'eraser') {
+            newPaths.push(pathData);
+            return;
+        }
+        
+        const bbox = getPathDataBBox(pathData);
+        if (!bboxesIntersect(bbox, eraserBBox)) {
+            newPaths.push(pathData);
+            return;
+        }
+        
+        const hasFill = pathData.fill && pathData.fill !== 'none';
+        const hasStroke = pathData.stroke && pathData.stroke !== 'none' && parseFloat(pathData.strokeWidth) > 0;
+        const pieces = [];
+        let pathChanged = false;
+        
+        if (hasFill) {
+            const fillResult = eraseFromFilledPath(pathData, eraserPoints, radius, bbox);
+            if (fillResult === null) {
+                pieces.push(hasStroke ? { ...pathData, stroke: 'none', strokeWidth: 0 } : pathData);
+            } else {
+                pathChanged = true;
+                pieces.push(...fillResult);
+            }
+        }
+        
+        if (hasStroke) {
+            const strokeResult = eraseFromStrokedPath(pathData, eraserPoints, radius);
+            if (strokeResult === null) {
+                pieces.push(hasFill ? { ...pathData, fill: 'none' } : pathData);
+            } else {
+                pathChanged = true;
+                pieces.push(...strokeResult);
+            }
+        }
+        
+        if (pathChanged) {
+            changed = true;
+            // Cut pieces are no longer parametric shapes
+            newPaths.push(...pieces.map(piece => {
+                if (!piece.shape) return piece;
+                const plain = { ...piece };
+                convertShapeToPath(plain);
+                return plain;
+            }));
+        } else {
+            newPaths.push(pathData);
+        }
+    });
     
-    // Add eraser stroke to paths (it will be rendered on top, covering what's below)
-    frame.paths.push(eraserData);
+    if (changed) {
+        frame.paths = newPaths;
+    }
     
     // Re-render the frame
     renderFrame();
 }
 
+function getPointsBBox(points, pad) {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (const p of points) {
+        minX = Math.min(minX, p.x);
+        minY = Math.min(minY, p.y);
+        maxX = Math.max(maxX, p.x);
+        maxY = Math.max(maxY, p.y);
+    }
+    return { x: minX - pad, y: minY - pad, width: maxX - minX + pad * 2, height: maxY - minY + pad * 2 };
+}
+
+function bboxesIntersect(a, b) {
+    return a.x <= b.x + b.width && a.x + a.width >= b.x &&
+           a.y <= b.y + b.height && a.y + a.height >= b.y;
+}
+
+// Shortest distance from a point to the eraser's centreline
+function distanceToPolyline(x, y, points) {
+    if (points.length === 1) {
+        return Math.hypot(x - points[0].x, y - points[0].y);
+    }
+    let best = Infinity;
+    for (let i = 0; i < points.length - 1; i++) {
+        const d = pointToLineDist([x, y], [points[i].x, points[i].y], [points[i + 1].x, points[i + 1].y]);
+        if (d < best) best = d;
+    }
+    return best;
+}
+
+// Sample a path's outline into polylines, one per subpath, with points `step` apart
+function flattenPathD(d, step) {
+    return parsePathNodes(d).filter(sub => sub.nodes.length > 0).map(sub => {
+        const nodes = sub.nodes;
+        const points = [{ x: nodes[0].x, y: nodes[0].y }];
+        const count = sub.closed ? nodes.length : nodes.length - 1;
+        for (let i = 0; i < count; i++) {
+            const a = nodes[i];
+            const b = nodes[(i + 1) % nodes.length];
+            // Curves are cut into short chords first; resampling evens out the spacing
+            const chords = a.out || b.in ? 16 : 1;
+            for (let k = 1; k <= chords; k++) points.push(nodeSegmentPoint(a, b, k / chords));
+        }
+        
+        let length = 0;
+        for (let i = 1; i < points.length; i++) {
+            length += Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y);
+        }
+        const samples = Math.max(1, Math.ceil(length / step)) + 1;
+        return { points: resamplePolyline(points, samples, false), closed: sub.closed };
+    });
+}
+
+// Cubic segment between two anchors; `curved` is false for straight lines
+function getNodeSegment(a, b) {
+    return { p0: a, c1: a.out || a, c2: b.in || b, p3: b, curved: !!(a.out || b.in) };
+}
+
+// Part of a segment between t0 and t1, split exactly with de Casteljau
+function sliceNodeSegment(seg, t0, t1) {
+    const lerp = (p, q, t) => ({ x: p.x + (q.x - p.x) * t, y: p.y + (q.y - p.y) * t });
+    const split = (s, t) => {
+        const a = lerp(s.p0, s.c1, t);
+        const b = lerp(s.c1, s.c2, t);
+        const c = lerp(s.c2, s.p3, t);
+        const d = lerp(a, b, t);
+        const e = lerp(b, c, t);
+        const f = lerp(d, e, t);
+        return [{ p0: s.p0, c1: a, c2: d, p3: f, curved: s.curved }, { p0: f, c1: e, c2: c, p3: s.p3, curved: s.curved }];
+    };
+    let part = seg;
+    if (t1 < 1) part = split(part, t1)[0];
+    if (t0 > 0) part = split(part, t0 / t1)[1];
+    return part;
+}
+
+// Open node run along a subpath from position `from` to `to`, where a position is a segment
+// index plus the curve parameter within it. Whole segments keep their original curves.
+function sliceSubpathNodes(nodes, from, to) {
+    const result = [];
+    for (let i = Math.floor(from); i < to; i++) {
+        const t0 = Math.max(0, from - i);
+        const t1 = Math.min(1, to - i);
+        if (t1 <= t0) continue;
+        let seg = getNodeSegment(nodes[i % nodes.length], nodes[(i + 1) % nodes.length]);
+        if (t0 > 0 || t1 < 1) seg = sliceNodeSegment(seg, t0, t1);
+        if (result.length === 0) result.push({ x: seg.p0.x, y: seg.p0.y, in: null, out: null });
+        if (seg.curved) result[result.length - 1].out = { x: seg.c1.x, y: seg.c1.y };
+        result.push({ x: seg.p3.x, y: seg.p3.y, in: seg.curved ? { x: seg.c2.x, y: seg.c2.y } : null, out: null });
+    }
+    return result;
+}
+
+// Cut a stroked path along its centreline. The cut distance includes half the
+// stroke width so the round caps of the remaining pieces stop at the eraser edge.
+// Segments outside the erased span are kept as they were, curves included.
+// Returns null if the path is untouched, otherwise the remaining pieces.
+function eraseFromStrokedPath(pathData, eraserPoints, radius) {
+    const halfWidth = (parseFloat(pathData.strokeWidth) || 0) / 2;
+    const cutDist = radius + halfWidth;
+    const step = Math.max(0.5, Math.min(2, radius / 2));
+    const isKept = (p) => distanceToPolyline(p.x, p.y, eraserPoints) > cutDist;
+    
+    let touched = false;
+    const pieces = [];
+    
+    for (const sub of parsePathNodes(pathData.d)) {
+        const nodes = sub.nodes;
+        const count = sub.closed ? nodes.length : nodes.length - 1;
+        if (count < 1) {
+            if (nodes.length === 1 && !isKept(nodes[0])) touched = true;
+            else pieces.push(sub);
+            continue;
+        }
+        
+        // Kept spans as [from, to] positions (segment index + curve parameter)
+        const spans = [];
+        let subTouched = false;
+        let spanStart = isKept(nodes[0]) ? 0 : null;
+        for (let i = 0; i < count; i++) {
+            const a = nodes[i];
+            const b = nodes[(i + 1) % nodes.length];
+            const seg = getNodeSegment(a, b);
+            const length = Math.hypot(seg.c1.x - a.x, seg.c1.y - a.y) + Math.hypot(seg.c2.x - seg.c1.x, seg.c2.y - seg.c1.y) +
+                Math.hypot(b.x - seg.c2.x, b.y - seg.c2.y);
+            const samples = Math.max(1, Math.ceil(length / step));
+            let prevT = 0;
+            let prevKept = isKept(a);
+            if (!prevKept) subTouched = true;
+            for (let k = 1; k <= samples; k++) {
+                const t = k / samples;
+                const kept = isKept(nodeSegmentPoint(a, b, t));
+                if (!kept) subTouched = true;
+                if (kept !== prevKept) {
+                    // Find the eraser edge between the two samples
+                    let lo = prevT;
+                    let hi = t;
+                    for (let n = 0; n < 12; n++) {
+                        const mid = (lo + hi) / 2;
+                        if (isKept(nodeSegmentPoint(a, b, mid)) === prevKept) lo = mid;
+                        else hi = mid;
+                    }
+                    const edge = i + (lo + hi) / 2;
+                    if (kept) {
+                        spanStart = edge;
+                    } else {
+                        spans.push([spanStart, edge]);
+                        spanStart = null;
+                    }
+                }
+                prevT = t;
+                prevKept = kept;
+            }
+        }
+        if (spanStart !== null) spans.push([spanStart, count]);
+        
+        if (!subTouched) {
+            pieces.push(sub);
+            continue;
+        }
+        touched = true;
+        
+        // A closed outline that was cut open: the last span runs on into the first
+        if (sub.closed && spans.length > 1 && spans[0][0] === 0 && spans[spans.length - 1][1] === count) {
+            const last = spans.pop();
+            spans[0] = [last[0], spans[0][1] + count];
+        }
+        
+        spans.forEach(([from, to]) => {
+            const piece = sliceSubpathNodes(nodes, from, to);
+            let length = 0;
+            for (let i = 1; i < piece.length; i++) length += Math.hypot(piece[i].x - piece[i - 1].x, piece[i].y - piece[i - 1].y);
+            if (length >= step) pieces.push({ nodes: piece, closed: false });
+        });
+    }
+    
+    if (!touched) return null;
+    
+    return pieces.map(sub => ({
+        ...pathData,
+        d: serializePathNodes([sub]),
+        fill: 'none',
+        fillRule: undefined
+    }));
+}
+
+// Subtract the eraser from a filled path by rasterising the fill, punching out
+// the eraser stroke and tracing the remaining region back into contours.
+// Returns null if the path is untouched, otherwise the remaining pieces.
+function eraseFromFilledPath(pathData, eraserPoints, radius, bbox) {
+    const pad = 2;
+    const region = {
+        x: Math.floor(bbox.x) - pad,
+        y: Math.floor(bbox.y) - pad,
+        width: Math.ceil(bbox.width) + pad * 2,
+        height: Math.ceil(bbox.height) + pad * 2
+    };
+    // Oversample small shapes for precision, but keep large ones affordable
+    const scale = Math.max(0.5, Math.min(4, 1200 / Math.max(region.width, region.height)));
+    const w = Math.max(1, Math.ceil(region.width * scale));
+    const h = Math.max(1, Math.ceil(region.height * scale));
+    
+    const canvas = document.createElement('canvas');
+    canvas.width = w;
+    canvas.height = h;
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.setTransform(scale, 0, 0, scale, -region.x * scale, -region.y * scale);
+    ctx.fillStyle = '#000000';
+    ctx.fill(new Path2D(pathData.d), pathData.fillRule || 'nonzero');
+    
+    const before = countMaskPixels(ctx.getImageData(0, 0, w, h).data);
+    if (before === 0) return null;
+    
+    ctx.globalCompositeOperation = 'destination-out';
+    ctx.strokeStyle = '#000000';
+    ctx.fillStyle = '#000000';
+    ctx.lineWidth = radius * 2;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+    if (eraserPoints.length === 1) {
+        ctx.beginPath();
+        ctx.arc(eraserPoints[0].x, eraserPoints[0].y, radius, 0, Math.PI * 2);
+        ctx.fill();
+    } else {
+        ctx.beginPath();
+        ctx.moveTo(eraserPoints[0].x, eraserPoints[0].y);
+        for (let i = 1; i < eraserPoints.length; i++) {
+            ctx.lineTo(eraserPoints[i].x, eraserPoints[i].y);
+        }
+        ctx.stroke();
+    }
+    
+    const data = ctx.getImageData(0, 0, w, h).data;
+    const mask = new Uint8Array(w * h);
+    let after = 0;
+    for (let i = 0; i < w * h; i++) {
+        if (data[i * 4 + 3] > 127) { mask[i] = 1; after++; }
+    }
+    if (after === before) return null;
+    if (after === 0) return [];
+    
+    const polygons = traceContours(mask, w, h)
+        .map(contour => simplifyContour(contour, 0.75))
+        .filter(pts => pts.length >= 3)
+        .map(pts => pts.map(p => [p[0] / scale + region.x, p[1] / scale + region.y]));
+    
+    return groupContoursIntoPaths(polygons).map(d => ({
+        ...pathData,
+        d: d,
+        stroke: 'none',
+        strokeWidth: 0,
+        fillRule: 'evenodd'
+    }));
+}
+
+function countMaskPixels(data) {
+    let count = 0;
+    for (let i = 3; i < data.length; i += 4) {
+        if (data[i] > 127) count++;
+    }
+    return count;
+}
+
+// Group traced contours into separate paths: each outer contour becomes its own
+// path and carries the holes directly inside it (rendered with evenodd).
+function groupContoursIntoPaths(polygons) {
+    const depths = polygons.map((poly, i) => {
+        let depth = 0;
+        for (let j = 0; j < polygons.length; j++) {
+            if (j !== i && pointInPolygon(poly[0], polygons[j])) depth++;
+        }
+        return depth;
+    });
+    
+    const groups = [];
+    const groupIndex = {};
+    polygons.forEach((poly, i) => {
+        if (depths[i] % 2 === 0) {
+            groupIndex[i] = groups.length;
+            groups.push([poly]);
+        }
+    });
+    polygons.forEach((poly, i) => {
+        if (depths[i] % 2 === 0) return;
+        // Attach the hole to the innermost outer contour that contains it
+        let parent = -1;
+        for (let j = 0; j < polygons.length; j++) {
+            if (depths[j] === depths[i] - 1 && pointInPolygon(poly[0], polygons[j])) {
+                parent = j;
+                break;
+            }
+        }
+        if (parent >= 0) groups[groupIndex[parent]].push(poly);
+    });
+    
+    return groups.map(group => group.map(poly => {
+        let d = 'M ' + (Math.round(poly[0][0] * 100) / 100) + ' ' + (Math.round(poly[0][1] * 100) / 100);
+        for (let k = 1; k < poly.length; k++) {
+            d += ' L ' + (Math.round(poly[k][0] * 100) / 100) + ' ' + (Math.round(poly[k][1] * 100) / 100);
+        }
+        return d + ' Z';
+    }).join(' '));
+}
+
+function pointInPolygon(point, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const xi = polygon[i][0], yi = polygon[i][1];
+        const xj = polygon[j][0], yj = polygon[j][1];
+        if ((yi > point[1]) !== (yj > point[1]) &&
+            point[0] < (xj - xi) * (point[1] - yi) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
 function getSvgPoint(e) {
     // Use SVG's own coordinate transform matrix - handles any zoom/pan/transform
     const pt = svg.createSVGPoint();
@@ -2404,43 +3047,646 @@ function updateTaperValue() {
     taperValue.textContent = `${state.taper}%`;
 }
 
-// ==================== MODAL DIALOG ====================
-function openModal(title, bodyHTML, onConfirm) {
-    const modal = document.getElementById('modal');
-    const modalTitle = document.getElementById('modalTitle');
-    const modalBody = document.getElementById('modalBody');
-    const modalConfirmBtn = document.getElementById('modalConfirmBtn');
-    const modalCancelBtn = document.getElementById('modalCancelBtn');
-    const modalCloseBtn = document.getElementById('modalCloseBtn');
-    
-    // Set content
-    modalTitle.textContent = title;
-    modalBody.innerHTML = bodyHTML;
-    
-    // Show modal
-    modal.style.display = 'flex';
-    
-    // Focus first input if exists
-    setTimeout(() => {
-        const firstInput = modalBody.querySelector('input');
-        if (firstInput) firstInput.focus();
-    }, 100);
+// ==================== PATH NODES ====================
+// A path's `d` as subpaths of anchors with optional cubic handles ({x, y, in, out, smooth}).
+// parsePathNodes (render-core.js) reads any SVG path data into this model; it is written
+// back as M/L/C/Z commands.
+
+function serializePathNodes(subpaths) {
+    const fmt = (n) => Math.round(n * 100) / 100;
+    const segment = (a, b) => {
+        if (!a.out && !b.in) return ' L ' + fmt(b.x) + ' ' + fmt(b.y);
+        const c1 = a.out || a;
+        const c2 = b.in || b;
+        return ' C ' + fmt(c1.x) + ' ' + fmt(c1.y) + ' ' + fmt(c2.x) + ' ' + fmt(c2.y) + ' ' + fmt(b.x) + ' ' + fmt(b.y);
+    };
     
-    // Handle confirm
-    modalConfirmBtn.onclick = () => {
-        if (onConfirm) {
-            onConfirm();
-        } else {
-            closeModal();
+    let d = '';
+    for (const sub of subpaths) {
+        if (sub.nodes.length === 0) continue;
+        const nodes = sub.nodes;
+        d += (d ? ' ' : '') + 'M ' + fmt(nodes[0].x) + ' ' + fmt(nodes[0].y);
+        for (let i = 1; i < nodes.length; i++) d += segment(nodes[i - 1], nodes[i]);
+        if (sub.closed) {
+            const last = nodes[nodes.length - 1];
+            if (nodes.length > 1 && (last.out || nodes[0].in)) d += segment(last, nodes[0]);
+            d += ' Z';
         }
+    }
+    return d;
+}
+
+// Point on a cubic segment between two anchors
+function nodeSegmentPoint(a, b, t) {
+    const c1 = a.out || a;
+    const c2 = b.in || b;
+    const mt = 1 - t;
+    return {
+        x: mt * mt * mt * a.x + 3 * mt * mt * t * c1.x + 3 * mt * t * t * c2.x + t * t * t * b.x,
+        y: mt * mt * mt * a.y + 3 * mt * mt * t * c1.y + 3 * mt * t * t * c2.y + t * t * t * b.y
     };
+}
+
+// ==================== SHAPE TOOLS ====================
+// Shapes are stored as ordinary paths with an extra `shape` record holding
+// their parameters (centre, size, rotation, corner radius, point count).
+// The `d` is always regenerated from those parameters, so a shape stays
+// editable until it is converted to a plain path. The shape types
+// (SHAPE_LABELS) are listed in project-schema.js.
+
+function setupShapeTool() {
+    document.getElementById('shapeTool').addEventListener('click', () => selectTool('shape'));
     
-    // Handle cancel/close
-    modalCancelBtn.onclick = closeModal;
-    modalCloseBtn.onclick = closeModal;
+    document.getElementById('shapeType').addEventListener('change', (e) => {
+        state.shapeType = e.target.value;
+        selectTool('shape');
+    });
     
-    // Close on backdrop click
-    modal.querySelector('.modal-backdrop').onclick = closeModal;
+    document.getElementById('shapeOptionsBtn').addEventListener('click', (e) => {
+        e.stopPropagation();
+        showShapeOptionsDialog();
+    });
+    
+    // Double-click a shape with the select tool to re-open its parameters
+    svg.addEventListener('dblclick', (e) => {
+        if (state.tool !== 'select') return;
+        const frame = getSelectionFrame();
+        if (!frame) return;
+        const index = findPathAtPoint(frame, getSvgPoint(e));
+        if (index < 0 || !frame.paths[index].shape) return;
+        state.selection.indices = [index];
+        drawSelectionOverlay();
+        showShapeDialog(index);
+    });
+}
+
+function formatShapeNumber(n) {
+    return Math.round(n * 100) / 100;
+}
+
+// Convert a point in the shape's local space (centred, unrotated) to canvas space
+function shapeLocalToWorld(shape, x, y) {
+    return applyTransformToPoint(x, y, {
+        rotation: shape.rotation || 0,
+        translateX: shape.cx,
+        translateY: shape.cy
+    });
+}
+
+function shapeWorldToLocal(shape, x, y) {
+    const rad = -(shape.rotation || 0) * Math.PI / 180;
+    const dx = x - shape.cx;
+    const dy = y - shape.cy;
+    return [dx * Math.cos(rad) - dy * Math.sin(rad), dx * Math.sin(rad) + dy * Math.cos(rad)];
+}
+
+function getShapeVertices(shape) {
+    const hw = Math.abs(shape.width) / 2;
+    const hh = Math.abs(shape.height) / 2;
+    const vertices = [];
+    
+    if (shape.type === 'polygon') {
+        const sides = Math.max(3, shape.sides || 5);
+        for (let i = 0; i < sides; i++) {
+            const a = -Math.PI / 2 + i * 2 * Math.PI / sides;
+            vertices.push([hw * Math.cos(a), hh * Math.sin(a)]);
+        }
+    } else if (shape.type === 'star') {
+        const points = Math.max(3, shape.sides || 5);
+        const inner = shape.innerRatio !== undefined ? shape.innerRatio : 0.5;
+        for (let i = 0; i < points * 2; i++) {
+            const a = -Math.PI / 2 + i * Math.PI / points;
+            const k = i % 2 === 0 ? 1 : inner;
+            vertices.push([hw * k * Math.cos(a), hh * k * Math.sin(a)]);
+        }
+    }
+    return vertices;
+}
+
+// Closed polygon with each corner rounded by a quadratic curve
+function roundedPolygonD(points, radius) {
+    const fmt = formatShapeNumber;
+    if (radius <= 0) {
+        return 'M ' + points.map(p => fmt(p[0]) + ' ' + fmt(p[1])).join(' L ') + ' Z';
+    }
+    
+    let d = '';
+    for (let i = 0; i < points.length; i++) {
+        const v = points[i];
+        const prev = points[(i - 1 + points.length) % points.length];
+        const next = points[(i + 1) % points.length];
+        const lenPrev = Math.hypot(prev[0] - v[0], prev[1] - v[1]) || 1;
+        const lenNext = Math.hypot(next[0] - v[0], next[1] - v[1]) || 1;
+        const cut = Math.min(radius, lenPrev / 2, lenNext / 2);
+        const a = [v[0] + (prev[0] - v[0]) / lenPrev * cut, v[1] + (prev[1] - v[1]) / lenPrev * cut];
+        const b = [v[0] + (next[0] - v[0]) / lenNext * cut, v[1] + (next[1] - v[1]) / lenNext * cut];
+        d += (i === 0 ? 'M ' : ' L ') + fmt(a[0]) + ' ' + fmt(a[1]);
+        d += ' Q ' + fmt(v[0]) + ' ' + fmt(v[1]) + ' ' + fmt(b[0]) + ' ' + fmt(b[1]);
+    }
+    return d + ' Z';
+}
+
+function buildShapePathD(shape) {
+    const fmt = formatShapeNumber;
+    const hw = shape.width / 2;
+    const hh = shape.height / 2;
+    const toWorld = (x, y) => shapeLocalToWorld(shape, x, y);
+    const pt = (p) => fmt(p[0]) + ' ' + fmt(p[1]);
+    
+    if (shape.type === 'line') {
+        return 'M ' + pt(toWorld(-hw, -hh)) + ' L ' + pt(toWorld(hw, hh));
+    }
+    
+    const aw = Math.abs(hw);
+    const ah = Math.abs(hh);
+    
+    if (shape.type === 'ellipse') {
+        const rot = fmt(shape.rotation || 0);
+        return 'M ' + pt(toWorld(-aw, 0)) +
+            ' A ' + fmt(aw) + ' ' + fmt(ah) + ' ' + rot + ' 1 0 ' + pt(toWorld(aw, 0)) +
+            ' A ' + fmt(aw) + ' ' + fmt(ah) + ' ' + rot + ' 1 0 ' + pt(toWorld(-aw, 0)) + ' Z';
+    }
+    
+    if (shape.type === 'rect') {
+        const r = Math.max(0, Math.min(shape.cornerRadius || 0, aw, ah));
+        if (r === 0) {
+            return 'M ' + pt(toWorld(-aw, -ah)) + ' L ' + pt(toWorld(aw, -ah)) +
+                ' L ' + pt(toWorld(aw, ah)) + ' L ' + pt(toWorld(-aw, ah)) + ' Z';
+        }
+        const arc = ' A ' + fmt(r) + ' ' + fmt(r) + ' 0 0 1 ';
+        return 'M ' + pt(toWorld(-aw + r, -ah)) +
+            ' L ' + pt(toWorld(aw - r, -ah)) + arc + pt(toWorld(aw, -ah + r)) +
+            ' L ' + pt(toWorld(aw, ah - r)) + arc + pt(toWorld(aw - r, ah)) +
+            ' L ' + pt(toWorld(-aw + r, ah)) + arc + pt(toWorld(-aw, ah - r)) +
+            ' L ' + pt(toWorld(-aw, -ah + r)) + arc + pt(toWorld(-aw + r, -ah)) + ' Z';
+    }
+    
+    // Polygon and star
+    const world = getShapeVertices(shape).map(v => toWorld(v[0], v[1]));
+    return roundedPolygonD(world, Math.max(0, shape.cornerRadius || 0));
+}
+
+// Work out centre and size from a drag. Shift keeps proportions (45° snap for
+// lines), Alt draws outwards from the start point.
+function computeShapeFromDrag(type, start, end, proportional, fromCenter) {
+    let dx = end.x - start.x;
+    let dy = end.y - start.y;
+    
+    if (type === 'line') {
+        if (proportional) {
+            const length = Math.hypot(dx, dy);
+            const angle = Math.round(Math.atan2(dy, dx) / (Math.PI / 4)) * (Math.PI / 4);
+            dx = length * Math.cos(angle);
+            dy = length * Math.sin(angle);
+        }
+        if (fromCenter) {
+            return { cx: start.x, cy: start.y, width: dx * 2, height: dy * 2 };
+        }
+        return { cx: start.x + dx / 2, cy: start.y + dy / 2, width: dx, height: dy };
+    }
+    
+    if (proportional) {
+        const size = Math.max(Math.abs(dx), Math.abs(dy));
+        dx = (dx < 0 ? -1 : 1) * size;
+        dy = (dy < 0 ? -1 : 1) * size;
+    }
+    if (fromCenter) {
+        return { cx: start.x, cy: start.y, width: Math.abs(dx) * 2, height: Math.abs(dy) * 2 };
+    }
+    return { cx: start.x + dx / 2, cy: start.y + dy / 2, width: Math.abs(dx), height: Math.abs(dy) };
+}
+
+function createShapePathData(shape) {
+    const settings = state.shapeSettings;
+    const isLine = shape.type === 'line';
+    const useFill = settings.fill && !isLine;
+    const useStroke = settings.stroke || isLine || !useFill;
+    
+    return {
+        d: buildShapePathD(shape),
+        stroke: useStroke ? state.strokeColor : 'none',
+        strokeWidth: useStroke ? state.strokeSize : 0,
+        fill: useFill ? settings.fillColor : 'none',
+        tool: 'shape',
+        shape: shape
+    };
+}
+
+function startShapeDrawing(point) {
+    state.shapeDraft = { type: state.shapeType, start: point, pathData: null };
+    state.currentPath = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+    const layerGroup = document.getElementById(`layer-${state.currentLayerId}-group`);
+    if (layerGroup) layerGroup.appendChild(state.currentPath);
+}
+
+function updateShapeDraft(point) {
+    const draft = state.shapeDraft;
+    if (!draft) return;
+    
+    const proportional = state.shiftPressed || state.constraintMode;
+    const fromCenter = state.altPressed;
+    const geometry = computeShapeFromDrag(draft.type, draft.start, point, proportional, fromCenter);
+    const settings = state.shapeSettings;
+    
+    const shape = {
+        type: draft.type,
+        cx: geometry.cx,
+        cy: geometry.cy,
+        width: geometry.width,
+        height: geometry.height,
+        rotation: 0
+    };
+    if (draft.type === 'rect' || draft.type === 'polygon' || draft.type === 'star') {
+        shape.cornerRadius = settings.cornerRadius;
+    }
+    if (draft.type === 'polygon' || draft.type === 'star') {
+        shape.sides = settings.sides;
+    }
+    if (draft.type === 'star') {
+        shape.innerRatio = settings.innerRatio;
+    }
+    
+    draft.pathData = createShapePathData(shape);
+    
+    // Swap the live preview element for one built from the new data
+    const preview = createPathElement(draft.pathData);
+    if (state.currentPath && state.currentPath.parentNode) {
+        state.currentPath.parentNode.replaceChild(preview, state.currentPath);
+    }
+    state.currentPath = preview;
+    
+    drawShapeDraftOverlay(shape);
+}
+
+// Live handles while dragging: bounding box, corner handles and centre point
+function drawShapeDraftOverlay(shape) {
+    selectionOverlay.innerHTML = '';
+    const hw = Math.abs(shape.width) / 2;
+    const hh = Math.abs(shape.height) / 2;
+    
+    const box = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+    box.setAttribute('x', shape.cx - hw);
+    box.setAttribute('y', shape.cy - hh);
+    box.setAttribute('width', hw * 2);
+    box.setAttribute('height', hh * 2);
+    box.setAttribute('class', 'selection-bbox');
+    selectionOverlay.appendChild(box);
+    
+    const hs = 7;
+    const corners = [[-hw, -hh], [hw, -hh], [hw, hh], [-hw, hh]];
+    for (const c of corners) {
+        const handle = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+        handle.setAttribute('x', shape.cx + c[0] - hs / 2);
+        handle.setAttribute('y', shape.cy + c[1] - hs / 2);
+        handle.setAttribute('width', hs);
+        handle.setAttribute('height', hs);
+        handle.setAttribute('class', 'selection-handle');
+        handle.setAttribute('pointer-events', 'none');
+        selectionOverlay.appendChild(handle);
+    }
+    
+    const center = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+    center.setAttribute('cx', shape.cx);
+    center.setAttribute('cy', shape.cy);
+    center.setAttribute('r', 2);
+    center.setAttribute('fill', 'var(--accent)');
+    center.setAttribute('pointer-events', 'none');
+    selectionOverlay.appendChild(center);
+}
+
+// Returns true if a shape was added to the frame
+function commitShapeDraft(frame) {
+    const draft = state.shapeDraft;
+    state.shapeDraft = null;
+    selectionOverlay.innerHTML = '';
+    if (state.currentPath && state.currentPath.parentNode) {
+        state.currentPath.parentNode.removeChild(state.currentPath);
+    }
+    
+    // Ignore clicks without a real drag
+    if (!draft || !draft.pathData) return false;
+    const shape = draft.pathData.shape;
+    if (Math.abs(shape.width) < 2 && Math.abs(shape.height) < 2) return false;
+    
+    frame.paths.push(draft.pathData);
+    renderFrame();
+    return true;
+}
+
+// Map a select-tool transform onto the shape parameters. Returns null when the
+// result can no longer be described as the same shape (e.g. skewing a rotated
+// rectangle), in which case the caller keeps the transformed outline instead.
+function applyTransformToShape(shape, transform) {
+    // A line stays a line under any transform, so rebuild it from its ends
+    if (shape.type === 'line') {
+        const a = shapeLocalToWorld(shape, -shape.width / 2, -shape.height / 2);
+        const b = shapeLocalToWorld(shape, shape.width / 2, shape.height / 2);
+        const [ax, ay] = applyTransformToPoint(a[0], a[1], transform);
+        const [bx, by] = applyTransformToPoint(b[0], b[1], transform);
+        return { ...shape, cx: (ax + bx) / 2, cy: (ay + by) / 2, width: bx - ax, height: by - ay, rotation: 0 };
+    }
+    
+    const [cx, cy] = applyTransformToPoint(shape.cx, shape.cy, transform);
+    const next = { ...shape, cx: cx, cy: cy };
+    
+    if (transform.rotation) {
+        next.rotation = ((shape.rotation || 0) + transform.rotation) % 360;
+    }
+    
+    const sx = transform.scaleX !== undefined ? transform.scaleX : 1;
+    const sy = transform.scaleY !== undefined ? transform.scaleY : 1;
+    if (sx === 1 && sy === 1) return next;
+    
+    const rot = (((shape.rotation || 0) % 360) + 360) % 360;
+    
+    if (rot % 90 === 0) {
+        // Axis-aligned: world scale maps straight onto the local axes
+        const swapped = rot % 180 === 90;
+        const lx = swapped ? sy : sx;
+        const ly = swapped ? sx : sy;
+        // Polygons and stars are only mirror-symmetric left to right
+        if ((shape.type === 'polygon' || shape.type === 'star') && ly < 0) return null;
+        next.width = Math.abs(shape.width * lx);
+        next.height = Math.abs(shape.height * ly);
+        return next;
+    }
+    
+    // Arbitrary rotation: only uniform positive scaling keeps the shape intact
+    if (sx === sy && sx > 0) {
+        next.width = shape.width * sx;
+        next.height = shape.height * sy;
+        return next;
+    }
+    return null;
+}
+
+// Called by the select tool after it has transformed a path's outline
+function updateShapeAfterTransform(pathData, original, transform) {
+    if (!original.shape) return;
+    const shape = applyTransformToShape(original.shape, transform);
+    if (shape) {
+        pathData.shape = shape;
+        pathData.tool = original.tool;
+        pathData.d = buildShapePathD(shape);
+    } else {
+        convertShapeToPath(pathData);
+    }
+}
+
+function convertShapeToPath(pathData) {
+    delete pathData.shape;
+    if (pathData.tool === 'shape') pathData.tool = 'pen';
+}
+
+function convertSelectedShapesToPaths() {
+    const frame = getSelectionFrame();
+    if (!frame) return;
+    const shapes = state.selection.indices.filter(i => frame.paths[i] && frame.paths[i].shape);
+    if (shapes.length === 0) return;
+    
+    saveStateForUndo('Convert to path');
+    shapes.forEach(i => convertShapeToPath(frame.paths[i]));
+    drawSelectionOverlay();
+    saveProject();
+}
+
+// Position of the on-canvas parameter handle (corner radius or star inner radius)
+function getShapeParamHandle(shape) {
+    const hw = Math.abs(shape.width) / 2;
+    const hh = Math.abs(shape.height) / 2;
+    const inset = 10;
+    
+    if (shape.type === 'rect') {
+        const r = Math.min(shape.cornerRadius || 0, hw, hh);
+        return shapeLocalToWorld(shape, -hw + r + inset, -hh + r + inset);
+    }
+    if (shape.type === 'polygon') {
+        const r = Math.min(shape.cornerRadius || 0, hw, hh);
+        return shapeLocalToWorld(shape, 0, -hh + r + inset);
+    }
+    if (shape.type === 'star') {
+        const v = getShapeVertices(shape)[1];
+        return shapeLocalToWorld(shape, v[0], v[1]);
+    }
+    return null;
+}
+
+function adjustShapeParam(pathData, point) {
+    const shape = pathData.shape;
+    if (!shape) return;
+    const hw = Math.abs(shape.width) / 2;
+    const hh = Math.abs(shape.height) / 2;
+    const [lx, ly] = shapeWorldToLocal(shape, point.x, point.y);
+    const inset = 10;
+    
+    if (shape.type === 'rect') {
+        const r = ((lx + hw) + (ly + hh)) / 2 - inset;
+        shape.cornerRadius = Math.round(Math.max(0, Math.min(r, hw, hh)));
+    } else if (shape.type === 'polygon') {
+        shape.cornerRadius = Math.round(Math.max(0, Math.min(ly + hh - inset, hw, hh)));
+    } else if (shape.type === 'star') {
+        const k = Math.hypot(hw ? lx / hw : 0, hh ? ly / hh : 0);
+        shape.innerRatio = Math.round(Math.max(0.05, Math.min(1, k)) * 100) / 100;
+    }
+    pathData.d = buildShapePathD(shape);
+}
+
+function drawShapeParamHandle(pathData) {
+    if (!pathData || !pathData.shape) return;
+    const pos = getShapeParamHandle(pathData.shape);
+    if (!pos) return;
+    
+    const handle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+    handle.setAttribute('cx', pos[0]);
+    handle.setAttribute('cy', pos[1]);
+    handle.setAttribute('r', 4);
+    handle.setAttribute('class', 'selection-handle shape-param-handle');
+    handle.setAttribute('data-action', 'shape-param');
+    selectionOverlay.appendChild(handle);
+}
+
+function buildShapeFormHTML(type, values) {
+    let html = '';
+    if (values.width !== undefined) {
+        html += `
+        <div class="modal-input-row">
+            <div class="modal-input-group">
+                <label>Width</label>
+                <input type="number" id="shapeWidthInput" value="${formatShapeNumber(Math.abs(values.width))}" min="1">
+            </div>
+            <div class="modal-input-group">
+                <label>Height</label>
+                <input type="number" id="shapeHeightInput" value="${formatShapeNumber(Math.abs(values.height))}" min="${type === 'line' ? 0 : 1}">
+            </div>
+            <div class="modal-input-group">
+                <label>Rotation (°)</label>
+                <input type="number" id="shapeRotationInput" value="${formatShapeNumber(values.rotation || 0)}">
+            </div>
+        </div>`;
+    }
+    if (type === 'rect' || type === 'polygon' || type === 'star' || type === 'all') {
+        html += `
+        <div class="modal-input-group">
+            <label>Corner Radius</label>
+            <input type="number" id="shapeCornerInput" value="${values.cornerRadius || 0}" min="0">
+        </div>`;
+    }
+    if (type === 'polygon' || type === 'star' || type === 'all') {
+        html += `
+        <div class="modal-input-row">
+            <div class="modal-input-group">
+                <label>${type === 'star' ? 'Points' : type === 'polygon' ? 'Sides' : 'Sides / Points'}</label>
+                <input type="number" id="shapeSidesInput" value="${values.sides || 5}" min="3" max="64">
+            </div>`;
+        if (type === 'star' || type === 'all') {
+            html += `
+            <div class="modal-input-group">
+                <label>Star Inner Radius (%)</label>
+                <input type="number" id="shapeInnerInput" value="${Math.round((values.innerRatio !== undefined ? values.innerRatio : 0.5) * 100)}" min="5" max="100">
+            </div>`;
+        }
+        html += `
+        </div>`;
+    }
+    if (type !== 'line') {
+        html += `
+        <div class="modal-input-row">
+            <label class="modal-checkbox"><input type="checkbox" id="shapeStrokeInput" ${values.stroke ? 'checked' : ''}> Stroke</label>
+            <label class="modal-checkbox"><input type="checkbox" id="shapeFillInput" ${values.fill ? 'checked' : ''}> Fill</label>
+            <input type="color" id="shapeFillColorInput" value="${values.fillColor}" title="Fill Color">
+        </div>`;
+    }
+    return html;
+}
+
+function readNumberInput(id, fallback) {
+    const el = document.getElementById(id);
+    if (!el) return fallback;
+    const value = parseFloat(el.value);
+    return isNaN(value) ? fallback : value;
+}
+
+function readCheckboxInput(id, fallback) {
+    const el = document.getElementById(id);
+    return el ? el.checked : fallback;
+}
+
+// Defaults used for newly drawn shapes
+function showShapeOptionsDialog() {
+    const settings = state.shapeSettings;
+    openModal('Shape Options', buildShapeFormHTML('all', settings), () => {
+        settings.cornerRadius = Math.max(0, readNumberInput('shapeCornerInput', settings.cornerRadius));
+        settings.sides = Math.max(3, Math.min(64, Math.round(readNumberInput('shapeSidesInput', settings.sides))));
+        settings.innerRatio = Math.max(5, Math.min(100, readNumberInput('shapeInnerInput', settings.innerRatio * 100))) / 100;
+        settings.stroke = readCheckboxInput('shapeStrokeInput', settings.stroke);
+        settings.fill = readCheckboxInput('shapeFillInput', settings.fill);
+        settings.fillColor = document.getElementById('shapeFillColorInput').value;
+        closeModal();
+    });
+    
+    document.getElementById('modalCancelBtn').style.display = 'block';
+    document.getElementById('modalConfirmBtn').textContent = 'Apply';
+}
+
+// Edit the parameters of an existing shape
+function showShapeDialog(index) {
+    const frame = getSelectionFrame();
+    if (!frame || !frame.paths[index] || !frame.paths[index].shape) return;
+    const pathData = frame.paths[index];
+    const shape = pathData.shape;
+    
+    const values = {
+        ...shape,
+        stroke: pathData.stroke && pathData.stroke !== 'none',
+        fill: pathData.fill && pathData.fill !== 'none',
+        fillColor: (pathData.fill && pathData.fill !== 'none') ? pathData.fill : state.shapeSettings.fillColor
+    };
+    const bodyHTML = buildShapeFormHTML(shape.type, values) + `
+        <button type="button" class="modal-btn secondary modal-inline-btn" id="shapeConvertBtn">Convert to Path</button>`;
+    
+    openModal(SHAPE_LABELS[shape.type] || 'Shape', bodyHTML, () => {
+        saveStateForUndo('Edit shape');
+        
+        // Keep the sign of a line's direction while applying the new length
+        const width = readNumberInput('shapeWidthInput', Math.abs(shape.width));
+        const height = readNumberInput('shapeHeightInput', Math.abs(shape.height));
+        shape.width = (shape.width < 0 ? -1 : 1) * Math.max(shape.type === 'line' ? 0 : 1, width);
+        shape.height = (shape.height < 0 ? -1 : 1) * Math.max(shape.type === 'line' ? 0 : 1, height);
+        shape.rotation = readNumberInput('shapeRotationInput', shape.rotation || 0) % 360;
+        if (shape.cornerRadius !== undefined || document.getElementById('shapeCornerInput')) {
+            shape.cornerRadius = Math.max(0, readNumberInput('shapeCornerInput', shape.cornerRadius || 0));
+        }
+        if (document.getElementById('shapeSidesInput')) {
+            shape.sides = Math.max(3, Math.min(64, Math.round(readNumberInput('shapeSidesInput', shape.sides))));
+        }
+        if (document.getElementById('shapeInnerInput')) {
+            shape.innerRatio = Math.max(5, Math.min(100, readNumberInput('shapeInnerInput', 50))) / 100;
+        }
+        
+        if (shape.type !== 'line') {
+            const useStroke = readCheckboxInput('shapeStrokeInput', values.stroke);
+            const useFill = readCheckboxInput('shapeFillInput', values.fill);
+            const fillColor = document.getElementById('shapeFillColorInput').value;
+            const strokeColor = values.stroke ? pathData.stroke : state.strokeColor;
+            const strokeWidth = values.stroke ? pathData.strokeWidth : state.strokeSize;
+            pathData.stroke = (useStroke || !useFill) ? strokeColor : 'none';
+            pathData.strokeWidth = (useStroke || !useFill) ? strokeWidth : 0;
+            pathData.fill = useFill ? fillColor : 'none';
+        }
+        
+        pathData.d = buildShapePathD(shape);
+        closeModal();
+        renderFrame();
+        drawSelectionOverlay();
+        updateFrameList();
+        saveProject();
+    });
+    
+    document.getElementById('modalCancelBtn').style.display = 'block';
+    document.getElementById('modalConfirmBtn').textContent = 'Apply';
+    document.getElementById('shapeConvertBtn').addEventListener('click', () => {
+        closeModal();
+        convertSelectedShapesToPaths();
+    });
+}
+
+// ==================== MODAL DIALOG ====================
+function openModal(title, bodyHTML, onConfirm) {
+    const modal = document.getElementById('modal');
+    const modalTitle = document.getElementById('modalTitle');
+    const modalBody = document.getElementById('modalBody');
+    const modalConfirmBtn = document.getElementById('modalConfirmBtn');
+    const modalCancelBtn = document.getElementById('modalCancelBtn');
+    const modalCloseBtn = document.getElementById('modalCloseBtn');
+    
+    // Set content
+    modalTitle.textContent = title;
+    modalBody.innerHTML = bodyHTML;
+    
+    // Show modal
+    modal.style.display = 'flex';
+    
+    // Focus first input if exists
+    setTimeout(() => {
+        const firstInput = modalBody.querySelector('input');
+        if (firstInput) firstInput.focus();
+    }, 100);
+    
+    // Handle confirm
+    modalConfirmBtn.onclick = () => {
+        if (onConfirm) {
+            onConfirm();
+        } else {
+            closeModal();
+        }
+    };
+    
+    // Handle cancel/close
+    modalCancelBtn.onclick = closeModal;
+    modalCloseBtn.onclick = closeModal;
+    
+    // Close on backdrop click
+    modal.querySelector('.modal-backdrop').onclick = closeModal;
     
     // Close on Escape key
     const escapeHandler = (e) => {
@@ -2477,27 +3723,51 @@ function showConfirm(message, title, onConfirm) {
     document.getElementById('modalConfirmBtn').textContent = 'Confirm';
 }
 
-function showCanvasSizeDialog() {
+function showCanvasSizeDialog(width = state.canvasWidth, height = state.canvasHeight) {
+    const settings = state.canvasResizeSettings;
+    const anchorButtons = [0, 0.5, 1].map(ay => [0, 0.5, 1].map(ax => `
+                <button type="button" class="anchor-cell" data-ax="${ax}" data-ay="${ay}"></button>`).join('')).join('');
     const bodyHTML = `
+        <div class="modal-input-row">
+            <div class="modal-input-group">
+                <label>Width (px)</label>
+                <input type="number" id="modalCanvasWidth" value="${width}" min="1" max="4000">
+            </div>
+            <div class="modal-input-group">
+                <label>Height (px)</label>
+                <input type="number" id="modalCanvasHeight" value="${height}" min="1" max="4000">
+            </div>
+        </div>
         <div class="modal-input-group">
-            <label>Width (px)</label>
-            <input type="number" id="modalCanvasWidth" value="${state.canvasWidth}" min="1" max="4000">
+            <label class="modal-checkbox"><input type="checkbox" id="modalCanvasLock"> Keep aspect ratio</label>
         </div>
         <div class="modal-input-group">
-            <label>Height (px)</label>
-            <input type="number" id="modalCanvasHeight" value="${state.canvasHeight}" min="1" max="4000">
+            <label>Content</label>
+            <select id="modalCanvasMode">
+                <option value="anchor">Crop / extend canvas</option>
+                <option value="scale">Scale to new size</option>
+                <option value="fit">Fit inside (letterbox)</option>
+                <option value="fill">Fill (crop overflow)</option>
+            </select>
+        </div>
+        <div class="modal-input-group" id="modalCanvasAnchorGroup">
+            <label>Anchor</label>
+            <div class="anchor-grid">${anchorButtons}
+            </div>
         </div>
     `;
     
-    openModal('Custom Canvas Size', bodyHTML, () => {
-        const width = parseInt(document.getElementById('modalCanvasWidth').value);
-        const height = parseInt(document.getElementById('modalCanvasHeight').value);
+    openModal('Canvas Size', bodyHTML, () => {
+        const newWidth = parseInt(document.getElementById('modalCanvasWidth').value);
+        const newHeight = parseInt(document.getElementById('modalCanvasHeight').value);
         
-        if (width > 0 && height > 0 && width <= 4000 && height <= 4000) {
-            updateCanvasSize(width, height);
+        if (newWidth > 0 && newHeight > 0 && newWidth <= 4000 && newHeight <= 4000) {
+            settings.mode = modeSelect.value;
             closeModal();
+            resizeCanvas(newWidth, newHeight, settings.mode, settings.anchor);
         } else {
             showAlert('Invalid dimensions. Width and height must be between 1 and 4000.', 'Invalid Input');
+            updateCanvasSizeSelector(state.canvasWidth, state.canvasHeight);
         }
     });
     
@@ -2505,6 +3775,41 @@ function showCanvasSizeDialog() {
     document.getElementById('modalCancelBtn').style.display = 'block';
     document.getElementById('modalConfirmBtn').textContent = 'Apply';
     
+    const widthInput = document.getElementById('modalCanvasWidth');
+    const heightInput = document.getElementById('modalCanvasHeight');
+    const lockInput = document.getElementById('modalCanvasLock');
+    const modeSelect = document.getElementById('modalCanvasMode');
+    const anchorGroup = document.getElementById('modalCanvasAnchorGroup');
+    const aspect = state.canvasWidth / state.canvasHeight;
+    
+    widthInput.addEventListener('input', () => {
+        if (lockInput.checked) heightInput.value = Math.max(1, Math.round(parseInt(widthInput.value) / aspect)) || '';
+    });
+    heightInput.addEventListener('input', () => {
+        if (lockInput.checked) widthInput.value = Math.max(1, Math.round(parseInt(heightInput.value) * aspect)) || '';
+    });
+    
+    modeSelect.value = settings.mode;
+    const syncAnchor = () => {
+        anchorGroup.style.display = modeSelect.value === 'scale' ? 'none' : '';
+        anchorGroup.querySelectorAll('.anchor-cell').forEach(cell => {
+            cell.classList.toggle('active',
+                parseFloat(cell.getAttribute('data-ax')) === settings.anchor.x &&
+                parseFloat(cell.getAttribute('data-ay')) === settings.anchor.y);
+        });
+    };
+    modeSelect.addEventListener('change', syncAnchor);
+    anchorGroup.addEventListener('click', (e) => {
+        const cell = e.target.closest('.anchor-cell');
+        if (!cell) return;
+        settings.anchor = {
+            x: parseFloat(cell.getAttribute('data-ax')),
+            y: parseFloat(cell.getAttribute('data-ay'))
+        };
+        syncAnchor();
+    });
+    syncAnchor();
+    
     // Override cancel button to reset selector
     document.getElementById('modalCancelBtn').onclick = () => {
         closeModal();
@@ -2537,7 +3842,7 @@ function updateCanvasSize(width, height) {
     renderFrame();
     
     // Save to localStorage
-    saveToLocalStorage();
+    saveProject();
 }
 
 function updateCanvasSizeSelector(width, height) {
@@ -2578,7 +3883,249 @@ function updateCanvasSizeSelector(width, height) {
     selector.value = sizeValue;
 }
 
+// Where content on the old canvas lands on a width x height canvas
+function getCanvasResizeTransform(width, height, mode, anchor) {
+    const oldWidth = state.canvasWidth;
+    const oldHeight = state.canvasHeight;
+    let scaleX = 1;
+    let scaleY = 1;
+    
+    if (mode === 'scale') {
+        scaleX = width / oldWidth;
+        scaleY = height / oldHeight;
+    } else if (mode === 'fit') {
+        scaleX = scaleY = Math.min(width / oldWidth, height / oldHeight);
+    } else if (mode === 'fill') {
+        scaleX = scaleY = Math.max(width / oldWidth, height / oldHeight);
+    }
+    
+    return {
+        scaleX: scaleX,
+        scaleY: scaleY,
+        translateX: (width - oldWidth * scaleX) * anchor.x,
+        translateY: (height - oldHeight * scaleY) * anchor.y
+    };
+}
+
+function transformPathForCanvas(pathData, transform) {
+    const original = JSON.parse(JSON.stringify(pathData));
+    pathData.d = transformPathD(original.d, transform);
+    if (pathData.strokeWidth && (transform.scaleX !== 1 || transform.scaleY !== 1)) {
+        const avgScale = (Math.abs(transform.scaleX) + Math.abs(transform.scaleY)) / 2;
+        pathData.strokeWidth = Math.round(parseFloat(original.strokeWidth) * avgScale * 100) / 100;
+    }
+    updateShapeAfterTransform(pathData, original, transform);
+}
+
+function transformMotionTweenForCanvas(tween, transform) {
+    const [pivotX, pivotY] = applyTransformToPoint(tween.pivotX, tween.pivotY, transform);
+    tween.pivotX = pivotX;
+    tween.pivotY = pivotY;
+    tween.translateX *= transform.scaleX;
+    tween.translateY *= transform.scaleY;
+    if (tween.guide) tween.guide = transformPathD(tween.guide, transform);
+}
+
+// Redraw a reference image as it appeared on the old canvas onto the new one
+function resampleReferenceImage(dataUrl, width, height, transform) {
+    return new Promise((resolve) => {
+        const img = new Image();
+        img.onload = () => {
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            const ctx = canvas.getContext('2d');
+            
+            // References are drawn "meet"-fitted into the canvas (see renderFrame)
+            const fit = Math.min(state.canvasWidth / img.width, state.canvasHeight / img.height);
+            const x = (state.canvasWidth - img.width * fit) / 2;
+            const y = (state.canvasHeight - img.height * fit) / 2;
+            const [dx, dy] = applyTransformToPoint(x, y, transform);
+            ctx.drawImage(img, dx, dy, img.width * fit * transform.scaleX, img.height * fit * transform.scaleY);
+            
+            // Keep the source format; types the canvas can't encode (GIF, SVG) come back as PNG
+            const mimeType = (dataUrl.match(/^data:([^;,]+)/) || [])[1] || 'image/png';
+            resolve(canvas.toDataURL(mimeType, 0.92));
+        };
+        img.onerror = () => resolve(dataUrl);
+        img.src = dataUrl;
+    });
+}
+
+// Resize the canvas and move every path, tween and reference image with it
+async function resizeCanvas(width, height, mode, anchor) {
+    if (width === state.canvasWidth && height === state.canvasHeight) {
+        updateCanvasSizeSelector(width, height);
+        return;
+    }
+    
+    const transform = getCanvasResizeTransform(width, height, mode, anchor);
+    const referenceUrls = new Set();
+    state.layers.forEach(layer => layer.frames.forEach(frame => {
+        if (frame.referenceImage) referenceUrls.add(frame.referenceImage);
+    }));
+    
+    // Resample references before touching state so undo captures one clean step
+    const resampled = new Map();
+    if (referenceUrls.size > 0) {
+        const loading = document.createElement('div');
+        loading.className = 'loading';
+        document.body.appendChild(loading);
+        let done = 0;
+        for (const url of referenceUrls) {
+            loading.textContent = `Resizing reference ${++done}/${referenceUrls.size}...`;
+            resampled.set(url, await resampleReferenceImage(url, width, height, transform));
+        }
+        document.body.removeChild(loading);
+    }
+    
+    saveStateForUndo('Canvas size', 'project');
+    
+    state.layers.forEach(layer => layer.frames.forEach(frame => {
+        frame.paths.forEach(pathData => transformPathForCanvas(pathData, transform));
+        if (frame.motionTweens) {
+            frame.motionTweens.forEach(tween => transformMotionTweenForCanvas(tween, transform));
+        }
+        if (frame.referenceImage) {
+            frame.referenceImage = resampled.get(frame.referenceImage);
+        }
+    }));
+    
+    clearSelection();
+    if (state.tool === 'node') clearNodeEdit();
+    updateCanvasSize(width, height);
+    updateFrameList();
+}
+
+// ==================== COMPOSITING ====================
+// Shared by the editor, thumbnails, fill tool and exporters so they all agree on what a frame shows.
+// Layer resolution, ordering and the paint walk (paintComposite) live in render-core.js;
+// this section paints the editor's SVG groups and canvases.
+
+// The open project's layers in paint order for a frame (see getProjectFrameComposite)
+function getFrameComposite(frameIndex, includeHidden = false, layerIds = null) {
+    return getProjectFrameComposite(state, frameIndex, includeHidden, layerIds);
+}
+
+// Editor view of a frame: one SVG group per layer, drawn through paintComposite.
+// Hidden layers keep an empty group; onion skins go between references and drawings.
+function paintEditorComposite(frameIndex, layerIds = null) {
+    let layerGroup = null;
+    paintComposite(state, frameIndex, {
+        layer: (entry) => {
+            layerGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+            layerGroup.setAttribute('id', `layer-${entry.layer.id}-group`);
+            if (entry.opacity < 1) {
+                layerGroup.setAttribute('opacity', entry.opacity.toString());
+            }
+            layersContainer.appendChild(layerGroup);
+        },
+        image: (entry) => {
+            const img = document.createElementNS('http://www.w3.org/2000/svg', 'image');
+            img.setAttribute('href', entry.frame.referenceImage);
+            img.setAttribute('x', '0');
+            img.setAttribute('y', '0');
+            img.setAttribute('width', state.canvasWidth);
+            img.setAttribute('height', state.canvasHeight);
+            img.setAttribute('preserveAspectRatio', 'xMidYMid meet');
+            layerGroup.appendChild(img);
+        },
+        path: (pathData) => layerGroup.appendChild(createPathElement(pathData)),
+        // Onion skins sit on top of video references and under the drawings
+        afterReferences: () => {
+            if (state.onionSkinEnabled) drawOnionSkins();
+        }
+    }, { includeHidden: true, layerIds: layerIds });
+}
+
+function drawPathToCanvas(ctx, pathData, layerOpacity) {
+    if (!pathData.d) return;
+    
+    // Handle eraser tool
+    ctx.globalCompositeOperation = pathData.tool === 'eraser' ? 'destination-out' : 'source-over';
+    ctx.globalAlpha = layerOpacity * (pathData.opacity !== undefined ? pathData.opacity : 1);
+    const path2D = new Path2D(pathData.d);
+    
+    // Fill if path has a fill colour
+    if (pathData.fill && pathData.fill !== 'none') {
+        ctx.fillStyle = pathData.fill;
+        ctx.fill(path2D, pathData.fillRule || 'nonzero');
+    }
+    
+    // Stroke if path has a stroke colour
+    if (pathData.stroke && pathData.stroke !== 'none') {
+        ctx.strokeStyle = pathData.stroke;
+        ctx.lineWidth = parseFloat(pathData.strokeWidth) || 1;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        ctx.stroke(path2D);
+    }
+}
+
+// Synchronous paint of a frame; reference images are drawn only if present in `images` (src -> Image)
+function paintFrameComposite(ctx, frameIndex, images = null, layerIds = null) {
+    // Logical canvas size; exporters scale the context to render larger or smaller
+    const width = state.canvasWidth;
+    const height = state.canvasHeight;
+    
+    paintComposite(state, frameIndex, {
+        image: (entry) => {
+            const img = images ? images.get(entry.frame.referenceImage) : null;
+            if (!img) return;
+            // Match the editor's preserveAspectRatio="xMidYMid meet"
+            const scale = Math.min(width / img.width, height / img.height);
+            const dw = img.width * scale;
+            const dh = img.height * scale;
+            ctx.globalCompositeOperation = 'source-over';
+            ctx.globalAlpha = entry.opacity;
+            ctx.drawImage(img, (width - dw) / 2, (height - dh) / 2, dw, dh);
+        },
+        path: (pathData, entry) => drawPathToCanvas(ctx, pathData, entry.opacity)
+    }, { layerIds: layerIds });
+    
+    ctx.globalAlpha = 1;
+    ctx.globalCompositeOperation = 'source-over';
+}
+
+function loadCompositeImage(src) {
+    return new Promise((resolve) => {
+        const img = new Image();
+        img.onload = () => resolve(img);
+        img.onerror = () => resolve(null);
+        img.src = src;
+    });
+}
+
+// Render a specific frame index to a canvas context
+async function renderFrameToCanvas(ctx, frameIndex, layerIds = null) {
+    const images = new Map();
+    for (const entry of getFrameComposite(frameIndex, false, layerIds)) {
+        const src = entry.frame && entry.frame.referenceImage;
+        if (src && !images.has(src)) {
+            const img = await loadCompositeImage(src);
+            if (img) images.set(src, img);
+        }
+    }
+    paintFrameComposite(ctx, frameIndex, images, layerIds);
+}
+
 // ==================== RENDERING ====================
+function syncOnionSkinUI() {
+    const settings = state.onionSkinSettings;
+    document.getElementById('onionSkinToggle').classList.toggle('active', state.onionSkinEnabled);
+    document.getElementById('onionBefore').value = settings.framesBefore;
+    document.getElementById('onionAfter').value = settings.framesAfter;
+    document.getElementById('onionBeforeColor').value = settings.beforeColor;
+    document.getElementById('onionAfterColor').value = settings.afterColor;
+    
+    const beforeOpacity = document.getElementById('onionBeforeOpacity');
+    beforeOpacity.value = settings.beforeOpacity;
+    beforeOpacity.nextElementSibling.textContent = `${settings.beforeOpacity}%`;
+    const afterOpacity = document.getElementById('onionAfterOpacity');
+    afterOpacity.value = settings.afterOpacity;
+    afterOpacity.nextElementSibling.textContent = `${settings.afterOpacity}%`;
+}
+
 function syncBackgroundUI() {
     const colorPicker = document.getElementById('backgroundColorPicker');
     const transparentToggle = document.getElementById('transparentBgToggle');
@@ -2613,182 +4160,83 @@ function renderFrame() {
     onionSkinLayer.innerHTML = '';
     
     // Draw current frame - composite all layers at current frame index
-    // First pass: render reference image layers (video references)
-    state.layers.forEach(layer => {
-        const frameToCheck = layer.isBackground ? layer.frames[0] : layer.frames[state.currentFrameIndex];
-        const hasReference = frameToCheck && frameToCheck.referenceImage;
-        if (!hasReference) return;
+    const soloLayer = state.isPlaying && state.playbackSettings.currentLayerOnly;
+    paintEditorComposite(state.currentFrameIndex, soloLayer ? new Set([state.currentLayerId]) : null);
+    
+    drawMotionGuides();
+}
 
-        const layerGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-        layerGroup.setAttribute('id', `layer-${layer.id}-group`);
-        
-        if (!layer.visible) {
-            layerGroup.setAttribute('opacity', '0');
-        } else {
-            const layerOpacity = layer.opacity !== undefined ? layer.opacity : 1;
-            if (layerOpacity < 1) {
-                layerGroup.setAttribute('opacity', layerOpacity.toString());
-            }
-        }
-        
-        let frameToRender = null;
-        if (layer.isBackground) {
-            frameToRender = layer.frames[0];
-        } else {
-            frameToRender = layer.frames[state.currentFrameIndex];
-            if (frameToRender && frameToRender.holdReference !== undefined) {
-                frameToRender = layer.frames[frameToRender.holdReference];
-            }
-        }
+// Tinted copies of the frames around the current one (state.onionSkinSettings)
+function drawOnionSkins() {
+    const settings = state.onionSkinSettings;
+    
+    // Draw previous frames (multiple)
+    for (let i = 1; i <= settings.framesBefore; i++) {
+        const frameIndex = state.currentFrameIndex - i;
+        if (frameIndex < 0) break; // Stop if we go before frame 0
         
-        if (frameToRender && frameToRender.referenceImage) {
-            const img = document.createElementNS('http://www.w3.org/2000/svg', 'image');
-            img.setAttribute('href', frameToRender.referenceImage);
-            img.setAttribute('x', '0');
-            img.setAttribute('y', '0');
-            img.setAttribute('width', state.canvasWidth);
-            img.setAttribute('height', state.canvasHeight);
-            img.setAttribute('preserveAspectRatio', 'xMidYMid meet');
-            layerGroup.appendChild(img);
-        }
+        // Calculate opacity fade (further frames are more transparent)
+        const opacityMultiplier = 1 - ((i - 1) / settings.framesBefore) * 0.5;
+        const opacity = (settings.beforeOpacity / 100) * opacityMultiplier;
         
-        layersContainer.appendChild(layerGroup);
-    });
-
-    // Draw onion skin AFTER reference layers so it's visible on top of video
-    if (state.onionSkinEnabled) {
-        const settings = state.onionSkinSettings;
+        const prevGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+        prevGroup.setAttribute('opacity', opacity.toString());
+        prevGroup.setAttribute('class', `onion-prev onion-prev-${i}`);
         
-        // Draw previous frames (multiple)
-        for (let i = 1; i <= settings.framesBefore; i++) {
-            const frameIndex = state.currentFrameIndex - i;
-            if (frameIndex < 0) break; // Stop if we go before frame 0
-            
-            // Calculate opacity fade (further frames are more transparent)
-            const opacityMultiplier = 1 - ((i - 1) / settings.framesBefore) * 0.5;
-            const opacity = (settings.beforeOpacity / 100) * opacityMultiplier;
-            
-            const prevGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-            prevGroup.setAttribute('opacity', opacity.toString());
-            prevGroup.setAttribute('class', `onion-prev onion-prev-${i}`);
+        state.layers.forEach(layer => {
+            // Skip background layers and reference layers in onion skin
+            if (layer.isBackground || !layer.visible) return;
+            const onionFrame = resolveLayerFrame(layer, frameIndex);
+            if (!onionFrame || onionFrame.referenceImage) return;
             
-            state.layers.forEach(layer => {
-                // Skip background layers and reference layers in onion skin
-                if (layer.isBackground) return;
-                if (layer.frames[frameIndex] && layer.frames[frameIndex].referenceImage) return;
-                
-                if (layer.visible && layer.frames[frameIndex]) {
-                    layer.frames[frameIndex].paths.forEach(pathData => {
-                        const path = createPathElement(pathData);
-                        // Apply color tint
-                        if (pathData.fill && pathData.fill !== 'none') {
-                            path.setAttribute('fill', settings.beforeColor);
-                        } else {
-                            path.setAttribute('stroke', settings.beforeColor);
-                        }
-                        prevGroup.appendChild(path);
-                    });
+            onionFrame.paths.forEach(pathData => {
+                const path = createPathElement(pathData);
+                // Apply color tint
+                if (pathData.fill && pathData.fill !== 'none') {
+                    path.setAttribute('fill', settings.beforeColor);
+                } else {
+                    path.setAttribute('stroke', settings.beforeColor);
                 }
+                prevGroup.appendChild(path);
             });
-            
-            layersContainer.appendChild(prevGroup);
-        }
+        });
         
-        // Draw next frames (multiple)
-        for (let i = 1; i <= settings.framesAfter; i++) {
-            const frameIndex = state.currentFrameIndex + i;
-            if (frameIndex >= state.maxFrames) break; // Stop if we go beyond last frame
-            
-            // Calculate opacity fade (further frames are more transparent)
-            const opacityMultiplier = 1 - ((i - 1) / settings.framesAfter) * 0.5;
-            const opacity = (settings.afterOpacity / 100) * opacityMultiplier;
-            
-            const nextGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-            nextGroup.setAttribute('opacity', opacity.toString());
-            nextGroup.setAttribute('class', `onion-next onion-next-${i}`);
-            
-            state.layers.forEach(layer => {
-                // Skip background layers and reference layers in onion skin
-                if (layer.isBackground) return;
-                if (layer.frames[frameIndex] && layer.frames[frameIndex].referenceImage) return;
-                
-                if (layer.visible && layer.frames[frameIndex]) {
-                    layer.frames[frameIndex].paths.forEach(pathData => {
-                        const path = createPathElement(pathData);
-                        // Apply color tint
-                        if (pathData.fill && pathData.fill !== 'none') {
-                            path.setAttribute('fill', settings.afterColor);
-                        } else {
-                            path.setAttribute('stroke', settings.afterColor);
-                        }
-                        nextGroup.appendChild(path);
-                    });
-                }
-            });
-            
-            layersContainer.appendChild(nextGroup);
-        }
-    } else {
+        layersContainer.appendChild(prevGroup);
     }
     
-    // Second pass: render drawing layers (non-reference)
-    state.layers.forEach(layer => {
-        // Skip layers already rendered in the reference pass
-        const frameToCheck = layer.isBackground ? layer.frames[0] : layer.frames[state.currentFrameIndex];
-        const hasReference = frameToCheck && frameToCheck.referenceImage;
-        if (hasReference) return;
-
-        const layerGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-        layerGroup.setAttribute('id', `layer-${layer.id}-group`);
+    // Draw next frames (multiple)
+    for (let i = 1; i <= settings.framesAfter; i++) {
+        const frameIndex = state.currentFrameIndex + i;
+        if (frameIndex >= state.maxFrames) break; // Stop if we go beyond last frame
         
-        if (!layer.visible) {
-            layerGroup.setAttribute('opacity', '0');
-        } else {
-            const layerOpacity = layer.opacity !== undefined ? layer.opacity : 1;
-            if (layerOpacity < 1) {
-                layerGroup.setAttribute('opacity', layerOpacity.toString());
-            }
-        }
+        // Calculate opacity fade (further frames are more transparent)
+        const opacityMultiplier = 1 - ((i - 1) / settings.framesAfter) * 0.5;
+        const opacity = (settings.afterOpacity / 100) * opacityMultiplier;
         
-        // Get the frame to render
-        let frameToRender = null;
+        const nextGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+        nextGroup.setAttribute('opacity', opacity.toString());
+        nextGroup.setAttribute('class', `onion-next onion-next-${i}`);
         
-        // Background layers always show their first frame
-        if (layer.isBackground) {
-            frameToRender = layer.frames[0];
-        } else {
-            // Normal layers: handle held frames and current frame
-            frameToRender = layer.frames[state.currentFrameIndex];
+        state.layers.forEach(layer => {
+            // Skip background layers and reference layers in onion skin
+            if (layer.isBackground || !layer.visible) return;
+            const onionFrame = resolveLayerFrame(layer, frameIndex);
+            if (!onionFrame || onionFrame.referenceImage) return;
             
-            // If this frame is a hold reference, get the original frame
-            if (frameToRender && frameToRender.holdReference !== undefined) {
-                const originalFrameIndex = frameToRender.holdReference;
-                frameToRender = layer.frames[originalFrameIndex];
-            }
-        }
-        
-        // Draw reference image if present
-        if (frameToRender && frameToRender.referenceImage) {
-            const img = document.createElementNS('http://www.w3.org/2000/svg', 'image');
-            img.setAttribute('href', frameToRender.referenceImage);
-            img.setAttribute('x', '0');
-            img.setAttribute('y', '0');
-            img.setAttribute('width', state.canvasWidth);
-            img.setAttribute('height', state.canvasHeight);
-            img.setAttribute('preserveAspectRatio', 'xMidYMid meet');
-            layerGroup.appendChild(img);
-        }
-
-        // Draw frame
-        if (frameToRender && frameToRender.paths) {
-            frameToRender.paths.forEach(pathData => {
+            onionFrame.paths.forEach(pathData => {
                 const path = createPathElement(pathData);
-                layerGroup.appendChild(path);
+                // Apply color tint
+                if (pathData.fill && pathData.fill !== 'none') {
+                    path.setAttribute('fill', settings.afterColor);
+                } else {
+                    path.setAttribute('stroke', settings.afterColor);
+                }
+                nextGroup.appendChild(path);
             });
-        }
+        });
         
-        layersContainer.appendChild(layerGroup);
-    });
+        layersContainer.appendChild(nextGroup);
+    }
 }
 
 function createPathElement(pathData) {
@@ -2800,6 +4248,13 @@ function createPathElement(pathData) {
         // TAPERED MODE: Filled outline path
         path.setAttribute('fill', pathData.fill);
         path.setAttribute('stroke', pathData.stroke || 'none');
+        if (pathData.stroke && pathData.stroke !== 'none') {
+            path.setAttribute('stroke-width', pathData.strokeWidth);
+            path.setAttribute('stroke-linejoin', 'round');
+        }
+        if (pathData.fillRule) {
+            path.setAttribute('fill-rule', pathData.fillRule);
+        }
     } else {
         // UNIFORM MODE: Standard stroked path (existing and legacy)
         path.setAttribute('fill', 'none');
@@ -2809,6 +4264,10 @@ function createPathElement(pathData) {
         path.setAttribute('stroke-linejoin', 'round');
     }
     
+    if (pathData.opacity !== undefined && pathData.opacity < 1) {
+        path.setAttribute('opacity', pathData.opacity);
+    }
+    
     // Eraser blending
     if (pathData.tool === 'eraser') {
         path.style.mixBlendMode = 'destination-out';
@@ -2824,6 +4283,10 @@ function selectTool(tool) {
         clearSelection();
         svg.classList.remove('select-mode');
     }
+    if (state.tool === 'node' && tool !== 'node') {
+        clearNodeEdit();
+        svg.classList.remove('select-mode');
+    }
     
     state.tool = tool;
     
@@ -2846,8 +4309,18 @@ function selectTool(tool) {
     } else if (tool === 'fill') {
         document.getElementById('fillTool').classList.add('active');
         svg.style.cursor = 'crosshair';
+    } else if (tool === 'shape') {
+        document.getElementById('shapeTool').classList.add('active');
+        svg.style.cursor = 'crosshair';
+    } else if (tool === 'node') {
+        document.getElementById('nodeTool').classList.add('active');
+        svg.classList.add('select-mode');
+        svg.style.cursor = '';
     }
     
+    // Anchor actions only apply while editing nodes
+    document.getElementById('nodeActions').style.display = tool === 'node' ? '' : 'none';
+    
     // Hide zoom hint when leaving zoom tool
     if (tool !== 'zoom') {
         document.getElementById('zoomHint').style.display = 'none';
@@ -2856,130 +4329,228 @@ function selectTool(tool) {
 
 function clearCurrentFrame() {
     const currentLayer = getCurrentLayer();
+    const frame = currentLayer ? resolveLayerFrame(currentLayer, state.currentFrameIndex) : null;
     
-    if (!currentLayer || !currentLayer.frames[state.currentFrameIndex]) {
+    if (!frame) {
         return;
     }
     
     if (confirm('Clear all strokes on current layer at this frame?')) {
-        saveStateForUndo();
-        currentLayer.frames[state.currentFrameIndex].paths = [];
-        state.redoStack = [];
+        saveStateForUndo('Clear frame');
+        frame.paths = [];
         renderFrame();
         updateFrameList();
-        saveToLocalStorage();
+        saveProject();
     }
 }
 
 // ==================== FRAME MANAGEMENT ====================
-// These now work on the CURRENT LAYER's timeline
+// These now work on the CURRENT LAYER's timeline.
+// A layer's frames are its drawings, each exposed for `exposure` timeline frames. Structural
+// edits (insert, delete, move) go through layer cells, one per timeline frame, and are folded
+// back into drawings and exposures afterwards.
+
+// One cell per timeline frame: a drawing's first frame is the drawing itself, each further
+// frame of its exposure is an empty frame holding it
+function getLayerCells(layer) {
+    const cells = [];
+    layer.frames.forEach(frame => {
+        cells.push({ frame: frame, head: null });
+        for (let i = 1; i < getExposure(frame); i++) cells.push({ frame: { paths: [] }, head: frame });
+    });
+    return cells;
+}
+
+// Write cells back as drawings. A held cell right after its drawing (or that drawing's holds)
+// extends the drawing's exposure; one cut off from its drawing takes over a copy of it, and
+// later holds of the same drawing hold the copy.
+function setLayerCells(layer, cells) {
+    const frames = [];
+    const replaced = new Map();
+    
+    cells.forEach(cell => {
+        const frame = cell.frame;
+        delete frame.exposure;
+        if (!cell.head) {
+            frames.push(frame);
+            return;
+        }
+        
+        const head = replaced.get(cell.head) || cell.head;
+        if (head === frames[frames.length - 1]) {
+            head.exposure = getExposure(head) + 1;
+            return;
+        }
+        frame.paths = JSON.parse(JSON.stringify(head.paths));
+        if (head.referenceImage) frame.referenceImage = head.referenceImage;
+        replaced.set(cell.head, frame);
+        frames.push(frame);
+    });
+    layer.frames = frames.length > 0 ? frames : [{ paths: [] }];
+}
+
+// Array.splice for a layer's timeline frames; inserted frames are single-frame drawings
+function spliceLayerFrames(layer, start, deleteCount, ...frames) {
+    const cells = getLayerCells(layer);
+    const removed = cells.splice(start, deleteCount, ...frames.map(frame => ({ frame: frame, head: null })));
+    setLayerCells(layer, cells);
+    return removed.map(cell => cell.frame);
+}
+
+function moveLayerFrame(layer, fromIndex, toIndex) {
+    const cells = getLayerCells(layer);
+    const cell = cells.splice(fromIndex, 1)[0];
+    cells.splice(toIndex, 0, cell);
+    setLayerCells(layer, cells);
+}
+
+// Timeline frames the drawing shown at `frameIndex` covers
+function getFrameExposure(layer, frameIndex) {
+    const drawingIndex = getDrawingIndex(layer, frameIndex);
+    return {
+        start: getDrawingStart(layer, drawingIndex),
+        length: drawingIndex >= 0 ? getExposure(layer.frames[drawingIndex]) : 0
+    };
+}
+
+// Expose the drawing shown at `frameIndex` for `length` frames; later drawings move with it
+function setFrameExposure(layer, frameIndex, length) {
+    const frame = layer.frames[getDrawingIndex(layer, frameIndex)];
+    if (!frame) return;
+    if (length > 1) {
+        frame.exposure = length;
+    } else {
+        delete frame.exposure;
+    }
+}
+
+// Layers with locked timing keep every frame where it is. Returns true (after telling the user)
+// when `layer` can't be retimed.
+function isTimingLocked(layer) {
+    if (!layer || !layer.lockTiming) return false;
+    showTimingLockedAlert([layer]);
+    return true;
+}
+
+// For edits across several layers: returns the layers that can be retimed and names the rest
+function getTimingUnlockedLayers(layers) {
+    const locked = layers.filter(layer => layer.lockTiming);
+    if (locked.length > 0) showTimingLockedAlert(locked);
+    return layers.filter(layer => !layer.lockTiming);
+}
+
+function showTimingLockedAlert(layers) {
+    const names = layers.map(layer => `"${escapeXML(layer.name)}"`);
+    const list = names.length === 1 ? names[0] : names.slice(0, -1).join(', ') + ' and ' + names[names.length - 1];
+    const [them, their] = layers.length === 1 ? ['it', 'its'] : ['them', 'their'];
+    showAlert(`The timing of ${list} is locked. Unlock ${them} in the layer list to add, remove or move ${their} frames.`, 'Timing Locked');
+}
+
+function toggleLayerTimingLock(layerId) {
+    const layer = state.layers.find(l => l.id === layerId);
+    if (!layer) return;
+    saveStateForUndo(layer.lockTiming ? 'Unlock timing' : 'Lock timing', 'settings');
+    if (layer.lockTiming) {
+        delete layer.lockTiming;
+    } else {
+        layer.lockTiming = true;
+    }
+    updateLayerList();
+    saveProject();
+}
+
+// Refresh after frames were added, removed or moved on any layer
+function finishFrameEdit() {
+    updateMaxFrames();
+    state.currentFrameIndex = Math.min(state.currentFrameIndex, state.maxFrames - 1);
+    updateFrameList();
+    updateLayerList();
+    updateFrameCounter();
+    renderFrame();
+    saveProject();
+}
+
 function addFrame() {
     const currentLayer = getCurrentLayer();
-    if (!currentLayer) return;
+    if (!currentLayer || isTimingLocked(currentLayer)) return;
     
     const insertIndex = state.currentFrameIndex + 1;
     
-    if (insertIndex <= currentLayer.frames.length) {
-        currentLayer.frames.splice(insertIndex, 0, { paths: [] });
+    saveStateForUndo('Add frame', 'layer');
+    
+    if (insertIndex <= getLayerLength(currentLayer)) {
+        spliceLayerFrames(currentLayer, insertIndex, 0, { paths: [] });
         state.currentFrameIndex = insertIndex;
     } else {
         currentLayer.frames.push({ paths: [] });
-        state.currentFrameIndex = currentLayer.frames.length - 1;
+        state.currentFrameIndex = getLayerLength(currentLayer) - 1;
     }
     
     updateMaxFrames();
     updateFrameList();
     updateFrameCounter();
     renderFrame();
-    saveToLocalStorage();
+    saveProject();
 }
 
 function duplicateFrame() {
     const currentLayer = getCurrentLayer();
-    if (!currentLayer || !currentLayer.frames[state.currentFrameIndex]) return;
+    if (!currentLayer) return;
+    const currentFrame = resolveLayerFrame(currentLayer, state.currentFrameIndex);
+    if (!currentFrame || isTimingLocked(currentLayer)) return;
     
-    const currentFrame = currentLayer.frames[state.currentFrameIndex];
     const duplicatedFrame = {
         paths: JSON.parse(JSON.stringify(currentFrame.paths))
     };
     
-    currentLayer.frames.splice(state.currentFrameIndex + 1, 0, duplicatedFrame);
-    state.currentFrameIndex++;
+    // The copy goes after the last frame the drawing is exposed on
+    const { start, length } = getFrameExposure(currentLayer, state.currentFrameIndex);
+    saveStateForUndo('Duplicate frame', 'layer');
+    spliceLayerFrames(currentLayer, start + length, 0, duplicatedFrame);
+    state.currentFrameIndex = start + length;
     
     updateMaxFrames();
     updateFrameList();
     updateLayerList();
     updateFrameCounter();
     renderFrame();
-    saveToLocalStorage();
+    saveProject();
 }
 
 function addHoldFrame(frameIndex) {
     const currentLayer = getCurrentLayer();
-    if (!currentLayer || !currentLayer.frames[frameIndex]) return;
-    
-    const frame = currentLayer.frames[frameIndex];
-    
-    // Don't add hold to a frame that's already a held reference
-    if (frame.holdReference !== undefined) return;
-    
-    // Initialize hold count if not set
-    if (!frame.hold) {
-        frame.hold = 0;
-    }
+    if (!currentLayer || getDrawingIndex(currentLayer, frameIndex) < 0 || isTimingLocked(currentLayer)) return;
     
-    // Increment hold count
-    frame.hold++;
+    saveStateForUndo('Add hold', 'layer');
     
-    // Insert a new held frame after this frame
-    const insertIndex = frameIndex + frame.hold;
-    currentLayer.frames.splice(insertIndex, 0, { 
-        paths: [], 
-        holdReference: frameIndex
-    });
+    // Expose the drawing for one more frame
+    setFrameExposure(currentLayer, frameIndex, getFrameExposure(currentLayer, frameIndex).length + 1);
     
     updateMaxFrames();
     updateFrameList();
     updateLayerList();
     updateFrameCounter();
-    saveToLocalStorage();
+    saveProject();
 }
 
 function removeHoldFrame(frameIndex) {
     const currentLayer = getCurrentLayer();
-    if (!currentLayer || !currentLayer.frames[frameIndex]) return;
+    if (!currentLayer) return;
     
-    const frame = currentLayer.frames[frameIndex];
+    // Can only remove hold from drawings exposed for more than one frame
+    const exposure = getFrameExposure(currentLayer, frameIndex);
+    if (exposure.length <= 1 || isTimingLocked(currentLayer)) return;
     
-    // Can only remove hold from frames that have holds
-    if (!frame.hold || frame.hold <= 0) return;
+    saveStateForUndo('Remove hold', 'layer');
     
-    // Find and remove the last held frame
-    let removedCount = 0;
-    for (let i = currentLayer.frames.length - 1; i > frameIndex; i--) {
-        const checkFrame = currentLayer.frames[i];
-        if (checkFrame.holdReference === frameIndex) {
-            currentLayer.frames.splice(i, 1);
-            removedCount++;
-            break; // Remove only one
-        }
-    }
+    // Drop the last frame of the exposure
+    setFrameExposure(currentLayer, frameIndex, exposure.length - 1);
     
-    // Decrement hold count
-    if (removedCount > 0) {
-        frame.hold--;
-        
-        // Remove hold property if zero
-        if (frame.hold === 0) {
-            delete frame.hold;
-        }
-        
-        updateMaxFrames();
-        updateFrameList();
-        updateLayerList();
-        updateFrameCounter();
-        saveToLocalStorage();
-    }
+    updateMaxFrames();
+    updateFrameList();
+    updateLayerList();
+    updateFrameCounter();
+    saveProject();
 }
 
 // Clear current frame/layer
@@ -2987,8 +4558,7 @@ function clearCanvas() {
     const currentLayer = getCurrentLayer();
     if (!currentLayer) return;
     
-    const frameIndex = currentLayer.isBackground ? 0 : state.currentFrameIndex;
-    const frame = currentLayer.frames[frameIndex];
+    const frame = resolveLayerFrame(currentLayer, state.currentFrameIndex);
     
     if (!frame || !frame.paths || frame.paths.length === 0) {
         showAlert('Canvas is already empty!', 'Nothing to Clear');
@@ -3000,7 +4570,7 @@ function clearCanvas() {
         'Clear Canvas',
         () => {
             // Save state for undo
-            saveStateForUndo();
+            saveStateForUndo('Clear canvas');
             
             // Clear all paths
             frame.paths = [];
@@ -3008,7 +4578,7 @@ function clearCanvas() {
             // Re-render
             renderFrame();
             updateFrameList();
-            saveToLocalStorage();
+            saveProject();
             showAutoSaveIndicator();
         }
     );
@@ -3017,12 +4587,13 @@ function clearCanvas() {
 function deleteFrame() {
     const currentLayer = getCurrentLayer();
     
-    if (!currentLayer || currentLayer.frames.length === 1) {
+    if (!currentLayer || getLayerLength(currentLayer) === 1) {
         showAlert('Cannot delete the only frame!', 'Error');
         return;
     }
+    if (isTimingLocked(currentLayer)) return;
     
-    if (!currentLayer.frames[state.currentFrameIndex]) {
+    if (getDrawingIndex(currentLayer, state.currentFrameIndex) < 0) {
         showAlert('No frame at this position!', 'Error');
         return;
     }
@@ -3031,10 +4602,11 @@ function deleteFrame() {
         'Delete this frame?',
         'Delete Frame',
         () => {
-            currentLayer.frames.splice(state.currentFrameIndex, 1);
+            saveStateForUndo('Delete frame', 'layer');
+            spliceLayerFrames(currentLayer, state.currentFrameIndex, 1);
             
-            if (state.currentFrameIndex >= currentLayer.frames.length) {
-                state.currentFrameIndex = currentLayer.frames.length - 1;
+            if (state.currentFrameIndex >= getLayerLength(currentLayer)) {
+                state.currentFrameIndex = getLayerLength(currentLayer) - 1;
             }
             
             updateMaxFrames();
@@ -3042,7 +4614,7 @@ function deleteFrame() {
             updateLayerList();
             updateFrameCounter();
             renderFrame();
-            saveToLocalStorage();
+            saveProject();
         }
     );
 }
@@ -3064,8 +4636,9 @@ function updateFrameList() {
     const currentLayer = getCurrentLayer();
     if (!currentLayer) return;
     
-    // Show frames for current layer only
-    currentLayer.frames.forEach((frame, index) => {
+    // Show frames for current layer only, one item per timeline frame
+    getLayerCells(currentLayer).forEach((cell, index) => {
+        const frame = cell.head || cell.frame;
         const frameItem = document.createElement('div');
         frameItem.className = 'frame-item';
         if (index === state.currentFrameIndex) {
@@ -3073,10 +4646,13 @@ function updateFrameList() {
         }
         
         // Mark held frames visually
-        const isHeldFrame = frame.holdReference !== undefined;
+        const isHeldFrame = !!cell.head;
         if (isHeldFrame) {
             frameItem.classList.add('held-frame');
         }
+        if (frame.tweenGenerated) {
+            frameItem.classList.add('tween-frame');
+        }
         
         // Create thumbnail SVG
         const thumbSvg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
@@ -3084,15 +4660,9 @@ function updateFrameList() {
         thumbSvg.setAttribute('preserveAspectRatio', 'xMidYMid meet');
         thumbSvg.style.background = 'white';
         
-        // Get the frame to display (handle held frames)
-        let frameToDisplay = frame;
-        if (frame.holdReference !== undefined) {
-            frameToDisplay = currentLayer.frames[frame.holdReference] || frame;
-        }
-        
         // Show only the current layer's content for this frame
-        if (frameToDisplay.paths) {
-            frameToDisplay.paths.forEach(pathData => {
+        if (frame.paths) {
+            frame.paths.forEach(pathData => {
                 const path = createPathElement(pathData);
                 thumbSvg.appendChild(path);
             });
@@ -3202,8 +4772,8 @@ function updateFrameList() {
             
             holdControls.appendChild(addBtn);
             
-            // Remove hold button (-) - only show if frame has holds
-            if (frame.hold && frame.hold > 0) {
+            // Remove hold button (-) - only show if the drawing is exposed for several frames
+            if (getExposure(frame) > 1) {
                 const removeBtn = document.createElement('button');
                 removeBtn.className = 'hold-btn hold-remove';
                 removeBtn.textContent = '−';
@@ -3217,27 +4787,53 @@ function updateFrameList() {
             frameItem.appendChild(holdControls);
         }
         
-        // Add hold count indicator if this frame has holds
-        if (frame.hold && frame.hold > 0) {
+        // Key frame marker; click to edit the tween starting here
+        if (frame.key && !isHeldFrame) {
+            const keyBadge = document.createElement('button');
+            keyBadge.className = 'key-badge' + (frame.tween ? ' has-tween' : '');
+            keyBadge.textContent = '◆';
+            keyBadge.title = frame.tween ? 'Key frame – click to edit tween' : 'Key frame';
+            keyBadge.addEventListener('click', (e) => {
+                e.stopPropagation();
+                selectFrame(index);
+                showTweenDialog();
+            });
+            frameItem.appendChild(keyBadge);
+        }
+        
+        // Phoneme mark on the lip sync mouth layer
+        const phonemeMark = state.lipSync && state.lipSync.layerId === currentLayer.id
+            ? state.lipSync.marks.find(mark => mark.frame === index) : null;
+        if (phonemeMark) {
+            const phonemeBadge = document.createElement('div');
+            phonemeBadge.className = 'phoneme-badge';
+            phonemeBadge.textContent = phonemeMark.phoneme;
+            phonemeBadge.title = `Lip sync: ${LIP_SYNC_PHONEMES[phonemeMark.phoneme]}`;
+            frameItem.appendChild(phonemeBadge);
+        }
+        
+        // Exposure indicator on the first frame of a drawing shot on 2s, 3s...
+        if (!isHeldFrame && getExposure(frame) > 1) {
             const holdBadge = document.createElement('div');
             holdBadge.className = 'hold-badge';
-            holdBadge.textContent = `×${frame.hold}`;
-            holdBadge.title = `Extended for ${frame.hold} frame(s)`;
+            holdBadge.textContent = `×${getExposure(frame)}`;
+            holdBadge.title = `Exposed for ${getExposure(frame)} frames`;
             frameItem.appendChild(holdBadge);
         }
         
         frameList.appendChild(frameItem);
     });
+    
+    updateXSheet();
 }
 
 function reorderFrame(fromIndex, toIndex) {
     const currentLayer = getCurrentLayer();
-    if (!currentLayer) return;
+    if (!currentLayer || isTimingLocked(currentLayer)) return;
     
-    saveStateForUndo();
+    saveStateForUndo('Move frame', 'layer');
     
-    const frame = currentLayer.frames.splice(fromIndex, 1)[0];
-    currentLayer.frames.splice(toIndex, 0, frame);
+    moveLayerFrame(currentLayer, fromIndex, toIndex);
     
     // Update current frame index to follow the moved frame
     if (state.currentFrameIndex === fromIndex) {
@@ -3248,882 +4844,4951 @@ function reorderFrame(fromIndex, toIndex) {
         state.currentFrameIndex++;
     }
     
-    state.redoStack = [];
     updateFrameList();
     updateFrameCounter();
     renderFrame();
-    saveToLocalStorage();
+    saveProject();
 }
 
 function updateFrameCounter() {
     const currentLayer = getCurrentLayer();
-    const frameCount = currentLayer ? currentLayer.frames.length : 0;
+    const frameCount = currentLayer ? getLayerLength(currentLayer) : 0;
     
     document.getElementById('frameCounter').textContent = 
         `${state.currentFrameIndex + 1}/${frameCount}`;
     updateScrubHandle();
 }
 
-// ==================== PLAYBACK ====================
-function togglePlayback() {
-    if (state.isPlaying) {
-        stopPlayback();
-    } else {
-        startPlayback();
-    }
+// ==================== ALL-LAYER FRAME OPERATIONS ====================
+// Insert, delete or move a frame on every animation layer at once so the shot stays in sync.
+// Background layers have no timing and layers with locked timing are left as they are.
+function getRetimableLayers() {
+    return state.layers.filter(layer => !layer.isBackground && !layer.lockTiming);
 }
 
-function startPlayback() {
-    
-    // Clear any selection when playing
-    if (state.tool === 'select' && typeof clearSelection === 'function') clearSelection();
+// The current layer gets a blank frame after the current one; the other layers hold what
+// they show at the current frame one frame longer
+function insertFrameAllLayers() {
+    const index = state.currentFrameIndex;
+    const layers = getRetimableLayers().filter(layer => index < getLayerLength(layer));
+    if (layers.length === 0) return;
     
-    // Safety: Stop any existing playback first
-    stopPlayback();
-    
-    // Check if we have frames to play
-    if (state.maxFrames <= 1) {
+    saveStateForUndo('Insert frame in all layers', 'project');
+    layers.forEach(layer => {
+        if (layer.id === state.currentLayerId) {
+            spliceLayerFrames(layer, index + 1, 0, { paths: [] });
+        } else {
+            const cells = getLayerCells(layer);
+            cells.splice(index + 1, 0, { frame: { paths: [] }, head: resolveLayerFrame(layer, index) });
+            setLayerCells(layer, cells);
+        }
+    });
+    editFrameDurations(list => list.splice(index + 1, 0, undefined));
+    state.currentFrameIndex = index + 1;
+    finishFrameEdit();
+}
+
+function deleteFrameAllLayers() {
+    const index = state.currentFrameIndex;
+    const layers = getRetimableLayers().filter(layer => index < getLayerLength(layer) && getLayerLength(layer) > 1);
+    if (layers.length === 0) {
+        showAlert('No layer has a frame here that can be deleted.', 'Delete Frame');
         return;
     }
     
-    // Update state immediately
-    state.isPlaying = true;
-    
-    // Update Play button to Stop icon
-    const playBtn = document.getElementById('playBtn');
-    if (playBtn) {
-        const iconEl = playBtn.querySelector('.icon');
-        if (iconEl) iconEl.textContent = '⏹'; // Stop icon
-        playBtn.title = 'Stop';
-        playBtn.classList.add('playing');
-    }
-    
-    const frameDelay = Math.max(1000 / state.fps, 16); // Minimum 16ms (60fps cap)
+    showConfirm(
+        `Delete frame ${index + 1} from ${layers.length} layer(s)?`,
+        'Delete Frame in All Layers',
+        () => {
+            saveStateForUndo('Delete frame in all layers', 'project');
+            layers.forEach(layer => spliceLayerFrames(layer, index, 1));
+            editFrameDurations(list => list.splice(index, 1));
+            finishFrameEdit();
+        }
+    );
+}
+
+// Layers too short to reach `toIndex` move the frame to their last frame
+function moveFrameAllLayers(fromIndex, toIndex) {
+    const layers = getRetimableLayers().filter(layer => fromIndex < getLayerLength(layer));
+    if (layers.length === 0 || fromIndex === toIndex) return;
     
-    // Use requestAnimationFrame for smoother playback on mobile
-    let lastFrameTime = Date.now();
-    let iterationCount = 0; // Safety counter
-    const MAX_ITERATIONS = 10000; // Prevent infinite loops
+    saveStateForUndo('Move frame in all layers', 'project');
+    layers.forEach(layer => moveLayerFrame(layer, fromIndex, Math.min(toIndex, getLayerLength(layer) - 1)));
+    moveFrameDuration(fromIndex, toIndex);
+    state.currentFrameIndex = toIndex;
+    finishFrameEdit();
+}
+
+function showMoveFrameAllLayersDialog() {
+    const bodyHTML = `
+        <div class="modal-input-row">
+            <div class="modal-input-group">
+                <label>Move frame</label>
+                <input type="number" id="moveFrameFrom" value="${state.currentFrameIndex + 1}" min="1" max="${state.maxFrames}">
+            </div>
+            <div class="modal-input-group">
+                <label>To position</label>
+                <input type="number" id="moveFrameTo" value="${state.currentFrameIndex + 1}" min="1" max="${state.maxFrames}">
+            </div>
+        </div>
+        <p class="modal-message">Every animation layer moves the frame; background layers and layers with locked timing stay as they are.</p>
+    `;
     
-    const playbackLoop = () => {
-        // CRITICAL: Multiple stop checks
-        if (!state.isPlaying) {
-            if (state.playInterval) {
-                cancelAnimationFrame(state.playInterval);
-                state.playInterval = null;
-            }
-            return;
-        }
-        
-        // Safety: iteration limit
-        iterationCount++;
-        if (iterationCount > MAX_ITERATIONS) {
-            console.error('Playback exceeded max iterations! Force stop.');
-            stopPlayback();
+    openModal('Move Frame in All Layers', bodyHTML, () => {
+        const from = parseInt(document.getElementById('moveFrameFrom').value);
+        const to = parseInt(document.getElementById('moveFrameTo').value);
+        if (!(from >= 1 && from <= state.maxFrames && to >= 1 && to <= state.maxFrames)) {
+            showAlert(`Enter frame numbers from 1 to ${state.maxFrames}.`, 'Invalid Frame');
             return;
         }
-        
-        // UI validation: check button icon
-        const iconEl = playBtn ? playBtn.querySelector('.icon') : null;
-        if (iconEl && iconEl.textContent !== '⏹') {
-            console.warn('Button icon mismatch detected! Force stop.');
-            stopPlayback();
-            return;
+        closeModal();
+        moveFrameAllLayers(from - 1, to - 1);
+    });
+    
+    document.getElementById('modalCancelBtn').style.display = 'block';
+    document.getElementById('modalConfirmBtn').textContent = 'Move';
+}
+
+function setupFrameOpsPanel() {
+    const panel = document.getElementById('frameOpsPanel');
+    const toggleBtn = document.getElementById('frameOpsBtn');
+    const hidePanel = () => {
+        panel.style.display = 'none';
+        toggleBtn.classList.remove('active');
+    };
+    
+    toggleBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const isVisible = panel.style.display !== 'none';
+        panel.style.display = isVisible ? 'none' : 'flex';
+        toggleBtn.classList.toggle('active', !isVisible);
+    });
+    
+    document.addEventListener('click', (e) => {
+        if (panel.style.display !== 'none' &&
+            !panel.contains(e.target) &&
+            !toggleBtn.contains(e.target)) {
+            hidePanel();
         }
-        
-        const now = Date.now();
-        const elapsed = now - lastFrameTime;
-        
-        // Only advance frame if enough time has passed
-        if (elapsed >= frameDelay) {
-            lastFrameTime = now;
-            
-            // Advance frame
-            state.currentFrameIndex = (state.currentFrameIndex + 1) % state.maxFrames;
-            
-            // Update display
-            try {
-                renderFrame();
-                updateFrameList();
-                updateFrameCounter();
-            } catch (err) {
-                console.error('Playback render error:', err);
-                stopPlayback();
+    });
+    
+    panel.addEventListener('click', (e) => {
+        const item = e.target.closest('.frame-ops-item');
+        if (!item) return;
+        hidePanel();
+        if (state.isPlaying) stopPlayback();
+        const action = item.dataset.action;
+        if (action === 'insert') insertFrameAllLayers();
+        if (action === 'delete') deleteFrameAllLayers();
+        if (action === 'move') showMoveFrameAllLayersDialog();
+        if (action === 'duration') showFrameDurationDialog();
+        if (action === 'retime') showRetimeDialog();
+    });
+}
+
+// ==================== FRAME TIMING ====================
+// Frames last 1000 / fps milliseconds unless state.frameDurations overrides them. Durations belong
+// to the shot's timeline, not to a layer: all-layer frame edits carry them along, single-layer
+// edits leave them where they are. The time math lives in render-core.js (TIMING) and the
+// duration limits in project-schema.js.
+
+const RETIME_SPACINGS = {
+    linear: 'Even',
+    easeIn: 'Ease In (slow start)',
+    easeOut: 'Ease Out (slow end)',
+    easeInOut: 'Ease In/Out'
+};
+
+// Run an array edit (splice) over the overrides so they follow frames that moved
+function editFrameDurations(edit) {
+    const durations = state.frameDurations;
+    if (Object.keys(durations).length === 0) return;
+    const list = [];
+    Object.keys(durations).forEach(key => { list[Number(key)] = durations[key]; });
+    edit(list);
+    state.frameDurations = {};
+    list.forEach((ms, i) => {
+        if (ms !== undefined) state.frameDurations[i] = ms;
+    });
+}
+
+function moveFrameDuration(fromIndex, toIndex) {
+    editFrameDurations(list => {
+        list.length = Math.max(list.length, fromIndex + 1, toIndex + 1);
+        list.splice(toIndex, 0, list.splice(fromIndex, 1)[0]);
+    });
+}
+
+// "seconds:frames" at the start of a frame, counting frames at the project's fps
+function formatFrameTime(frameIndex) {
+    const time = getFrameStartTime(state, frameIndex);
+    const seconds = Math.floor(time / 1000 + 1e-9);
+    const frames = Math.floor((time - seconds * 1000) * state.fps / 1000 + 1e-9);
+    return `${seconds}:${String(frames).padStart(2, '0')}`;
+}
+
+// Time (0-1) at which an easing curve reaches `progress`
+function invertEasing(easing, progress) {
+    let low = 0;
+    let high = 1;
+    for (let i = 0; i < 30; i++) {
+        const mid = (low + high) / 2;
+        if (easing(mid) < progress) low = mid;
+        else high = mid;
+    }
+    return (low + high) / 2;
+}
+
+// Whole-millisecond durations for `count` frames over `total` ms. Each frame covers an equal
+// step of the motion, so eased spacing holds the frames near the slow end longer.
+function getRetimeDurations(count, total, spacing) {
+    const easing = getTweenEasing({ easing: spacing });
+    const durations = [];
+    let previous = 0;
+    for (let i = 1; i <= count; i++) {
+        const end = i === count ? total : Math.round(invertEasing(easing, i / count) * total);
+        durations.push(end - previous);
+        previous = end;
+    }
+    return durations;
+}
+
+function finishTimingEdit() {
+    if (state.isPlaying) {
+        stopPlayback();
+        startPlayback();
+    }
+    updateScrubBar();
+    saveProject();
+}
+
+function showFrameDurationDialog() {
+    const index = state.currentFrameIndex;
+    const override = state.frameDurations[index];
+    const fpsDuration = Math.round(1000 / state.fps);
+    const bodyHTML = `
+        <div class="modal-input-group">
+            <label>Frame ${index + 1} duration (ms)</label>
+            <input type="number" id="frameDurationInput" value="${override !== undefined ? override : ''}" placeholder="${fpsDuration}" min="${FRAME_DURATION_MIN}" max="${FRAME_DURATION_MAX}">
+        </div>
+        <p class="modal-message">Leave empty to use the frame rate (${fpsDuration} ms at ${state.fps} fps).</p>
+    `;
+    
+    openModal('Frame Duration', bodyHTML, () => {
+        const value = document.getElementById('frameDurationInput').value.trim();
+        const ms = value === '' ? null : parseFloat(value);
+        if (ms !== null && !(ms >= FRAME_DURATION_MIN && ms <= FRAME_DURATION_MAX)) {
+            showAlert(`Enter a duration from ${FRAME_DURATION_MIN} to ${FRAME_DURATION_MAX} ms, or leave it empty.`, 'Invalid Duration');
+            return;
+        }
+        closeModal();
+        if (ms === override || (ms === null && override === undefined)) return;
+        saveStateForUndo('Frame duration', 'settings');
+        if (ms === null) {
+            delete state.frameDurations[index];
+        } else {
+            state.frameDurations[index] = ms;
+        }
+        finishTimingEdit();
+    });
+    
+    document.getElementById('modalCancelBtn').style.display = 'block';
+    document.getElementById('modalConfirmBtn').textContent = 'Apply';
+}
+
+// Spread a frame range over a total time with even or eased spacing. Opens on the X-sheet
+// selection when there is one.
+function showRetimeDialog() {
+    const sel = state.xsheet.visible ? state.xsheet.selection : null;
+    const from = sel ? sel.from : state.currentFrameIndex;
+    const to = sel && sel.to > sel.from ? sel.to : Math.min(state.maxFrames - 1, from + 5);
+    const total = Math.round(getFrameStartTime(state, to + 1) - getFrameStartTime(state, from));
+    
+    const bodyHTML = `
+        <div class="modal-input-row">
+            <div class="modal-input-group">
+                <label>From frame</label>
+                <input type="number" id="retimeFrom" value="${from + 1}" min="1" max="${state.maxFrames}">
+            </div>
+            <div class="modal-input-group">
+                <label>To frame</label>
+                <input type="number" id="retimeTo" value="${to + 1}" min="1" max="${state.maxFrames}">
+            </div>
+            <div class="modal-input-group">
+                <label>Total (ms)</label>
+                <input type="number" id="retimeTotal" value="${total}" min="${FRAME_DURATION_MIN}">
+            </div>
+        </div>
+        <div class="modal-input-group">
+            <label>Spacing</label>
+            <select id="retimeSpacing">
+                ${Object.keys(RETIME_SPACINGS).map(key => `<option value="${key}">${RETIME_SPACINGS[key]}</option>`).join('')}
+            </select>
+        </div>
+        <div class="spacing-chart" id="retimeChart"></div>
+        <p class="modal-message spacing-chart-error" id="retimeError"></p>
+        <button type="button" class="modal-btn secondary modal-inline-btn" id="retimeResetBtn">Reset Range to Frame Rate</button>
+    `;
+    
+    // Frame range and durations from the inputs, or an error message
+    const readInputs = () => {
+        const first = parseInt(document.getElementById('retimeFrom').value) - 1;
+        const last = parseInt(document.getElementById('retimeTo').value) - 1;
+        const ms = Math.round(parseFloat(document.getElementById('retimeTotal').value));
+        if (!(first >= 0 && last >= first && last < state.maxFrames)) {
+            return { error: `Enter a frame range from 1 to ${state.maxFrames}.` };
+        }
+        const count = last - first + 1;
+        const durations = ms > 0 ? getRetimeDurations(count, ms, document.getElementById('retimeSpacing').value) : [];
+        if (!(ms > 0) || durations.some(d => d < FRAME_DURATION_MIN || d > FRAME_DURATION_MAX)) {
+            return { error: `Every frame needs ${FRAME_DURATION_MIN} to ${FRAME_DURATION_MAX} ms; change the total or the range.` };
+        }
+        return { first: first, last: last, durations: durations };
+    };
+    
+    // Spacing chart: one tick per frame at the time it starts
+    const updateChart = () => {
+        const chart = document.getElementById('retimeChart');
+        const result = readInputs();
+        document.getElementById('retimeError').textContent = result.error || '';
+        if (result.error) {
+            chart.innerHTML = '';
+            return;
+        }
+        const length = result.durations.reduce((sum, d) => sum + d, 0);
+        let time = 0;
+        chart.innerHTML = result.durations.map((d, i) => {
+            const left = time / length * 100;
+            time += d;
+            return `<span class="spacing-tick" style="left: ${left}%" title="Frame ${result.first + i + 1}: ${d} ms"></span>`;
+        }).join('') + '<span class="spacing-tick end" style="left: 100%"></span>';
+    };
+    
+    openModal('Retime Frames', bodyHTML, () => {
+        const result = readInputs();
+        if (result.error) return;
+        closeModal();
+        saveStateForUndo('Retime frames', 'settings');
+        result.durations.forEach((ms, i) => {
+            state.frameDurations[result.first + i] = ms;
+        });
+        finishTimingEdit();
+    });
+    
+    ['retimeFrom', 'retimeTo', 'retimeTotal', 'retimeSpacing'].forEach(id => {
+        document.getElementById(id).addEventListener('input', updateChart);
+    });
+    document.getElementById('retimeResetBtn').addEventListener('click', () => {
+        const first = parseInt(document.getElementById('retimeFrom').value) - 1;
+        const last = parseInt(document.getElementById('retimeTo').value) - 1;
+        if (!(first >= 0 && last >= first)) return;
+        closeModal();
+        saveStateForUndo('Reset frame timing', 'settings');
+        for (let i = first; i <= last; i++) delete state.frameDurations[i];
+        finishTimingEdit();
+    });
+    updateChart();
+    
+    document.getElementById('modalCancelBtn').style.display = 'block';
+    document.getElementById('modalConfirmBtn').textContent = 'Retime';
+}
+
+// ==================== TWEENING ====================
+// Two frames on a layer can be marked as keys (`frame.key`). The first key
+// stores the tween settings in `frame.tween`; the frames between the keys are
+// generated (`frame.tweenGenerated`) and can be rebuilt at any time.
+// The easing presets (TWEEN_EASINGS) are in project-schema.js.
+
+// Cubic-bezier timing function like CSS `cubic-bezier(x1, y1, x2, y2)`
+function cubicBezierEasing(x1, y1, x2, y2) {
+    const bez = (a, b, t) => 3 * a * t * (1 - t) * (1 - t) + 3 * b * t * t * (1 - t) + t * t * t;
+    return (x) => {
+        if (x <= 0) return 0;
+        if (x >= 1) return 1;
+        // Bisection on x(t); monotonic for x1, x2 in [0, 1]
+        let lo = 0, hi = 1, t = x;
+        for (let i = 0; i < 40; i++) {
+            t = (lo + hi) / 2;
+            if (bez(x1, x2, t) < x) lo = t; else hi = t;
+        }
+        return bez(y1, y2, t);
+    };
+}
+
+function getTweenEasing(tween) {
+    if (tween.easing === 'custom' && Array.isArray(tween.bezier) && tween.bezier.length === 4) {
+        return cubicBezierEasing(...tween.bezier);
+    }
+    const curve = TWEEN_EASINGS[tween.easing];
+    return curve ? cubicBezierEasing(...curve) : (t) => t;
+}
+
+// Evenly respace a polyline to exactly `count` points by arc length
+function resamplePolyline(points, count, closed) {
+    const pts = closed ? points.concat([points[0]]) : points;
+    const lengths = [0];
+    for (let i = 1; i < pts.length; i++) {
+        lengths.push(lengths[i - 1] + Math.hypot(pts[i].x - pts[i - 1].x, pts[i].y - pts[i - 1].y));
+    }
+    const total = lengths[lengths.length - 1];
+    if (total === 0) return Array.from({ length: count }, () => ({ x: pts[0].x, y: pts[0].y }));
+    
+    const result = [];
+    const divisions = closed ? count : count - 1;
+    let seg = 1;
+    for (let i = 0; i < count; i++) {
+        const target = total * i / divisions;
+        while (seg < pts.length - 1 && lengths[seg] < target) seg++;
+        const segLen = lengths[seg] - lengths[seg - 1] || 1;
+        const k = (target - lengths[seg - 1]) / segLen;
+        result.push({
+            x: pts[seg - 1].x + (pts[seg].x - pts[seg - 1].x) * k,
+            y: pts[seg - 1].y + (pts[seg].y - pts[seg - 1].y) * k
+        });
+    }
+    return result;
+}
+
+// For closed outlines, rotate and/or reverse B so its points line up with A
+function alignClosedPoints(a, b) {
+    const n = a.length;
+    let best = { cost: Infinity, points: b };
+    for (const candidate of [b, b.slice().reverse()]) {
+        const stride = Math.max(1, Math.floor(n / 64));
+        for (let offset = 0; offset < n; offset += stride) {
+            let cost = 0;
+            for (let i = 0; i < n; i += stride) {
+                const p = candidate[(i + offset) % n];
+                cost += (p.x - a[i].x) * (p.x - a[i].x) + (p.y - a[i].y) * (p.y - a[i].y);
+            }
+            if (cost < best.cost) {
+                best = { cost, points: candidate.slice(offset).concat(candidate.slice(0, offset)) };
+            }
+        }
+    }
+    return best.points;
+}
+
+// Build point-matched subpath pairs for two paths
+function prepareTweenPair(pathA, pathB) {
+    const subsA = flattenPathD(pathA.d, 2);
+    const subsB = flattenPathD(pathB.d, 2);
+    const count = Math.max(subsA.length, subsB.length);
+    const pairs = [];
+    
+    for (let i = 0; i < count; i++) {
+        // A missing subpath grows out of (or shrinks into) the last point of the other path
+        const subA = subsA[i] || { points: [subsA[subsA.length - 1].points.slice(-1)[0]], closed: subsB[i].closed };
+        const subB = subsB[i] || { points: [subsB[subsB.length - 1].points.slice(-1)[0]], closed: subsA[i].closed };
+        const closed = subA.closed && subB.closed;
+        const n = Math.max(8, Math.min(400, Math.max(subA.points.length, subB.points.length)));
+        const ptsA = resamplePolyline(subA.points, n, closed);
+        let ptsB = resamplePolyline(subB.points, n, closed);
+        if (closed) ptsB = alignClosedPoints(ptsA, ptsB);
+        pairs.push({ a: ptsA, b: ptsB, closed: closed });
+    }
+    return pairs;
+}
+
+function parseTweenColor(color) {
+    if (!color || color === 'none') return null;
+    let hex = color.trim();
+    if (/^#[0-9a-f]{3}$/i.test(hex)) {
+        hex = '#' + hex[1] + hex[1] + hex[2] + hex[2] + hex[3] + hex[3];
+    }
+    if (!/^#[0-9a-f]{6}$/i.test(hex)) return null;
+    return [parseInt(hex.slice(1, 3), 16), parseInt(hex.slice(3, 5), 16), parseInt(hex.slice(5, 7), 16)];
+}
+
+function lerpTweenColor(a, b, t) {
+    if (a === b) return a;
+    const ca = parseTweenColor(a);
+    const cb = parseTweenColor(b);
+    // 'none' or named colours can't be blended; switch halfway
+    if (!ca || !cb) return t < 0.5 ? (a && a !== 'none' ? a : b) : (b && b !== 'none' ? b : a);
+    const c = ca.map((v, i) => Math.round(v + (cb[i] - v) * t));
+    return '#' + c.map(v => v.toString(16).padStart(2, '0')).join('');
+}
+
+function interpolatePathPair(pathA, pathB, pairs, t) {
+    const fmt = (n) => Math.round(n * 100) / 100;
+    let d = '';
+    for (const pair of pairs) {
+        const pts = pair.a.map((p, i) => ({
+            x: p.x + (pair.b[i].x - p.x) * t,
+            y: p.y + (pair.b[i].y - p.y) * t
+        }));
+        d += (d ? ' ' : '') + 'M ' + fmt(pts[0].x) + ' ' + fmt(pts[0].y);
+        for (let i = 1; i < pts.length; i++) d += ' L ' + fmt(pts[i].x) + ' ' + fmt(pts[i].y);
+        if (pair.closed) d += ' Z';
+    }
+    
+    const widthA = parseFloat(pathA.strokeWidth) || 0;
+    const widthB = parseFloat(pathB.strokeWidth) || 0;
+    const opacityA = pathA.opacity !== undefined ? pathA.opacity : 1;
+    const opacityB = pathB.opacity !== undefined ? pathB.opacity : 1;
+    const result = {
+        d: d,
+        stroke: lerpTweenColor(pathA.stroke, pathB.stroke, t),
+        strokeWidth: fmt(widthA + (widthB - widthA) * t),
+        fill: lerpTweenColor(pathA.fill || 'none', pathB.fill || 'none', t),
+        tool: 'pen'
+    };
+    const opacity = opacityA + (opacityB - opacityA) * t;
+    if (opacity < 1) result.opacity = Math.round(opacity * 1000) / 1000;
+    const fillRule = t < 0.5 ? pathA.fillRule : pathB.fillRule;
+    if (fillRule) result.fillRule = fillRule;
+    if (pathA.tweenId) result.tweenId = pathA.tweenId;
+    return result;
+}
+
+// Pair up the paths of two key frames. Unmatched paths fade in or out in place.
+function matchTweenPaths(pathsA, pathsB, mode) {
+    const usable = (p) => p.d && p.tool !== 'eraser';
+    const a = pathsA.filter(usable);
+    const b = pathsB.filter(usable);
+    const matches = [];
+    const fade = (path) => ({ ...path, opacity: 0 });
+    
+    if (mode === 'id') {
+        const usedB = new Set();
+        a.forEach(pathA => {
+            const j = pathA.tweenId ? b.findIndex((pathB, idx) => !usedB.has(idx) && pathB.tweenId === pathA.tweenId) : -1;
+            if (j >= 0) {
+                usedB.add(j);
+                matches.push([pathA, b[j]]);
+            } else {
+                matches.push([pathA, fade(pathA)]);
+            }
+        });
+        b.forEach((pathB, idx) => {
+            if (!usedB.has(idx)) matches.push([fade(pathB), pathB]);
+        });
+    } else {
+        const count = Math.max(a.length, b.length);
+        for (let i = 0; i < count; i++) {
+            if (a[i] && b[i]) matches.push([a[i], b[i]]);
+            else if (a[i]) matches.push([a[i], fade(a[i])]);
+            else matches.push([fade(b[i]), b[i]]);
+        }
+    }
+    return matches;
+}
+
+function buildTweenFrames(keyA, keyB, tween) {
+    const easing = getTweenEasing(tween);
+    const matches = matchTweenPaths(keyA.paths, keyB.paths, tween.match).map(([pathA, pathB]) => ({
+        pathA, pathB, pairs: prepareTweenPair(pathA, pathB)
+    }));
+    
+    const frames = [];
+    for (let i = 1; i <= tween.inbetweens; i++) {
+        const t = easing(i / (tween.inbetweens + 1));
+        frames.push({
+            paths: matches
+                .map(m => interpolatePathPair(m.pathA, m.pathB, m.pairs, t))
+                .filter(p => p.opacity === undefined || p.opacity > 0.001),
+            tweenGenerated: true
+        });
+    }
+    return frames;
+}
+
+// Index of the key that ends the tween starting at `startIndex`
+function findTweenEndKey(layer, startIndex) {
+    for (let i = startIndex + 1; i < layer.frames.length; i++) {
+        if (layer.frames[i].key) return i;
+        if (!layer.frames[i].tweenGenerated) return -1;
+    }
+    return -1;
+}
+
+// Replace the frames between two keys with freshly generated in-betweens
+function applyTween(layer, startIndex, endIndex, tween) {
+    const keyA = layer.frames[startIndex];
+    const keyB = layer.frames[endIndex];
+    const generated = buildTweenFrames(keyA, keyB, tween);
+    
+    const removeCount = endIndex - startIndex - 1;
+    layer.frames.splice(startIndex + 1, removeCount, ...generated);
+    
+    keyA.key = true;
+    keyA.tween = { ...tween };
+    keyB.key = true;
+    return startIndex + 1 + generated.length;
+}
+
+function regenerateTween(layer, startIndex) {
+    const keyA = layer.frames[startIndex];
+    if (!keyA || !keyA.tween) return false;
+    const endIndex = findTweenEndKey(layer, startIndex);
+    if (endIndex < 0) return false;
+    applyTween(layer, startIndex, endIndex, keyA.tween);
+    return true;
+}
+
+function removeTween(layer, startIndex) {
+    const keyA = layer.frames[startIndex];
+    if (!keyA || !keyA.tween) return;
+    const endIndex = findTweenEndKey(layer, startIndex);
+    if (endIndex >= 0) {
+        const removeCount = endIndex - startIndex - 1;
+        layer.frames.splice(startIndex + 1, removeCount);
+        // The end key stays a key only if it starts a tween of its own
+        const keyB = layer.frames[startIndex + 1];
+        if (keyB && !keyB.tween) delete keyB.key;
+    }
+    delete keyA.tween;
+    // The start key stays a key only if a tween ends on it
+    const prev = startIndex > 0 ? findTweenStartKey(layer, startIndex) : -1;
+    if (prev < 0) delete keyA.key;
+}
+
+// Index of the key whose tween ends at `endIndex`, or -1
+function findTweenStartKey(layer, endIndex) {
+    for (let i = endIndex - 1; i >= 0; i--) {
+        const frame = layer.frames[i];
+        if (frame.key) return frame.tween ? i : -1;
+        if (!frame.tweenGenerated) return -1;
+    }
+    return -1;
+}
+
+// Called after the drawing on the current frame changed
+function refreshTweensForCurrentFrame() {
+    const layer = getCurrentLayer();
+    if (!layer || layer.isBackground) return;
+    const drawingIndex = getDrawingIndex(layer, state.currentFrameIndex);
+    const frame = layer.frames[drawingIndex];
+    if (!frame || (!frame.key && !frame.motionTweens)) return;
+    if (frame.key) {
+        regenerateTweensAround(layer, drawingIndex);
+    }
+    if (frame.motionTweens) {
+        frame.motionTweens.forEach(tween => applyMotionTween(layer, drawingIndex, tween));
+    }
+    updateMaxFrames();
+}
+
+// Rebuild the in-betweens on both sides of a key after its drawing changed
+function regenerateTweensAround(layer, frameIndex) {
+    const frame = layer.frames[frameIndex];
+    if (!frame || !frame.key) return;
+    const start = findTweenStartKey(layer, frameIndex);
+    let index = frameIndex;
+    if (start >= 0) {
+        const before = layer.frames.length;
+        regenerateTween(layer, start);
+        index += layer.frames.length - before;
+    }
+    regenerateTween(layer, index);
+}
+
+function showTweenDialog() {
+    const layer = getCurrentLayer();
+    if (!layer || layer.isBackground) {
+        showAlert('Tweens can only be created on animation layers.', 'Tween');
+        return;
+    }
+    
+    // Tweens work on drawings; frame numbers in the dialog are timeline frames.
+    // Open on the tween the current drawing belongs to, if any
+    const currentIndex = getDrawingIndex(layer, state.currentFrameIndex);
+    let startIndex = currentIndex;
+    const current = layer.frames[startIndex];
+    if (current && current.tweenGenerated) {
+        startIndex = findTweenStartKey(layer, startIndex + 1);
+        if (startIndex < 0) startIndex = currentIndex;
+    }
+    const startFrame = layer.frames[startIndex];
+    if (!startFrame) {
+        showAlert('Select a drawn frame to tween from.', 'Tween');
+        return;
+    }
+    
+    const existing = startFrame.tween;
+    const existingEnd = existing ? findTweenEndKey(layer, startIndex) : -1;
+    // Default to the next drawing
+    const endIndex = existingEnd >= 0 ? existingEnd : startIndex + 1;
+    const startFrameNumber = getDrawingStart(layer, startIndex) + 1;
+    const settings = existing || { inbetweens: 3, easing: 'linear', bezier: [0.25, 0.1, 0.25, 1], match: 'index' };
+    const bezier = settings.bezier || [0.25, 0.1, 0.25, 1];
+    
+    const bodyHTML = `
+        <div class="modal-input-row">
+            <div class="modal-input-group">
+                <label>From Key Frame</label>
+                <input type="number" value="${startFrameNumber}" disabled>
+            </div>
+            <div class="modal-input-group">
+                <label>To Key Frame</label>
+                <input type="number" id="tweenEndInput" value="${getDrawingStart(layer, endIndex) + 1}" min="${startFrameNumber + 1}" max="${getLayerLength(layer)}" ${existing ? 'disabled' : ''}>
+            </div>
+            <div class="modal-input-group">
+                <label>In-betweens</label>
+                <input type="number" id="tweenCountInput" value="${settings.inbetweens}" min="1" max="120">
+            </div>
+        </div>
+        <div class="modal-input-row">
+            <div class="modal-input-group">
+                <label>Easing</label>
+                <select id="tweenEasingInput">
+                    <option value="linear">Linear</option>
+                    <option value="easeIn">Ease In</option>
+                    <option value="easeOut">Ease Out</option>
+                    <option value="easeInOut">Ease In/Out</option>
+                    <option value="custom">Custom Bezier</option>
+                </select>
+            </div>
+            <div class="modal-input-group">
+                <label>Match Paths By</label>
+                <select id="tweenMatchInput">
+                    <option value="index">Drawing Order</option>
+                    <option value="id">Tween ID</option>
+                </select>
+            </div>
+        </div>
+        <div class="modal-input-group" id="tweenBezierGroup">
+            <label>Custom Bezier (x1, y1, x2, y2)</label>
+            <input type="text" id="tweenBezierInput" value="${bezier.join(', ')}">
+        </div>
+        ${existing ? '<button type="button" class="modal-btn secondary modal-inline-btn" id="tweenRemoveBtn">Remove Tween</button>' : ''}
+    `;
+    
+    openModal(existing ? 'Update Tween' : 'Create Tween', bodyHTML, () => {
+        const count = Math.max(1, Math.min(120, parseInt(document.getElementById('tweenCountInput').value) || 1));
+        const easing = document.getElementById('tweenEasingInput').value;
+        const match = document.getElementById('tweenMatchInput').value;
+        let customBezier = bezier;
+        if (easing === 'custom') {
+            const values = document.getElementById('tweenBezierInput').value.split(/[\s,]+/).filter(Boolean).map(Number);
+            if (values.length !== 4 || values.some(isNaN) || values[0] < 0 || values[0] > 1 || values[2] < 0 || values[2] > 1) {
+                showAlert('Enter four numbers for the bezier curve; x1 and x2 must be between 0 and 1.', 'Invalid Easing');
                 return;
             }
+            customBezier = values;
         }
         
-        // Continue loop ONLY if still playing
-        if (state.isPlaying) {
-            state.playInterval = requestAnimationFrame(playbackLoop);
-        } else {
+        const endFrame = (parseInt(document.getElementById('tweenEndInput').value) || 0) - 1;
+        const end = existing ? existingEnd : getDrawingIndex(layer, endFrame);
+        if (end <= startIndex) {
+            showAlert('The end key must be a later frame on this layer.', 'Invalid Key Frame');
+            return;
+        }
+        if (!existing && getDrawingStart(layer, end) !== endFrame) {
+            showAlert('The end key cannot be a held frame.', 'Invalid Key Frame');
+            return;
+        }
+        // Only empty or generated drawings may be replaced
+        for (let i = startIndex + 1; i < end; i++) {
+            const frame = layer.frames[i];
+            if (!frame.tweenGenerated && (frame.paths.length > 0 || frame.referenceImage)) {
+                showAlert(`Frame ${getDrawingStart(layer, i) + 1} has its own drawing. Tweens can only replace empty frames.`, 'Frames In The Way');
+                return;
+            }
         }
+        
+        const tween = { inbetweens: count, easing: easing, bezier: customBezier, match: match };
+        saveStateForUndo(existing ? 'Update tween' : 'Create tween', 'layer');
+        const nextIndex = applyTween(layer, startIndex, end, tween);
+        state.currentFrameIndex = Math.min(state.currentFrameIndex, getDrawingStart(layer, nextIndex));
+        closeModal();
+        updateMaxFrames();
+        updateFrameList();
+        updateFrameCounter();
+        renderFrame();
+        saveProject();
+    });
+    
+    document.getElementById('tweenEasingInput').value = settings.easing;
+    document.getElementById('tweenMatchInput').value = settings.match;
+    const bezierGroup = document.getElementById('tweenBezierGroup');
+    const syncBezier = () => {
+        bezierGroup.style.display = document.getElementById('tweenEasingInput').value === 'custom' ? '' : 'none';
     };
+    document.getElementById('tweenEasingInput').addEventListener('change', syncBezier);
+    syncBezier();
+    
+    if (existing) {
+        document.getElementById('tweenRemoveBtn').addEventListener('click', () => {
+            saveStateForUndo('Remove tween', 'layer');
+            removeTween(layer, startIndex);
+            state.currentFrameIndex = Math.min(getDrawingStart(layer, startIndex), getLayerLength(layer) - 1);
+            closeModal();
+            updateMaxFrames();
+            updateFrameList();
+            updateFrameCounter();
+            renderFrame();
+            saveProject();
+        });
+    }
+    document.getElementById('modalCancelBtn').style.display = 'block';
+    document.getElementById('modalConfirmBtn').textContent = existing ? 'Regenerate' : 'Create';
+}
+
+// Assign a tween ID to the selected paths so they pair up across keys
+function showTweenIdDialog() {
+    const frame = getSelectionFrame();
+    const sel = state.selection;
+    if (!frame || sel.indices.length === 0) return;
+    const first = frame.paths[sel.indices[0]];
     
-    // Start the loop
-    state.playInterval = requestAnimationFrame(playbackLoop);
+    openModal('Tween ID', `
+        <div class="modal-input-group">
+            <label>ID shared by matching paths on both key frames</label>
+            <input type="text" id="tweenIdInput" value="${first && first.tweenId ? first.tweenId : ''}" placeholder="e.g. arm">
+        </div>
+    `, () => {
+        const id = document.getElementById('tweenIdInput').value.trim();
+        saveStateForUndo('Set tween ID');
+        sel.indices.forEach(i => {
+            if (!frame.paths[i]) return;
+            if (id) frame.paths[i].tweenId = id;
+            else delete frame.paths[i].tweenId;
+        });
+        closeModal();
+        saveProject();
+    });
+    
+    document.getElementById('modalCancelBtn').style.display = 'block';
+    document.getElementById('modalConfirmBtn').textContent = 'Apply';
 }
 
-function stopPlayback() {
+// ==================== MOTION TWEENS ====================
+// A motion tween moves a set of paths on frame A through a transform
+// (translate / rotate / scale around a pivot, or along a guide stroke) over
+// the following frames. The tween is stored on frame A in `frame.motionTweens`;
+// the source paths carry `motionTweenId` + `motionSource`, and the generated
+// copies on later frames carry only `motionTweenId` so they can be rebuilt.
+
+function createMotionTweenId() {
+    return 'mt-' + Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 6);
+}
+
+// Sampler for a guide stroke: returns {x, y, angle} at 0..1 along its length
+function createGuideSampler(guideD) {
+    const tempPath = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+    tempPath.setAttribute('d', guideD);
+    svg.appendChild(tempPath);
+    const total = tempPath.getTotalLength();
+    const samples = [];
+    const steps = Math.max(2, Math.ceil(total / 2));
+    for (let i = 0; i <= steps; i++) {
+        const pt = tempPath.getPointAtLength(total * i / steps);
+        samples.push({ x: pt.x, y: pt.y });
+    }
+    svg.removeChild(tempPath);
     
-    // CRITICAL: Set state FIRST before anything else
-    const wasPlaying = state.isPlaying;
-    state.isPlaying = false;
+    return (t) => {
+        const pos = Math.max(0, Math.min(1, t)) * steps;
+        const i = Math.min(steps - 1, Math.floor(pos));
+        const k = pos - i;
+        const a = samples[i];
+        const b = samples[i + 1];
+        return {
+            x: a.x + (b.x - a.x) * k,
+            y: a.y + (b.y - a.y) * k,
+            angle: Math.atan2(b.y - a.y, b.x - a.x) * 180 / Math.PI
+        };
+    };
+}
+
+// Transform at eased progress t (0..1) for a tween record
+function getMotionTweenTransform(tween, t, guide) {
+    const transform = {
+        translateX: tween.translateX * t,
+        translateY: tween.translateY * t,
+        rotation: tween.rotation * t,
+        scaleX: 1 + (tween.scaleX - 1) * t,
+        scaleY: 1 + (tween.scaleY - 1) * t,
+        originX: tween.pivotX,
+        originY: tween.pivotY
+    };
+    if (guide) {
+        const start = guide(0);
+        const here = guide(t);
+        transform.translateX = here.x - start.x;
+        transform.translateY = here.y - start.y;
+        if (tween.orientToGuide) {
+            transform.rotation += here.angle - start.angle;
+        }
+    }
+    return transform;
+}
+
+function transformPathDataForTween(source, transform, tweenId) {
+    const copy = JSON.parse(JSON.stringify(source));
+    copy.d = transformPathD(source.d, transform);
+    if (source.strokeWidth) {
+        const avgScale = (Math.abs(transform.scaleX) + Math.abs(transform.scaleY)) / 2;
+        copy.strokeWidth = Math.round(parseFloat(source.strokeWidth) * avgScale * 100) / 100;
+    }
+    updateShapeAfterTransform(copy, source, transform);
+    delete copy.motionSource;
+    copy.motionTweenId = tweenId;
+    return copy;
+}
+
+// Rebuild the generated copies of one motion tween on the drawings after `startIndex`
+function applyMotionTween(layer, startIndex, tween) {
+    const startFrame = layer.frames[startIndex];
+    const sources = startFrame.paths.filter(p => p.motionTweenId === tween.id && p.motionSource);
+    const easing = getTweenEasing(tween);
+    const guide = tween.guide ? createGuideSampler(tween.guide) : null;
     
-    // Force clear interval/animation frame with multiple attempts
-    if (state.playInterval) {
-        try {
-            cancelAnimationFrame(state.playInterval);
-        } catch (err) {
-            console.error('Error canceling animation frame:', err);
+    // Make sure the end drawing exists
+    while (layer.frames.length <= startIndex + tween.endOffset) {
+        layer.frames.push({ paths: [] });
+    }
+    
+    for (let step = 1; step <= tween.endOffset; step++) {
+        const frame = layer.frames[startIndex + step];
+        frame.paths = frame.paths.filter(p => p.motionTweenId !== tween.id);
+        const transform = getMotionTweenTransform(tween, easing(step / tween.endOffset), guide);
+        sources.forEach(source => frame.paths.push(transformPathDataForTween(source, transform, tween.id)));
+    }
+}
+
+function removeMotionTween(layer, startIndex, tweenId) {
+    const startFrame = layer.frames[startIndex];
+    if (!startFrame || !startFrame.motionTweens) return;
+    const tween = startFrame.motionTweens.find(t => t.id === tweenId);
+    if (!tween) return;
+    
+    for (let step = 1; step <= tween.endOffset; step++) {
+        const frame = layer.frames[startIndex + step];
+        if (frame) frame.paths = frame.paths.filter(p => p.motionTweenId !== tweenId);
+    }
+    startFrame.paths.forEach(p => {
+        if (p.motionTweenId === tweenId) {
+            delete p.motionTweenId;
+            delete p.motionSource;
         }
-        state.playInterval = null;
+    });
+    startFrame.motionTweens = startFrame.motionTweens.filter(t => t.id !== tweenId);
+    if (startFrame.motionTweens.length === 0) delete startFrame.motionTweens;
+}
+
+// Find the start drawing of the tween a generated path belongs to
+function findMotionTweenStart(layer, tweenId) {
+    return layer.frames.findIndex(f => f.motionTweens && f.motionTweens.some(t => t.id === tweenId));
+}
+
+function showMotionTweenDialog() {
+    const layer = getCurrentLayer();
+    const frame = getSelectionFrame();
+    const sel = state.selection;
+    if (!layer || layer.isBackground || !frame) {
+        showAlert('Motion tweens can only be created on animation layers.', 'Motion Tween');
+        return;
+    }
+    if (state.tool !== 'select' || sel.indices.length === 0) {
+        showAlert('Select the paths to animate with the Select tool first.', 'Motion Tween');
+        return;
     }
     
-    // Additional cleanup: clear any lingering intervals (belt and suspenders)
-    if (wasPlaying) {
-        // Force stop any possible interval that might be running
-        for (let i = 1; i < 9999; i++) {
-            window.clearInterval(i);
+    const selected = sel.indices.map(i => frame.paths[i]).filter(Boolean);
+    const generated = selected.find(p => p.motionTweenId && !p.motionSource);
+    if (generated) {
+        const start = findMotionTweenStart(layer, generated.motionTweenId);
+        showAlert(`This path is generated by a motion tween. Edit it from frame ${getDrawingStart(layer, start) + 1}.`, 'Motion Tween');
+        return;
+    }
+    
+    // Editing an existing tween if the selection contains one of its sources
+    const existingId = (selected.find(p => p.motionTweenId) || {}).motionTweenId;
+    const existing = existingId && frame.motionTweens ? frame.motionTweens.find(t => t.id === existingId) : null;
+    const pivot = existing ? { x: existing.pivotX, y: existing.pivotY } : getSelectionAnchor();
+    const settings = existing || {
+        endOffset: 6, translateX: 0, translateY: 0, rotation: 0, scaleX: 1, scaleY: 1,
+        easing: 'linear', bezier: [0.25, 0.1, 0.25, 1], guide: null, orientToGuide: false
+    };
+    // The tween steps one drawing per frame after the last frame this drawing is exposed on
+    const drawingIndex = getDrawingIndex(layer, state.currentFrameIndex);
+    const lastFrame = getDrawingStart(layer, drawingIndex) + getExposure(frame) - 1;
+    const lastSelected = selected[selected.length - 1];
+    const canUseGuide = !existing && selected.length > 1 && lastSelected.stroke && lastSelected.stroke !== 'none';
+    
+    const bodyHTML = `
+        <div class="modal-input-row">
+            <div class="modal-input-group">
+                <label>End Frame</label>
+                <input type="number" id="motionEndInput" value="${lastFrame + 1 + settings.endOffset}" min="${lastFrame + 2}">
+            </div>
+            <div class="modal-input-group">
+                <label>Easing</label>
+                <select id="motionEasingInput">
+                    <option value="linear">Linear</option>
+                    <option value="easeIn">Ease In</option>
+                    <option value="easeOut">Ease Out</option>
+                    <option value="easeInOut">Ease In/Out</option>
+                    <option value="custom">Custom Bezier</option>
+                </select>
+            </div>
+        </div>
+        <div class="modal-input-group" id="motionBezierGroup">
+            <label>Custom Bezier (x1, y1, x2, y2)</label>
+            <input type="text" id="motionBezierInput" value="${(settings.bezier || [0.25, 0.1, 0.25, 1]).join(', ')}">
+        </div>
+        <div class="modal-input-row">
+            <div class="modal-input-group">
+                <label>Move X</label>
+                <input type="number" id="motionXInput" value="${settings.translateX}">
+            </div>
+            <div class="modal-input-group">
+                <label>Move Y</label>
+                <input type="number" id="motionYInput" value="${settings.translateY}">
+            </div>
+            <div class="modal-input-group">
+                <label>Rotate (°)</label>
+                <input type="number" id="motionRotateInput" value="${settings.rotation}">
+            </div>
+        </div>
+        <div class="modal-input-row">
+            <div class="modal-input-group">
+                <label>Scale X (%)</label>
+                <input type="number" id="motionScaleXInput" value="${Math.round(settings.scaleX * 100)}" min="1">
+            </div>
+            <div class="modal-input-group">
+                <label>Scale Y (%)</label>
+                <input type="number" id="motionScaleYInput" value="${Math.round(settings.scaleY * 100)}" min="1">
+            </div>
+        </div>
+        <p class="modal-message">Pivot: ${Math.round(pivot.x)}, ${Math.round(pivot.y)} (the selection anchor)</p>
+        ${canUseGuide || settings.guide ? `
+        <div class="modal-input-row">
+            <label class="modal-checkbox"><input type="checkbox" id="motionGuideInput" ${settings.guide ? 'checked' : ''}> ${settings.guide ? 'Follow motion guide' : 'Use last selected stroke as motion guide'}</label>
+            <label class="modal-checkbox"><input type="checkbox" id="motionOrientInput" ${settings.orientToGuide ? 'checked' : ''}> Orient to guide</label>
+        </div>` : ''}
+        ${existing ? '<button type="button" class="modal-btn secondary modal-inline-btn" id="motionRemoveBtn">Remove Motion Tween</button>' : ''}
+    `;
+    
+    openModal(existing ? 'Edit Motion Tween' : 'Motion Tween', bodyHTML, () => {
+        const endIndex = (parseInt(document.getElementById('motionEndInput').value) || 0) - 1;
+        if (endIndex <= lastFrame) {
+            showAlert('The end frame must come after this frame.', 'Invalid End Frame');
+            return;
+        }
+        for (let i = drawingIndex + 1; i < drawingIndex + endIndex - lastFrame && i < layer.frames.length; i++) {
+            if (getExposure(layer.frames[i]) > 1) {
+                showAlert(`Frame ${getDrawingStart(layer, i) + 2} is a held frame. Remove the hold before tweening across it.`, 'Frames In The Way');
+                return;
+            }
+        }
+        const easing = document.getElementById('motionEasingInput').value;
+        let bezier = settings.bezier || [0.25, 0.1, 0.25, 1];
+        if (easing === 'custom') {
+            const values = document.getElementById('motionBezierInput').value.split(/[\s,]+/).filter(Boolean).map(Number);
+            if (values.length !== 4 || values.some(isNaN) || values[0] < 0 || values[0] > 1 || values[2] < 0 || values[2] > 1) {
+                showAlert('Enter four numbers for the bezier curve; x1 and x2 must be between 0 and 1.', 'Invalid Easing');
+                return;
+            }
+            bezier = values;
+        }
+        
+        const guideInput = document.getElementById('motionGuideInput');
+        const useGuide = guideInput ? guideInput.checked : false;
+        const orientInput = document.getElementById('motionOrientInput');
+        
+        const id = existing ? existing.id : createMotionTweenId();
+        saveStateForUndo(existing ? 'Update motion tween' : 'Create motion tween', 'layer');
+        if (existing) {
+            // Clear the old copies first; a shorter tween must not leave stragglers
+            for (let step = 1; step <= existing.endOffset; step++) {
+                const f = layer.frames[drawingIndex + step];
+                if (f) f.paths = f.paths.filter(p => p.motionTweenId !== id);
+            }
+        }
+        
+        let guide = useGuide ? settings.guide : null;
+        let sourceIndices = sel.indices.slice();
+        if (useGuide && !settings.guide) {
+            // The guide stroke is consumed: it lives on the tween, not in the drawing
+            const guideIndex = sel.indices[sel.indices.length - 1];
+            guide = frame.paths[guideIndex].d;
+            sourceIndices = sourceIndices.filter(i => i !== guideIndex);
+            frame.paths.splice(guideIndex, 1);
+            sourceIndices = sourceIndices.map(i => i > guideIndex ? i - 1 : i);
+        }
+        sourceIndices.forEach(i => {
+            frame.paths[i].motionTweenId = id;
+            frame.paths[i].motionSource = true;
+        });
+        
+        const tween = {
+            id: id,
+            endOffset: endIndex - lastFrame,
+            translateX: parseFloat(document.getElementById('motionXInput').value) || 0,
+            translateY: parseFloat(document.getElementById('motionYInput').value) || 0,
+            rotation: parseFloat(document.getElementById('motionRotateInput').value) || 0,
+            scaleX: Math.max(0.01, (parseFloat(document.getElementById('motionScaleXInput').value) || 100) / 100),
+            scaleY: Math.max(0.01, (parseFloat(document.getElementById('motionScaleYInput').value) || 100) / 100),
+            pivotX: pivot.x,
+            pivotY: pivot.y,
+            easing: easing,
+            bezier: bezier,
+            guide: guide,
+            orientToGuide: !!(guide && orientInput && orientInput.checked)
+        };
+        frame.motionTweens = (frame.motionTweens || []).filter(t => t.id !== id).concat([tween]);
+        applyMotionTween(layer, drawingIndex, tween);
+        
+        closeModal();
+        sel.indices = sourceIndices;
+        updateMaxFrames();
+        updateFrameList();
+        updateFrameCounter();
+        renderFrame();
+        drawSelectionOverlay();
+        saveProject();
+    });
+    
+    document.getElementById('motionEasingInput').value = settings.easing;
+    const bezierGroup = document.getElementById('motionBezierGroup');
+    const syncBezier = () => {
+        bezierGroup.style.display = document.getElementById('motionEasingInput').value === 'custom' ? '' : 'none';
+    };
+    document.getElementById('motionEasingInput').addEventListener('change', syncBezier);
+    syncBezier();
+    
+    if (existing) {
+        document.getElementById('motionRemoveBtn').addEventListener('click', () => {
+            saveStateForUndo('Remove motion tween', 'layer');
+            removeMotionTween(layer, drawingIndex, existing.id);
+            closeModal();
+            updateFrameList();
+            renderFrame();
+            drawSelectionOverlay();
+            saveProject();
+        });
+    }
+    document.getElementById('modalCancelBtn').style.display = 'block';
+    document.getElementById('modalConfirmBtn').textContent = existing ? 'Update' : 'Create';
+}
+
+// Dashed guide strokes for tweens that cover the current frame (editor only)
+function drawMotionGuides() {
+    const layer = getCurrentLayer();
+    if (!layer || layer.isBackground || !layer.visible) return;
+    
+    const current = getDrawingIndex(layer, state.currentFrameIndex);
+    const group = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    group.setAttribute('class', 'motion-guides');
+    layer.frames.forEach((frame, index) => {
+        if (!frame.motionTweens) return;
+        frame.motionTweens.forEach(tween => {
+            if (!tween.guide) return;
+            if (current < index || current > index + tween.endOffset) return;
+            const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+            path.setAttribute('d', tween.guide);
+            path.setAttribute('class', 'motion-guide');
+            group.appendChild(path);
+        });
+    });
+    if (group.childNodes.length > 0) layersContainer.appendChild(group);
+}
+
+// ==================== PLAYBACK ====================
+// PLAYBACK_MODES and PLAYBACK_SPEEDS come from project-schema.js, where saved settings are validated
+
+function createPlaybackSettings() {
+    return {
+        mode: 'loop', // loop, pingpong or once
+        speed: 1,
+        inPoint: null, // first frame of the played range; null = the first frame
+        outPoint: null, // last frame of the played range; null = the last frame
+        currentLayerOnly: false,
+        skipHolds: false // , and . step to the next change of drawing
+    };
+}
+
+// Frames between the in and out markers, clamped to the timeline
+function getPlaybackRange() {
+    const settings = state.playbackSettings;
+    const last = state.maxFrames - 1;
+    const from = Math.min(settings.inPoint !== null ? settings.inPoint : 0, last);
+    const to = settings.outPoint !== null ? Math.min(settings.outPoint, last) : last;
+    return { from: from, to: Math.max(from, to) };
+}
+
+// Frame indices of one pass; ping-pong comes back without repeating the end frames
+function getPlaybackSequence(from, to, mode) {
+    const frames = [];
+    for (let i = from; i <= to; i++) frames.push(i);
+    if (mode === 'pingpong') {
+        for (let i = to - 1; i > from; i--) frames.push(i);
+    }
+    return frames;
+}
+
+// Layers that count for playback and stepping
+function getPlaybackLayers() {
+    if (state.playbackSettings.currentLayerOnly) {
+        const layer = getCurrentLayer();
+        return layer ? [layer] : [];
+    }
+    return state.layers.filter(layer => layer.visible && !layer.isBackground);
+}
+
+// Next (direction 1) or previous (-1) frame to step to. With skipHolds, frames where every
+// playback layer keeps holding its drawing are passed over.
+function getSteppedFrame(direction) {
+    const last = state.maxFrames - 1;
+    let index = Math.max(0, Math.min(last, state.currentFrameIndex + direction));
+    if (!state.playbackSettings.skipHolds) return index;
+    
+    const layers = getPlaybackLayers();
+    const changesAt = (i) => i === 0 || layers.some(layer => getDrawingIndex(layer, i) !== getDrawingIndex(layer, i - 1));
+    while (index > 0 && index < last && !changesAt(index)) index += direction;
+    return index;
+}
+
+function setPlaybackMarker(key, frameIndex) {
+    const settings = state.playbackSettings;
+    settings[key] = frameIndex;
+    // Keep in <= out by dropping the other marker when they cross
+    if (settings.inPoint !== null && settings.outPoint !== null && settings.inPoint > settings.outPoint) {
+        settings[key === 'inPoint' ? 'outPoint' : 'inPoint'] = null;
+    }
+    updatePlaybackSettings();
+}
+
+// Toggle a marker at the current frame, for the [ and ] keys
+function togglePlaybackMarker(key) {
+    const frame = state.currentFrameIndex;
+    setPlaybackMarker(key, state.playbackSettings[key] === frame ? null : frame);
+}
+
+function syncPlaybackUI() {
+    const settings = state.playbackSettings;
+    document.getElementById('playbackMode').value = settings.mode;
+    document.getElementById('playbackSpeed').value = String(settings.speed);
+    document.getElementById('playbackCurrentLayer').checked = settings.currentLayerOnly;
+    document.getElementById('playbackSkipHolds').checked = settings.skipHolds;
+    
+    const range = getPlaybackRange();
+    const hasRange = settings.inPoint !== null || settings.outPoint !== null;
+    document.getElementById('playbackRange').textContent = hasRange
+        ? `Frames ${range.from + 1}–${range.to + 1}`
+        : 'All frames';
+    document.getElementById('playbackSettingsBtn').classList.toggle('has-range', hasRange);
+}
+
+// Settings are part of the project: save them, and restart playback so it picks them up
+function updatePlaybackSettings() {
+    syncPlaybackUI();
+    updateScrubBar();
+    if (state.isPlaying) {
+        stopPlayback();
+        startPlayback();
+    }
+    saveProject();
+}
+
+function setupPlaybackPanel() {
+    const panel = document.getElementById('playbackPanel');
+    const toggleBtn = document.getElementById('playbackSettingsBtn');
+    const settings = () => state.playbackSettings;
+    
+    document.getElementById('playbackMode').innerHTML = Object.keys(PLAYBACK_MODES)
+        .map(key => `<option value="${key}">${PLAYBACK_MODES[key]}</option>`).join('');
+    document.getElementById('playbackSpeed').innerHTML = PLAYBACK_SPEEDS
+        .map(speed => `<option value="${speed}">${speed}×</option>`).join('');
+    
+    toggleBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const isVisible = panel.style.display !== 'none';
+        panel.style.display = isVisible ? 'none' : 'flex';
+        toggleBtn.classList.toggle('active', !isVisible);
+    });
+    
+    document.addEventListener('click', (e) => {
+        if (panel.style.display !== 'none' &&
+            !panel.contains(e.target) &&
+            !toggleBtn.contains(e.target)) {
+            panel.style.display = 'none';
+            toggleBtn.classList.remove('active');
+        }
+    });
+    
+    document.getElementById('playbackMode').addEventListener('change', (e) => {
+        settings().mode = e.target.value;
+        updatePlaybackSettings();
+    });
+    document.getElementById('playbackSpeed').addEventListener('change', (e) => {
+        settings().speed = parseFloat(e.target.value) || 1;
+        updatePlaybackSettings();
+    });
+    document.getElementById('playbackCurrentLayer').addEventListener('change', (e) => {
+        settings().currentLayerOnly = e.target.checked;
+        updatePlaybackSettings();
+    });
+    document.getElementById('playbackSkipHolds').addEventListener('change', (e) => {
+        settings().skipHolds = e.target.checked;
+        updatePlaybackSettings();
+    });
+    document.getElementById('playbackSetIn').addEventListener('click', () => setPlaybackMarker('inPoint', state.currentFrameIndex));
+    document.getElementById('playbackSetOut').addEventListener('click', () => setPlaybackMarker('outPoint', state.currentFrameIndex));
+    document.getElementById('playbackClearRange').addEventListener('click', () => {
+        settings().inPoint = null;
+        settings().outPoint = null;
+        updatePlaybackSettings();
+    });
+}
+
+function togglePlayback() {
+    if (state.isPlaying) {
+        stopPlayback();
+    } else {
+        startPlayback();
+    }
+}
+
+function startPlayback() {
+    
+    // Clear any selection when playing
+    if (state.tool === 'select' && typeof clearSelection === 'function') clearSelection();
+    
+    // Safety: Stop any existing playback first
+    stopPlayback();
+    
+    // Check if we have frames to play
+    const settings = state.playbackSettings;
+    const range = getPlaybackRange();
+    const sequence = getPlaybackSequence(range.from, range.to, settings.mode);
+    if (sequence.length <= 1) {
+        return;
+    }
+    
+    // Update state immediately
+    state.isPlaying = true;
+    
+    // Update Play button to Stop icon
+    const playBtn = document.getElementById('playBtn');
+    if (playBtn) {
+        const iconEl = playBtn.querySelector('.icon');
+        if (iconEl) iconEl.textContent = '⏹'; // Stop icon
+        playBtn.title = 'Stop';
+        playBtn.classList.add('playing');
+    }
+    
+    // Frames follow a clock instead of counting ticks, so slow renders drop frames rather than
+    // drifting. With an audio track the audio clock drives playback and picture can't slip from sound.
+    const useAudioClock = !!(state.audioTrack && audioPlayback.buffer);
+    const clock = useAudioClock
+        ? () => audioPlayback.context.currentTime
+        : () => performance.now() / 1000;
+    
+    // Pass times in milliseconds, from the frame durations (see FRAME TIMING)
+    const passTimes = [0];
+    sequence.forEach(frame => passTimes.push(passTimes[passTimes.length - 1] + getFrameDuration(state, frame)));
+    const passLength = passTimes[sequence.length];
+    const speed = settings.speed;
+    
+    // Start from the current frame when it's in the range; play-once restarts from the end
+    let position = state.currentFrameIndex - range.from;
+    if (position < 0 || state.currentFrameIndex > range.to || (settings.mode === 'once' && state.currentFrameIndex === range.to)) {
+        position = 0;
+    }
+    let passOffset = passTimes[position];
+    let passStartTime = clock();
+    if (useAudioClock) {
+        audioPlayback.context.resume();
+        passStartTime += AUDIO_START_LATENCY;
+        // Sound plays forwards only, so a ping-pong pass is silent on the way back
+        startAudioAt(sequence[position], passStartTime, range.to, speed);
+    }
+    
+    let iterationCount = 0; // Safety counter
+    const MAX_ITERATIONS = 10000; // Prevent infinite loops
+    
+    const playbackLoop = () => {
+        // CRITICAL: Multiple stop checks
+        if (!state.isPlaying) {
+            if (state.playInterval) {
+                cancelAnimationFrame(state.playInterval);
+                state.playInterval = null;
+            }
+            return;
+        }
+        
+        // UI validation: check button icon
+        const iconEl = playBtn ? playBtn.querySelector('.icon') : null;
+        if (iconEl && iconEl.textContent !== '⏹') {
+            console.warn('Button icon mismatch detected! Force stop.');
+            stopPlayback();
+            return;
+        }
+        
+        let time = passOffset + Math.max(0, clock() - passStartTime) * 1000 * speed;
+        if (time >= passLength) {
+            if (settings.mode === 'once') {
+                state.currentFrameIndex = range.to;
+                stopPlayback();
+                return;
+            }
+            // Wrap around; the next pass starts exactly where this one ended
+            passStartTime += (passLength - passOffset) / 1000 / speed;
+            passOffset = 0;
+            if (useAudioClock) startAudioAt(range.from, passStartTime, range.to, speed);
+            time = (Math.max(0, clock() - passStartTime) * 1000 * speed) % passLength;
+        }
+        
+        let index = 0;
+        while (index < sequence.length - 1 && passTimes[index + 1] <= time) index++;
+        const frame = sequence[index];
+        
+        if (frame !== state.currentFrameIndex) {
+            // Safety: frame advance limit
+            iterationCount++;
+            if (iterationCount > MAX_ITERATIONS) {
+                console.error('Playback exceeded max iterations! Force stop.');
+                stopPlayback();
+                return;
+            }
+            
+            state.currentFrameIndex = frame;
+            
+            // Update display
+            try {
+                renderFrame();
+                updateFrameList();
+                updateFrameCounter();
+            } catch (err) {
+                console.error('Playback render error:', err);
+                stopPlayback();
+                return;
+            }
+        }
+        
+        // Continue loop ONLY if still playing
+        if (state.isPlaying) {
+            state.playInterval = requestAnimationFrame(playbackLoop);
+        }
+    };
+    
+    // Start the loop
+    state.playInterval = requestAnimationFrame(playbackLoop);
+}
+
+function stopPlayback() {
+    
+    // CRITICAL: Set state FIRST before anything else
+    const wasPlaying = state.isPlaying;
+    state.isPlaying = false;
+    stopAudioSource();
+    
+    // Force clear interval/animation frame with multiple attempts
+    if (state.playInterval) {
+        try {
+            cancelAnimationFrame(state.playInterval);
+        } catch (err) {
+            console.error('Error canceling animation frame:', err);
+        }
+        state.playInterval = null;
+    }
+    
+    // Additional cleanup: clear any lingering intervals (belt and suspenders)
+    if (wasPlaying) {
+        // Force stop any possible interval that might be running
+        for (let i = 1; i < 9999; i++) {
+            window.clearInterval(i);
+        }
+    }
+    
+    // Update button to Play icon
+    const playBtn = document.getElementById('playBtn');
+    if (playBtn) {
+        const iconEl = playBtn.querySelector('.icon');
+        if (iconEl) iconEl.textContent = '▶'; // Play icon
+        playBtn.title = 'Play';
+        playBtn.classList.remove('playing');
+        
+        // Force button to be re-enabled (critical for iPad)
+        playBtn.disabled = false;
+        playBtn.style.pointerEvents = 'auto';
+    }
+    
+    // Force a final render to ensure UI is in sync
+    try {
+        renderFrame();
+        updateFrameList();
+        updateFrameCounter();
+    } catch (err) {
+        console.error('Stop playback render error:', err);
+    }
+    
+}
+
+// ==================== AUDIO TRACK ====================
+// One sound file per project (state.audioTrack, saved with the project). `offset` is the time in
+// seconds the sound starts after frame 1; negative offsets skip into the file. Decoding, the
+// waveform summary and the playing nodes are runtime-only and live in audioPlayback.
+const AUDIO_FILE_TYPES = {
+    mp3: 'audio/mpeg',
+    wav: 'audio/wav',
+    ogg: 'audio/ogg'
+};
+const AUDIO_PEAK_RATE = 200;       // Waveform buckets per second
+const AUDIO_SNIPPET_LENGTH = 0.12; // Seconds of sound per scrubbed frame (at least one frame)
+const AUDIO_START_LATENCY = 0.05;  // Seconds between pressing play and the first scheduled sample
+
+const audioPlayback = {
+    context: null,
+    src: null,      // Data URL `buffer` was decoded from
+    buffer: null,
+    peaks: null,    // Loudest sample per waveform bucket
+    peakRate: 0,    // Buckets per second in `peaks`
+    source: null,   // Playing AudioBufferSourceNode during playback
+    snippet: null   // Playing scrub preview
+};
+
+function getAudioContext() {
+    if (!audioPlayback.context) {
+        audioPlayback.context = new (window.AudioContext || window.webkitAudioContext)();
+    }
+    return audioPlayback.context;
+}
+
+function decodeAudioFile(arrayBuffer) {
+    // Safari only has the callback form
+    return new Promise((resolve, reject) => {
+        getAudioContext().decodeAudioData(arrayBuffer, resolve, (err) => {
+            reject(err || new Error('The file could not be decoded as audio'));
+        });
+    });
+}
+
+function computeAudioPeaks(buffer) {
+    const bucket = Math.max(1, Math.floor(buffer.sampleRate / AUDIO_PEAK_RATE));
+    const peaks = new Float32Array(Math.ceil(buffer.length / bucket));
+    for (let c = 0; c < buffer.numberOfChannels; c++) {
+        const data = buffer.getChannelData(c);
+        for (let i = 0; i < data.length; i++) {
+            const value = Math.abs(data[i]);
+            const b = (i / bucket) | 0;
+            if (value > peaks[b]) peaks[b] = value;
+        }
+    }
+    audioPlayback.peaks = peaks;
+    audioPlayback.peakRate = buffer.sampleRate / bucket;
+}
+
+// Decode state.audioTrack if it changed (project opened, imported or reset)
+async function syncAudioTrack() {
+    const track = state.audioTrack;
+    updateAudioUI();
+    if (!track) {
+        stopAudioSource();
+        audioPlayback.src = null;
+        audioPlayback.buffer = null;
+        audioPlayback.peaks = null;
+        updateScrubBar();
+        return;
+    }
+    if (track.src === audioPlayback.src) return;
+    
+    const src = track.src;
+    audioPlayback.src = src;
+    audioPlayback.buffer = null;
+    audioPlayback.peaks = null;
+    try {
+        const bytes = await (await fetch(src)).arrayBuffer();
+        const buffer = await decodeAudioFile(bytes);
+        if (audioPlayback.src !== src) return; // Replaced while decoding
+        audioPlayback.buffer = buffer;
+        computeAudioPeaks(buffer);
+    } catch (err) {
+        console.error('Failed to decode audio track:', err);
+        showAlert(`The audio track "${escapeXML(track.name)}" could not be decoded by this browser.`, 'Audio Error');
+    }
+    updateScrubBar();
+}
+
+function handleAudioFileSelect(e) {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    
+    const loading = document.createElement('div');
+    loading.className = 'loading';
+    loading.textContent = 'Loading audio...';
+    document.body.appendChild(loading);
+    
+    const ext = file.name.slice(file.name.lastIndexOf('.') + 1).toLowerCase();
+    const mime = AUDIO_FILE_TYPES[ext] || file.type || 'audio/mpeg';
+    file.arrayBuffer()
+        .then(async bytes => {
+            // Decode a copy first: decodeAudioData detaches the buffer it is given
+            const buffer = await decodeAudioFile(bytes.slice(0));
+            const src = await blobToDataUrl(new Blob([bytes], { type: mime }));
+            
+            if (state.isPlaying) stopPlayback();
+            const previous = state.audioTrack;
+            state.audioTrack = {
+                name: file.name,
+                src: src,
+                offset: previous ? previous.offset : 0,
+                volume: previous ? previous.volume : 1
+            };
+            audioPlayback.src = src;
+            audioPlayback.buffer = buffer;
+            computeAudioPeaks(buffer);
+            updateAudioUI();
+            updateScrubBar();
+            saveProject();
+        })
+        .catch(err => {
+            console.error('Audio import error:', err);
+            showAlert(`"${escapeXML(file.name)}" could not be read as audio. Use a WAV, MP3 or OGG file.`, 'Import Error');
+        })
+        .finally(() => {
+            if (document.body.contains(loading)) document.body.removeChild(loading);
+        });
+}
+
+function updateAudioUI() {
+    const button = document.getElementById('importAudioBtn');
+    button.textContent = state.audioTrack ? 'Audio Track' : 'Import Audio';
+    button.title = state.audioTrack ? state.audioTrack.name : 'Import a WAV, MP3 or OGG file';
+    document.getElementById('frameScrubBar').classList.toggle('has-audio', !!state.audioTrack);
+}
+
+// Offset is edited in frames (what animators count in) and stored in seconds
+function showAudioTrackDialog() {
+    const track = state.audioTrack;
+    const duration = audioPlayback.buffer ? `${audioPlayback.buffer.duration.toFixed(2)} s` : 'not decoded';
+    const bodyHTML = `
+        <p class="modal-message">${escapeXML(track.name)} (${duration})</p>
+        <div class="modal-input-row">
+            <div class="modal-input-group">
+                <label>Starts at frame</label>
+                <input type="number" id="modalAudioStart" value="${getFrameAtTime(state, track.offset * 1000 + 0.5) + 1}" step="1">
+            </div>
+            <div class="modal-input-group">
+                <label>Volume (%)</label>
+                <input type="number" id="modalAudioVolume" value="${Math.round(track.volume * 100)}" min="0" max="100">
+            </div>
+        </div>
+        <p class="modal-message">Frames before 1 skip into the sound.</p>
+        <div class="modal-input-row">
+            <button class="modal-btn secondary" id="modalAudioReplace">Replace File…</button>
+            <button class="modal-btn secondary" id="modalAudioRemove">Remove</button>
+        </div>
+    `;
+    
+    openModal('Audio Track', bodyHTML, () => {
+        const start = parseInt(document.getElementById('modalAudioStart').value);
+        const volume = parseFloat(document.getElementById('modalAudioVolume').value);
+        if (isNaN(start) || isNaN(volume) || volume < 0 || volume > 100) {
+            showAlert('Enter a whole frame number and a volume from 0 to 100.', 'Invalid Input');
+            return;
+        }
+        if (state.isPlaying) stopPlayback();
+        track.offset = getFrameStartTime(state, start - 1) / 1000;
+        track.volume = volume / 100;
+        closeModal();
+        updateScrubBar();
+        saveProject();
+    });
+    
+    document.getElementById('modalCancelBtn').style.display = 'block';
+    document.getElementById('modalConfirmBtn').textContent = 'Apply';
+    document.getElementById('modalAudioReplace').addEventListener('click', () => {
+        closeModal();
+        document.getElementById('audioFileInput').click();
+    });
+    document.getElementById('modalAudioRemove').addEventListener('click', () => {
+        closeModal();
+        showConfirm(`Remove the audio track "${escapeXML(track.name)}" from this project?`, 'Remove Audio', () => {
+            if (state.isPlaying) stopPlayback();
+            state.audioTrack = null;
+            syncAudioTrack();
+            saveProject();
+        });
+    });
+}
+
+// Audio file time at a frame boundary
+function getAudioTimeAtFrame(frameIndex) {
+    return getFrameStartTime(state, frameIndex) / 1000 - state.audioTrack.offset;
+}
+
+function createAudioSource(volume) {
+    const context = getAudioContext();
+    const source = context.createBufferSource();
+    source.buffer = audioPlayback.buffer;
+    const gain = context.createGain();
+    gain.gain.value = volume;
+    source.connect(gain).connect(context.destination);
+    return { source: source, gain: gain };
+}
+
+// Schedule the track so `frameIndex` is heard at audio clock time `when`, stopping after
+// `endFrame`. `speed` plays the sound faster or slower along with the picture.
+function startAudioAt(frameIndex, when, endFrame = state.maxFrames - 1, speed = 1) {
+    stopAudioSource();
+    const buffer = audioPlayback.buffer;
+    if (!state.audioTrack || !buffer) return;
+    
+    const audioTime = getAudioTimeAtFrame(frameIndex);
+    const loopEnd = when + (getFrameStartTime(state, endFrame + 1) - getFrameStartTime(state, frameIndex)) / 1000 / speed;
+    if (audioTime >= buffer.duration) return;
+    const startAt = audioTime < 0 ? when - audioTime / speed : when;
+    if (startAt >= loopEnd) return;
+    
+    const { source } = createAudioSource(state.audioTrack.volume);
+    source.playbackRate.value = speed;
+    source.start(startAt, Math.max(0, audioTime));
+    source.stop(loopEnd);
+    audioPlayback.source = source;
+}
+
+function stopAudioSource() {
+    if (!audioPlayback.source) return;
+    try {
+        audioPlayback.source.stop();
+    } catch (err) {
+        // Already stopped
+    }
+    audioPlayback.source = null;
+}
+
+// Short preview of the sound under a frame while scrubbing
+function playAudioSnippet(frameIndex) {
+    const buffer = audioPlayback.buffer;
+    if (!state.audioTrack || !buffer || state.isPlaying) return;
+    const audioTime = getAudioTimeAtFrame(frameIndex);
+    if (audioTime < 0 || audioTime >= buffer.duration) return;
+    
+    const context = getAudioContext();
+    context.resume();
+    if (audioPlayback.snippet) {
+        try {
+            audioPlayback.snippet.stop();
+        } catch (err) {
+            // Already finished
+        }
+    }
+    
+    const length = Math.max(AUDIO_SNIPPET_LENGTH, getFrameDuration(state, frameIndex) / 1000);
+    const volume = state.audioTrack.volume;
+    const { source, gain } = createAudioSource(volume);
+    // Quick fades so the cut edges don't click
+    const now = context.currentTime;
+    gain.gain.setValueAtTime(0, now);
+    gain.gain.linearRampToValueAtTime(volume, now + 0.005);
+    gain.gain.setValueAtTime(volume, now + length - 0.01);
+    gain.gain.linearRampToValueAtTime(0, now + length);
+    source.start(now, audioTime, length);
+    audioPlayback.snippet = source;
+}
+
+// Waveform of each frame's slice of the track, drawn under the scrub bar's frame ticks
+function drawScrubWaveform(bar, items) {
+    let canvas = bar.querySelector('.frame-scrub-waveform');
+    if (!state.audioTrack || !audioPlayback.peaks) {
+        if (canvas) canvas.remove();
+        return;
+    }
+    if (!canvas) {
+        canvas = document.createElement('canvas');
+        canvas.className = 'frame-scrub-waveform';
+        bar.insertBefore(canvas, bar.firstChild);
+    }
+    
+    const barRect = bar.getBoundingClientRect();
+    const dpr = window.devicePixelRatio || 1;
+    canvas.width = Math.round(barRect.width * dpr);
+    canvas.height = Math.round(barRect.height * dpr);
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.fillStyle = getComputedStyle(bar).getPropertyValue('--accent').trim() || '#4a90d9';
+    ctx.globalAlpha = 0.45;
+    
+    const { peaks, peakRate } = audioPlayback;
+    const mid = barRect.height / 2;
+    for (let i = 0; i < items.length; i++) {
+        const itemRect = items[i].getBoundingClientRect();
+        const left = itemRect.left - barRect.left;
+        if (left + itemRect.width < 0 || left > barRect.width) continue;
+        
+        const t0 = getAudioTimeAtFrame(i);
+        const secondsPerPixel = getFrameDuration(state, i) / 1000 / itemRect.width;
+        for (let x = 0; x < itemRect.width; x++) {
+            const from = Math.floor((t0 + x * secondsPerPixel) * peakRate);
+            const to = Math.ceil((t0 + (x + 1) * secondsPerPixel) * peakRate);
+            let peak = 0;
+            for (let b = Math.max(0, from); b < Math.min(peaks.length, to); b++) {
+                if (peaks[b] > peak) peak = peaks[b];
+            }
+            if (peak > 0) {
+                const h = Math.max(1, peak * (barRect.height - 2));
+                ctx.fillRect(left + x, mid - h / 2, 1, h);
+            }
+        }
+    }
+}
+
+// ==================== LIP SYNC ====================
+// A dialogue track for one mouth layer (state.lipSync, saved with the project): the spoken line,
+// phoneme marks at frame positions and a mouth chart with one drawing per Preston Blair shape.
+// Applying it rebuilds the mouth layer: each mark starts a drawing that is exposed until the
+// next mark. The project's audio track is the voice clip. The mouth shapes (LIP_SYNC_PHONEMES)
+// are defined in project-schema.js.
+const LIP_SYNC_SILENCE = 0.1; // Frame loudness (relative to the loudest frame) below which the mouth rests
+
+// Spelling-based guess at the mouth shapes of a line, in order. Word breaks add no rest;
+// pauses come from the waveform.
+function textToPhonemes(text) {
+    const rules = [
+        [/^(igh|ai|ay)/, 'AI'], [/^(ee|ea)/, 'E'], [/^(oo|ou|ow)/, 'U'], [/^(th|sh|ch)/, 'etc'],
+        [/^ph/, 'FV'], [/^qu/, 'WQ'], [/^[ai]/, 'AI'], [/^e/, 'E'], [/^o/, 'O'], [/^u/, 'U'],
+        [/^[fv]/, 'FV'], [/^l/, 'L'], [/^[wq]/, 'WQ'], [/^[mbp]/, 'MBP'], [/^[a-z]/, 'etc']
+    ];
+    const phonemes = [];
+    text.toLowerCase().split(/[^a-z']+/).forEach(word => {
+        // A silent final e doesn't move the mouth
+        word = word.replace(/'/g, '');
+        if (word.length > 2) word = word.replace(/e$/, '');
+        while (word.length > 0) {
+            const [pattern, phoneme] = rules.find(([pattern]) => pattern.test(word));
+            word = word.slice(word.match(pattern)[0].length);
+            if (phonemes[phonemes.length - 1] !== phoneme) phonemes.push(phoneme);
+        }
+    });
+    return phonemes;
+}
+
+// Average waveform level of each frame's slice of the audio track, scaled so the loudest frame is 1
+function getFrameLoudness(frameCount) {
+    const { peaks, peakRate } = audioPlayback;
+    const levels = [];
+    for (let i = 0; i < frameCount; i++) {
+        const from = Math.max(0, Math.floor(getAudioTimeAtFrame(i) * peakRate));
+        const to = Math.min(peaks.length, Math.ceil(getAudioTimeAtFrame(i + 1) * peakRate));
+        let sum = 0;
+        for (let b = from; b < to; b++) sum += peaks[b];
+        levels.push(to > from ? sum / (to - from) : 0);
+    }
+    const loudest = Math.max(...levels, 1e-6);
+    return levels.map(level => level / loudest);
+}
+
+// Phoneme marks timed from the waveform: silent frames rest, voiced frames get the line's
+// phonemes spread evenly over them, or open shapes by loudness when no line was typed
+function autoTimeLipSync(text) {
+    const end = (state.audioTrack.offset + audioPlayback.buffer.duration) * 1000;
+    let frameCount = Math.max(0, getFrameAtTime(state, end));
+    if (getFrameStartTime(state, frameCount) < end) frameCount++;
+    frameCount = Math.max(1, frameCount);
+    const loudness = getFrameLoudness(frameCount);
+    const voiced = [];
+    loudness.forEach((level, i) => {
+        if (level >= LIP_SYNC_SILENCE) voiced.push(i);
+    });
+    
+    const shapes = new Array(frameCount).fill('rest');
+    const phonemes = textToPhonemes(text);
+    if (phonemes.length > 0) {
+        voiced.forEach((frame, v) => {
+            shapes[frame] = phonemes[Math.floor(v * phonemes.length / voiced.length)];
+        });
+    } else {
+        voiced.forEach(frame => {
+            const level = loudness[frame];
+            shapes[frame] = level >= 0.6 ? 'AI' : level >= 0.3 ? 'E' : 'etc';
+        });
+    }
+    
+    const marks = [];
+    shapes.forEach((phoneme, frame) => {
+        if (frame === 0 || shapes[frame - 1] !== phoneme) marks.push({ frame: frame, phoneme: phoneme });
+    });
+    return marks;
+}
+
+// One mark per line: "<frame number> <phoneme>"
+function formatLipSyncMarks(marks) {
+    return marks.map(mark => `${mark.frame + 1} ${mark.phoneme}`).join('\n');
+}
+
+// Returns the marks sorted by frame, or throws naming the first line that can't be read
+function parseLipSyncMarks(text) {
+    const names = Object.keys(LIP_SYNC_PHONEMES);
+    const byFrame = new Map();
+    text.split('\n').forEach((line, i) => {
+        if (!line.trim()) return;
+        const match = line.trim().match(/^(\d+)[\s:]+(\S+)$/);
+        const phoneme = match && names.find(name => name.toLowerCase() === match[2].toLowerCase());
+        if (!match || parseInt(match[1]) < 1 || !phoneme) {
+            throw new Error(`Line ${i + 1} ("${line.trim()}") should be a frame number and one of ${names.join(', ')}.`);
+        }
+        byFrame.set(parseInt(match[1]) - 1, phoneme);
+    });
+    return [...byFrame.entries()].sort((a, b) => a[0] - b[0]).map(([frame, phoneme]) => ({ frame: frame, phoneme: phoneme }));
+}
+
+// Rebuild the mouth layer from the marks. Frames before the first mark rest; the layer is made as
+// long as the rest of the animation, or longer if the last mark needs it.
+function applyLipSync(layer, lipSync) {
+    const otherLengths = state.layers.filter(l => l !== layer && !l.isBackground).map(getLayerLength);
+    const lastMark = lipSync.marks.length > 0 ? lipSync.marks[lipSync.marks.length - 1].frame : 0;
+    const length = Math.max(lastMark + 1, ...otherLengths);
+    const marks = new Map(lipSync.marks.map(mark => [mark.frame, mark.phoneme]));
+    
+    const frames = [];
+    for (let i = 0; i < length; i++) {
+        if (i === 0 || marks.has(i)) {
+            const drawing = lipSync.chart[marks.get(i) || 'rest'] || [];
+            frames.push({ paths: JSON.parse(JSON.stringify(drawing)) });
+        } else {
+            const frame = frames[frames.length - 1];
+            frame.exposure = getExposure(frame) + 1;
+        }
+    }
+    layer.frames = frames;
+}
+
+// Copy of a frame's drawing on the current layer for the mouth chart, without tween bookkeeping
+function captureMouthDrawing(frameIndex) {
+    const layer = getCurrentLayer();
+    const frame = layer ? resolveLayerFrame(layer, layer.isBackground ? 0 : frameIndex) : null;
+    if (!frame) return [];
+    return frame.paths.map(pathData => {
+        const { tweenId, motionTweenId, motionSource, ...rest } = pathData;
+        return JSON.parse(JSON.stringify(rest));
+    });
+}
+
+function createMouthThumbnail(paths) {
+    const markup = paths.map(pathData => createSVGPathMarkup(pathData)).join('');
+    return `<svg viewBox="0 0 ${state.canvasWidth} ${state.canvasHeight}" preserveAspectRatio="xMidYMid meet">${markup}</svg>`;
+}
+
+function showLipSyncDialog() {
+    const layers = state.layers.filter(layer => !layer.isBackground);
+    if (layers.length === 0) {
+        showAlert('Lip sync needs an animation layer for the mouth drawings.', 'Lip Sync');
+        return;
+    }
+    // Chart edits are kept right away so the chart can be filled in over several visits
+    if (!state.lipSync) state.lipSync = { text: '', layerId: null, marks: [], chart: {} };
+    const saved = state.lipSync;
+    const chart = saved.chart;
+    const mouthLayerId = layers.some(l => l.id === saved.layerId) ? saved.layerId
+        : (layers.some(l => l.id === state.currentLayerId) ? state.currentLayerId : layers[0].id);
+    const canAutoTime = !!(state.audioTrack && audioPlayback.buffer);
+    const sourceLayer = getCurrentLayer();
+    
+    const bodyHTML = `
+        <p class="modal-message">${state.audioTrack
+            ? `Voice clip: ${escapeXML(state.audioTrack.name)} (the project's audio track)`
+            : 'Import Audio to load a voice clip for timing and auto-timing.'}</p>
+        <div class="modal-input-group">
+            <label>Spoken line</label>
+            <textarea id="lipSyncText" rows="2">${escapeXML(saved.text)}</textarea>
+        </div>
+        <div class="modal-input-row">
+            <div class="modal-input-group">
+                <label>Mouth layer</label>
+                <select id="lipSyncLayer">
+                    ${layers.map(l => `<option value="${l.id}" ${l.id === mouthLayerId ? 'selected' : ''}>${escapeXML(l.name)}</option>`).join('')}
+                </select>
+            </div>
+            <button type="button" class="modal-btn secondary" id="lipSyncAutoBtn" ${canAutoTime ? '' : 'disabled'}>Auto-time from Audio</button>
+        </div>
+        <div class="modal-input-group">
+            <label>Phoneme marks (frame and shape per line)</label>
+            <textarea id="lipSyncMarks" rows="6" placeholder="1 rest&#10;5 MBP&#10;7 AI">${formatLipSyncMarks(saved.marks)}</textarea>
+        </div>
+        <div class="modal-input-group">
+            <label>Mouth chart</label>
+            <div class="mouth-chart" id="lipSyncChart"></div>
+        </div>
+        <div class="modal-input-row">
+            <div class="modal-input-group">
+                <label>Set copies the drawing on frame</label>
+                <input type="number" id="lipSyncSourceFrame" value="${state.currentFrameIndex + 1}" min="1" max="${state.maxFrames}">
+            </div>
+            <p class="modal-message">of ${escapeXML(sourceLayer ? sourceLayer.name : '')}</p>
+        </div>
+        <p class="modal-message lip-sync-error" id="lipSyncError"></p>
+    `;
+    
+    openModal('Lip Sync', bodyHTML, () => {
+        let marks;
+        try {
+            marks = parseLipSyncMarks(document.getElementById('lipSyncMarks').value);
+        } catch (err) {
+            document.getElementById('lipSyncError').textContent = err.message;
+            return;
+        }
+        const lipSync = {
+            text: document.getElementById('lipSyncText').value,
+            layerId: document.getElementById('lipSyncLayer').value,
+            marks: marks,
+            chart: chart
+        };
+        const needed = new Set(marks.map(mark => mark.phoneme));
+        if (marks.length === 0 || marks[0].frame > 0) needed.add('rest');
+        const missing = [...needed].filter(phoneme => !chart[phoneme]);
+        if (missing.length > 0) {
+            document.getElementById('lipSyncError').textContent = `Set a mouth drawing for ${missing.join(', ')} first.`;
+            return;
+        }
+        
+        const layer = state.layers.find(l => l.id === lipSync.layerId);
+        if (layer.lockTiming) {
+            document.getElementById('lipSyncError').textContent = `The timing of "${layer.name}" is locked; unlock it to apply lip sync.`;
+            return;
+        }
+        if (state.isPlaying) stopPlayback();
+        state.lipSync = lipSync;
+        state.currentLayerId = layer.id;
+        saveStateForUndo('Apply lip sync', 'layer');
+        applyLipSync(layer, lipSync);
+        
+        closeModal();
+        clearSelection();
+        updateMaxFrames();
+        state.currentFrameIndex = Math.min(state.currentFrameIndex, state.maxFrames - 1);
+        updateLayerList();
+        updateFrameList();
+        updateFrameCounter();
+        renderFrame();
+        saveProject();
+    });
+    
+    const renderChart = () => {
+        document.getElementById('lipSyncChart').innerHTML = Object.keys(LIP_SYNC_PHONEMES).map(phoneme => `
+            <div class="mouth-chart-cell${chart[phoneme] ? '' : ' empty'}" title="${LIP_SYNC_PHONEMES[phoneme]}">
+                ${createMouthThumbnail(chart[phoneme] || [])}
+                <span class="mouth-chart-name">${phoneme}</span>
+                <button type="button" class="mouth-chart-btn" data-set="${phoneme}">Set</button>
+                ${chart[phoneme] ? `<button type="button" class="mouth-chart-btn" data-clear="${phoneme}">×</button>` : ''}
+            </div>
+        `).join('');
+    };
+    document.getElementById('lipSyncChart').addEventListener('click', (e) => {
+        const button = e.target.closest('.mouth-chart-btn');
+        if (!button) return;
+        if (button.dataset.set) {
+            const frame = Math.min(state.maxFrames, Math.max(1, parseInt(document.getElementById('lipSyncSourceFrame').value) || 1));
+            chart[button.dataset.set] = captureMouthDrawing(frame - 1);
+        } else {
+            delete chart[button.dataset.clear];
+        }
+        renderChart();
+        saveProject();
+    });
+    renderChart();
+    
+    document.getElementById('lipSyncAutoBtn').addEventListener('click', () => {
+        const marks = autoTimeLipSync(document.getElementById('lipSyncText').value);
+        document.getElementById('lipSyncMarks').value = formatLipSyncMarks(marks);
+        document.getElementById('lipSyncError').textContent = '';
+    });
+    
+    document.getElementById('modalCancelBtn').style.display = 'block';
+    document.getElementById('modalConfirmBtn').textContent = 'Apply';
+}
+
+// ==================== UNDO/REDO ====================
+// Every history entry snapshots one scope just before a mutation:
+//   'frame'    - one frame of one layer (strokes, fills, selection edits)
+//   'layer'    - every frame of one layer (frame add/delete/reorder, holds, tweens)
+//   'settings' - layer properties and order plus project settings, without any frames
+//                (visibility, names, opacity, fps, background, frame timing)
+//   'project'  - all layers with their frames plus project settings (layer add/delete,
+//                canvas, imports, all-layer frame edits)
+// Undo swaps the entry with a fresh snapshot of the same scope, so undo and redo
+// are symmetric. Entries are kept until the memory budget is exceeded.
+const HISTORY_BUDGET_KEY = 'animframe-history-budget';
+const DEFAULT_HISTORY_BUDGET_MB = 32;
+
+// Reference images and the audio track are data URLs of up to several megabytes each.
+// Snapshots hold a short token instead; the pool keeps each distinct URL once and
+// counts against the history budget.
+const historyAssets = {
+    urls: new Map(), // token -> data URL
+    tokens: new Map(), // data URL -> token
+    bytes: 0,
+    nextId: 0
+};
+const HISTORY_ASSET_TOKEN = /history-asset:\d+/g;
+
+function stringifyHistoryData(value) {
+    return JSON.stringify(value, (key, item) => {
+        if ((key !== 'referenceImage' && key !== 'src') || typeof item !== 'string' || !item.startsWith('data:')) {
+            return item;
+        }
+        let token = historyAssets.tokens.get(item);
+        if (!token) {
+            token = `history-asset:${historyAssets.nextId++}`;
+            historyAssets.urls.set(token, item);
+            historyAssets.tokens.set(item, token);
+            historyAssets.bytes += item.length * 2;
+        }
+        return token;
+    });
+}
+
+function parseHistoryData(text) {
+    return JSON.parse(text, (key, item) => typeof item === 'string' && historyAssets.urls.has(item) ? historyAssets.urls.get(item) : item);
+}
+
+function captureProjectSettings() {
+    return {
+        layerIdCounter: state.layerIdCounter,
+        fps: state.fps,
+        frameDurations: state.frameDurations,
+        backgroundColor: state.backgroundColor,
+        canvasWidth: state.canvasWidth,
+        canvasHeight: state.canvasHeight,
+        audioTrack: state.audioTrack,
+        lipSync: state.lipSync,
+        playbackSettings: state.playbackSettings
+    };
+}
+
+function restoreProjectSettings(data) {
+    state.layerIdCounter = data.layerIdCounter;
+    state.fps = data.fps;
+    state.frameDurations = data.frameDurations || {};
+    state.backgroundColor = data.backgroundColor;
+    state.canvasWidth = data.canvasWidth;
+    state.canvasHeight = data.canvasHeight;
+    state.audioTrack = data.audioTrack || null;
+    state.lipSync = data.lipSync || null;
+    state.playbackSettings = Object.assign(createPlaybackSettings(), data.playbackSettings);
+}
+
+function captureHistoryData(scope, layerId, frameIndex) {
+    if (scope === 'project') {
+        return stringifyHistoryData(Object.assign({ layers: state.layers }, captureProjectSettings()));
+    }
+    if (scope === 'settings') {
+        const layers = state.layers.map(layer => {
+            const { frames, ...properties } = layer;
+            return properties;
+        });
+        return stringifyHistoryData(Object.assign({ layers: layers }, captureProjectSettings()));
+    }
+    
+    const layer = state.layers.find(l => l.id === layerId);
+    if (!layer) return null;
+    if (scope === 'layer') return stringifyHistoryData(layer.frames);
+    if (!layer.frames[frameIndex]) return null;
+    return stringifyHistoryData(layer.frames[frameIndex]);
+}
+
+function createHistoryEntry(label, scope, layerId, frameIndex) {
+    const data = captureHistoryData(scope, layerId, frameIndex);
+    if (data === null) return null;
+    
+    return {
+        label: label,
+        scope: scope,
+        layerId: layerId,
+        frameIndex: frameIndex,
+        currentLayerId: state.currentLayerId,
+        currentFrameIndex: state.currentFrameIndex,
+        data: data,
+        assets: new Set(data.match(HISTORY_ASSET_TOKEN)),
+        size: data.length * 2, // UTF-16 estimate
+        time: Date.now()
+    };
+}
+
+function saveStateForUndo(label = 'Edit', scope = 'frame') {
+    const currentLayer = getCurrentLayer();
+    if (!currentLayer) return;
+    
+    // Frame-scope entries keep the drawing shown on the current frame
+    const frameIndex = currentLayer.isBackground ? 0 : getDrawingIndex(currentLayer, state.currentFrameIndex);
+    
+    // Editing a tween key regenerates its in-betweens, so keep the whole layer
+    const frame = currentLayer.frames[frameIndex];
+    if (scope === 'frame' && frame && (frame.key || frame.motionTweens)) {
+        scope = 'layer';
+    }
+    
+    const entry = createHistoryEntry(label, scope, currentLayer.id, frameIndex);
+    if (!entry) return;
+    
+    // A new action ends the redo branch
+    state.undoStack.push(entry);
+    state.redoStack = [];
+    trimHistory();
+    scheduleHistoryPanelUpdate();
+}
+
+function getHistoryBudgetBytes() {
+    return state.historyBudgetMB * 1024 * 1024;
+}
+
+function getHistorySize() {
+    let total = historyAssets.bytes;
+    state.undoStack.forEach(entry => { total += entry.size; });
+    state.redoStack.forEach(entry => { total += entry.size; });
+    return total;
+}
+
+// Free pooled data URLs that no history entry and no part of the open project uses
+function releaseHistoryAssets() {
+    const used = new Set();
+    state.undoStack.concat(state.redoStack).forEach(entry => {
+        entry.assets.forEach(token => used.add(token));
+    });
+    const keepUrl = (url) => {
+        const token = url && historyAssets.tokens.get(url);
+        if (token) used.add(token);
+    };
+    state.layers.forEach(layer => layer.frames.forEach(frame => keepUrl(frame.referenceImage)));
+    if (state.audioTrack) keepUrl(state.audioTrack.src);
+    
+    historyAssets.urls.forEach((url, token) => {
+        if (used.has(token)) return;
+        historyAssets.urls.delete(token);
+        historyAssets.tokens.delete(url);
+        historyAssets.bytes -= url.length * 2;
+    });
+}
+
+// Drop the oldest entries until the history fits the budget. The newest undo
+// entry is always kept so the last action can be undone however large it is.
+function trimHistory() {
+    const budget = getHistoryBudgetBytes();
+    releaseHistoryAssets();
+    
+    while (getHistorySize() > budget && state.undoStack.length > 1) {
+        state.undoStack.shift();
+        state.historyTrimmed = true;
+        releaseHistoryAssets();
+    }
+    while (getHistorySize() > budget && state.redoStack.length > 0) {
+        state.redoStack.shift();
+        releaseHistoryAssets();
+    }
+}
+
+function setHistoryBudget(mb) {
+    state.historyBudgetMB = Math.max(1, Math.min(1024, mb));
+    localStorage.setItem(HISTORY_BUDGET_KEY, String(state.historyBudgetMB));
+    trimHistory();
+    updateHistoryPanel();
+}
+
+function loadHistoryBudget() {
+    const saved = parseInt(localStorage.getItem(HISTORY_BUDGET_KEY));
+    state.historyBudgetMB = saved > 0 ? saved : DEFAULT_HISTORY_BUDGET_MB;
+}
+
+function clearHistory() {
+    state.undoStack = [];
+    state.redoStack = [];
+    state.historyTrimmed = false;
+    historyAssets.urls.clear();
+    historyAssets.tokens.clear();
+    historyAssets.bytes = 0;
+    scheduleHistoryPanelUpdate();
+}
+
+function restoreHistoryEntry(entry) {
+    const data = parseHistoryData(entry.data);
+    
+    if (entry.scope === 'project') {
+        state.layers = data.layers;
+        restoreProjectSettings(data);
+    } else if (entry.scope === 'settings') {
+        // Frames stay with their layers; only properties and order come back
+        const frames = new Map(state.layers.map(layer => [layer.id, layer.frames]));
+        if (data.layers.some(layer => !frames.has(layer.id))) return false;
+        state.layers = data.layers.map(layer => Object.assign(layer, { frames: frames.get(layer.id) }));
+        restoreProjectSettings(data);
+    } else {
+        const layer = state.layers.find(l => l.id === entry.layerId);
+        if (!layer) return false;
+        if (entry.scope === 'layer') {
+            layer.frames = data;
+        } else {
+            layer.frames[entry.frameIndex] = data;
+        }
+    }
+    
+    if (state.layers.some(l => l.id === entry.currentLayerId)) {
+        state.currentLayerId = entry.currentLayerId;
+    } else if (!state.layers.some(l => l.id === state.currentLayerId)) {
+        state.currentLayerId = state.layers[0].id;
+    }
+    state.currentFrameIndex = entry.currentFrameIndex;
+    return true;
+}
+
+// Move one entry from `from` to `to`, snapshotting the present state of the
+// same scope so the step can be reversed.
+function stepHistory(from, to) {
+    if (from.length === 0) return false;
+    
+    // The entry only leaves its stack once it has been restored
+    const entry = from[from.length - 1];
+    const current = createHistoryEntry(entry.label, entry.scope, entry.layerId, entry.frameIndex);
+    if (!current || !restoreHistoryEntry(entry)) return false;
+    
+    from.pop();
+    to.push(current);
+    return true;
+}
+
+function refreshAfterHistoryChange() {
+    updateMaxFrames();
+    const currentLayer = getCurrentLayer();
+    const lastIndex = Math.max(0, (currentLayer ? getLayerLength(currentLayer) : 1) - 1);
+    if (state.currentFrameIndex > lastIndex) state.currentFrameIndex = lastIndex;
+    
+    if (state.tool === 'node') clearNodeEdit();
+    clearSelection();
+    
+    document.getElementById('fpsSelect').value = state.fps;
+    if (state.isPlaying) {
+        stopPlayback();
+        startPlayback();
+    }
+    syncBackgroundUI();
+    updateBackground();
+    if (svg.getAttribute('width') !== String(state.canvasWidth) ||
+        svg.getAttribute('height') !== String(state.canvasHeight)) {
+        updateCanvasSize(state.canvasWidth, state.canvasHeight);
+    }
+    syncPlaybackUI();
+    syncAudioTrack();
+    
+    renderFrame();
+    updateFrameList();
+    updateLayerList();
+    updateFrameCounter();
+    updateHistoryPanel();
+    saveProject();
+}
+
+function undo() {
+    if (stepHistory(state.undoStack, state.redoStack)) {
+        refreshAfterHistoryChange();
+    }
+}
+
+function redo() {
+    if (stepHistory(state.redoStack, state.undoStack)) {
+        refreshAfterHistoryChange();
+    }
+}
+
+// Position 0 is the oldest kept state; position undoStack.length is now.
+function jumpToHistory(position) {
+    let changed = false;
+    while (state.undoStack.length > position) {
+        if (!stepHistory(state.undoStack, state.redoStack)) break;
+        changed = true;
+    }
+    while (state.undoStack.length < position && state.redoStack.length > 0) {
+        if (!stepHistory(state.redoStack, state.undoStack)) break;
+        changed = true;
+    }
+    if (changed) refreshAfterHistoryChange();
+}
+
+// ==================== HISTORY PANEL ====================
+function setupHistoryPanel() {
+    const panel = document.getElementById('historyPanel');
+    const toggleBtn = document.getElementById('historyBtn');
+    const budgetInput = document.getElementById('historyBudgetInput');
+    
+    loadHistoryBudget();
+    budgetInput.value = state.historyBudgetMB;
+    
+    toggleBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const isVisible = panel.style.display !== 'none';
+        panel.style.display = isVisible ? 'none' : 'flex';
+        toggleBtn.classList.toggle('active', !isVisible);
+        if (!isVisible) updateHistoryPanel();
+    });
+    
+    document.addEventListener('click', (e) => {
+        if (panel.style.display !== 'none' &&
+            !panel.contains(e.target) &&
+            !toggleBtn.contains(e.target)) {
+            panel.style.display = 'none';
+            toggleBtn.classList.remove('active');
+        }
+    });
+    
+    document.getElementById('historyList').addEventListener('click', (e) => {
+        const item = e.target.closest('.history-item');
+        if (!item) return;
+        jumpToHistory(parseInt(item.getAttribute('data-position')));
+    });
+    
+    budgetInput.addEventListener('change', () => {
+        const mb = parseInt(budgetInput.value);
+        if (mb > 0) setHistoryBudget(mb);
+        budgetInput.value = state.historyBudgetMB;
+    });
+}
+
+function formatHistorySize(bytes) {
+    if (bytes < 1024 * 1024) return Math.max(1, Math.round(bytes / 1024)) + ' KB';
+    return (bytes / (1024 * 1024)).toFixed(1) + ' MB';
+}
+
+let historyPanelUpdatePending = false;
+
+// One action can push several entries, so the panel redraws on the next
+// frame rather than once per entry.
+function scheduleHistoryPanelUpdate() {
+    if (historyPanelUpdatePending) return;
+    historyPanelUpdatePending = true;
+    requestAnimationFrame(() => {
+        historyPanelUpdatePending = false;
+        updateHistoryPanel();
+    });
+}
+
+function updateHistoryPanel() {
+    const panel = document.getElementById('historyPanel');
+    if (!panel || panel.style.display === 'none') return;
+    
+    const list = document.getElementById('historyList');
+    list.innerHTML = '';
+    
+    const addItem = (label, position, className) => {
+        const item = document.createElement('div');
+        item.className = 'history-item ' + className;
+        item.setAttribute('data-position', position);
+        item.textContent = label;
+        list.appendChild(item);
+    };
+    
+    const current = state.undoStack.length;
+    addItem(state.historyTrimmed ? 'Oldest kept state' : 'Initial state', 0, current === 0 ? 'current' : '');
+    state.undoStack.forEach((entry, i) => {
+        addItem(entry.label, i + 1, i + 1 === current ? 'current' : '');
+    });
+    for (let i = state.redoStack.length - 1; i >= 0; i--) {
+        addItem(state.redoStack[i].label, current + state.redoStack.length - i, 'future');
+    }
+    
+    const currentItem = list.querySelector('.history-item.current');
+    if (currentItem) currentItem.scrollIntoView({ block: 'nearest' });
+    
+    document.getElementById('historyUsage').textContent =
+        formatHistorySize(getHistorySize()) + ' used';
+}
+
+// ==================== LOCAL STORAGE ====================
+// Fields written by every save format (library, localStorage fallback).
+// Formats that store the sound separately pass their own audioTrack record.
+function serializeProjectState(layers, audioTrack = state.audioTrack) {
+    return {
+        layers: layers,
+        currentLayerId: state.currentLayerId,
+        currentFrameIndex: state.currentFrameIndex,
+        maxFrames: state.maxFrames,
+        layerIdCounter: state.layerIdCounter,
+        fps: state.fps,
+        frameDurations: state.frameDurations,
+        backgroundColor: state.backgroundColor,
+        canvasWidth: state.canvasWidth,
+        canvasHeight: state.canvasHeight,
+        onionSkinEnabled: state.onionSkinEnabled,
+        onionSkinSettings: state.onionSkinSettings,
+        playbackSettings: state.playbackSettings,
+        audioTrack: audioTrack,
+        lipSync: state.lipSync,
+        version: PROJECT_VERSION
+    };
+}
+
+// Migrate, validate and load saved project fields into state.
+// Throws with the offending field if the data doesn't match the schema.
+function applyProjectData(data) {
+    data = migrateProject(data);
+    
+    state.layers = data.layers;
+    state.currentLayerId = data.currentLayerId || state.layers[0].id;
+    state.currentFrameIndex = data.currentFrameIndex || 0;
+    state.maxFrames = data.maxFrames || 1;
+    state.layerIdCounter = data.layerIdCounter;
+    state.fps = data.fps;
+    state.frameDurations = data.frameDurations || {};
+    state.backgroundColor = data.backgroundColor;
+    state.canvasWidth = data.canvasWidth;
+    state.canvasHeight = data.canvasHeight;
+    state.audioTrack = data.audioTrack || null;
+    state.lipSync = data.lipSync || null;
+    
+    // Load onion skin settings (default to enabled if not present)
+    state.onionSkinEnabled = data.onionSkinEnabled !== undefined ? data.onionSkinEnabled : true;
+    if (data.onionSkinSettings) {
+        state.onionSkinSettings = data.onionSkinSettings;
+    }
+    state.playbackSettings = Object.assign(createPlaybackSettings(), data.playbackSettings);
+}
+
+// Save to whichever store is available. Library saves are debounced.
+function saveProject() {
+    if (projectLibrary.status === 'unavailable') {
+        saveToLocalStorage();
+        return;
+    }
+    if (projectLibrary.status !== 'ready') return;
+    
+    clearTimeout(projectLibrary.saveTimer);
+    projectLibrary.saveTimer = setTimeout(saveProjectToLibrary, 400);
+}
+
+// Fallback used only when IndexedDB can't be opened
+function saveToLocalStorage() {
+    try {
+        // Strip reference images and audio from save data (too large for localStorage)
+        const layersForSave = state.layers.map(layer => ({
+            ...layer,
+            frames: layer.frames.map(frame => {
+                if (frame.referenceImage) {
+                    const { referenceImage, ...rest } = frame;
+                    return rest;
+                }
+                return frame;
+            })
+        }));
+
+        localStorage.setItem('vectorAnimationToolData', JSON.stringify(serializeProjectState(layersForSave, null)));
+    } catch (e) {
+        console.error('Failed to save to localStorage:', e);
+        if (isQuotaError(e) && !projectLibrary.saveWarned) {
+            projectLibrary.saveWarned = true;
+            showAlert('Browser storage is full, so recent changes were not saved. Use Save to keep this project as a file.', 'Storage Full');
+        }
+    }
+}
+
+function loadFromLocalStorage() {
+    try {
+        const savedData = localStorage.getItem('vectorAnimationToolData');
+        if (savedData) {
+            applyProjectData(JSON.parse(savedData));
+            
+            document.getElementById('fpsSelect').value = state.fps;
+            // Background UI will be synced in init() via syncBackgroundUI()
+        }
+    } catch (e) {
+        console.error('Failed to load from localStorage:', e);
+        resetToDefault();
+    }
+}
+
+function resetToDefault() {
+    state.layers = [{
+        id: 'layer-1',
+        name: 'Layer 1',
+        visible: true,
+        opacity: 1,
+        frames: [{ paths: [] }]
+    }];
+    state.currentLayerId = 'layer-1';
+    state.currentFrameIndex = 0;
+    state.maxFrames = 1;
+    state.layerIdCounter = 1;
+    state.fps = 12;
+    state.frameDurations = {};
+    state.playbackSettings = createPlaybackSettings();
+    state.audioTrack = null;
+    state.lipSync = null;
+}
+
+function newProject() {
+    const message = projectLibrary.status === 'ready'
+        ? 'Start a new project? The current one stays in the Projects library.'
+        : 'Start a new project? Any unsaved changes will be lost.';
+    if (!confirm(message)) return;
+    startFreshProject('Untitled');
+}
+
+// Save the open project, then switch to a blank one
+async function startFreshProject(name) {
+    await flushProjectSave();
+    resetProjectState();
+    if (projectLibrary.status === 'ready') startLibraryProject(name);
+    saveProject();
+}
+
+function resetProjectState() {
+    resetToDefault();
+    clearHistory();
+    state.frameClipboard = null;
+    state.backgroundColor = '#ffffff';
+    state.canvasWidth = 600;
+    state.canvasHeight = 600;
+    
+    // Reset UI
+    const svg = document.getElementById('mainSvg');
+    svg.setAttribute('width', 600);
+    svg.setAttribute('height', 600);
+    svg.setAttribute('viewBox', '0 0 600 600');
+    document.getElementById('backgroundRect').setAttribute('fill', '#ffffff');
+    document.getElementById('fpsSelect').value = '12';
+    document.getElementById('canvasSizeSelect').value = '600x600';
+    state.zoom = 1;
+    state.panX = 0;
+    state.panY = 0;
+    document.getElementById('colorPicker').value = '#000000';
+    document.getElementById('backgroundColorPicker').value = '#ffffff';
+    document.getElementById('transparentBgToggle').checked = false;
+    
+    clearSelection();
+    syncAudioTrack();
+    updateLayerList();
+    updateFrameList();
+    updateFrameCounter();
+    renderFrame();
+}
+
+// ==================== PROJECT LIBRARY ====================
+// Named projects live in IndexedDB. Project records hold the drawing data;
+// reference images and the audio track are stored separately as Blobs so they
+// survive reloads without bloating every save:
+//   projects: { id, name, created, modified, thumbnail: Blob, data }
+//   images:   { id, projectId, blob }
+// Frames in `data` point at their image with `referenceImageId`; the audio
+// track points at its sound with `srcId`.
+const LIBRARY_DB_NAME = 'animframe-library';
+const LIBRARY_DB_VERSION = 1;
+const LAST_PROJECT_KEY = 'animframe-last-project';
+const THUMBNAIL_SIZE = 160;
+const THUMBNAIL_INTERVAL = 5000; // Minimum ms between thumbnail renders
+
+const projectLibrary = {
+    status: 'opening', // opening, ready or unavailable
+    db: null,
+    projectId: null,
+    projectName: 'Untitled',
+    created: 0,
+    imageIds: new Map(),   // referenceImage (or audio) data URL -> stored image id
+    imageCounter: 0,
+    savedImageIds: new Set(),
+    lastSavedJSON: null,
+    thumbnail: null,
+    thumbnailTime: 0,
+    saveTimer: null,
+    saving: false,
+    saveQueued: false,
+    saveWarned: false,
+    thumbUrls: []
+};
+
+function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function idbTransactionDone(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new DOMException('Transaction aborted', 'AbortError'));
+    });
+}
+
+function openLibraryDatabase() {
+    return new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB is not supported'));
+            return;
+        }
+        const request = indexedDB.open(LIBRARY_DB_NAME, LIBRARY_DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains('projects')) {
+                const projects = db.createObjectStore('projects', { keyPath: 'id' });
+                projects.createIndex('modified', 'modified');
+            }
+            if (!db.objectStoreNames.contains('images')) {
+                const images = db.createObjectStore('images', { keyPath: 'id' });
+                images.createIndex('projectId', 'projectId');
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function createLibraryId(prefix) {
+    return prefix + '-' + Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 8);
+}
+
+function dataUrlToBlob(dataUrl) {
+    return fetch(dataUrl).then(response => response.blob());
+}
+
+function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+function isQuotaError(err) {
+    return !!err && (err.name === 'QuotaExceededError' || err.name === 'NS_ERROR_DOM_QUOTA_REACHED');
+}
+
+// Called from init(). Opens the library and restores the last open project,
+// migrating the old single localStorage project the first time.
+async function initProjectLibrary() {
+    try {
+        projectLibrary.db = await openLibraryDatabase();
+    } catch (err) {
+        console.error('Project library unavailable, falling back to localStorage:', err);
+        projectLibrary.status = 'unavailable';
+        return;
+    }
+    projectLibrary.status = 'ready';
+    
+    if (navigator.storage && navigator.storage.persist) {
+        navigator.storage.persist().catch(() => {});
+    }
+    
+    const lastId = localStorage.getItem(LAST_PROJECT_KEY);
+    if (lastId && await openLibraryProject(lastId)) return;
+    
+    // First run: whatever init() loaded from localStorage becomes a library project
+    startLibraryProject('Untitled');
+    await saveProjectToLibrary();
+    if (projectLibrary.lastSavedJSON && legacyProjectLoads()) {
+        localStorage.removeItem('vectorAnimationToolData');
+    }
+}
+
+// Only drop the old localStorage copy once it's known to have been migrated
+function legacyProjectLoads() {
+    try {
+        const saved = localStorage.getItem('vectorAnimationToolData');
+        if (saved) migrateProject(JSON.parse(saved));
+        return true;
+    } catch (err) {
+        return false;
+    }
+}
+
+function startLibraryProject(name) {
+    projectLibrary.projectId = createLibraryId('project');
+    projectLibrary.projectName = name;
+    projectLibrary.created = Date.now();
+    projectLibrary.imageIds = new Map();
+    projectLibrary.imageCounter = 0;
+    projectLibrary.savedImageIds = new Set();
+    projectLibrary.lastSavedJSON = null;
+    projectLibrary.thumbnail = null;
+    projectLibrary.thumbnailTime = 0;
+    localStorage.setItem(LAST_PROJECT_KEY, projectLibrary.projectId);
+}
+
+async function renderProjectThumbnail() {
+    const fullCanvas = document.createElement('canvas');
+    fullCanvas.width = state.canvasWidth;
+    fullCanvas.height = state.canvasHeight;
+    const fullCtx = fullCanvas.getContext('2d');
+    if (state.backgroundColor !== 'transparent') {
+        fullCtx.fillStyle = state.backgroundColor;
+        fullCtx.fillRect(0, 0, fullCanvas.width, fullCanvas.height);
+    }
+    await renderFrameToCanvas(fullCtx, 0);
+    
+    const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(fullCanvas.width, fullCanvas.height));
+    const thumbCanvas = document.createElement('canvas');
+    thumbCanvas.width = Math.max(1, Math.round(fullCanvas.width * scale));
+    thumbCanvas.height = Math.max(1, Math.round(fullCanvas.height * scale));
+    thumbCanvas.getContext('2d').drawImage(fullCanvas, 0, 0, thumbCanvas.width, thumbCanvas.height);
+    return new Promise(resolve => thumbCanvas.toBlob(resolve, 'image/png'));
+}
+
+// Serialize the project with reference images swapped for stored image ids.
+// Images not yet in the store are returned in `newImages`.
+function snapshotProjectForLibrary() {
+    const lib = projectLibrary;
+    const newImages = [];
+    const usedImageIds = new Set();
+    const storeImage = (dataUrl) => {
+        let imageId = lib.imageIds.get(dataUrl);
+        if (!imageId) {
+            imageId = lib.projectId + '-img-' + (++lib.imageCounter);
+            lib.imageIds.set(dataUrl, imageId);
+        }
+        if (!lib.savedImageIds.has(imageId) && !usedImageIds.has(imageId)) {
+            newImages.push({ id: imageId, dataUrl: dataUrl });
+        }
+        usedImageIds.add(imageId);
+        return imageId;
+    };
+    const layers = state.layers.map(layer => ({
+        ...layer,
+        frames: layer.frames.map(frame => {
+            if (!frame.referenceImage) return frame;
+            const { referenceImage, ...rest } = frame;
+            return { ...rest, referenceImageId: storeImage(referenceImage) };
+        })
+    }));
+    let audioTrack = null;
+    if (state.audioTrack) {
+        const { src, ...rest } = state.audioTrack;
+        audioTrack = { ...rest, srcId: storeImage(src) };
+    }
+    return {
+        json: JSON.stringify(serializeProjectState(layers, audioTrack)),
+        newImages: newImages,
+        usedImageIds: usedImageIds
+    };
+}
+
+async function saveProjectToLibrary() {
+    const lib = projectLibrary;
+    if (lib.status !== 'ready' || !lib.projectId) return;
+    if (lib.saving) {
+        lib.saveQueued = true;
+        return;
+    }
+    lib.saving = true;
+    
+    try {
+        // Snapshot synchronously so later edits can't tear the save
+        const { json, newImages, usedImageIds } = snapshotProjectForLibrary();
+        if (json === lib.lastSavedJSON && newImages.length === 0) return;
+        
+        if (!lib.thumbnail || Date.now() - lib.thumbnailTime > THUMBNAIL_INTERVAL) {
+            lib.thumbnail = await renderProjectThumbnail();
+            lib.thumbnailTime = Date.now();
+        }
+        const imageRecords = await Promise.all(newImages.map(async image => ({
+            id: image.id,
+            projectId: lib.projectId,
+            blob: await dataUrlToBlob(image.dataUrl)
+        })));
+        const staleImageIds = [...lib.savedImageIds].filter(id => !usedImageIds.has(id));
+        
+        const tx = lib.db.transaction(['projects', 'images'], 'readwrite');
+        const images = tx.objectStore('images');
+        imageRecords.forEach(record => images.put(record));
+        staleImageIds.forEach(id => images.delete(id));
+        tx.objectStore('projects').put({
+            id: lib.projectId,
+            name: lib.projectName,
+            created: lib.created,
+            modified: Date.now(),
+            thumbnail: lib.thumbnail,
+            data: JSON.parse(json)
+        });
+        await idbTransactionDone(tx);
+        
+        lib.savedImageIds = usedImageIds;
+        lib.lastSavedJSON = json;
+        lib.saveWarned = false;
+    } catch (err) {
+        console.error('Failed to save project:', err);
+        if (!lib.saveWarned) {
+            lib.saveWarned = true;
+            if (isQuotaError(err)) {
+                showAlert('Browser storage is full, so recent changes were not saved. Delete or export projects from the Projects browser to free space.', 'Storage Full');
+            } else {
+                showAlert('Recent changes were not saved to the project library.<br><br>' + escapeXML(String(err && err.message || err)), 'Save Failed');
+            }
+        }
+    } finally {
+        lib.saving = false;
+        if (lib.saveQueued) {
+            lib.saveQueued = false;
+            saveProject();
+        }
+    }
+}
+
+// Write any pending changes immediately (before switching projects)
+async function flushProjectSave() {
+    clearTimeout(projectLibrary.saveTimer);
+    while (projectLibrary.saving) {
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    await saveProjectToLibrary();
+}
+
+async function openLibraryProject(id) {
+    const lib = projectLibrary;
+    try {
+        const tx = lib.db.transaction(['projects', 'images'], 'readonly');
+        const record = await idbRequest(tx.objectStore('projects').get(id));
+        if (!record) return false;
+        const imageRecords = await idbRequest(tx.objectStore('images').index('projectId').getAll(id));
+        
+        const imageUrls = new Map();
+        for (const image of imageRecords) {
+            imageUrls.set(image.id, await blobToDataUrl(image.blob));
+        }
+        
+        const data = record.data;
+        data.layers.forEach(layer => {
+            layer.frames.forEach(frame => {
+                if (frame.referenceImageId === undefined) return;
+                const url = imageUrls.get(frame.referenceImageId);
+                if (url) frame.referenceImage = url;
+                delete frame.referenceImageId;
+            });
+        });
+        if (data.audioTrack) {
+            const url = imageUrls.get(data.audioTrack.srcId);
+            if (url) {
+                data.audioTrack.src = url;
+                delete data.audioTrack.srcId;
+            } else {
+                data.audioTrack = null;
+            }
+        }
+        applyProjectData(data);
+        
+        lib.projectId = record.id;
+        lib.projectName = record.name;
+        lib.created = record.created;
+        lib.imageIds = new Map();
+        lib.imageCounter = 0;
+        imageUrls.forEach((url, imageId) => {
+            lib.imageIds.set(url, imageId);
+            const n = parseInt(imageId.slice(imageId.lastIndexOf('-') + 1));
+            if (n > lib.imageCounter) lib.imageCounter = n;
+        });
+        lib.savedImageIds = new Set(imageUrls.keys());
+        lib.thumbnail = record.thumbnail || null;
+        lib.thumbnailTime = Date.now();
+        localStorage.setItem(LAST_PROJECT_KEY, record.id);
+        
+        refreshProjectUI();
+        // Opening alone shouldn't bump the modified time
+        lib.lastSavedJSON = snapshotProjectForLibrary().json;
+        clearTimeout(lib.saveTimer);
+        return true;
+    } catch (err) {
+        console.error('Failed to open project:', err);
+        showAlert('Failed to open project: ' + err.message, 'Open Error');
+        return false;
+    }
+}
+
+// Sync every view with freshly loaded project state
+function refreshProjectUI() {
+    if (state.isPlaying) stopPlayback();
+    clearHistory();
+    clearSelection();
+    if (state.tool === 'node') clearNodeEdit();
+    updateMaxFrames();
+    
+    document.getElementById('fpsSelect').value = state.fps;
+    syncBackgroundUI();
+    updateBackground();
+    updateCanvasSize(state.canvasWidth, state.canvasHeight);
+    syncOnionSkinUI();
+    syncPlaybackUI();
+    syncAudioTrack();
+    
+    renderFrame();
+    updateLayerList();
+    updateFrameList();
+    updateFrameCounter();
+}
+
+async function listLibraryProjects() {
+    const tx = projectLibrary.db.transaction('projects', 'readonly');
+    const records = await idbRequest(tx.objectStore('projects').getAll());
+    return records
+        .map(r => ({ id: r.id, name: r.name, modified: r.modified, thumbnail: r.thumbnail }))
+        .sort((a, b) => b.modified - a.modified);
+}
+
+async function renameLibraryProject(id, name) {
+    if (id === projectLibrary.projectId) {
+        projectLibrary.projectName = name;
+    }
+    const tx = projectLibrary.db.transaction('projects', 'readwrite');
+    const store = tx.objectStore('projects');
+    const record = await idbRequest(store.get(id));
+    if (!record) return;
+    record.name = name;
+    store.put(record);
+    await idbTransactionDone(tx);
+}
+
+async function duplicateLibraryProject(id) {
+    if (id === projectLibrary.projectId) await flushProjectSave();
+    
+    const db = projectLibrary.db;
+    const readTx = db.transaction(['projects', 'images'], 'readonly');
+    const record = await idbRequest(readTx.objectStore('projects').get(id));
+    if (!record) return;
+    const images = await idbRequest(readTx.objectStore('images').index('projectId').getAll(id));
+    
+    const newId = createLibraryId('project');
+    const idMap = new Map();
+    images.forEach((image, i) => idMap.set(image.id, newId + '-img-' + (i + 1)));
+    record.data.layers.forEach(layer => {
+        layer.frames.forEach(frame => {
+            if (frame.referenceImageId !== undefined) {
+                frame.referenceImageId = idMap.get(frame.referenceImageId);
+            }
+        });
+    });
+    
+    const tx = db.transaction(['projects', 'images'], 'readwrite');
+    const imageStore = tx.objectStore('images');
+    images.forEach(image => imageStore.put({ id: idMap.get(image.id), projectId: newId, blob: image.blob }));
+    tx.objectStore('projects').put({
+        ...record,
+        id: newId,
+        name: record.name + ' copy',
+        created: Date.now(),
+        modified: Date.now()
+    });
+    await idbTransactionDone(tx);
+}
+
+async function deleteLibraryProject(id) {
+    const tx = projectLibrary.db.transaction(['projects', 'images'], 'readwrite');
+    tx.objectStore('projects').delete(id);
+    const imageStore = tx.objectStore('images');
+    const imageKeys = await idbRequest(imageStore.index('projectId').getAllKeys(id));
+    imageKeys.forEach(key => imageStore.delete(key));
+    await idbTransactionDone(tx);
+}
+
+function formatStorageSize(bytes) {
+    if (bytes >= 1024 * 1024 * 1024) return (bytes / (1024 * 1024 * 1024)).toFixed(1) + ' GB';
+    if (bytes >= 1024 * 1024) return (bytes / (1024 * 1024)).toFixed(1) + ' MB';
+    return Math.round(bytes / 1024) + ' KB';
+}
+
+async function updateStorageInfo() {
+    const info = document.getElementById('projectStorageInfo');
+    if (!info) return;
+    if (!navigator.storage || !navigator.storage.estimate) {
+        info.textContent = '';
+        return;
+    }
+    const estimate = await navigator.storage.estimate();
+    const percent = estimate.quota ? Math.round(estimate.usage / estimate.quota * 100) : 0;
+    info.textContent = `Storage: ${formatStorageSize(estimate.usage)} of ${formatStorageSize(estimate.quota)} used (${percent}%)`;
+    info.classList.toggle('warning', percent >= 90);
+}
+
+function showProjectBrowser() {
+    if (projectLibrary.status !== 'ready') {
+        showAlert('The project library is not available in this browser. Use Save and Open to keep projects as files.', 'Projects');
+        return;
+    }
+    
+    openModal('Projects', `
+        <div id="projectList" class="project-list"></div>
+        <p id="projectStorageInfo" class="project-storage-info"></p>
+    `, () => {
+        closeModal();
+        showNewLibraryProjectDialog();
+    });
+    document.getElementById('modalCancelBtn').style.display = 'block';
+    document.getElementById('modalConfirmBtn').textContent = 'New Project';
+    
+    flushProjectSave().then(renderProjectList);
+}
+
+async function renderProjectList() {
+    const list = document.getElementById('projectList');
+    if (!list) return;
+    
+    projectLibrary.thumbUrls.forEach(url => URL.revokeObjectURL(url));
+    projectLibrary.thumbUrls = [];
+    
+    let projects;
+    try {
+        projects = await listLibraryProjects();
+    } catch (err) {
+        list.textContent = 'Failed to read projects: ' + err.message;
+        return;
+    }
+    
+    list.innerHTML = '';
+    projects.forEach(project => {
+        const item = document.createElement('div');
+        item.className = 'project-item';
+        if (project.id === projectLibrary.projectId) item.classList.add('current');
+        
+        const thumb = document.createElement('div');
+        thumb.className = 'project-thumb';
+        if (project.thumbnail) {
+            const img = document.createElement('img');
+            const url = URL.createObjectURL(project.thumbnail);
+            projectLibrary.thumbUrls.push(url);
+            img.src = url;
+            img.alt = '';
+            thumb.appendChild(img);
+        }
+        
+        const info = document.createElement('div');
+        info.className = 'project-info';
+        const name = document.createElement('div');
+        name.className = 'project-name';
+        name.textContent = project.name;
+        const modified = document.createElement('div');
+        modified.className = 'project-modified';
+        modified.textContent = new Date(project.modified).toLocaleString();
+        info.appendChild(name);
+        info.appendChild(modified);
+        
+        const actions = document.createElement('div');
+        actions.className = 'project-actions';
+        const addAction = (label, handler) => {
+            const btn = document.createElement('button');
+            btn.className = 'project-action-btn';
+            btn.textContent = label;
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                handler();
+            });
+            actions.appendChild(btn);
+        };
+        addAction('Rename', () => showRenameProjectDialog(project));
+        addAction('Duplicate', () => {
+            duplicateLibraryProject(project.id)
+                .then(renderProjectList)
+                .catch(err => showLibraryError(err, 'Duplicate Failed'));
+        });
+        addAction('Delete', () => confirmDeleteProject(project));
+        
+        item.appendChild(thumb);
+        item.appendChild(info);
+        item.appendChild(actions);
+        item.addEventListener('click', async () => {
+            closeModal();
+            if (project.id === projectLibrary.projectId) return;
+            await flushProjectSave();
+            await openLibraryProject(project.id);
+        });
+        list.appendChild(item);
+    });
+    
+    updateStorageInfo();
+}
+
+function showLibraryError(err, title) {
+    console.error(title + ':', err);
+    if (isQuotaError(err)) {
+        showAlert('Browser storage is full. Delete or export projects to free space.', 'Storage Full');
+    } else {
+        showAlert(err.message, title);
+    }
+}
+
+function showRenameProjectDialog(project) {
+    openModal('Rename Project', `
+        <div class="modal-input-group">
+            <label>Name</label>
+            <input type="text" id="projectNameInput" maxlength="60">
+        </div>
+    `, () => {
+        const name = document.getElementById('projectNameInput').value.trim();
+        if (!name) return;
+        renameLibraryProject(project.id, name)
+            .then(showProjectBrowser)
+            .catch(err => showLibraryError(err, 'Rename Failed'));
+    });
+    document.getElementById('projectNameInput').value = project.name;
+    document.getElementById('modalCancelBtn').style.display = 'block';
+    document.getElementById('modalConfirmBtn').textContent = 'Rename';
+    document.getElementById('modalCancelBtn').onclick = showProjectBrowser;
+}
+
+function confirmDeleteProject(project) {
+    showConfirm(`Delete "${escapeXML(project.name)}"? This cannot be undone.`, 'Delete Project', async () => {
+        try {
+            const isOpen = project.id === projectLibrary.projectId;
+            if (isOpen) await flushProjectSave();
+            await deleteLibraryProject(project.id);
+            if (isOpen) {
+                // The open project is gone; keep working in a fresh one
+                resetProjectState();
+                startLibraryProject('Untitled');
+                saveProject();
+            }
+            showProjectBrowser();
+        } catch (err) {
+            showLibraryError(err, 'Delete Failed');
+        }
+    });
+    document.getElementById('modalCancelBtn').onclick = showProjectBrowser;
+}
+
+function showNewLibraryProjectDialog() {
+    openModal('New Project', `
+        <div class="modal-input-group">
+            <label>Name</label>
+            <input type="text" id="projectNameInput" maxlength="60" value="Untitled">
+        </div>
+    `, () => {
+        const name = document.getElementById('projectNameInput').value.trim() || 'Untitled';
+        closeModal();
+        startFreshProject(name);
+    });
+    document.getElementById('modalCancelBtn').style.display = 'block';
+    document.getElementById('modalConfirmBtn').textContent = 'Create';
+}
+
+// ==================== EXPORT/IMPORT ====================
+// Projects are saved as .animframe bundles: a zip holding
+//   project.json     - manifest; frames point at `referenceAsset` paths
+//   assets/ref-N.*   - reference frames in their original image format
+//   assets/audio.*   - the audio track, if any (`audioTrack.asset` in the manifest)
+//   thumbnail.png    - preview of the first frame
+// Plain .json projects with inline data URLs can still be opened.
+const BUNDLE_FORMAT = 'animframe-bundle';
+const BUNDLE_ASSET_TYPES = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp',
+    'audio/mpeg': 'mp3',
+    'audio/wav': 'wav',
+    'audio/ogg': 'ogg'
+};
+
+function getBundleAssetMime(path) {
+    const ext = path.slice(path.lastIndexOf('.') + 1).toLowerCase();
+    const mime = Object.keys(BUNDLE_ASSET_TYPES).find(type => BUNDLE_ASSET_TYPES[type] === ext);
+    return mime || 'image/png';
+}
+
+function getProjectFileName() {
+    const name = projectLibrary.projectName.replace(/[\\/:*?"<>|]+/g, '').trim();
+    return (name || 'animframe-project') + '.animframe';
+}
+
+async function exportProject() {
+    if (typeof JSZip === 'undefined') {
+        showAlert('JSZip library not loaded. Please refresh the page and try again.', 'Error');
+        return;
+    }
+    
+    const loading = document.createElement('div');
+    loading.className = 'loading';
+    loading.textContent = 'Saving project...';
+    document.body.appendChild(loading);
+    
+    try {
+        const zip = new JSZip();
+        const assets = zip.folder('assets');
+        const assetPaths = new Map(); // data URL -> asset path, so repeated frames share a file
+        
+        const layers = state.layers.map(layer => ({
+            ...layer,
+            frames: layer.frames.map(frame => {
+                if (!frame.referenceImage) return frame;
+                const { referenceImage, ...rest } = frame;
+                let path = assetPaths.get(referenceImage);
+                if (!path) {
+                    const mime = referenceImage.slice(5, referenceImage.indexOf(';'));
+                    const name = `ref-${String(assetPaths.size + 1).padStart(4, '0')}.${BUNDLE_ASSET_TYPES[mime] || 'png'}`;
+                    path = 'assets/' + name;
+                    assetPaths.set(referenceImage, path);
+                    // Images are already compressed, so store them as-is
+                    assets.file(name, referenceImage.slice(referenceImage.indexOf(',') + 1), {
+                        base64: true,
+                        compression: 'STORE'
+                    });
+                }
+                return { ...rest, referenceAsset: path };
+            })
+        }));
+        
+        let audioTrack = null;
+        if (state.audioTrack) {
+            const { src, ...rest } = state.audioTrack;
+            const mime = src.slice(5, src.indexOf(';'));
+            audioTrack = { ...rest, asset: `assets/audio.${BUNDLE_ASSET_TYPES[mime] || 'mp3'}` };
+            assets.file(audioTrack.asset.slice('assets/'.length), src.slice(src.indexOf(',') + 1), {
+                base64: true,
+                compression: 'STORE'
+            });
+        }
+        
+        const manifest = {
+            format: BUNDLE_FORMAT,
+            name: projectLibrary.projectName,
+            ...serializeProjectState(layers, audioTrack)
+        };
+        zip.file('project.json', JSON.stringify(manifest, null, 2));
+        
+        const thumbnail = await renderProjectThumbnail();
+        if (thumbnail) zip.file('thumbnail.png', thumbnail, { compression: 'STORE' });
+        
+        const zipBlob = await zip.generateAsync({
+            type: 'blob',
+            compression: 'DEFLATE',
+            streamFiles: true
+        }, (metadata) => {
+            loading.textContent = `Saving project... ${Math.round(metadata.percent)}%`;
+        });
+        
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(zipBlob);
+        link.download = getProjectFileName();
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(link.href);
+    } catch (err) {
+        console.error('Project save error:', err);
+        showAlert('Failed to save project: ' + err.message, 'Save Error');
+    } finally {
+        if (document.body.contains(loading)) {
+            document.body.removeChild(loading);
+        }
+    }
+}
+
+// Read a .animframe bundle back into plain project data with inline images
+async function readProjectBundle(file) {
+    if (typeof JSZip === 'undefined') {
+        throw new Error('JSZip library not loaded. Please refresh the page and try again.');
+    }
+    const zip = await JSZip.loadAsync(file);
+    const manifestFile = zip.file('project.json');
+    if (!manifestFile) {
+        throw new Error('project.json is missing from the bundle');
+    }
+    
+    const data = JSON.parse(await manifestFile.async('string'));
+    if (data.format !== BUNDLE_FORMAT) {
+        throw projectFieldError('format', `"${BUNDLE_FORMAT}"`, data.format);
+    }
+    
+    const assetUrls = new Map();
+    for (const [li, layer] of (Array.isArray(data.layers) ? data.layers : []).entries()) {
+        if (!layer || !Array.isArray(layer.frames)) continue;
+        for (const [fi, frame] of layer.frames.entries()) {
+            if (!frame || frame.referenceAsset === undefined) continue;
+            const path = frame.referenceAsset;
+            if (!assetUrls.has(path)) {
+                const asset = typeof path === 'string' ? zip.file(path) : null;
+                if (!asset) {
+                    throw projectFieldError(`layers[${li}].frames[${fi}].referenceAsset`, 'a file in the bundle', path);
+                }
+                assetUrls.set(path, `data:${getBundleAssetMime(path)};base64,` + await asset.async('base64'));
+            }
+            frame.referenceImage = assetUrls.get(path);
+            delete frame.referenceAsset;
+        }
+    }
+    
+    if (data.audioTrack && data.audioTrack.asset !== undefined) {
+        const asset = typeof data.audioTrack.asset === 'string' ? zip.file(data.audioTrack.asset) : null;
+        if (!asset) {
+            throw projectFieldError('audioTrack.asset', 'a file in the bundle', data.audioTrack.asset);
+        }
+        data.audioTrack.src = `data:${getBundleAssetMime(data.audioTrack.asset)};base64,` + await asset.async('base64');
+        delete data.audioTrack.asset;
+    }
+    return data;
+}
+
+// Bundles are zip files; check the signature so a renamed file still opens
+async function isProjectBundle(file) {
+    const head = new Uint8Array(await file.slice(0, 4).arrayBuffer());
+    return head.length === 4 && head[0] === 0x50 && head[1] === 0x4b && head[2] === 0x03 && head[3] === 0x04;
+}
+
+function readProjectJSON(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                resolve(JSON.parse(reader.result));
+            } catch (err) {
+                reject(err);
+            }
+        };
+        reader.onerror = () => reject(reader.error);
+        reader.readAsText(file);
+    });
+}
+
+async function importProject(e) {
+    const file = e.target.files[0];
+    if (!file) return;
+    e.target.value = '';
+    
+    const loading = document.createElement('div');
+    loading.className = 'loading';
+    loading.textContent = 'Opening project...';
+    document.body.appendChild(loading);
+    
+    let projectData, projectName;
+    try {
+        const data = await isProjectBundle(file) ? await readProjectBundle(file) : await readProjectJSON(file);
+        projectName = (data && typeof data.name === 'string' && data.name.trim()) ||
+            file.name.replace(/\.[^.]+$/, '') || 'Untitled';
+        projectData = migrateProject(data);
+    } catch (err) {
+        showAlert('This file is not a valid AnimFrame project.<br><br>' + escapeXML(err.message), 'Import Error');
+        return;
+    } finally {
+        if (document.body.contains(loading)) {
+            document.body.removeChild(loading);
+        }
+    }
+    
+    try {
+        if (projectLibrary.status === 'ready') {
+            // The open project stays in the library; the import gets an entry of its own
+            await flushProjectSave();
+            applyProjectData(projectData);
+            state.currentFrameIndex = 0;
+            state.currentLayerId = state.layers[0].id;
+            startLibraryProject(projectName.slice(0, 60));
+            refreshProjectUI();
+            saveProject();
+        } else {
+            // Without the library the import replaces the only saved project, so keep it undoable
+            saveStateForUndo('Import project', 'project');
+            applyProjectData(projectData);
+            state.currentFrameIndex = 0;
+            state.currentLayerId = state.layers[0].id;
+            syncOnionSkinUI();
+            refreshAfterHistoryChange();
+        }
+        
+        showAlert('Project imported successfully!', 'Success');
+    } catch (err) {
+        showAlert('Failed to import project: ' + err.message, 'Import Error');
+    }
+}
+
+// ==================== EXPORT OPTIONS ====================
+// Frame range, output scale, layers, bounds and file name shared by every exporter (state.exportOptions)
+const EXPORT_SCALES = [0.5, 1, 1.5, 2, 3, 4];
+
+function isLayerExported(layer, options = state.exportOptions) {
+    const choice = options.layers[layer.id];
+    return choice !== undefined ? choice : !isReferenceLayer(layer);
+}
+
+function createExportOptionsHTML() {
+    const options = state.exportOptions;
+    const last = Math.max(1, state.maxFrames);
+    let from = Math.min(options.from, last);
+    let to = options.to ? Math.min(options.to, last) : last;
+    
+    // In/out markers seed the range so exports match what playback shows
+    const marked = state.playbackSettings.inPoint !== null || state.playbackSettings.outPoint !== null;
+    if (marked) {
+        const range = getPlaybackRange();
+        from = range.from + 1;
+        to = range.to + 1;
+    }
+    const scaleOptions = EXPORT_SCALES
+        .map(scale => `<option value="${scale}"${scale === options.scale ? ' selected' : ''}>${scale}×</option>`).join('');
+    
+    // Top layer first, like the layer panel
+    const layerRows = state.layers.slice().reverse().map(layer => `
+                <label class="modal-checkbox${layer.visible ? '' : ' disabled'}">
+                    <input type="checkbox" data-export-layer="${layer.id}"${isLayerExported(layer) ? ' checked' : ''}${layer.visible ? '' : ' disabled'}>
+                    ${escapeXML(layer.name)}${isReferenceLayer(layer) ? ' <span class="export-layer-note">reference</span>' : ''}${layer.visible ? '' : ' <span class="export-layer-note">hidden</span>'}
+                </label>`).join('');
+    
+    return `
+        <div class="modal-input-row">
+            <div class="modal-input-group">
+                <label>From frame</label>
+                <input type="number" id="modalExportFrom" value="${from}" min="1" max="${last}">
+            </div>
+            <div class="modal-input-group">
+                <label>To frame</label>
+                <input type="number" id="modalExportTo" value="${to}" min="1" max="${last}">
+            </div>
+            <div class="modal-input-group">
+                <label>Scale</label>
+                <select id="modalExportScale">${scaleOptions}</select>
+            </div>
+        </div>${marked ? `
+        <div class="export-layer-note">Frame range taken from the playback in/out markers</div>` : ''}
+        <div class="modal-input-row">
+            <div class="modal-input-group">
+                <label>Bounds</label>
+                <select id="modalExportBounds">
+                    <option value="canvas"${options.bounds === 'canvas' ? ' selected' : ''}>Whole canvas</option>
+                    <option value="content"${options.bounds === 'content' ? ' selected' : ''}>Crop to content</option>
+                </select>
+            </div>
+            <div class="modal-input-group">
+                <label>Padding (px)</label>
+                <input type="number" id="modalExportPadding" value="${options.padding}" min="0" max="1000">
+            </div>
+        </div>
+        <div class="modal-input-group">
+            <label>Layers</label>
+            <div class="export-layer-list">${layerRows}
+            </div>
+        </div>
+        <div class="modal-input-group">
+            <label>File name</label>
+            <input type="text" id="modalExportFileName" value="${escapeXML(options.fileName)}" placeholder="{project}">
+            <span class="export-layer-note">{project} {format} {width} {height} {from} {to} {date}</span>
+        </div>
+    `;
+}
+
+// Read the shared fields; returns { error } or options ready for state.exportOptions
+function readExportOptionsForm() {
+    const last = Math.max(1, state.maxFrames);
+    const from = parseInt(document.getElementById('modalExportFrom').value) || 1;
+    const to = parseInt(document.getElementById('modalExportTo').value) || last;
+    if (from < 1 || to > last || from > to) {
+        return { error: `Frame range must be within 1–${last}, with the first frame before the last.` };
+    }
+    
+    const layers = {};
+    document.querySelectorAll('[data-export-layer]').forEach(input => {
+        layers[input.getAttribute('data-export-layer')] = input.checked;
+    });
+    if (!state.layers.some(layer => layer.visible && layers[layer.id])) {
+        return { error: 'Select at least one visible layer to export.' };
+    }
+    
+    return {
+        from: from,
+        // Remember "to the end" so the range grows with the animation
+        to: to === last ? null : to,
+        scale: parseFloat(document.getElementById('modalExportScale').value) || 1,
+        layers: layers,
+        bounds: document.getElementById('modalExportBounds').value,
+        padding: Math.min(1000, Math.max(0, parseInt(document.getElementById('modalExportPadding').value) || 0)),
+        fileName: document.getElementById('modalExportFileName').value.trim() || '{project}'
+    };
+}
+
+// Union of everything the exported layers draw over the range (reference images cover the canvas)
+function getExportContentBounds(from, to, layerIds) {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    const include = (box) => {
+        minX = Math.min(minX, box.x);
+        minY = Math.min(minY, box.y);
+        maxX = Math.max(maxX, box.x + box.width);
+        maxY = Math.max(maxY, box.y + box.height);
+    };
+    
+    const measured = new Set();
+    for (let i = from; i <= to; i++) {
+        getFrameComposite(i, false, layerIds).forEach(({ frame }) => {
+            // Held and background frames resolve to the same object; measure them once
+            if (!frame || measured.has(frame)) return;
+            measured.add(frame);
+            if (frame.referenceImage) {
+                include({ x: 0, y: 0, width: state.canvasWidth, height: state.canvasHeight });
+            }
+            frame.paths.forEach(pathData => {
+                if (pathData.d && pathData.tool !== 'eraser') include(getPathDataBBox(pathData));
+            });
+        });
+    }
+    
+    if (minX === Infinity) return null;
+    return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+}
+
+// Turn saved options into 0-based frames, the canvas area to render and the output size.
+// Video codecs need even dimensions.
+function resolveExportOptions(options = state.exportOptions, evenSize = false) {
+    const last = Math.max(1, state.maxFrames);
+    const from = Math.min(options.from, last) - 1;
+    const to = (options.to ? Math.min(options.to, last) : last) - 1;
+    const layerIds = new Set(state.layers.filter(layer => layer.visible && isLayerExported(layer, options)).map(layer => layer.id));
+    
+    let rect = { x: 0, y: 0, width: state.canvasWidth, height: state.canvasHeight };
+    if (options.bounds === 'content') {
+        const content = getExportContentBounds(from, to, layerIds);
+        if (content) {
+            rect = {
+                x: Math.floor(content.x),
+                y: Math.floor(content.y),
+                width: Math.ceil(content.x + content.width) - Math.floor(content.x),
+                height: Math.ceil(content.y + content.height) - Math.floor(content.y)
+            };
         }
     }
-    
-    // Update button to Play icon
-    const playBtn = document.getElementById('playBtn');
-    if (playBtn) {
-        const iconEl = playBtn.querySelector('.icon');
-        if (iconEl) iconEl.textContent = '▶'; // Play icon
-        playBtn.title = 'Play';
-        playBtn.classList.remove('playing');
-        
-        // Force button to be re-enabled (critical for iPad)
-        playBtn.disabled = false;
-        playBtn.style.pointerEvents = 'auto';
+    if (options.padding > 0) {
+        rect = {
+            x: rect.x - options.padding,
+            y: rect.y - options.padding,
+            width: rect.width + options.padding * 2,
+            height: rect.height + options.padding * 2
+        };
     }
     
-    // Force a final render to ensure UI is in sync
-    try {
-        renderFrame();
-        updateFrameList();
-        updateFrameCounter();
-    } catch (err) {
-        console.error('Stop playback render error:', err);
+    let width = Math.max(1, Math.round(rect.width * options.scale));
+    let height = Math.max(1, Math.round(rect.height * options.scale));
+    if (evenSize) {
+        width += width % 2;
+        height += height % 2;
     }
     
+    return { from: from, to: to, scale: options.scale, layerIds: layerIds, rect: rect, width: width, height: height };
 }
 
-// ==================== UNDO/REDO ====================
-function saveStateForUndo() {
-    const currentLayer = getCurrentLayer();
-    if (!currentLayer || !currentLayer.frames[state.currentFrameIndex]) return;
-    
-    const frameState = JSON.parse(JSON.stringify(currentLayer.frames[state.currentFrameIndex]));
-    state.undoStack.push({
-        layerId: state.currentLayerId,
-        frameIndex: state.currentFrameIndex,
-        frameState: frameState
-    });
-    
-    if (state.undoStack.length > 50) {
-        state.undoStack.shift();
-    }
+function formatExportFileName(template, resolved, format, extension) {
+    const project = projectLibrary.projectName.replace(/[\\/:*?"<>|]+/g, '').trim() || 'animation';
+    const tokens = {
+        project: project,
+        format: format,
+        width: resolved.width,
+        height: resolved.height,
+        from: resolved.from + 1,
+        to: resolved.to + 1,
+        date: new Date().toISOString().slice(0, 10)
+    };
+    const name = template.replace(/\{(\w+)\}/g, (match, key) => tokens[key] !== undefined ? tokens[key] : match)
+        .replace(/[\\/:*?"<>|]+/g, '').trim();
+    return (name || project) + '.' + extension;
 }
 
-function undo() {
-    if (state.undoStack.length === 0) return;
+function downloadExportBlob(blob, fileName) {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(link.href);
+}
+
+// ==================== VIDEO & ANIMATED IMAGE EXPORT ====================
+// MP4 and WebM go through WebCodecs; APNG and animated WebP are assembled from the
+// browser's own PNG/WebP still encoders; GIF is encoded in gif-worker.js.
+const ANIMATION_EXPORT_FORMATS = {
+    gif: { label: 'GIF Animation', extension: 'gif', mime: 'image/gif', video: false, alpha: true },
+    png: { label: 'PNG Sequence (.zip)', extension: 'zip', mime: 'application/zip', video: false, alpha: true, sequence: true },
+    mp4: { label: 'MP4 Video (H.264)', extension: 'mp4', mime: 'video/mp4', video: true, alpha: false },
+    webm: { label: 'WebM Video (VP8/VP9)', extension: 'webm', mime: 'video/webm', video: true, alpha: true },
+    apng: { label: 'Animated PNG', extension: 'png', mime: 'image/apng', video: false, alpha: true },
+    webp: { label: 'Animated WebP', extension: 'webp', mime: 'image/webp', video: false, alpha: true }
+};
+
+function showAnimationExportDialog(format) {
+    const settings = state.animationExportSettings;
+    settings.format = format || settings.format;
     
-    const previousState = state.undoStack.pop();
-    const layer = state.layers.find(l => l.id === previousState.layerId);
+    const formatOptions = Object.entries(ANIMATION_EXPORT_FORMATS)
+        .map(([key, info]) => `<option value="${key}">${info.label}</option>`).join('');
     
-    if (!layer || !layer.frames[previousState.frameIndex]) return;
+    const bodyHTML = `
+        <div class="modal-input-row">
+            <div class="modal-input-group">
+                <label>Format</label>
+                <select id="modalExportFormat">${formatOptions}</select>
+            </div>
+            <div class="modal-input-group" id="modalExportCodecGroup">
+                <label>Codec</label>
+                <select id="modalExportCodec">
+                    <option value="vp9">VP9</option>
+                    <option value="vp8">VP8</option>
+                </select>
+            </div>
+        </div>
+        <div class="modal-input-row">
+            <div class="modal-input-group" id="modalExportBitrateGroup">
+                <label>Bitrate (Mbps)</label>
+                <input type="number" id="modalExportBitrate" value="${settings.bitrate}" min="0.5" max="50" step="0.5">
+            </div>
+            <div class="modal-input-group" id="modalExportQualityGroup">
+                <label>Quality (%)</label>
+                <input type="number" id="modalExportQuality" value="${settings.quality}" min="1" max="100">
+            </div>
+            <div class="modal-input-group" id="modalExportLoopGroup">
+                <label>Loops (0 = forever)</label>
+                <input type="number" id="modalExportLoop" value="${state.playbackSettings.mode === 'once' ? 1 : settings.loop}" min="0" max="65535">
+            </div>
+        </div>
+        <div class="modal-input-row" id="modalExportGifGroup">
+            <div class="modal-input-group">
+                <label>Palette</label>
+                <select id="modalExportPalette">
+                    <option value="global">Global</option>
+                    <option value="frame">Per frame</option>
+                </select>
+            </div>
+            <div class="modal-input-group">
+                <label>Dithering</label>
+                <select id="modalExportDither">
+                    <option value="none">None</option>
+                    <option value="floyd-steinberg">Floyd–Steinberg</option>
+                    <option value="ordered">Ordered</option>
+                </select>
+            </div>
+            <div class="modal-input-group">
+                <label>Colors</label>
+                <input type="number" id="modalExportColors" value="${settings.colors}" min="2" max="256">
+            </div>
+        </div>
+        <div class="modal-input-group" id="modalExportCropGroup">
+            <label class="modal-checkbox"><input type="checkbox" id="modalExportCrop"${settings.crop ? ' checked' : ''}> Only store changed areas between frames</label>
+        </div>
+        <div class="modal-input-group" id="modalExportAudioGroup">
+            <label class="modal-checkbox"><input type="checkbox" id="modalExportAudio"${settings.audio ? ' checked' : ''}> Include audio track</label>
+        </div>
+        ${createExportOptionsHTML()}
+        <div class="modal-input-group">
+            <label class="modal-checkbox"><input type="checkbox" id="modalExportTransparent"> Transparent background</label>
+        </div>
+        <p class="modal-message" id="modalExportSize"></p>
+    `;
     
-    // Save current state to redo
-    const currentState = JSON.parse(JSON.stringify(layer.frames[previousState.frameIndex]));
-    state.redoStack.push({
-        layerId: previousState.layerId,
-        frameIndex: previousState.frameIndex,
-        frameState: currentState
+    openModal('Export Animation', bodyHTML, () => {
+        const exportOptions = readExportOptionsForm();
+        if (exportOptions.error) {
+            showAlert(exportOptions.error, 'Invalid Input');
+            return;
+        }
+        Object.assign(state.exportOptions, exportOptions);
+        
+        settings.format = formatSelect.value;
+        settings.codec = document.getElementById('modalExportCodec').value;
+        settings.bitrate = Math.min(50, Math.max(0.5, parseFloat(document.getElementById('modalExportBitrate').value) || 5));
+        settings.quality = Math.min(100, Math.max(1, parseInt(document.getElementById('modalExportQuality').value) || 80));
+        settings.loop = Math.min(65535, Math.max(0, parseInt(document.getElementById('modalExportLoop').value) || 0));
+        settings.gifPalette = document.getElementById('modalExportPalette').value;
+        settings.dither = document.getElementById('modalExportDither').value;
+        settings.colors = Math.min(256, Math.max(2, parseInt(document.getElementById('modalExportColors').value) || 256));
+        settings.crop = document.getElementById('modalExportCrop').checked;
+        settings.audio = document.getElementById('modalExportAudio').checked;
+        
+        closeModal();
+        exportAnimation(Object.assign({}, settings, { transparent: transparentInput.checked }));
     });
     
-    // Restore previous state
-    layer.frames[previousState.frameIndex] = previousState.frameState;
-    state.currentLayerId = previousState.layerId;
-    state.currentFrameIndex = previousState.frameIndex;
-    
-    renderFrame();
-    updateFrameList();
-    updateLayerList();
-    saveToLocalStorage();
+    document.getElementById('modalCancelBtn').style.display = 'block';
+    document.getElementById('modalConfirmBtn').textContent = 'Export';
+    
+    const formatSelect = document.getElementById('modalExportFormat');
+    const transparentInput = document.getElementById('modalExportTransparent');
+    formatSelect.value = settings.format;
+    document.getElementById('modalExportCodec').value = settings.codec;
+    document.getElementById('modalExportPalette').value = settings.gifPalette;
+    document.getElementById('modalExportDither').value = settings.dither;
+    transparentInput.checked = state.backgroundColor === 'transparent';
+    
+    const syncFields = () => {
+        const info = ANIMATION_EXPORT_FORMATS[formatSelect.value];
+        document.getElementById('modalExportCodecGroup').style.display = formatSelect.value === 'webm' ? '' : 'none';
+        document.getElementById('modalExportBitrateGroup').style.display = info.video ? '' : 'none';
+        document.getElementById('modalExportQualityGroup').style.display = formatSelect.value === 'webp' ? '' : 'none';
+        document.getElementById('modalExportLoopGroup').style.display = info.video || info.sequence ? 'none' : '';
+        document.getElementById('modalExportGifGroup').style.display = formatSelect.value === 'gif' ? '' : 'none';
+        document.getElementById('modalExportCropGroup').style.display = formatSelect.value === 'gif' ? '' : 'none';
+        document.getElementById('modalExportAudioGroup').style.display = info.video && state.audioTrack ? '' : 'none';
+        transparentInput.disabled = !info.alpha;
+        transparentInput.parentElement.style.opacity = info.alpha ? '' : '0.5';
+        
+        // Content bounds are only known once the range and layers are final
+        const form = readExportOptionsForm();
+        let size = form.error ? '–' : 'fitted to content';
+        if (!form.error && form.bounds === 'canvas') {
+            const resolved = resolveExportOptions(form, info.video);
+            size = `${resolved.width}×${resolved.height}`;
+        }
+        document.getElementById('modalExportSize').textContent =
+            `Output: ${size}` + (info.alpha ? '' : ' (no alpha channel)') +
+            (state.playbackSettings.mode === 'pingpong' && !info.video && !info.sequence ? ', playing forward then back (ping-pong)' : '');
+    };
+    document.getElementById('modalBody').addEventListener('change', syncFields);
+    syncFields();
 }
 
-function redo() {
-    if (state.redoStack.length === 0) return;
-    
-    const nextState = state.redoStack.pop();
-    const layer = state.layers.find(l => l.id === nextState.layerId);
+// Render one frame at export size; vectors are drawn at the target scale so they stay crisp
+async function renderAnimationExportFrame(ctx, frameIndex, options) {
+    const canvas = ctx.canvas;
+    const rect = options.rect;
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
     
-    if (!layer || !layer.frames[nextState.frameIndex]) return;
-    
-    // Save current to undo
-    saveStateForUndo();
-    
-    // Restore next state
-    layer.frames[nextState.frameIndex] = nextState.frameState;
-    state.currentLayerId = nextState.layerId;
-    state.currentFrameIndex = nextState.frameIndex;
+    const transparent = options.transparent && ANIMATION_EXPORT_FORMATS[options.format].alpha;
+    if (!transparent) {
+        ctx.fillStyle = state.backgroundColor === 'transparent' ? '#ffffff' : state.backgroundColor;
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+    }
     
-    renderFrame();
-    updateFrameList();
-    updateLayerList();
-    saveToLocalStorage();
+    const scaleX = canvas.width / rect.width;
+    const scaleY = canvas.height / rect.height;
+    ctx.setTransform(scaleX, 0, 0, scaleY, -rect.x * scaleX, -rect.y * scaleY);
+    await renderFrameToCanvas(ctx, frameIndex, options.layerIds);
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
 }
 
-// ==================== LOCAL STORAGE ====================
-function saveToLocalStorage() {
-    try {
-        // Strip reference images from save data (too large for localStorage)
-        const layersForSave = state.layers.map(layer => ({
-            ...layer,
-            frames: layer.frames.map(frame => {
-                if (frame.referenceImage) {
-                    return { paths: frame.paths };
-                }
-                return frame;
-            })
-        }));
+// Millisecond timestamp of a frame boundary, rounded without drifting across the clip
+function getAnimationFrameTime(index) {
+    return Math.round(getFrameStartTime(state, index));
+}
 
-        const saveData = {
-            layers: layersForSave,
-            currentLayerId: state.currentLayerId,
-            currentFrameIndex: state.currentFrameIndex,
-            maxFrames: state.maxFrames,
-            layerIdCounter: state.layerIdCounter,
-            fps: state.fps,
-            backgroundColor: state.backgroundColor,
-            onionSkinEnabled: state.onionSkinEnabled,
-            onionSkinSettings: state.onionSkinSettings,
-            version: '4.3'
-        };
-        localStorage.setItem('vectorAnimationToolData', JSON.stringify(saveData));
-    } catch (e) {
-        console.error('Failed to save to localStorage:', e);
-    }
+// Millisecond boundaries of a played sequence of frames (see getPlaybackSequence), rounded the same way
+function getSequenceFrameTimes(frames) {
+    const times = [0];
+    let time = 0;
+    frames.forEach(frame => {
+        time += getFrameDuration(state, frame);
+        times.push(Math.round(time));
+    });
+    return times;
 }
 
-function loadFromLocalStorage() {
+async function exportAnimation(options) {
+    const info = ANIMATION_EXPORT_FORMATS[options.format];
+    
+    if (info.video && (!window.VideoEncoder || !window.VideoFrame)) {
+        showAlert(
+            `${info.label} export requires Chrome 94+ or Edge 94+.\n\n` +
+            'Your browser doesn\'t support WebCodecs.\n\n' +
+            'Alternative: Use PNG Sequence or Animated PNG export.',
+            'Not Supported'
+        );
+        return;
+    }
+    if (info.sequence && typeof JSZip === 'undefined') {
+        showAlert('JSZip library not loaded. Please refresh the page and try again.', 'Error');
+        return;
+    }
+    
+    const loading = document.createElement('div');
+    loading.className = 'loading';
+    loading.textContent = 'Preparing export...';
+    document.body.appendChild(loading);
+    
     try {
-        const savedData = localStorage.getItem('vectorAnimationToolData');
-        if (savedData) {
-            const data = JSON.parse(savedData);
-            
-            // Check if data has layer-centric structure
-            if ((data.version === '4.0' || data.version === '4.1' || data.version === '4.2' || data.version === '4.3') && data.layers && data.layers[0] && data.layers[0].frames) {
-                state.layers = data.layers;
-                // Ensure opacity exists on all layers (data migration)
-                state.layers.forEach(l => { if (l.opacity === undefined) l.opacity = 1; });
-                state.currentLayerId = data.currentLayerId || state.layers[0].id;
-                state.currentFrameIndex = data.currentFrameIndex || 0;
-                state.maxFrames = data.maxFrames || 1;
-                state.layerIdCounter = data.layerIdCounter || 1;
-                state.fps = data.fps || 12;
-                state.backgroundColor = data.backgroundColor || '#ffffff';
-                
-                // Load onion skin settings (default to enabled if not present)
-                state.onionSkinEnabled = data.onionSkinEnabled !== undefined ? data.onionSkinEnabled : true;
-                if (data.onionSkinSettings) {
-                    state.onionSkinSettings = data.onionSkinSettings;
-                }
-            } else {
-                // Old format - reset
-                resetToDefault();
-            }
-            
-            document.getElementById('fpsSelect').value = state.fps;
-            // Background UI will be synced in init() via syncBackgroundUI()
+        const resolved = resolveExportOptions(state.exportOptions, info.video);
+        options = Object.assign({}, options, resolved);
+        // Animated images loop on their own, so they follow the ping-pong playback mode
+        options.frames = getPlaybackSequence(options.from, options.to, info.video || info.sequence ? 'loop' : state.playbackSettings.mode);
+        options.fileName = formatExportFileName(state.exportOptions.fileName, resolved, options.format, info.extension);
+        
+        const canvas = document.createElement('canvas');
+        canvas.width = resolved.width;
+        canvas.height = resolved.height;
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        
+        let blob;
+        if (options.format === 'gif') blob = await encodeGIFAnimation(ctx, options, loading);
+        else if (options.format === 'png') blob = await encodePNGSequence(ctx, options, loading);
+        else if (options.format === 'mp4') blob = await encodeMP4(ctx, options, loading);
+        else if (options.format === 'webm') blob = await encodeWebM(ctx, options, loading);
+        else if (options.format === 'apng') blob = await encodeAPNG(ctx, options, loading);
+        else blob = await encodeAnimatedWebP(ctx, options, loading);
+        
+        downloadExportBlob(blob, options.fileName);
+    } catch (err) {
+        console.error(`${options.format} export error:`, err);
+        
+        let errorMsg = `Failed to export ${info.label}: ` + err.message;
+        if (err.message.includes('import') || err.message.includes('module')) {
+            errorMsg += '\n\nModule loading error.\n\nTry: PNG Sequence export instead.';
+        } else if (info.video && (err.message.includes('codec') || err.message.includes('not supported'))) {
+            errorMsg += '\n\nThis codec is not supported here.\n\nTry: Chrome or Edge (latest version)';
+        }
+        showAlert(errorMsg, 'Export Error');
+    } finally {
+        if (document.body.contains(loading)) {
+            document.body.removeChild(loading);
         }
-    } catch (e) {
-        console.error('Failed to load from localStorage:', e);
-        resetToDefault();
     }
 }
 
-function resetToDefault() {
-    state.layers = [{
-        id: 'layer-1',
-        name: 'Layer 1',
-        visible: true,
-        opacity: 1,
-        frames: [{ paths: [] }]
-    }];
-    state.currentLayerId = 'layer-1';
-    state.currentFrameIndex = 0;
-    state.maxFrames = 1;
-    state.layerIdCounter = 1;
-    state.fps = 12;
+// Feed frames from..to through a configured VideoEncoder
+async function encodeVideoFrames(ctx, encoder, options, loading) {
+    const total = options.to - options.from + 1;
+    const startTime = getFrameStartTime(state, options.from);
+    let lastKeyFrame = -Infinity;
+    
+    for (let i = options.from; i <= options.to; i++) {
+        const n = i - options.from;
+        loading.textContent = `Encoding frame ${n + 1}/${total}...`;
+        await renderAnimationExportFrame(ctx, i, options);
+        
+        // Timestamps follow the frame durations, in microseconds
+        const timestamp = Math.round((getFrameStartTime(state, i) - startTime) * 1000);
+        const videoFrame = new VideoFrame(ctx.canvas, {
+            timestamp: timestamp,
+            duration: Math.round(getFrameDuration(state, i) * 1000),
+            alpha: options.transparent ? 'keep' : 'discard'
+        });
+        // Keyframe every two seconds for seeking
+        const keyFrame = timestamp - lastKeyFrame >= 2_000_000;
+        if (keyFrame) lastKeyFrame = timestamp;
+        encoder.encode(videoFrame, { keyFrame: keyFrame });
+        videoFrame.close();
+        
+        // Allow UI to update every 5 frames
+        if (n % 5 === 0) {
+            await new Promise(resolve => setTimeout(resolve, 1));
+        }
+    }
+    
+    loading.textContent = 'Finalizing video...';
+    await encoder.flush();
+    encoder.close();
+}
+
+// The project's sound over the exported frames, resampled to `sampleRate` with the track's offset and volume
+function renderExportAudio(options, sampleRate) {
+    const buffer = audioPlayback.buffer;
+    const channels = Math.min(2, buffer.numberOfChannels);
+    const duration = (getFrameStartTime(state, options.to + 1) - getFrameStartTime(state, options.from)) / 1000;
+    const context = new OfflineAudioContext(channels, Math.ceil(duration * sampleRate), sampleRate);
+    const source = context.createBufferSource();
+    source.buffer = buffer;
+    const gain = context.createGain();
+    gain.gain.value = state.audioTrack.volume;
+    source.connect(gain).connect(context.destination);
+    
+    const audioTime = getAudioTimeAtFrame(options.from);
+    if (audioTime >= 0) {
+        source.start(0, audioTime);
+    } else {
+        source.start(-audioTime);
+    }
+    return context.startRendering();
 }
 
-function newProject() {
-    if (!confirm('Start a new project? Any unsaved changes will be lost.')) return;
+// Encode the export's sound with WebCodecs; codec is 'aac' (MP4) or 'opus' (WebM).
+// Returns the chunks and track settings for the muxer, or null when there's no sound to add.
+async function encodeExportAudio(options, codec, loading) {
+    if (!options.audio || !state.audioTrack) return null;
+    const codecLabel = codec === 'aac' ? 'AAC' : 'Opus';
+    if (!audioPlayback.buffer) {
+        throw new Error('The audio track has not been decoded yet');
+    }
+    if (!window.AudioEncoder || !window.AudioData) {
+        throw new Error(`${codecLabel} audio is not supported by this browser; turn off "Include audio track" to export without sound`);
+    }
     
-    resetToDefault();
-    state.undoStack = [];
-    state.redoStack = [];
-    state.frameClipboard = null;
-    state.backgroundColor = '#ffffff';
-    state.canvasWidth = 600;
-    state.canvasHeight = 600;
+    loading.textContent = 'Encoding audio...';
+    const sampleRate = 48000;
+    const rendered = await renderExportAudio(options, sampleRate);
+    const numberOfChannels = rendered.numberOfChannels;
+    const config = {
+        codec: codec === 'aac' ? 'mp4a.40.2' : 'opus',
+        sampleRate: sampleRate,
+        numberOfChannels: numberOfChannels,
+        bitrate: 128000
+    };
+    const support = await AudioEncoder.isConfigSupported(config);
+    if (!support.supported) {
+        throw new Error(`${codecLabel} audio is not supported by this browser; turn off "Include audio track" to export without sound`);
+    }
     
-    // Reset UI
-    const svg = document.getElementById('mainSvg');
-    svg.setAttribute('width', 600);
-    svg.setAttribute('height', 600);
-    svg.setAttribute('viewBox', '0 0 600 600');
-    document.getElementById('backgroundRect').setAttribute('fill', '#ffffff');
-    document.getElementById('fpsSelect').value = '12';
-    document.getElementById('canvasSizeSelect').value = '600x600';
-    state.zoom = 1;
-    state.panX = 0;
-    state.panY = 0;
-    document.getElementById('colorPicker').value = '#000000';
-    document.getElementById('backgroundColorPicker').value = '#ffffff';
-    document.getElementById('transparentBgToggle').checked = false;
+    const chunks = [];
+    let encoderError = null;
+    const encoder = new AudioEncoder({
+        output: (chunk, meta) => chunks.push({ chunk: chunk, meta: meta }),
+        error: (e) => { encoderError = e; }
+    });
+    encoder.configure(config);
+    
+    // Tenth-of-a-second blocks of planar samples
+    const blockSize = sampleRate / 10;
+    for (let offset = 0; offset < rendered.length; offset += blockSize) {
+        const frames = Math.min(blockSize, rendered.length - offset);
+        const data = new Float32Array(frames * numberOfChannels);
+        for (let c = 0; c < numberOfChannels; c++) {
+            data.set(rendered.getChannelData(c).subarray(offset, offset + frames), c * frames);
+        }
+        const audioData = new AudioData({
+            format: 'f32-planar',
+            sampleRate: sampleRate,
+            numberOfFrames: frames,
+            numberOfChannels: numberOfChannels,
+            timestamp: Math.round(offset / sampleRate * 1_000_000),
+            data: data
+        });
+        encoder.encode(audioData);
+        audioData.close();
+    }
     
-    clearSelection();
-    updateLayerList();
-    updateFrameList();
-    updateFrameCounter();
-    renderFrame();
-    saveToLocalStorage();
+    await encoder.flush();
+    encoder.close();
+    if (encoderError) throw encoderError;
+    return { chunks: chunks, sampleRate: sampleRate, numberOfChannels: numberOfChannels };
 }
 
-// ==================== EXPORT/IMPORT ====================
-function exportProject() {
-    const projectData = {
-        layers: state.layers,
-        fps: state.fps,
-        backgroundColor: state.backgroundColor,
-        version: '4.3',
-        format: 'vector-svg-layer-timelines'
+// Pass video chunks to the muxer together with the audio chunks due before them,
+// so the two tracks are written interleaved in timestamp order
+function createChunkInterleaver(muxer, audio) {
+    const audioChunks = audio ? audio.chunks : [];
+    let next = 0;
+    const addAudioUntil = (timestamp) => {
+        while (next < audioChunks.length && audioChunks[next].chunk.timestamp <= timestamp) {
+            muxer.addAudioChunk(audioChunks[next].chunk, audioChunks[next].meta);
+            next++;
+        }
     };
+    return {
+        addVideoChunk: (chunk, meta) => {
+            addAudioUntil(chunk.timestamp);
+            muxer.addVideoChunk(chunk, meta);
+        },
+        finish: () => addAudioUntil(Infinity)
+    };
+}
+
+// H.264 level by frame area (Baseline 3.1 tops out around 720p)
+function getAVCCodecString(width, height) {
+    const area = width * height;
+    if (area <= 921600) return 'avc1.42001f';
+    if (area <= 2097152) return 'avc1.420028';
+    return 'avc1.420033';
+}
+
+async function encodeMP4(ctx, options, loading) {
+    loading.textContent = 'Loading MP4 encoder...';
+    const { Muxer, ArrayBufferTarget } = await import('https://esm.sh/mp4-muxer@5.1.1');
+    const { width, height } = ctx.canvas;
+    
+    const config = {
+        codec: getAVCCodecString(width, height),
+        width: width,
+        height: height,
+        bitrate: Math.round(options.bitrate * 1_000_000),
+        framerate: state.fps,
+        latencyMode: 'quality'
+    };
+    const support = await VideoEncoder.isConfigSupported(config);
+    if (!support.supported) {
+        throw new Error(`H.264 at ${width}×${height} is not supported by this browser`);
+    }
+    const audio = await encodeExportAudio(options, 'aac', loading);
     
-    const dataStr = JSON.stringify(projectData, null, 2);
-    const dataBlob = new Blob([dataStr], { type: 'application/json' });
-    const url = URL.createObjectURL(dataBlob);
+    const muxerOptions = {
+        target: new ArrayBufferTarget(),
+        video: { codec: 'avc', width: width, height: height },
+        fastStart: 'in-memory'
+    };
+    if (audio) {
+        muxerOptions.audio = { codec: 'aac', numberOfChannels: audio.numberOfChannels, sampleRate: audio.sampleRate };
+    }
+    const muxer = new Muxer(muxerOptions);
+    const interleaver = createChunkInterleaver(muxer, audio);
     
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = 'animframe-project.json';
-    link.click();
+    let encoderError = null;
+    const encoder = new VideoEncoder({
+        output: interleaver.addVideoChunk,
+        error: (e) => { encoderError = e; }
+    });
+    encoder.configure(config);
     
-    URL.revokeObjectURL(url);
+    // MP4/H.264 has no alpha channel
+    await encodeVideoFrames(ctx, encoder, Object.assign({}, options, { transparent: false }), loading);
+    if (encoderError) throw encoderError;
+    
+    interleaver.finish();
+    muxer.finalize();
+    return new Blob([muxer.target.buffer], { type: 'video/mp4' });
 }
 
-function importProject(e) {
-    const file = e.target.files[0];
-    if (!file) return;
+async function encodeWebM(ctx, options, loading) {
+    if (typeof WebMMuxer === 'undefined') {
+        throw new Error('WebM muxer library not loaded. Please refresh the page and try again.');
+    }
+    const { Muxer, ArrayBufferTarget } = WebMMuxer;
+    const { width, height } = ctx.canvas;
     
-    const reader = new FileReader();
-    reader.onload = (event) => {
-        try {
-            const projectData = JSON.parse(event.target.result);
-            
-            if ((projectData.version === '4.0' || projectData.version === '4.1') && projectData.layers) {
-                state.layers = projectData.layers;
-                state.fps = projectData.fps || 12;
-                state.backgroundColor = projectData.backgroundColor || '#ffffff';
-                state.currentFrameIndex = 0;
-                state.currentLayerId = state.layers[0].id;
-                updateMaxFrames();
-            } else {
-                showAlert('Unsupported project format!', 'Import Error');
-                return;
-            }
-            
-            document.getElementById('fpsSelect').value = state.fps;
-            syncBackgroundUI();
-            
-            updateBackground();
-            renderFrame();
-            updateLayerList();
-            updateFrameList();
-            updateFrameCounter();
-            saveToLocalStorage();
-            
-            showAlert('Project imported successfully!', 'Success');
-        } catch (err) {
-            showAlert('Failed to import project: ' + err.message, 'Import Error');
+    const config = {
+        codec: options.codec === 'vp8' ? 'vp8' : 'vp09.00.10.08',
+        width: width,
+        height: height,
+        bitrate: Math.round(options.bitrate * 1_000_000),
+        framerate: state.fps,
+        latencyMode: 'quality',
+        alpha: options.transparent ? 'keep' : 'discard'
+    };
+    const support = await VideoEncoder.isConfigSupported(config);
+    if (!support.supported) {
+        throw new Error(`${options.codec.toUpperCase()}${options.transparent ? ' with alpha' : ''} is not supported by this browser`);
+    }
+    const audio = await encodeExportAudio(options, 'opus', loading);
+    
+    const muxerOptions = {
+        target: new ArrayBufferTarget(),
+        video: {
+            codec: options.codec === 'vp8' ? 'V_VP8' : 'V_VP9',
+            width: width,
+            height: height,
+            frameRate: state.fps,
+            alpha: options.transparent
         }
     };
-    reader.readAsText(file);
+    if (audio) {
+        muxerOptions.audio = { codec: 'A_OPUS', numberOfChannels: audio.numberOfChannels, sampleRate: audio.sampleRate };
+    }
+    const muxer = new Muxer(muxerOptions);
+    const interleaver = createChunkInterleaver(muxer, audio);
     
-    e.target.value = '';
+    let encoderError = null;
+    const encoder = new VideoEncoder({
+        output: interleaver.addVideoChunk,
+        error: (e) => { encoderError = e; }
+    });
+    encoder.configure(config);
+    
+    await encodeVideoFrames(ctx, encoder, options, loading);
+    if (encoderError) throw encoderError;
+    
+    interleaver.finish();
+    muxer.finalize();
+    return new Blob([muxer.target.buffer], { type: 'video/webm' });
 }
 
-// ==================== GIF EXPORT ====================
-async function exportAsGIF() {
-    // Check if gifshot is available
-    if (typeof gifshot === 'undefined') {
-        showAlert('GIF library not loaded. Please refresh the page and try again.', 'Error');
-        return;
+// Frames are rendered here and quantised/compressed in gif-worker.js
+async function encodeGIFAnimation(ctx, options, loading) {
+    const { width, height } = ctx.canvas;
+    const frames = [];
+    const total = options.frames.length;
+    
+    for (let n = 0; n < total; n++) {
+        loading.textContent = `Rendering frame ${n + 1}/${total}...`;
+        await new Promise(resolve => setTimeout(resolve, 1));
+        await renderAnimationExportFrame(ctx, options.frames[n], options);
+        
+        // Held frames render identically and become one longer GIF frame
+        const pixels = ctx.getImageData(0, 0, width, height).data;
+        const previous = frames[frames.length - 1];
+        if (previous && bytesEqual(previous.pixels, pixels)) {
+            previous.end = n + 1;
+        } else {
+            frames.push({ pixels: pixels, start: n, end: n + 1 });
+        }
     }
     
-    // Disable export button
-    const exportBtn = document.getElementById('exportGifBtn');
-    const originalText = exportBtn.textContent;
-    exportBtn.disabled = true;
-    exportBtn.textContent = 'Exporting…';
-    
-    // Show loading indicator
-    const loading = document.createElement('div');
-    loading.className = 'loading';
-    loading.textContent = 'Rendering frames...';
-    document.body.appendChild(loading);
+    // GIF delays are in centiseconds; browsers slow anything under 2 down to 10
+    const times = getSequenceFrameTimes(options.frames);
+    const centiseconds = (n) => Math.round(times[n] / 10);
+    frames.forEach(frame => {
+        frame.delay = Math.max(2, centiseconds(frame.end) - centiseconds(frame.start));
+    });
     
+    loading.textContent = 'Encoding GIF...';
+    const worker = new Worker('gif-worker.js');
     try {
+        const bytes = await new Promise((resolve, reject) => {
+            worker.onmessage = (e) => {
+                if (e.data.type === 'progress') {
+                    loading.textContent = `Encoding GIF frame ${e.data.done}/${e.data.total}...`;
+                } else if (e.data.type === 'done') {
+                    resolve(e.data.bytes);
+                } else {
+                    reject(new Error(e.data.message));
+                }
+            };
+            worker.onerror = (e) => reject(new Error(e.message || 'GIF encoder could not be loaded'));
+            
+            worker.postMessage({
+                options: {
+                    width: width,
+                    height: height,
+                    palette: options.gifPalette,
+                    dither: options.dither,
+                    colors: options.colors,
+                    transparent: options.transparent,
+                    crop: options.crop,
+                    // GIF counts repeats after the first play (-1 = no loop extension); 0 still means forever
+                    loop: options.loop === 0 ? 0 : (options.loop === 1 ? -1 : options.loop - 1)
+                },
+                frames: frames.map(frame => ({ pixels: frame.pixels, delay: frame.delay }))
+            }, frames.map(frame => frame.pixels.buffer));
+        });
+        return new Blob([bytes], { type: 'image/gif' });
+    } finally {
+        worker.terminate();
+    }
+}
+
+// Export as PNG sequence (ZIP file), numbered by their frame in the animation
+async function encodePNGSequence(ctx, options, loading) {
+    const zip = new JSZip();
+    const base = options.fileName.replace(/\.zip$/, '');
+    const total = options.to - options.from + 1;
+    
+    for (let i = options.from; i <= options.to; i++) {
+        loading.textContent = `Rendering frame ${i - options.from + 1}/${total}...`;
+        await new Promise(resolve => setTimeout(resolve, 10));
+        await renderAnimationExportFrame(ctx, i, options);
         
-        // Create temporary canvas for rendering (use current canvas size)
-        const tempCanvas = document.createElement('canvas');
-        tempCanvas.width = state.canvasWidth;
-        tempCanvas.height = state.canvasHeight;
-        const tempCtx = tempCanvas.getContext('2d');
+        const blob = await new Promise(resolve => ctx.canvas.toBlob(resolve, 'image/png'));
+        zip.file(`${base}_${String(i + 1).padStart(4, '0')}.png`, blob);
+    }
+    
+    loading.textContent = 'Creating ZIP file...';
+    return zip.generateAsync({ type: 'blob' });
+}
+
+// Encode each frame as a still; identical consecutive frames (holds) are merged into one longer frame
+async function encodeStillFrames(ctx, options, loading, mime, quality) {
+    const frames = [];
+    const total = options.frames.length;
+    
+    for (let n = 0; n < total; n++) {
+        loading.textContent = `Rendering frame ${n + 1}/${total}...`;
+        await new Promise(resolve => setTimeout(resolve, 1));
+        await renderAnimationExportFrame(ctx, options.frames[n], options);
         
-        const images = [];
+        const blob = await new Promise(resolve => ctx.canvas.toBlob(resolve, mime, quality));
+        if (!blob || blob.type !== mime) {
+            throw new Error(`This browser cannot encode ${mime} images`);
+        }
+        const bytes = new Uint8Array(await blob.arrayBuffer());
         
-        // Render each frame to base64 image
-        for (let i = 0; i < state.maxFrames; i++) {
-            loading.textContent = `Rendering frame ${i + 1}/${state.maxFrames}...`;
-            
-            // Allow UI to update
-            await new Promise(resolve => setTimeout(resolve, 10));
-            
-            // Clear canvas
-            tempCtx.clearRect(0, 0, state.canvasWidth, state.canvasHeight);
-            
-            // Draw background
-            if (state.backgroundColor !== 'transparent') {
-                tempCtx.fillStyle = state.backgroundColor;
-                tempCtx.fillRect(0, 0, state.canvasWidth, state.canvasHeight);
-            }
-            
-            // Render all visible layers at this frame index
-            await renderFrameToCanvas(tempCtx, i);
-            
-            // Convert canvas to base64 image
-            images.push(tempCanvas.toDataURL('image/png'));
-        }
-        
-        loading.textContent = 'Encoding GIF...';
-        
-        // Create GIF using gifshot
-        gifshot.createGIF({
-            images: images,
-            gifWidth: state.canvasWidth,
-            gifHeight: state.canvasHeight,
-            interval: 1 / state.fps, // Interval in seconds
-            numFrames: state.maxFrames,
-            frameDuration: 1, // Frame duration multiplier
-            sampleInterval: 10, // Quality setting (lower = better quality)
-        }, function(obj) {
-            if (!obj.error) {
-                loading.textContent = 'Download starting...';
-                
-                // Create download link
-                const link = document.createElement('a');
-                link.href = obj.image; // base64 data URL
-                link.download = `animation-${Date.now()}.gif`;
-                
-                // Trigger download
-                document.body.appendChild(link);
-                link.click();
-                document.body.removeChild(link);
-                
-                // Cleanup
-                setTimeout(() => {
-                    if (document.body.contains(loading)) {
-                        document.body.removeChild(loading);
-                    }
-                    exportBtn.disabled = false;
-                    exportBtn.textContent = originalText;
-                }, 100);
+        const previous = frames[frames.length - 1];
+        if (previous && bytesEqual(previous.bytes, bytes)) {
+            previous.end = n + 1;
+        } else {
+            frames.push({ bytes: bytes, start: n, end: n + 1 });
+        }
+    }
+    
+    // Frame timing from the frame durations
+    const times = getSequenceFrameTimes(options.frames);
+    frames.forEach(frame => {
+        frame.duration = times[frame.end] - times[frame.start];
+    });
+    return frames;
+}
+
+function bytesEqual(a, b) {
+    if (a.length !== b.length) return false;
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] !== b[i]) return false;
+    }
+    return true;
+}
+
+function readPNGChunks(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const chunks = [];
+    let offset = 8; // PNG signature
+    while (offset + 8 <= bytes.length) {
+        const length = view.getUint32(offset);
+        const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+        chunks.push({ type: type, data: bytes.subarray(offset + 8, offset + 8 + length) });
+        offset += 12 + length;
+        if (type === 'IEND') break;
+    }
+    return chunks;
+}
+
+async function encodeAPNG(ctx, options, loading) {
+    const frames = await encodeStillFrames(ctx, options, loading, 'image/png');
+    loading.textContent = 'Assembling animated PNG...';
+    
+    const { width, height } = ctx.canvas;
+    const parts = [new Uint8Array([137, 80, 78, 71, 13, 10, 26, 10])];
+    let header = null;
+    let sequence = 0;
+    
+    const acTL = new Uint8Array(8);
+    new DataView(acTL.buffer).setUint32(0, frames.length);
+    new DataView(acTL.buffer).setUint32(4, options.loop);
+    
+    frames.forEach((frame, index) => {
+        const chunks = readPNGChunks(frame.bytes);
+        const ihdr = chunks.find(chunk => chunk.type === 'IHDR');
+        if (!header) {
+            header = ihdr.data;
+            parts.push(createPNGChunk('IHDR', header), createPNGChunk('acTL', acTL));
+        } else if (!bytesEqual(header, ihdr.data)) {
+            throw new Error('Frames were encoded with different PNG formats');
+        }
+        
+        // fcTL: full-canvas frame, no disposal, replace previous pixels
+        const fcTL = new Uint8Array(26);
+        const fc = new DataView(fcTL.buffer);
+        fc.setUint32(0, sequence++);
+        fc.setUint32(4, width);
+        fc.setUint32(8, height);
+        fc.setUint16(20, Math.min(65535, frame.duration));
+        fc.setUint16(22, 1000); // delay in milliseconds
+        parts.push(createPNGChunk('fcTL', fcTL));
+        
+        chunks.filter(chunk => chunk.type === 'IDAT').forEach(chunk => {
+            if (index === 0) {
+                parts.push(createPNGChunk('IDAT', chunk.data));
             } else {
-                console.error('GIF encoding error:', obj.error);
-                showAlert('Failed to encode GIF: ' + obj.error, 'Export Error');
-                if (document.body.contains(loading)) {
-                    document.body.removeChild(loading);
-                }
-                exportBtn.disabled = false;
-                exportBtn.textContent = originalText;
+                const fdAT = new Uint8Array(4 + chunk.data.length);
+                new DataView(fdAT.buffer).setUint32(0, sequence++);
+                fdAT.set(chunk.data, 4);
+                parts.push(createPNGChunk('fdAT', fdAT));
             }
         });
-        
-    } catch (err) {
-        console.error('GIF export error:', err);
-        showAlert('Failed to export GIF: ' + err.message, 'Export Error');
-        if (document.body.contains(loading)) {
-            document.body.removeChild(loading);
-        }
-        exportBtn.disabled = false;
-        exportBtn.textContent = originalText;
-    }
-}
-
-// Export as PNG sequence (ZIP file)
-async function exportAsPNGSequence() {
-    // Check if JSZip is available
-    if (typeof JSZip === 'undefined') {
-        showAlert('Please include JSZip library:\n<script src="https://cdnjs.cloudflare.com/ajax/libs/jszip/3.10.1/jszip.min.js"></script>', 'Library Missing');
-        return;
-    }
+    });
     
-    const exportBtn = document.getElementById('exportPngBtn');
-    const originalText = exportBtn.innerHTML;
-    exportBtn.disabled = true;
-    exportBtn.innerHTML = '<span class="export-icon">⏳</span><span class="export-label">Exporting…</span>';
+    parts.push(createPNGChunk('IEND', new Uint8Array(0)));
+    return new Blob(parts, { type: 'image/png' });
+}
+
+function readRIFFChunks(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const chunks = [];
+    let offset = 12; // RIFF header + 'WEBP'
+    while (offset + 8 <= bytes.length) {
+        const type = String.fromCharCode(...bytes.subarray(offset, offset + 4));
+        const length = view.getUint32(offset + 4, true);
+        chunks.push({ type: type, data: bytes.subarray(offset + 8, offset + 8 + length) });
+        offset += 8 + length + (length % 2);
+    }
+    return chunks;
+}
+
+function createRIFFChunk(type, data) {
+    const chunk = new Uint8Array(8 + data.length + (data.length % 2));
+    for (let i = 0; i < 4; i++) chunk[i] = type.charCodeAt(i);
+    new DataView(chunk.buffer).setUint32(4, data.length, true);
+    chunk.set(data, 8);
+    return chunk;
+}
+
+function setUint24LE(bytes, offset, value) {
+    bytes[offset] = value & 0xff;
+    bytes[offset + 1] = (value >> 8) & 0xff;
+    bytes[offset + 2] = (value >> 16) & 0xff;
+}
+
+async function encodeAnimatedWebP(ctx, options, loading) {
+    const frames = await encodeStillFrames(ctx, options, loading, 'image/webp', options.quality / 100);
+    loading.textContent = 'Assembling animated WebP...';
+    
+    const { width, height } = ctx.canvas;
+    const body = [];
+    
+    // VP8X: animation flag, plus alpha when the background is see-through
+    const vp8x = new Uint8Array(10);
+    vp8x[0] = 0x02 | (options.transparent ? 0x10 : 0);
+    setUint24LE(vp8x, 4, width - 1);
+    setUint24LE(vp8x, 7, height - 1);
+    body.push(createRIFFChunk('VP8X', vp8x));
+    
+    // ANIM: background colour (BGRA) and loop count
+    const anim = new Uint8Array(6);
+    new DataView(anim.buffer).setUint16(4, options.loop, true);
+    body.push(createRIFFChunk('ANIM', anim));
+    
+    frames.forEach(frame => {
+        const imageChunks = readRIFFChunks(frame.bytes)
+            .filter(chunk => chunk.type === 'ALPH' || chunk.type === 'VP8 ' || chunk.type === 'VP8L')
+            .map(chunk => createRIFFChunk(chunk.type, chunk.data));
+        
+        const header = new Uint8Array(16);
+        setUint24LE(header, 6, width - 1);
+        setUint24LE(header, 9, height - 1);
+        setUint24LE(header, 12, Math.max(1, frame.duration));
+        header[15] = 0x02; // Do not blend: each frame replaces the canvas
+        
+        const size = imageChunks.reduce((sum, chunk) => sum + chunk.length, header.length);
+        const anmf = new Uint8Array(size);
+        anmf.set(header, 0);
+        let offset = header.length;
+        imageChunks.forEach(chunk => {
+            anmf.set(chunk, offset);
+            offset += chunk.length;
+        });
+        body.push(createRIFFChunk('ANMF', anmf));
+    });
     
+    const riffSize = 4 + body.reduce((sum, chunk) => sum + chunk.length, 0);
+    const riff = new Uint8Array(12);
+    riff.set([82, 73, 70, 70], 0); // 'RIFF'
+    new DataView(riff.buffer).setUint32(4, riffSize, true);
+    riff.set([87, 69, 66, 80], 8); // 'WEBP'
+    return new Blob([riff].concat(body), { type: 'image/webp' });
+}
+
+// Legacy SVG export (keep for backup/alternative export)
+function exportAsSVGSequence() {
     const loading = document.createElement('div');
     loading.className = 'loading';
-    loading.textContent = 'Rendering frames...';
+    loading.textContent = 'Generating SVG files...';
     document.body.appendChild(loading);
     
-    try {
-        const zip = new JSZip();
-        const tempCanvas = document.createElement('canvas');
-        tempCanvas.width = state.canvasWidth;
-        tempCanvas.height = state.canvasHeight;
-        const tempCtx = tempCanvas.getContext('2d');
-        
-        // Render each frame as PNG
-        for (let i = 0; i < state.maxFrames; i++) {
-            loading.textContent = `Rendering frame ${i + 1}/${state.maxFrames}...`;
-            await new Promise(resolve => setTimeout(resolve, 10));
+    setTimeout(() => {
+        try {
+            const svgFiles = [];
             
-            // Clear and draw background
-            tempCtx.clearRect(0, 0, state.canvasWidth, state.canvasHeight);
-            if (state.backgroundColor !== 'transparent') {
-                tempCtx.fillStyle = state.backgroundColor;
-                tempCtx.fillRect(0, 0, state.canvasWidth, state.canvasHeight);
+            // Export based on max frames across all layers
+            for (let i = 0; i < state.maxFrames; i++) {
+                const svgContent = createCompositeSVG(state, i);
+                const blob = new Blob([svgContent], { type: 'image/svg+xml' });
+                const url = URL.createObjectURL(blob);
+                
+                svgFiles.push({
+                    url: url,
+                    filename: `frame-${String(i + 1).padStart(3, '0')}.svg`,
+                    index: i + 1
+                });
             }
             
-            // Render frame
-            await renderFrameToCanvas(tempCtx, i);
+            showDownloadModal(svgFiles);
             
-            // Convert to blob and add to zip
-            const blob = await new Promise(resolve => tempCanvas.toBlob(resolve, 'image/png'));
-            const frameNumber = String(i + 1).padStart(4, '0');
-            zip.file(`frame_${frameNumber}.png`, blob);
-        }
-        
-        loading.textContent = 'Creating ZIP file...';
-        
-        // Generate ZIP
-        const zipBlob = await zip.generateAsync({ type: 'blob' });
-        
-        // Download ZIP
-        const link = document.createElement('a');
-        link.href = URL.createObjectURL(zipBlob);
-        link.download = `animation-${Date.now()}.zip`;
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-        URL.revokeObjectURL(link.href);
-        
-        if (document.body.contains(loading)) {
+        } catch (err) {
+            showAlert('Failed to export: ' + err.message, 'Export Error');
+        } finally {
             document.body.removeChild(loading);
         }
-        exportBtn.disabled = false;
-        exportBtn.innerHTML = originalText;
-        
-    } catch (err) {
-        console.error('PNG sequence export error:', err);
-        showAlert('Failed to export PNG sequence: ' + err.message, 'Export Error');
-        if (document.body.contains(loading)) {
-            document.body.removeChild(loading);
+    }, 100);
+}
+
+
+// ==================== SPRITE SHEET EXPORT ====================
+const SPRITE_SHEET_MAX_SIZE = 16384; // Largest canvas side browsers reliably allocate
+
+function showSpriteSheetDialog() {
+    const settings = state.spriteSheetSettings;
+    const bodyHTML = `
+        <div class="modal-input-row">
+            <div class="modal-input-group">
+                <label>Layout</label>
+                <select id="modalSpriteLayout">
+                    <option value="grid">Grid</option>
+                    <option value="packed">Packed</option>
+                </select>
+            </div>
+            <div class="modal-input-group">
+                <label>Columns (0 = auto)</label>
+                <input type="number" id="modalSpriteColumns" value="${settings.columns}" min="0" max="256">
+            </div>
+            <div class="modal-input-group">
+                <label>Spacing (px)</label>
+                <input type="number" id="modalSpriteSpacing" value="${settings.spacing}" min="0" max="64">
+            </div>
+        </div>
+        <div class="modal-input-group">
+            <label>Atlas format</label>
+            <select id="modalSpriteAtlas">
+                <option value="hash">TexturePacker JSON (hash)</option>
+                <option value="array">TexturePacker JSON (array)</option>
+                <option value="phaser">Phaser 3 atlas</option>
+            </select>
+        </div>
+        <div class="modal-input-group">
+            <label class="modal-checkbox"><input type="checkbox" id="modalSpriteTrim"${settings.trim ? ' checked' : ''}> Trim transparent borders</label>
+            <label class="modal-checkbox"><input type="checkbox" id="modalSpriteDedupe"${settings.dedupe ? ' checked' : ''}> Store identical frames once</label>
+            <label class="modal-checkbox"><input type="checkbox" id="modalSpriteTransparent"${settings.transparent ? ' checked' : ''}> Transparent background</label>
+        </div>
+        ${createExportOptionsHTML()}
+    `;
+    
+    openModal('Sprite Sheet', bodyHTML, () => {
+        const exportOptions = readExportOptionsForm();
+        if (exportOptions.error) {
+            showAlert(exportOptions.error, 'Invalid Input');
+            return;
         }
-        exportBtn.disabled = false;
-        exportBtn.innerHTML = originalText;
+        Object.assign(state.exportOptions, exportOptions);
+        
+        settings.layout = document.getElementById('modalSpriteLayout').value;
+        settings.columns = Math.min(256, Math.max(0, parseInt(document.getElementById('modalSpriteColumns').value) || 0));
+        settings.spacing = Math.min(64, Math.max(0, parseInt(document.getElementById('modalSpriteSpacing').value) || 0));
+        settings.atlas = document.getElementById('modalSpriteAtlas').value;
+        settings.trim = document.getElementById('modalSpriteTrim').checked;
+        settings.dedupe = document.getElementById('modalSpriteDedupe').checked;
+        settings.transparent = document.getElementById('modalSpriteTransparent').checked;
+        
+        closeModal();
+        exportSpriteSheet(Object.assign({}, settings));
+    });
+    
+    document.getElementById('modalCancelBtn').style.display = 'block';
+    document.getElementById('modalConfirmBtn').textContent = 'Export';
+    document.getElementById('modalSpriteLayout').value = settings.layout;
+    document.getElementById('modalSpriteAtlas').value = settings.atlas;
+}
+
+// Smallest box holding every non-transparent pixel; fully empty frames keep a 1×1 sprite
+function getOpaqueBounds(imageData) {
+    const { width, height, data } = imageData;
+    let minX = width, minY = height, maxX = -1, maxY = -1;
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (data[(y * width + x) * 4 + 3] === 0) continue;
+            if (x < minX) minX = x;
+            if (x > maxX) maxX = x;
+            if (y < minY) minY = y;
+            if (y > maxY) maxY = y;
+        }
+    }
+    if (maxX < 0) return { x: 0, y: 0, w: 1, h: 1 };
+    return { x: minX, y: minY, w: maxX - minX + 1, h: maxY - minY + 1 };
+}
+
+// FNV-1a over the pixels, used to find identical frames before comparing them in full
+function hashPixels(data) {
+    const words = new Uint32Array(data.buffer, data.byteOffset, data.byteLength >> 2);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < words.length; i++) {
+        hash ^= words[i];
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// Place sprites on the sheet; sets sprite.x/y and returns the sheet size
+function layoutSpriteSheet(sprites, settings) {
+    const spacing = settings.spacing;
+    
+    if (settings.layout === 'grid') {
+        const cellW = Math.max(...sprites.map(sprite => sprite.w));
+        const cellH = Math.max(...sprites.map(sprite => sprite.h));
+        const columns = settings.columns || Math.ceil(Math.sqrt(sprites.length));
+        sprites.forEach((sprite, i) => {
+            sprite.x = spacing + (i % columns) * (cellW + spacing);
+            sprite.y = spacing + Math.floor(i / columns) * (cellH + spacing);
+        });
+        const rows = Math.ceil(sprites.length / columns);
+        return {
+            w: spacing + Math.min(columns, sprites.length) * (cellW + spacing),
+            h: spacing + rows * (cellH + spacing)
+        };
     }
+    
+    // Shelf packing: tallest sprites first, rows no wider than a roughly square sheet
+    const area = sprites.reduce((sum, sprite) => sum + (sprite.w + spacing) * (sprite.h + spacing), 0);
+    const maxWidth = Math.max(Math.ceil(Math.sqrt(area) * 1.1), ...sprites.map(sprite => sprite.w + spacing * 2));
+    const order = sprites.slice().sort((a, b) => b.h - a.h || b.w - a.w);
+    let x = spacing, y = spacing, shelfHeight = 0, width = 0;
+    order.forEach(sprite => {
+        if (x + sprite.w + spacing > maxWidth && x > spacing) {
+            x = spacing;
+            y += shelfHeight + spacing;
+            shelfHeight = 0;
+        }
+        sprite.x = x;
+        sprite.y = y;
+        x += sprite.w + spacing;
+        width = Math.max(width, x);
+        shelfHeight = Math.max(shelfHeight, sprite.h);
+    });
+    return { w: width, h: y + shelfHeight + spacing };
 }
 
-// Export as MP4 video (using WebCodecs + mp4-muxer for TRUE MP4 files)
-async function exportAsMP4() {
-    // Check for WebCodecs support (Chrome 94+, Edge 94+)
-    if (!window.VideoEncoder || !window.VideoFrame) {
-        showAlert(
-            'MP4 export requires Chrome 94+ or Edge 94+.\n\n' +
-            'Your browser doesn\'t support WebCodecs.\n\n' +
-            'Alternative: Use PNG Sequence export.',
-            'Not Supported'
-        );
+// Atlas entries follow the animation; consecutive identical frames (holds) become one longer entry
+function createSpriteAtlas(entries, sprites, sheet, imageName, settings, resolved) {
+    const frames = entries.map(entry => {
+        const sprite = sprites[entry.sprite];
+        return {
+            filename: entry.name,
+            frame: { x: sprite.x, y: sprite.y, w: sprite.w, h: sprite.h },
+            rotated: false,
+            trimmed: sprite.w !== resolved.width || sprite.h !== resolved.height,
+            spriteSourceSize: { x: sprite.trim.x, y: sprite.trim.y, w: sprite.w, h: sprite.h },
+            sourceSize: { w: resolved.width, h: resolved.height },
+            duration: entry.duration
+        };
+    });
+    
+    const meta = {
+        app: 'AnimFrame',
+        version: '1.0',
+        image: imageName,
+        format: 'RGBA8888',
+        size: { w: sheet.w, h: sheet.h },
+        scale: String(resolved.scale),
+        frameRate: state.fps,
+        frameTags: [{ name: projectLibrary.projectName || 'animation', from: 0, to: frames.length - 1, direction: 'forward' }]
+    };
+    
+    if (settings.atlas === 'phaser') {
+        return {
+            textures: [{
+                image: imageName,
+                format: 'RGBA8888',
+                size: meta.size,
+                scale: resolved.scale,
+                frames: frames
+            }],
+            meta: meta
+        };
+    }
+    if (settings.atlas === 'array') {
+        return { frames: frames, meta: meta };
+    }
+    const hash = {};
+    frames.forEach(frame => {
+        const { filename, ...rest } = frame;
+        hash[filename] = rest;
+    });
+    return { frames: hash, meta: meta };
+}
+
+async function exportSpriteSheet(settings) {
+    if (typeof JSZip === 'undefined') {
+        showAlert('JSZip library not loaded. Please refresh the page and try again.', 'Error');
         return;
     }
     
-    const exportBtn = document.getElementById('exportMp4Btn');
-    const originalText = exportBtn.innerHTML;
-    exportBtn.disabled = true;
-    exportBtn.innerHTML = '<span class="export-icon">⏳</span><span class="export-label">Loading…</span>';
-    
     const loading = document.createElement('div');
     loading.className = 'loading';
-    loading.textContent = 'Loading MP4 encoder...';
+    loading.textContent = 'Preparing sprite sheet...';
     document.body.appendChild(loading);
     
     try {
-        // Import mp4-muxer from esm.sh (the CDN that actually works!)
-        const { Muxer, ArrayBufferTarget } = await import('https://esm.sh/mp4-muxer@5.1.1');
+        const resolved = resolveExportOptions();
+        const options = Object.assign({ format: 'png', transparent: settings.transparent }, resolved);
+        const fileName = formatExportFileName(state.exportOptions.fileName, resolved, 'spritesheet', 'zip');
+        const base = fileName.replace(/\.zip$/, '');
         
-        loading.textContent = 'Preparing MP4 encoder...';
-        
-        // Create canvas for rendering
         const canvas = document.createElement('canvas');
-        canvas.width = state.canvasWidth;
-        canvas.height = state.canvasHeight;
+        canvas.width = resolved.width;
+        canvas.height = resolved.height;
         const ctx = canvas.getContext('2d', { willReadFrequently: true });
         
-        // Create MP4 muxer
-        const muxer = new Muxer({
-            target: new ArrayBufferTarget(),
-            video: {
-                codec: 'avc',
-                width: state.canvasWidth,
-                height: state.canvasHeight
-            },
-            fastStart: 'in-memory'
-        });
-        
-        // Configure video encoder
-        const videoEncoder = new VideoEncoder({
-            output: (chunk, meta) => muxer.addVideoChunk(chunk, meta),
-            error: (e) => {
-                console.error('Encoder error:', e);
-                throw e;
-            }
-        });
-        
-        videoEncoder.configure({
-            codec: 'avc1.42001f', // H.264 Baseline Level 3.1
-            width: state.canvasWidth,
-            height: state.canvasHeight,
-            bitrate: 5_000_000, // 5 Mbps
-            framerate: state.fps,
-            latencyMode: 'quality'
-        });
-        
+        const sprites = [];
+        const entries = [];
+        const byHash = new Map();
+        const total = resolved.to - resolved.from + 1;
         
-        // Calculate frame timing
-        const frameDuration = 1_000_000 / state.fps; // microseconds
-        
-        // Encode each frame
-        for (let i = 0; i < state.maxFrames; i++) {
-            loading.textContent = `Encoding frame ${i + 1}/${state.maxFrames}...`;
-            
-            // Clear and fill background
-            ctx.fillStyle = state.backgroundColor || '#ffffff';
-            ctx.fillRect(0, 0, canvas.width, canvas.height);
+        for (let i = resolved.from; i <= resolved.to; i++) {
+            loading.textContent = `Rendering frame ${i - resolved.from + 1}/${total}...`;
+            await new Promise(resolve => setTimeout(resolve, 1));
+            await renderAnimationExportFrame(ctx, i, options);
             
-            // Render the frame
-            await renderFrameToCanvas(ctx, i);
-            
-            // Create video frame from canvas
-            const videoFrame = new VideoFrame(canvas, {
-                timestamp: i * frameDuration,
-                duration: frameDuration
-            });
+            const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+            let spriteIndex = -1;
+            if (settings.dedupe) {
+                const hash = hashPixels(imageData.data);
+                const candidates = byHash.get(hash) || [];
+                spriteIndex = candidates.find(index => bytesEqual(sprites[index].imageData.data, imageData.data));
+                if (spriteIndex === undefined) {
+                    spriteIndex = -1;
+                    byHash.set(hash, candidates.concat([sprites.length]));
+                }
+            }
             
-            // Encode (keyframe every 30 frames for seeking)
-            const isKeyFrame = i % 30 === 0;
-            videoEncoder.encode(videoFrame, { keyFrame: isKeyFrame });
-            videoFrame.close();
+            if (spriteIndex === -1) {
+                const trim = settings.trim ? getOpaqueBounds(imageData) : { x: 0, y: 0, w: canvas.width, h: canvas.height };
+                spriteIndex = sprites.length;
+                sprites.push({ imageData: imageData, trim: trim, w: trim.w, h: trim.h });
+            }
             
-            // Allow UI to update every 5 frames
-            if (i % 5 === 0) {
-                await new Promise(resolve => setTimeout(resolve, 1));
+            const duration = getAnimationFrameTime(i + 1) - getAnimationFrameTime(i);
+            const previous = entries[entries.length - 1];
+            if (settings.dedupe && previous && previous.sprite === spriteIndex) {
+                previous.duration += duration;
+            } else {
+                entries.push({ name: `${base}_${String(i + 1).padStart(4, '0')}.png`, sprite: spriteIndex, duration: duration });
             }
         }
         
-        // Flush encoder
-        loading.textContent = 'Finalizing MP4...';
-        await videoEncoder.flush();
-        videoEncoder.close();
-        
-        
-        // Finalize muxer
-        muxer.finalize();
-        
-        // Get the MP4 file data
-        const mp4Buffer = muxer.target.buffer;
-        
-        
-        // Verify it's actually MP4 (should start with 'ftyp')
-        const header = new Uint8Array(mp4Buffer.slice(4, 8));
-        const headerType = String.fromCharCode(...header);
-        
-        // Create download
-        const blob = new Blob([mp4Buffer], { type: 'video/mp4' });
-        const url = URL.createObjectURL(blob);
-        const link = document.createElement('a');
-        link.href = url;
-        link.download = `animation-${Date.now()}.mp4`;
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-        URL.revokeObjectURL(url);
-        
-        if (document.body.contains(loading)) {
-            document.body.removeChild(loading);
+        loading.textContent = 'Packing sprite sheet...';
+        const sheet = layoutSpriteSheet(sprites, settings);
+        if (sheet.w > SPRITE_SHEET_MAX_SIZE || sheet.h > SPRITE_SHEET_MAX_SIZE) {
+            throw new Error(`The sheet would be ${sheet.w}×${sheet.h} px, larger than ${SPRITE_SHEET_MAX_SIZE} px. Lower the scale or export fewer frames.`);
         }
-        exportBtn.disabled = false;
-        exportBtn.innerHTML = originalText;
         
+        const sheetCanvas = document.createElement('canvas');
+        sheetCanvas.width = sheet.w;
+        sheetCanvas.height = sheet.h;
+        const sheetCtx = sheetCanvas.getContext('2d');
+        sprites.forEach(sprite => {
+            sheetCtx.putImageData(sprite.imageData, sprite.x - sprite.trim.x, sprite.y - sprite.trim.y,
+                sprite.trim.x, sprite.trim.y, sprite.w, sprite.h);
+        });
         
-        showAlert('MP4 video exported successfully!\n\nTrue .mp4 file with H.264 codec.', 'Export Complete');
+        const imageName = `${base}.png`;
+        const atlas = createSpriteAtlas(entries, sprites, sheet, imageName, settings, resolved);
+        const zip = new JSZip();
+        zip.file(imageName, await new Promise(resolve => sheetCanvas.toBlob(resolve, 'image/png')));
+        zip.file(`${base}.json`, JSON.stringify(atlas, null, 2));
         
+        loading.textContent = 'Creating ZIP file...';
+        downloadExportBlob(await zip.generateAsync({ type: 'blob' }), fileName);
     } catch (err) {
-        console.error('MP4 export error:', err);
-        console.error('Stack:', err.stack);
-        
-        let errorMsg = 'Failed to export MP4: ' + err.message;
-        
-        if (err.message.includes('import') || err.message.includes('module')) {
-            errorMsg += '\n\nModule loading error.\n\nTry: PNG Sequence export instead.';
-        } else if (err.message.includes('codec') || err.message.includes('not supported')) {
-            errorMsg += '\n\nH.264 encoding not supported.\n\nTry: Chrome or Edge (latest version)';
-        }
-        
-        showAlert(errorMsg, 'Export Error');
-        
+        console.error('Sprite sheet export error:', err);
+        showAlert('Failed to export sprite sheet: ' + err.message, 'Export Error');
+    } finally {
         if (document.body.contains(loading)) {
             document.body.removeChild(loading);
         }
-        exportBtn.disabled = false;
-        exportBtn.innerHTML = originalText;
     }
 }
 
-// Render a specific frame index to a canvas context
-async function renderFrameToCanvas(ctx, frameIndex) {
-    // Iterate through layers in order
-    for (const layer of state.layers) {
-        if (!layer.visible || !layer.frames[frameIndex]) {
-            continue;
-        }
-        
-        // Apply layer opacity for export
-        const layerOpacity = layer.opacity !== undefined ? layer.opacity : 1;
-        ctx.globalAlpha = layerOpacity;
-
-        const frame = layer.frames[frameIndex];
-
-        // Draw reference image if present
-        if (frame.referenceImage) {
-            await new Promise((resolve) => {
-                const img = new Image();
-                img.onload = () => {
-                    const scale = Math.min(ctx.canvas.width / img.width, ctx.canvas.height / img.height);
-                    const dw = img.width * scale;
-                    const dh = img.height * scale;
-                    const dx = (ctx.canvas.width - dw) / 2;
-                    const dy = (ctx.canvas.height - dh) / 2;
-                    ctx.drawImage(img, dx, dy, dw, dh);
-                    resolve();
-                };
-                img.onerror = resolve;
-                img.src = frame.referenceImage;
-            });
-        }
-        
-        // Render each path in the frame
-        for (const pathData of frame.paths) {
-            // Handle eraser tool
-            if (pathData.tool === 'eraser') {
-                ctx.globalCompositeOperation = 'destination-out';
-            } else {
-                ctx.globalCompositeOperation = 'source-over';
-            }
-            
-            const path2D = new Path2D(pathData.d);
-            
-            // Fill if path has a fill colour
-            if (pathData.fill && pathData.fill !== 'none') {
-                ctx.fillStyle = pathData.fill;
-                ctx.fill(path2D);
-            }
-            
-            // Stroke if path has a stroke colour
-            if (pathData.stroke && pathData.stroke !== 'none') {
-                ctx.strokeStyle = pathData.stroke;
-                ctx.lineWidth = parseFloat(pathData.strokeWidth) || 1;
-                ctx.lineCap = 'round';
-                ctx.lineJoin = 'round';
-                ctx.stroke(path2D);
-            }
+// ==================== ANIMATED SVG EXPORT ====================
+function showAnimatedSVGDialog() {
+    const settings = state.svgExportSettings;
+    const bodyHTML = `
+        <div class="modal-input-group">
+            <label>Animation</label>
+            <select id="modalSvgMode">
+                <option value="smil">SMIL &lt;animate&gt;</option>
+                <option value="css">CSS @keyframes</option>
+            </select>
+        </div>
+        <div class="modal-input-group">
+            <label class="modal-checkbox"><input type="checkbox" id="modalSvgLoop"${settings.loop ? ' checked' : ''}> Loop forever</label>
+        </div>
+        ${createExportOptionsHTML()}
+    `;
+    
+    openModal('Animated SVG', bodyHTML, () => {
+        const exportOptions = readExportOptionsForm();
+        if (exportOptions.error) {
+            showAlert(exportOptions.error, 'Invalid Input');
+            return;
         }
-    }
+        Object.assign(state.exportOptions, exportOptions);
+        settings.mode = document.getElementById('modalSvgMode').value;
+        settings.loop = document.getElementById('modalSvgLoop').checked;
+        closeModal();
+        exportAsAnimatedSVG(settings);
+    });
     
-    // Reset composite operation
-    ctx.globalCompositeOperation = 'source-over';
+    document.getElementById('modalCancelBtn').style.display = 'block';
+    document.getElementById('modalConfirmBtn').textContent = 'Export';
+    document.getElementById('modalSvgMode').value = settings.mode;
 }
 
-// Legacy SVG export (keep for backup/alternative export)
-function exportAsSVGSequence() {
+function exportAsAnimatedSVG(options) {
     const loading = document.createElement('div');
     loading.className = 'loading';
-    loading.textContent = 'Generating SVG files...';
+    loading.textContent = 'Generating animated SVG...';
     document.body.appendChild(loading);
     
     setTimeout(() => {
         try {
-            const svgFiles = [];
-            
-            // Export based on max frames across all layers
-            for (let i = 0; i < state.maxFrames; i++) {
-                const svgContent = createCompositeSVG(i);
-                const blob = new Blob([svgContent], { type: 'image/svg+xml' });
-                const url = URL.createObjectURL(blob);
-                
-                svgFiles.push({
-                    url: url,
-                    filename: `frame-${String(i + 1).padStart(3, '0')}.svg`,
-                    index: i + 1
-                });
-            }
-            
-            showDownloadModal(svgFiles);
-            
+            const resolved = resolveExportOptions();
+            const blob = new Blob([createAnimatedSVG(state, Object.assign({ title: projectLibrary.projectName }, options, resolved))], { type: 'image/svg+xml' });
+            downloadExportBlob(blob, formatExportFileName(state.exportOptions.fileName, resolved, 'svg', 'svg'));
         } catch (err) {
-            showAlert('Failed to export: ' + err.message, 'Export Error');
+            console.error('Animated SVG export error:', err);
+            showAlert('Failed to export animated SVG: ' + err.message, 'Export Error');
         } finally {
             document.body.removeChild(loading);
         }
     }, 100);
 }
 
-
-function createCompositeSVG(frameIndex) {
-    const bgFill = state.backgroundColor === 'transparent' ? 'none' : state.backgroundColor;
-    
+// ==================== LOTTIE EXPORT ====================
+const LOTTIE_VERSION = '5.7.4';
+
+function lottieValue(value) {
+    return { a: 0, k: value };
+}
+
+// Lottie colours are [r, g, b, a] in 0-1
+function resolveLottieColor(color) {
+    let rgb = parseTweenColor(color);
+    if (!rgb) {
+        // Named and rgb() colours: let the canvas normalise them to hex
+        const ctx = document.createElement('canvas').getContext('2d');
+        ctx.fillStyle = '#000000';
+        ctx.fillStyle = color;
+        rgb = parseTweenColor(ctx.fillStyle) || [0, 0, 0];
+    }
+    return rgb.map(v => Math.round(v / 255 * 1000) / 1000).concat([1]);
+}
+
+// One Lottie path shape per subpath; tangents are relative to their vertex
+function createLottieShapes(d) {
+    const fmt = (n) => Math.round(n * 100) / 100;
+    return parsePathNodes(d).filter(sub => sub.nodes.length > 0).map(sub => ({
+        ty: 'sh',
+        ks: lottieValue({
+            c: sub.closed,
+            v: sub.nodes.map(n => [fmt(n.x), fmt(n.y)]),
+            i: sub.nodes.map(n => n.in ? [fmt(n.in.x - n.x), fmt(n.in.y - n.y)] : [0, 0]),
+            o: sub.nodes.map(n => n.out ? [fmt(n.out.x - n.x), fmt(n.out.y - n.y)] : [0, 0])
+        })
+    }));
+}
+
+function createLottieGroup(pathData, index) {
+    const items = createLottieShapes(pathData.d);
+    const hasFill = pathData.fill && pathData.fill !== 'none';
+    const hasStroke = pathData.stroke && pathData.stroke !== 'none';
+    
+    if (hasStroke) {
+        items.push({
+            ty: 'st',
+            c: lottieValue(resolveLottieColor(pathData.stroke)),
+            o: lottieValue(100),
+            w: lottieValue(parseFloat(pathData.strokeWidth) || 1),
+            lc: 2, // round cap
+            lj: 2  // round join
+        });
+    }
+    if (hasFill) {
+        items.push({
+            ty: 'fl',
+            c: lottieValue(resolveLottieColor(pathData.fill)),
+            o: lottieValue(100),
+            r: pathData.fillRule === 'evenodd' ? 2 : 1
+        });
+    }
+    items.push({
+        ty: 'tr',
+        p: lottieValue([0, 0]),
+        a: lottieValue([0, 0]),
+        s: lottieValue([100, 100]),
+        r: lottieValue(0),
+        o: lottieValue((pathData.opacity !== undefined ? pathData.opacity : 1) * 100)
+    });
     
-    let svgContent = `<?xml version="1.0" encoding="UTF-8" standalone="no"?>
-<svg width="800" height="600" xmlns="http://www.w3.org/2000/svg" version="1.1">
-    <rect id="background" width="100%" height="100%" fill="${bgFill}"/>
-`;
+    return { ty: 'gr', nm: `${pathData.shape ? SHAPE_LABELS[pathData.shape.type] : 'Path'} ${index + 1}`, it: items };
+}
+
+function createLottieLayer(name, index, shapes, opacity, inPoint, outPoint) {
+    return {
+        ddd: 0,
+        ind: index,
+        ty: 4,
+        nm: name,
+        sr: 1,
+        ks: {
+            o: lottieValue(Math.round(opacity * 100)),
+            r: lottieValue(0),
+            p: lottieValue([0, 0, 0]),
+            a: lottieValue([0, 0, 0]),
+            s: lottieValue([100, 100, 100])
+        },
+        ao: 0,
+        shapes: shapes,
+        ip: inPoint,
+        op: outPoint,
+        st: 0,
+        bm: 0
+    };
+}
+
+// Returns { animation, warnings }; unsupported content is listed rather than silently dropped
+function createLottieAnimation() {
+    const frameCount = Math.max(1, state.maxFrames);
+    // Lottie has one frame rate; with per-frame durations the timeline is counted in milliseconds
+    const timed = hasFrameDurations(state);
+    const toLottieTime = (index) => timed ? getAnimationFrameTime(index) : index;
+    const warnings = [];
+    const layers = [];
+    let skippedReferences = 0;
+    let skippedErasers = 0;
     
-    // Composite all layers at this frame index
     state.layers.forEach(layer => {
-        if (layer.visible && layer.frames[frameIndex]) {
-            const layerOpacity = layer.opacity !== undefined ? layer.opacity : 1;
-            svgContent += `    <!-- ${layer.name} -->\n`;
-            svgContent += `    <g id="${layer.id}"${layerOpacity < 1 ? ` opacity="${layerOpacity}"` : ''}>\n`;
-            layer.frames[frameIndex].paths.forEach(pathData => {
-                svgContent += `        <path d="${pathData.d}" fill="none" stroke="${pathData.stroke}" stroke-width="${pathData.strokeWidth}" stroke-linecap="round" stroke-linejoin="round"/>\n`;
-            });
-            svgContent += `    </g>\n`;
+        if (!layer.visible) return;
+        const opacity = layer.opacity !== undefined ? layer.opacity : 1;
+        
+        // A run is a stretch of frames showing the same drawing (held frames, background layers)
+        let run = null;
+        const runs = [];
+        for (let i = 0; i < frameCount; i++) {
+            const frame = resolveLayerFrame(layer, i);
+            if (run && run.frame === frame) {
+                run.end = i + 1;
+            } else {
+                run = { frame: frame, start: i, end: i + 1 };
+                runs.push(run);
+            }
         }
+        
+        runs.forEach(({ frame, start, end }) => {
+            if (!frame) return;
+            if (frame.referenceImage) skippedReferences++;
+            const paths = frame.paths.filter(pathData => {
+                if (pathData.tool === 'eraser') {
+                    skippedErasers++;
+                    return false;
+                }
+                return !!pathData.d;
+            });
+            if (paths.length === 0) return;
+            
+            // Lottie draws the first shape on top, we draw the first path at the bottom
+            const shapes = paths.map(createLottieGroup).reverse();
+            layers.push(createLottieLayer(`${layer.name} (${start + 1}–${end})`, 0, shapes, opacity, toLottieTime(start), toLottieTime(end)));
+        });
     });
     
-    svgContent += `</svg>`;
-    
+    if (skippedReferences > 0) {
+        warnings.push(`${skippedReferences} reference image frame(s) were left out. Lottie exports vector drawings only.`);
+    }
+    if (skippedErasers > 0) {
+        warnings.push(`${skippedErasers} eraser stroke(s) were left out. Lottie has no equivalent of destination-out erasing.`);
+    }
+    
+    // Lottie lists layers top first and numbers them from 1
+    const lottieLayers = layers.reverse();
+    if (state.backgroundColor !== 'transparent') {
+        lottieLayers.push({
+            ddd: 0,
+            ty: 1,
+            nm: 'Background',
+            sr: 1,
+            ks: createLottieLayer('', 0, [], 1, 0, 0).ks,
+            ao: 0,
+            sw: state.canvasWidth,
+            sh: state.canvasHeight,
+            sc: '#' + resolveLottieColor(state.backgroundColor).slice(0, 3)
+                .map(v => Math.round(v * 255).toString(16).padStart(2, '0')).join(''),
+            ip: 0,
+            op: toLottieTime(frameCount),
+            st: 0,
+            bm: 0
+        });
+    }
+    lottieLayers.forEach((layer, i) => { layer.ind = i + 1; });
     
-    return svgContent;
+    return {
+        animation: {
+            v: LOTTIE_VERSION,
+            fr: timed ? 1000 : state.fps,
+            ip: 0,
+            op: toLottieTime(frameCount),
+            w: state.canvasWidth,
+            h: state.canvasHeight,
+            nm: projectLibrary.projectName || 'Animation',
+            ddd: 0,
+            assets: [],
+            layers: lottieLayers
+        },
+        warnings: warnings
+    };
+}
+
+function exportAsLottie() {
+    try {
+        const { animation, warnings } = createLottieAnimation();
+        const blob = new Blob([JSON.stringify(animation)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = getProjectFileName().replace(/\.animframe$/, '.lottie.json');
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(link.href);
+        
+        const shapeLayers = animation.layers.filter(layer => layer.ty === 4).length;
+        let bodyHTML = `<p class="modal-message">Exported ${shapeLayers} shape layer(s) over ${animation.op} frames at ${animation.fr} fps (${animation.w}×${animation.h}).</p>`;
+        if (warnings.length > 0) {
+            bodyHTML += `<ul class="export-summary">${warnings.map(w => `<li>${w}</li>`).join('')}</ul>`;
+        }
+        openModal('Lottie Export', bodyHTML, closeModal);
+        document.getElementById('modalCancelBtn').style.display = 'none';
+        document.getElementById('modalConfirmBtn').textContent = 'OK';
+    } catch (err) {
+        console.error('Lottie export error:', err);
+        showAlert('Failed to export Lottie: ' + err.message, 'Export Error');
+    }
 }
 
 function showDownloadModal(files) {
@@ -4198,16 +9863,13 @@ function setupFrameScrubBar() {
     if (!bar) return;
     
     var isScrubbing = false;
+    var draggedMarker = null; // 'inPoint' or 'outPoint' while a range marker is dragged
     
-    function scrubAtX(clientX) {
+    function frameAtX(clientX) {
         // Find which frame thumbnail is under this X position
         var frameList = document.getElementById('frameList');
         var items = frameList.querySelectorAll('.frame-item');
-        if (items.length === 0) return;
-        
-        // Account for scroll position
-        var scrollLeft = frameList.scrollLeft;
-        var listRect = frameList.getBoundingClientRect();
+        if (items.length === 0) return -1;
         
         var bestIdx = 0;
         var bestDist = Infinity;
@@ -4221,30 +9883,52 @@ function setupFrameScrubBar() {
                 bestIdx = i;
             }
         }
-        
-        if (bestIdx !== state.currentFrameIndex) {
-            selectFrame(bestIdx);
+        return bestIdx;
+    }
+    
+    function scrubAtX(clientX) {
+        var index = frameAtX(clientX);
+        if (index !== -1 && index !== state.currentFrameIndex) {
+            selectFrame(index);
+            playAudioSnippet(index);
+        }
+    }
+    
+    function dragMarkerToX(clientX) {
+        var index = frameAtX(clientX);
+        if (index !== -1 && index !== state.playbackSettings[draggedMarker]) {
+            setPlaybackMarker(draggedMarker, index);
         }
     }
     
     bar.addEventListener('pointerdown', function(e) {
         e.preventDefault();
-        isScrubbing = true;
         try { bar.setPointerCapture(e.pointerId); } catch(err) {}
+        var marker = e.target.closest('.frame-scrub-marker');
+        if (marker) {
+            draggedMarker = marker.dataset.marker;
+            return;
+        }
+        isScrubbing = true;
+        var before = state.currentFrameIndex;
         scrubAtX(e.clientX);
+        // Clicking the current frame still previews its sound
+        if (state.currentFrameIndex === before) playAudioSnippet(before);
     });
     
     bar.addEventListener('pointermove', function(e) {
-        if (!isScrubbing) return;
-        scrubAtX(e.clientX);
+        if (draggedMarker) dragMarkerToX(e.clientX);
+        else if (isScrubbing) scrubAtX(e.clientX);
     });
     
     bar.addEventListener('pointerup', function(e) {
         isScrubbing = false;
+        draggedMarker = null;
     });
     
     bar.addEventListener('pointercancel', function(e) {
         isScrubbing = false;
+        draggedMarker = null;
     });
     
     // Sync scroll between scrub bar ticks and frame list
@@ -4274,6 +9958,11 @@ function updateScrubBar() {
     }
     ticksContainer.innerHTML = '';
     
+    // Time ruler above the bar: seconds:frames at the start of each frame
+    var ruler = document.getElementById('frameTimeRuler');
+    ruler.innerHTML = '';
+    var lastSecond = null;
+    
     var barRect = bar.getBoundingClientRect();
     
     for (var i = 0; i < items.length; i++) {
@@ -4285,8 +9974,23 @@ function updateScrubBar() {
         tick.style.marginLeft = (i === 0 ? (itemRect.left - barRect.left) + 'px' : 'var(--space-2)');
         tick.textContent = (i + 1);
         ticksContainer.appendChild(tick);
+        
+        var mark = document.createElement('div');
+        var time = formatFrameTime(i);
+        mark.className = 'frame-time-mark';
+        if (time.split(':')[0] !== lastSecond) mark.className += ' second';
+        lastSecond = time.split(':')[0];
+        if (state.frameDurations[i] !== undefined) mark.className += ' custom';
+        mark.style.width = tick.style.width;
+        mark.style.marginLeft = tick.style.marginLeft;
+        mark.textContent = time;
+        mark.title = `Frame ${i + 1}: ${Math.round(getFrameDuration(state, i))} ms`;
+        ruler.appendChild(mark);
     }
     
+    drawScrubWaveform(bar, items);
+    drawScrubRange(bar, items);
+    
     // Position handle at current frame
     if (items.length > 0 && items[state.currentFrameIndex]) {
         var activeRect = items[state.currentFrameIndex].getBoundingClientRect();
@@ -4295,6 +9999,37 @@ function updateScrubBar() {
     }
 }
 
+// In/out markers of the playback range; frames outside it are dimmed
+function drawScrubRange(bar, items) {
+    bar.querySelectorAll('.frame-scrub-marker, .frame-scrub-outside').forEach(el => el.remove());
+    var settings = state.playbackSettings;
+    if (items.length === 0 || (settings.inPoint === null && settings.outPoint === null)) return;
+    
+    var barRect = bar.getBoundingClientRect();
+    var range = getPlaybackRange();
+    var last = items.length - 1;
+    var start = items[Math.min(range.from, last)].getBoundingClientRect().left - barRect.left;
+    var end = items[Math.min(range.to, last)].getBoundingClientRect().right - barRect.left;
+    
+    [['inPoint', start, 'In'], ['outPoint', end, 'Out']].forEach(function(entry) {
+        if (settings[entry[0]] === null) return;
+        var marker = document.createElement('div');
+        marker.className = 'frame-scrub-marker ' + (entry[0] === 'inPoint' ? 'in' : 'out');
+        marker.dataset.marker = entry[0];
+        marker.style.left = entry[1] + 'px';
+        marker.title = entry[2] + ' point: drag to move, [ or ] to set at the current frame';
+        bar.appendChild(marker);
+    });
+    [[0, start], [end, barRect.width]].forEach(function(span) {
+        if (span[1] <= span[0]) return;
+        var shade = document.createElement('div');
+        shade.className = 'frame-scrub-outside';
+        shade.style.left = span[0] + 'px';
+        shade.style.width = (span[1] - span[0]) + 'px';
+        bar.appendChild(shade);
+    });
+}
+
 function updateScrubHandle() {
     updateScrubBar();
 }
@@ -4732,6 +10467,7 @@ async function startVideoFrameExtraction() {
 }
 
 function createVideoReferenceLayer(frameDataUrls) {
+    saveStateForUndo('Import video', 'project');
     state.layerIdCounter++;
 
     const newLayer = {
@@ -4757,7 +10493,7 @@ function createVideoReferenceLayer(frameDataUrls) {
     }
 
     // Ensure other layers have enough frames
-    state.maxFrames = Math.max(state.maxFrames, newLayer.frames.length);
+    state.maxFrames = Math.max(state.maxFrames, getLayerLength(newLayer));
     updateMaxFrames();
 
     state.currentFrameIndex = 0;
@@ -4884,6 +10620,7 @@ function scaleImageToCanvas(img) {
 }
 
 function createImageReferenceLayer(frameDataUrls, name) {
+    saveStateForUndo(frameDataUrls.length === 1 ? 'Import image' : 'Import image sequence', 'project');
     state.layerIdCounter++;
 
     const newLayer = {
@@ -4909,7 +10646,7 @@ function createImageReferenceLayer(frameDataUrls, name) {
         state.currentLayerId = newLayer.id;
     }
 
-    state.maxFrames = Math.max(state.maxFrames, newLayer.frames.length);
+    state.maxFrames = Math.max(state.maxFrames, getLayerLength(newLayer));
     updateMaxFrames();
 
     state.currentFrameIndex = 0;
@@ -4936,7 +10673,7 @@ function copyFrame() {
     if (!currentLayer) return;
     
     const frameIndex = currentLayer.isBackground ? 0 : state.currentFrameIndex;
-    const frame = currentLayer.frames[frameIndex];
+    const frame = resolveLayerFrame(currentLayer, frameIndex);
     if (!frame) return;
     
     state.frameClipboard = JSON.parse(JSON.stringify(frame));
@@ -4963,24 +10700,34 @@ function pasteFrame() {
     const currentLayer = getCurrentLayer();
     if (!currentLayer) return;
     
-    saveStateForUndo();
+    const drawingIndex = currentLayer.isBackground ? 0 : getDrawingIndex(currentLayer, state.currentFrameIndex);
+    const target = currentLayer.frames[drawingIndex];
+    const replaceTarget = target && target.paths && target.paths.length === 0;
+    if (!replaceTarget && isTimingLocked(currentLayer)) return;
+    
+    saveStateForUndo('Paste frame', 'layer');
     
-    const frameIndex = currentLayer.isBackground ? 0 : state.currentFrameIndex;
     const pastedFrame = JSON.parse(JSON.stringify(state.frameClipboard));
     
-    if (currentLayer.frames[frameIndex] && currentLayer.frames[frameIndex].paths && currentLayer.frames[frameIndex].paths.length === 0) {
-        currentLayer.frames[frameIndex] = pastedFrame;
+    // Timing doesn't travel with a copied frame; it belongs to the layer it came from
+    delete pastedFrame.exposure;
+    
+    if (replaceTarget) {
+        // The pasted drawing takes over the empty drawing's exposure
+        if (target.exposure) pastedFrame.exposure = target.exposure;
+        currentLayer.frames[drawingIndex] = pastedFrame;
     } else {
-        currentLayer.frames.splice(frameIndex + 1, 0, pastedFrame);
-        state.currentFrameIndex = frameIndex + 1;
+        // Otherwise it goes after the last frame the current drawing is exposed on
+        const insertIndex = target ? getDrawingStart(currentLayer, drawingIndex) + getExposure(target) : getLayerLength(currentLayer);
+        spliceLayerFrames(currentLayer, insertIndex, 0, pastedFrame);
+        state.currentFrameIndex = insertIndex;
     }
     
     updateMaxFrames();
-    state.redoStack = [];
     renderFrame();
     updateFrameList();
     updateFrameCounter();
-    saveToLocalStorage();
+    saveProject();
     
     const indicator = document.getElementById('autoSaveIndicator');
     if (indicator) {
@@ -4990,14 +10737,303 @@ function pasteFrame() {
     }
 }
 
+// ==================== X-SHEET ====================
+// Exposure sheet for every layer at once: layers are rows (top layer first, as in the layer
+// list) and frames are columns. Cells are drawings, holds, reference images or empty; holds can
+// be dragged longer or shorter, and rectangles of cells can be inserted, deleted, copied and
+// pasted across layers. Layers with locked timing are left out of structural edits.
+
+// 'drawing', 'hold', 'reference', 'empty' or 'none' (past the end of the layer)
+function getXSheetCellType(layer, frameIndex) {
+    const frame = resolveLayerFrame(layer, frameIndex);
+    if (!frame) return 'none';
+    if (!layer.isBackground && getFrameExposure(layer, frameIndex).start !== frameIndex) return 'hold';
+    if (frame.referenceImage) return 'reference';
+    return frame.paths.length > 0 ? 'drawing' : 'empty';
+}
+
+function getXSheetRows() {
+    return [...state.layers].reverse();
+}
+
+function toggleXSheet() {
+    state.xsheet.visible = !state.xsheet.visible;
+    document.getElementById('xsheetToggle').classList.toggle('active', state.xsheet.visible);
+    document.querySelector('.frames-section').classList.toggle('xsheet-mode', state.xsheet.visible);
+    if (state.xsheet.visible) {
+        const row = getXSheetRows().findIndex(l => l.id === state.currentLayerId);
+        state.xsheet.anchor = { row: row, frame: state.currentFrameIndex };
+        state.xsheet.selection = { rowFrom: row, rowTo: row, from: state.currentFrameIndex, to: state.currentFrameIndex };
+        updateXSheet();
+    } else {
+        updateFrameList();
+        updateScrubBar();
+    }
+}
+
+function updateXSheet() {
+    if (!state.xsheet.visible) return;
+    const container = document.getElementById('xsheet');
+    const scroll = container.querySelector('.xsheet-scroll');
+    const scrollLeft = scroll ? scroll.scrollLeft : 0;
+    const scrollTop = scroll ? scroll.scrollTop : 0;
+    const rows = getXSheetRows();
+    const sel = state.xsheet.selection;
+    
+    let html = `<div class="xsheet-grid" style="grid-template-columns: 120px repeat(${state.maxFrames}, var(--xsheet-cell))">`;
+    html += '<div class="xsheet-corner"></div>';
+    for (let f = 0; f < state.maxFrames; f++) {
+        html += `<div class="xsheet-frame-number${f === state.currentFrameIndex ? ' active' : ''}" data-frame="${f}">${f + 1}</div>`;
+    }
+    rows.forEach((layer, row) => {
+        html += `<div class="xsheet-layer-name${layer.id === state.currentLayerId ? ' active' : ''}${layer.visible ? '' : ' hidden'}" data-row="${row}">${escapeXML(layer.name)}</div>`;
+        for (let f = 0; f < state.maxFrames; f++) {
+            const type = getXSheetCellType(layer, f);
+            const frame = resolveLayerFrame(layer, f);
+            const classes = ['xsheet-cell', type];
+            if (layer.isBackground) classes.push('background');
+            if (frame && frame.tweenGenerated) classes.push('tween');
+            if (f === state.currentFrameIndex) classes.push('current-frame');
+            if (sel && row >= sel.rowFrom && row <= sel.rowTo && f >= sel.from && f <= sel.to) classes.push('selected');
+            
+            // The last cell of an exposure gets the handle for dragging the hold
+            const exposure = getFrameExposure(layer, f);
+            const endsExposure = !layer.isBackground && frame && f === exposure.start + exposure.length - 1;
+            const label = type === 'drawing' ? (frame.key ? '◆' : '●') : type === 'reference' ? '▣' : '';
+            html += `<div class="${classes.join(' ')}" data-row="${row}" data-frame="${f}">${label}${endsExposure ? '<span class="xsheet-hold-handle" title="Drag to change the hold"></span>' : ''}</div>`;
+        }
+    });
+    html += '</div>';
+    
+    container.innerHTML = `
+        <div class="xsheet-toolbar">
+            <button type="button" class="xsheet-btn" data-action="insert" title="Insert empty cells before the selection">Insert</button>
+            <button type="button" class="xsheet-btn" data-action="delete" title="Delete the selected cells">Delete</button>
+            <button type="button" class="xsheet-btn" data-action="copy" title="Copy the selected cells">Copy</button>
+            <button type="button" class="xsheet-btn" data-action="paste" title="Paste cells at the selection"${state.xsheet.clipboard ? '' : ' disabled'}>Paste</button>
+            <span class="xsheet-info">${sel ? `${(sel.rowTo - sel.rowFrom + 1) * (sel.to - sel.from + 1)} cell(s) selected` : ''}</span>
+        </div>
+        <div class="xsheet-scroll">${html}</div>
+    `;
+    const newScroll = container.querySelector('.xsheet-scroll');
+    newScroll.scrollLeft = scrollLeft;
+    newScroll.scrollTop = scrollTop;
+}
+
+function setXSheetSelection(row, frame, extend) {
+    const xs = state.xsheet;
+    if (!extend || !xs.anchor) xs.anchor = { row: row, frame: frame };
+    xs.selection = {
+        rowFrom: Math.min(xs.anchor.row, row),
+        rowTo: Math.max(xs.anchor.row, row),
+        from: Math.min(xs.anchor.frame, frame),
+        to: Math.max(xs.anchor.frame, frame)
+    };
+    
+    // Update the classes in place; a rebuild would interrupt a drag
+    const sel = xs.selection;
+    document.querySelectorAll('#xsheet .xsheet-cell').forEach(cell => {
+        const r = parseInt(cell.dataset.row);
+        const f = parseInt(cell.dataset.frame);
+        cell.classList.toggle('selected', r >= sel.rowFrom && r <= sel.rowTo && f >= sel.from && f <= sel.to);
+    });
+    const info = document.querySelector('#xsheet .xsheet-info');
+    if (info) info.textContent = `${(sel.rowTo - sel.rowFrom + 1) * (sel.to - sel.from + 1)} cell(s) selected`;
+}
+
+// Animation layers covered by the selection
+function getXSheetSelectedLayers() {
+    const sel = state.xsheet.selection;
+    if (!sel) return [];
+    return getXSheetRows().slice(sel.rowFrom, sel.rowTo + 1).filter(layer => !layer.isBackground);
+}
+
+function insertXSheetCells() {
+    const sel = state.xsheet.selection;
+    const layers = getTimingUnlockedLayers(getXSheetSelectedLayers());
+    if (layers.length === 0) return;
+    
+    saveStateForUndo('Insert cells', 'project');
+    layers.forEach(layer => {
+        const cells = getLayerCells(layer);
+        while (cells.length < sel.from) cells.push({ frame: { paths: [] }, head: null });
+        const inserted = [];
+        for (let f = sel.from; f <= sel.to; f++) inserted.push({ frame: { paths: [] }, head: null });
+        cells.splice(sel.from, 0, ...inserted);
+        setLayerCells(layer, cells);
+    });
+    finishFrameEdit();
+}
+
+function deleteXSheetCells() {
+    const sel = state.xsheet.selection;
+    const layers = getTimingUnlockedLayers(getXSheetSelectedLayers().filter(layer => sel.from < getLayerLength(layer)));
+    if (layers.length === 0) return;
+    
+    saveStateForUndo('Delete cells', 'project');
+    layers.forEach(layer => {
+        const cells = getLayerCells(layer);
+        cells.splice(sel.from, sel.to - sel.from + 1);
+        setLayerCells(layer, cells);
+    });
+    finishFrameEdit();
+}
+
+// Copies keep holds whose drawing is inside the copied range; other holds become drawings
+function copyXSheetCells() {
+    const sel = state.xsheet.selection;
+    if (!sel) return;
+    state.xsheet.clipboard = getXSheetRows().slice(sel.rowFrom, sel.rowTo + 1).map(layer => {
+        const cells = [];
+        for (let f = sel.from; f <= sel.to; f++) {
+            const start = layer.isBackground ? -1 : getFrameExposure(layer, f).start;
+            if (start !== f && start >= sel.from) {
+                cells.push({ holdOf: start - sel.from });
+                continue;
+            }
+            const source = resolveLayerFrame(layer, f);
+            const copy = { paths: source ? JSON.parse(JSON.stringify(source.paths)) : [] };
+            if (source && source.referenceImage) copy.referenceImage = source.referenceImage;
+            cells.push({ frame: copy });
+        }
+        return cells;
+    });
+    updateXSheet();
+}
+
+// Pastes over the cells starting at the selection's top-left, one clipboard row per layer
+function pasteXSheetCells() {
+    const sel = state.xsheet.selection;
+    const clipboard = state.xsheet.clipboard;
+    if (!sel || !clipboard) return;
+    const rows = getXSheetRows();
+    const rowTargets = clipboard.map((cells, r) => ({ layer: rows[sel.rowFrom + r], cells: cells }))
+        .filter(target => target.layer && !target.layer.isBackground);
+    const unlocked = getTimingUnlockedLayers(rowTargets.map(target => target.layer));
+    const targets = rowTargets.filter(target => unlocked.includes(target.layer));
+    if (targets.length === 0) return;
+    
+    saveStateForUndo('Paste cells', 'project');
+    targets.forEach(({ layer, cells: pasted }) => {
+        const cells = getLayerCells(layer);
+        while (cells.length < sel.from + pasted.length) cells.push({ frame: { paths: [] }, head: null });
+        const frames = pasted.map(cell => cell.frame ? JSON.parse(JSON.stringify(cell.frame)) : { paths: [] });
+        pasted.forEach((cell, i) => {
+            cells[sel.from + i] = { frame: frames[i], head: cell.holdOf !== undefined ? frames[cell.holdOf] : null };
+        });
+        setLayerCells(layer, cells);
+    });
+    finishFrameEdit();
+}
+
+function setupXSheet() {
+    const container = document.getElementById('xsheet');
+    let drag = null; // { type: 'select' } or { type: 'hold', layer, frame, start }
+    
+    const cellAt = (ev) => {
+        const target = document.elementFromPoint(ev.clientX, ev.clientY);
+        const cell = target ? target.closest('#xsheet .xsheet-cell') : null;
+        return cell ? { row: parseInt(cell.dataset.row), frame: parseInt(cell.dataset.frame) } : null;
+    };
+    const frameAtX = (x) => {
+        const header = container.querySelector('.xsheet-frame-number');
+        const rect = header.getBoundingClientRect();
+        return Math.max(0, Math.floor((x - rect.left) / rect.width));
+    };
+    const previewHold = (row, start, end) => {
+        container.querySelectorAll('.xsheet-cell.hold-preview').forEach(cell => cell.classList.remove('hold-preview'));
+        for (let f = start; f <= end; f++) {
+            const cell = container.querySelector(`.xsheet-cell[data-row="${row}"][data-frame="${f}"]`);
+            if (cell) cell.classList.add('hold-preview');
+        }
+    };
+    
+    container.addEventListener('click', (e) => {
+        const button = e.target.closest('.xsheet-btn');
+        if (button) {
+            const action = button.dataset.action;
+            if (action === 'insert') insertXSheetCells();
+            if (action === 'delete') deleteXSheetCells();
+            if (action === 'copy') copyXSheetCells();
+            if (action === 'paste') pasteXSheetCells();
+            return;
+        }
+        const frameNumber = e.target.closest('.xsheet-frame-number');
+        if (frameNumber) selectFrame(parseInt(frameNumber.dataset.frame));
+    });
+    
+    container.addEventListener('pointerdown', (e) => {
+        if (state.isPlaying) return;
+        const handle = e.target.closest('.xsheet-hold-handle');
+        const cell = e.target.closest('.xsheet-cell');
+        if (!cell) return;
+        e.preventDefault();
+        const row = parseInt(cell.dataset.row);
+        const frame = parseInt(cell.dataset.frame);
+        const layer = getXSheetRows()[row];
+        
+        if (handle) {
+            if (isTimingLocked(layer)) return;
+            const head = getFrameExposure(layer, frame).start;
+            drag = { type: 'hold', row: row, layer: layer, head: head, end: frame };
+            previewHold(row, head, frame);
+        } else {
+            drag = { type: 'select' };
+            setXSheetSelection(row, frame, e.shiftKey);
+        }
+    });
+    
+    document.addEventListener('pointermove', (e) => {
+        if (!drag) return;
+        if (drag.type === 'hold') {
+            drag.end = Math.max(drag.head, frameAtX(e.clientX));
+            previewHold(drag.row, drag.head, drag.end);
+        } else {
+            const cell = cellAt(e);
+            if (cell) setXSheetSelection(cell.row, cell.frame, true);
+        }
+    });
+    
+    document.addEventListener('pointerup', () => {
+        if (!drag) return;
+        const finished = drag;
+        drag = null;
+        
+        if (finished.type === 'hold') {
+            const layer = finished.layer;
+            const length = finished.end - finished.head + 1;
+            if (length !== getFrameExposure(layer, finished.head).length) {
+                state.currentLayerId = layer.id;
+                saveStateForUndo('Change hold', 'layer');
+                setFrameExposure(layer, finished.head, length);
+                finishFrameEdit();
+            } else {
+                updateXSheet();
+            }
+            return;
+        }
+        
+        // The cell the selection started on becomes the current layer and frame
+        const rows = getXSheetRows();
+        const anchor = state.xsheet.anchor;
+        if (rows[anchor.row]) {
+            state.currentLayerId = rows[anchor.row].id;
+            state.currentFrameIndex = Math.min(anchor.frame, state.maxFrames - 1);
+            updateLayerList();
+            updateFrameList();
+            updateFrameCounter();
+            renderFrame();
+        }
+    });
+}
+
 // ==================== SELECTION TOOL ====================
 const selectionOverlay = document.getElementById('selectionOverlay');
 
 function getSelectionFrame() {
     const currentLayer = getCurrentLayer();
     if (!currentLayer) return null;
-    const frameIndex = currentLayer.isBackground ? 0 : state.currentFrameIndex;
-    return currentLayer.frames[frameIndex] || null;
+    return resolveLayerFrame(currentLayer, state.currentFrameIndex);
 }
 
 function getPathBBox(pathD) {
@@ -5079,8 +11115,7 @@ function handleFillToolClick(e) {
     const currentLayer = getCurrentLayer();
     if (!currentLayer || !currentLayer.visible) return;
     
-    const frameIndex = currentLayer.isBackground ? 0 : state.currentFrameIndex;
-    const frame = currentLayer.frames[frameIndex];
+    const frame = resolveLayerFrame(currentLayer, state.currentFrameIndex);
     if (!frame) return;
     
     const point = getSvgPoint(e);
@@ -5100,39 +11135,9 @@ function handleFillToolClick(e) {
     rctx.fillStyle = state.backgroundColor || '#ffffff';
     rctx.fillRect(0, 0, w, h);
     
-    state.layers.forEach(function(layer) {
-        if (!layer.visible) return;
-        var fi = layer.isBackground ? 0 : state.currentFrameIndex;
-        var f = layer.frames[fi];
-        if (!f) return;
-        if (f.holdReference !== undefined) f = layer.frames[f.holdReference] || f;
-        
-        var layerOpacity = layer.opacity !== undefined ? layer.opacity : 1;
-        rctx.globalAlpha = layerOpacity;
-        
-        if (f.paths) {
-            f.paths.forEach(function(pathData) {
-                if (!pathData.d) return;
-                var path2D = new Path2D(pathData.d);
-                rctx.globalCompositeOperation = pathData.tool === 'eraser' ? 'destination-out' : 'source-over';
-                if (pathData.fill && pathData.fill !== 'none') {
-                    rctx.fillStyle = pathData.fill;
-                    rctx.fill(path2D);
-                }
-                if (pathData.stroke && pathData.stroke !== 'none') {
-                    rctx.strokeStyle = pathData.stroke;
-                    rctx.lineWidth = parseFloat(pathData.strokeWidth) || 2;
-                    rctx.lineCap = 'round';
-                    rctx.lineJoin = 'round';
-                    rctx.stroke(path2D);
-                }
-            });
-        }
-    });
-    rctx.globalAlpha = 1;
-    rctx.globalCompositeOperation = 'source-over';
+    paintFrameComposite(rctx, state.currentFrameIndex); // reference images are not fill boundaries
     
-    // Step 2: Flood fill
+    // Step 2: Flood fill from the clicked pixel, grown under stroke edges
     var imageData = rctx.getImageData(0, 0, w, h);
     var data = imageData.data;
     var startIdx = (py * w + px) * 4;
@@ -5141,51 +11146,7 @@ function handleFillToolClick(e) {
     
     if (Math.abs(startR - fillColor.r) < 5 && Math.abs(startG - fillColor.g) < 5 && Math.abs(startB - fillColor.b) < 5) return;
     
-    var tolerance = 32;
-    function colourMatch(idx) {
-        return Math.abs(data[idx] - startR) <= tolerance &&
-               Math.abs(data[idx+1] - startG) <= tolerance &&
-               Math.abs(data[idx+2] - startB) <= tolerance &&
-               Math.abs(data[idx+3] - startA) <= tolerance;
-    }
-    
-    var fillMask = new Uint8Array(w * h);
-    var stack = [[px, py]];
-    
-    while (stack.length > 0) {
-        var coord = stack.pop();
-        var x = coord[0], y = coord[1];
-        if (x < 0 || x >= w || y < 0 || y >= h) continue;
-        var mi = y * w + x;
-        if (fillMask[mi]) continue;
-        if (!colourMatch(mi * 4)) continue;
-        
-        var lx = x;
-        while (lx > 0 && !fillMask[y * w + (lx-1)] && colourMatch((y * w + (lx-1)) * 4)) lx--;
-        var rx = x;
-        while (rx < w-1 && !fillMask[y * w + (rx+1)] && colourMatch((y * w + (rx+1)) * 4)) rx++;
-        
-        for (var fx = lx; fx <= rx; fx++) {
-            fillMask[y * w + fx] = 1;
-            if (y > 0 && !fillMask[(y-1) * w + fx] && colourMatch(((y-1) * w + fx) * 4)) stack.push([fx, y-1]);
-            if (y < h-1 && !fillMask[(y+1) * w + fx] && colourMatch(((y+1) * w + fx) * 4)) stack.push([fx, y+1]);
-        }
-    }
-    
-    // Step 2.5: Dilate mask to fill under stroke edges
-    for (var pass = 0; pass < 3; pass++) {
-        var expanded = new Uint8Array(w * h);
-        for (var dy = 0; dy < h; dy++) {
-            for (var dx = 0; dx < w; dx++) {
-                if (fillMask[dy * w + dx]) { expanded[dy * w + dx] = 1; continue; }
-                if ((dx > 0 && fillMask[dy * w + (dx-1)]) || (dx < w-1 && fillMask[dy * w + (dx+1)]) ||
-                    (dy > 0 && fillMask[(dy-1) * w + dx]) || (dy < h-1 && fillMask[(dy+1) * w + dx])) {
-                    expanded[dy * w + dx] = 1;
-                }
-            }
-        }
-        fillMask = expanded;
-    }
+    var fillMask = getFillRegion(data, w, h, px, py, 32);
     
     // Step 3: Trace contours
     var contours = traceContours(fillMask, w, h);
@@ -5203,17 +11164,16 @@ function handleFillToolClick(e) {
     if (!pathD) return;
     
     // Step 5: Insert fill path behind strokes
-    saveStateForUndo();
+    saveStateForUndo('Fill');
     var insertIdx = 0;
     for (var i = 0; i < frame.paths.length; i++) {
         if (frame.paths[i].tool === 'fill') insertIdx = i + 1; else break;
     }
     frame.paths.splice(insertIdx, 0, { d: pathD, stroke: 'none', strokeWidth: 0, fill: state.strokeColor, tool: 'fill' });
     
-    state.redoStack = [];
     renderFrame();
     updateFrameList();
-    saveToLocalStorage();
+    saveProject();
 }
 
 function hexToRgb(hex) {
@@ -5293,7 +11253,7 @@ function applyColorToSelection(color) {
     
     // Save undo state on first colour change
     if (!sel._colorUndoSaved) {
-        saveStateForUndo();
+        saveStateForUndo('Change color');
         sel._colorUndoSaved = true;
         // Reset flag after a short delay (groups rapid picker changes into one undo)
         setTimeout(function() { sel._colorUndoSaved = false; }, 500);
@@ -5330,6 +11290,7 @@ function clearSelection() {
     state.selection.anchor = null;
     state.selection.anchorLocked = false;
     state.selection.isDraggingAnchor = false;
+    state.selection.isAdjustingShape = false;
     state.selection.rotateAnchor = null;
     state.selection._anchorAtDragStart = null;
     drawSelectionOverlay();
@@ -5526,6 +11487,11 @@ function drawSelectionOverlay() {
     rotHandle.setAttribute('class', 'selection-rotate-handle');
     rotHandle.setAttribute('data-action', 'rotate');
     selectionOverlay.appendChild(rotHandle);
+
+    // Shape parameter handle (corner radius / star depth)
+    if (sel.indices.length === 1) {
+        drawShapeParamHandle(frame.paths[sel.indices[0]]);
+    }
 }
 
 function transformPathD(d, transform) {
@@ -5618,6 +11584,12 @@ function handleSelectPointerDown(e) {
         sel.dragStart = point;
         return;
     }
+    if (action === 'shape-param') {
+        sel.isAdjustingShape = true;
+        sel.dragStart = point;
+        saveStateForUndo('Adjust shape');
+        return;
+    }
     if (action === 'rotate') {
         sel.isRotating = true;
         sel.dragStart = point;
@@ -5629,7 +11601,7 @@ function handleSelectPointerDown(e) {
             point.y - pivot.y,
             point.x - pivot.x
         );
-        saveStateForUndo();
+        saveStateForUndo('Rotate');
         return;
     }
     if (action === 'resize') {
@@ -5638,7 +11610,7 @@ function handleSelectPointerDown(e) {
         sel.dragStart = point;
         sel.resizeOrigin = { ...sel.bbox };
         sel.originalPaths = JSON.parse(JSON.stringify(sel.indices.map(i => frame.paths[i])));
-        saveStateForUndo();
+        saveStateForUndo('Scale');
         return;
     }
     if (action === 'move') {
@@ -5648,7 +11620,7 @@ function handleSelectPointerDown(e) {
         if (sel.anchorLocked && sel.anchor) {
             sel._anchorAtDragStart = { x: sel.anchor.x, y: sel.anchor.y };
         }
-        saveStateForUndo();
+        saveStateForUndo('Move');
         return;
     }
 
@@ -5667,7 +11639,7 @@ function handleSelectPointerDown(e) {
                 if (sel.anchorLocked && sel.anchor) {
                     sel._anchorAtDragStart = { x: sel.anchor.x, y: sel.anchor.y };
                 }
-                saveStateForUndo();
+                saveStateForUndo('Move');
                 drawSelectionOverlay();
                 return;
             }
@@ -5704,7 +11676,9 @@ function handleSelectPointerMove(e) {
         for (let i = 0; i < sel.indices.length; i++) {
             const idx = sel.indices[i];
             const original = sel.originalPaths[i];
-            frame.paths[idx].d = transformPathD(original.d, { translateX: dx, translateY: dy });
+            const transform = { translateX: dx, translateY: dy };
+            frame.paths[idx].d = transformPathD(original.d, transform);
+            updateShapeAfterTransform(frame.paths[idx], original, transform);
         }
         // Move anchor along with selection
         if (sel.anchorLocked && sel._anchorAtDragStart) {
@@ -5741,7 +11715,9 @@ function handleSelectPointerMove(e) {
         for (let i = 0; i < sel.indices.length; i++) {
             const idx = sel.indices[i];
             const original = sel.originalPaths[i];
-            frame.paths[idx].d = transformPathD(original.d, { scaleX, scaleY, originX, originY });
+            const transform = { scaleX, scaleY, originX, originY };
+            frame.paths[idx].d = transformPathD(original.d, transform);
+            updateShapeAfterTransform(frame.paths[idx], original, transform);
             if (original.strokeWidth && !('n s e w'.split(' ').includes(handle))) {
                 const avgScale = (Math.abs(scaleX) + Math.abs(scaleY)) / 2;
                 frame.paths[idx].strokeWidth = parseFloat(original.strokeWidth) * avgScale;
@@ -5752,6 +11728,13 @@ function handleSelectPointerMove(e) {
         return;
     }
 
+    if (sel.isAdjustingShape && sel.indices.length === 1) {
+        adjustShapeParam(frame.paths[sel.indices[0]], point);
+        renderFrame();
+        drawSelectionOverlay();
+        return;
+    }
+
     if (sel.isDraggingAnchor) {
         sel.anchor = { x: point.x, y: point.y };
         sel.anchorLocked = true;
@@ -5769,7 +11752,9 @@ function handleSelectPointerMove(e) {
         for (let i = 0; i < sel.indices.length; i++) {
             const idx = sel.indices[i];
             const original = sel.originalPaths[i];
-            frame.paths[idx].d = transformPathD(original.d, { rotation: delta, originX: cx, originY: cy });
+            const transform = { rotation: delta, originX: cx, originY: cy };
+            frame.paths[idx].d = transformPathD(original.d, transform);
+            updateShapeAfterTransform(frame.paths[idx], original, transform);
         }
         renderFrame();
         drawSelectionOverlay();
@@ -5803,6 +11788,7 @@ function handleSelectPointerUp(e) {
     sel.marqueeStart = null;
     sel.isDragging = false;
     sel.isDraggingAnchor = false;
+    sel.isAdjustingShape = false;
     sel.isResizing = false;
     sel.isRotating = false;
     sel.dragStart = null;
@@ -5810,25 +11796,30 @@ function handleSelectPointerUp(e) {
     sel.resizeOrigin = null;
     sel.rotateAnchor = null;
     sel.rotateStart = null;
+    const transformed = sel.originalPaths !== null;
     sel.originalPaths = null;
     sel._anchorAtDragStart = null;
-    if (sel.indices.length > 0) saveToLocalStorage();
+    if (transformed) {
+        refreshTweensForCurrentFrame();
+        updateFrameList();
+    }
+    if (sel.indices.length > 0) saveProject();
     drawSelectionOverlay();
 }
 
 function deleteSelectedPaths() {
     const frame = getSelectionFrame();
     if (!frame || state.selection.indices.length === 0) return;
-    saveStateForUndo();
+    saveStateForUndo('Delete paths');
     const sorted = [...state.selection.indices].sort((a, b) => b - a);
     for (const idx of sorted) {
         if (idx < frame.paths.length) frame.paths.splice(idx, 1);
     }
     clearSelection();
-    state.redoStack = [];
+    refreshTweensForCurrentFrame();
     renderFrame();
     updateFrameList();
-    saveToLocalStorage();
+    saveProject();
 }
 
 function selectAllPaths() {
@@ -5843,16 +11834,573 @@ function selectAllPaths() {
 const _origSelectFrame = selectFrame;
 selectFrame = function(index) {
     if (state.tool === 'select') clearSelection();
+    if (state.tool === 'node') clearNodeEdit();
     _origSelectFrame(index);
 };
 
 const _origSelectLayer = selectLayer;
 selectLayer = function(layerId) {
     if (state.tool === 'select') clearSelection();
+    if (state.tool === 'node') clearNodeEdit();
     _origSelectLayer(layerId);
 };
 
 
+// ==================== NODE EDITING ====================
+// Direct selection: a path's `d` is parsed into subpaths of anchors with
+// optional cubic handles ({x, y, in, out, smooth}). Edits are made on that
+// model and written back to `frame.paths` as M/L/C/Z commands.
+
+function setupNodeTool() {
+    document.getElementById('nodeTool').addEventListener('click', () => selectTool('node'));
+    
+    document.getElementById('nodeSmoothBtn').addEventListener('click', () => toggleSelectedNodesSmooth());
+    document.getElementById('nodeDeleteBtn').addEventListener('click', () => deleteSelectedNodes());
+    document.getElementById('nodeSplitBtn').addEventListener('click', () => splitPathAtSelectedNode());
+    document.getElementById('nodeJoinBtn').addEventListener('click', () => joinSelectedNodes());
+    
+    // Double-click an anchor to toggle corner/smooth, or a segment to add an anchor
+    svg.addEventListener('dblclick', (e) => {
+        if (state.tool !== 'node') return;
+        const target = e.target;
+        if (target.getAttribute('data-action') === 'node-anchor') {
+            state.nodeEdit.selected = [readNodeRef(target)];
+            toggleSelectedNodesSmooth();
+        } else {
+            addNodeAtPoint(getSvgPoint(e));
+        }
+    });
+}
+
+function clearNodeEdit() {
+    state.nodeEdit.paths = [];
+    state.nodeEdit.selected = [];
+    state.nodeEdit.drag = null;
+    selectionOverlay.innerHTML = '';
+}
+
+function readNodeRef(el) {
+    return {
+        path: parseInt(el.getAttribute('data-path')),
+        sub: parseInt(el.getAttribute('data-sub')),
+        node: parseInt(el.getAttribute('data-node'))
+    };
+}
+
+function isNodeSelected(ref) {
+    return state.nodeEdit.selected.some(s => s.path === ref.path && s.sub === ref.sub && s.node === ref.node);
+}
+
+function cloneNodes(subpaths) {
+    return JSON.parse(JSON.stringify(subpaths));
+}
+
+// Write an edited node model back to its path; shapes become plain paths
+function commitPathNodes(frame, pathIndex, subpaths) {
+    const pathData = frame.paths[pathIndex];
+    if (!pathData) return;
+    if (pathData.shape) convertShapeToPath(pathData);
+    pathData.d = serializePathNodes(subpaths);
+}
+
+function handleNodePointerDown(e) {
+    if (state.isPlaying) return;
+    const point = getSvgPoint(e);
+    const frame = getSelectionFrame();
+    if (!frame) return;
+    const edit = state.nodeEdit;
+    const target = e.target;
+    const action = target.getAttribute('data-action');
+    const shiftHeld = e.shiftKey || state.shiftPressed;
+    
+    if (action === 'node-anchor') {
+        const ref = readNodeRef(target);
+        if (shiftHeld) {
+            if (isNodeSelected(ref)) {
+                edit.selected = edit.selected.filter(s => !(s.path === ref.path && s.sub === ref.sub && s.node === ref.node));
+                drawNodeOverlay();
+                return;
+            }
+            edit.selected.push(ref);
+        } else if (!isNodeSelected(ref)) {
+            edit.selected = [ref];
+        }
+        startNodeDrag(frame, { type: 'anchors', start: point });
+        return;
+    }
+    
+    if (action === 'node-handle') {
+        const ref = readNodeRef(target);
+        startNodeDrag(frame, { type: 'handle', start: point, ref: ref, side: target.getAttribute('data-side') });
+        return;
+    }
+    
+    // Clicking a path makes it the editing target
+    const hitIndex = findPathAtPoint(frame, point);
+    if (hitIndex >= 0 && frame.paths[hitIndex].tool !== 'eraser') {
+        if (shiftHeld) {
+            if (!edit.paths.includes(hitIndex)) edit.paths.push(hitIndex);
+        } else if (!edit.paths.includes(hitIndex)) {
+            edit.paths = [hitIndex];
+            edit.selected = [];
+        } else {
+            edit.selected = [];
+        }
+    } else if (!shiftHeld) {
+        edit.paths = [];
+        edit.selected = [];
+    }
+    drawNodeOverlay();
+}
+
+function startNodeDrag(frame, drag) {
+    const edit = state.nodeEdit;
+    const pathIndices = drag.type === 'handle' ? [drag.ref.path] : [...new Set(edit.selected.map(s => s.path))];
+    drag.models = {};
+    for (const idx of pathIndices) {
+        if (frame.paths[idx]) drag.models[idx] = parsePathNodes(frame.paths[idx].d);
+    }
+    drag.moved = false;
+    edit.drag = drag;
+    saveStateForUndo(drag.type === 'handle' ? 'Move handle' : 'Move points');
+    drawNodeOverlay();
+}
+
+function handleNodePointerMove(e) {
+    const edit = state.nodeEdit;
+    const drag = edit.drag;
+    if (!drag) return;
+    const frame = getSelectionFrame();
+    if (!frame) return;
+    const point = getSvgPoint(e);
+    const dx = point.x - drag.start.x;
+    const dy = point.y - drag.start.y;
+    if (!drag.moved && Math.hypot(dx, dy) < 1) return;
+    drag.moved = true;
+    
+    if (drag.type === 'anchors') {
+        for (const key of Object.keys(drag.models)) {
+            const pathIndex = parseInt(key);
+            const model = cloneNodes(drag.models[key]);
+            for (const ref of edit.selected) {
+                if (ref.path !== pathIndex) continue;
+                const node = model[ref.sub] && model[ref.sub].nodes[ref.node];
+                if (!node) continue;
+                node.x += dx; node.y += dy;
+                if (node.in) { node.in.x += dx; node.in.y += dy; }
+                if (node.out) { node.out.x += dx; node.out.y += dy; }
+            }
+            commitPathNodes(frame, pathIndex, model);
+        }
+    } else if (drag.type === 'handle') {
+        const model = cloneNodes(drag.models[drag.ref.path]);
+        const node = model[drag.ref.sub] && model[drag.ref.sub].nodes[drag.ref.node];
+        if (!node) return;
+        const side = drag.side;
+        const other = side === 'in' ? 'out' : 'in';
+        node[side] = { x: node[side].x + dx, y: node[side].y + dy };
+        
+        // Alt breaks a smooth anchor into a corner for the rest of the drag
+        if (e.altKey || state.altPressed) drag.broken = true;
+        if (drag.broken) node.smooth = false;
+        if (node.smooth && node[other]) {
+            const len = Math.hypot(node[other].x - node.x, node[other].y - node.y);
+            const hx = node.x - node[side].x;
+            const hy = node.y - node[side].y;
+            const hlen = Math.hypot(hx, hy) || 1;
+            node[other] = { x: node.x + hx / hlen * len, y: node.y + hy / hlen * len };
+        }
+        commitPathNodes(frame, drag.ref.path, model);
+    }
+    
+    renderFrame();
+    drawNodeOverlay();
+}
+
+function handleNodePointerUp() {
+    const drag = state.nodeEdit.drag;
+    if (!drag) return;
+    state.nodeEdit.drag = null;
+    if (drag.moved) {
+        refreshTweensForCurrentFrame();
+        updateFrameList();
+        saveProject();
+    } else {
+        // Click without a drag: nothing changed, so forget the snapshot
+        state.undoStack.pop();
+    }
+    drawNodeOverlay();
+}
+
+// Apply an edit to every path that has selected anchors, recorded in history
+// under `label`. `fn` receives the parsed model and the selected refs for that path, and returns the new model.
+function editSelectedNodes(label, fn) {
+    const frame = getSelectionFrame();
+    const edit = state.nodeEdit;
+    if (!frame || edit.selected.length === 0) return false;
+    
+    saveStateForUndo(label);
+    const pathIndices = [...new Set(edit.selected.map(s => s.path))];
+    for (const idx of pathIndices) {
+        if (!frame.paths[idx]) continue;
+        const model = parsePathNodes(frame.paths[idx].d);
+        const refs = edit.selected.filter(s => s.path === idx);
+        commitPathNodes(frame, idx, fn(model, refs));
+    }
+    finishNodeEdit(frame);
+    return true;
+}
+
+// Drop empty paths, tidy up targets and refresh everything after an edit
+function finishNodeEdit(frame) {
+    const edit = state.nodeEdit;
+    const removed = [];
+    for (let i = frame.paths.length - 1; i >= 0; i--) {
+        if (!frame.paths[i].d || !frame.paths[i].d.trim()) {
+            frame.paths.splice(i, 1);
+            removed.push(i);
+        }
+    }
+    if (removed.length > 0) {
+        const shift = (idx) => idx - removed.filter(r => r < idx).length;
+        edit.paths = edit.paths.filter(p => !removed.includes(p)).map(shift);
+        edit.selected = [];
+    }
+    
+    refreshTweensForCurrentFrame();
+    renderFrame();
+    drawNodeOverlay();
+    updateFrameList();
+    saveProject();
+}
+
+function toggleSelectedNodesSmooth() {
+    editSelectedNodes('Toggle smooth', (model, refs) => {
+        for (const ref of refs) {
+            const sub = model[ref.sub];
+            const node = sub && sub.nodes[ref.node];
+            if (!node) continue;
+            
+            // Smooth -> corner: retract both handles
+            if (node.smooth) {
+                node.in = null;
+                node.out = null;
+                node.smooth = false;
+                continue;
+            }
+            
+            // Corner -> smooth: line the handles up, along the neighbours if there are none
+            const n = sub.nodes.length;
+            const prev = ref.node > 0 ? sub.nodes[ref.node - 1] : (sub.closed ? sub.nodes[n - 1] : null);
+            const next = ref.node < n - 1 ? sub.nodes[ref.node + 1] : (sub.closed ? sub.nodes[0] : null);
+            let tx, ty;
+            if (node.in && node.out) {
+                tx = node.out.x - node.in.x;
+                ty = node.out.y - node.in.y;
+            } else {
+                const from = prev || node;
+                const to = next || node;
+                tx = to.x - from.x;
+                ty = to.y - from.y;
+            }
+            const tlen = Math.hypot(tx, ty);
+            if (tlen === 0) continue;
+            tx /= tlen; ty /= tlen;
+            if (prev) {
+                const len = node.in ? Math.hypot(node.x - node.in.x, node.y - node.in.y) : Math.hypot(node.x - prev.x, node.y - prev.y) / 3;
+                node.in = { x: node.x - tx * len, y: node.y - ty * len };
+            }
+            if (next) {
+                const len = node.out ? Math.hypot(node.out.x - node.x, node.out.y - node.y) : Math.hypot(next.x - node.x, next.y - node.y) / 3;
+                node.out = { x: node.x + tx * len, y: node.y + ty * len };
+            }
+            node.smooth = !!(prev && next);
+        }
+        return model;
+    });
+}
+
+function deleteSelectedNodes() {
+    const changed = editSelectedNodes('Delete points', (model, refs) => {
+        // Remove from the end so earlier indices stay valid
+        const sorted = refs.slice().sort((a, b) => b.sub - a.sub || b.node - a.node);
+        for (const ref of sorted) {
+            const sub = model[ref.sub];
+            if (sub && sub.nodes[ref.node]) sub.nodes.splice(ref.node, 1);
+        }
+        // A subpath needs at least two anchors to draw anything
+        return model.filter(sub => sub.nodes.length >= 2);
+    });
+    if (changed) {
+        state.nodeEdit.selected = [];
+        drawNodeOverlay();
+    }
+}
+
+function addNodeAtPoint(point) {
+    const frame = getSelectionFrame();
+    const edit = state.nodeEdit;
+    if (!frame) return;
+    
+    // Find the closest segment of a targeted path
+    let best = null;
+    for (const pathIndex of edit.paths) {
+        if (!frame.paths[pathIndex]) continue;
+        const model = parsePathNodes(frame.paths[pathIndex].d);
+        model.forEach((sub, subIndex) => {
+            const n = sub.nodes.length;
+            const count = sub.closed ? n : n - 1;
+            for (let i = 0; i < count; i++) {
+                const a = sub.nodes[i];
+                const b = sub.nodes[(i + 1) % n];
+                for (let s = 0; s <= 40; s++) {
+                    const t = s / 40;
+                    const p = nodeSegmentPoint(a, b, t);
+                    const dist = Math.hypot(p.x - point.x, p.y - point.y);
+                    if (!best || dist < best.dist) {
+                        best = { dist, pathIndex, model, subIndex, segIndex: i, t };
+                    }
+                }
+            }
+        });
+    }
+    if (!best || best.dist > 8 || best.t <= 0 || best.t >= 1) return;
+    
+    saveStateForUndo('Add point');
+    const sub = best.model[best.subIndex];
+    const n = sub.nodes.length;
+    const a = sub.nodes[best.segIndex];
+    const b = sub.nodes[(best.segIndex + 1) % n];
+    const t = best.t;
+    const lerp = (p, q) => ({ x: p.x + (q.x - p.x) * t, y: p.y + (q.y - p.y) * t });
+    let inserted;
+    
+    if (!a.out && !b.in) {
+        const p = lerp(a, b);
+        inserted = { x: p.x, y: p.y, in: null, out: null, smooth: false };
+    } else {
+        // De Casteljau split keeps the curve's shape unchanged
+        const c1 = a.out || a;
+        const c2 = b.in || b;
+        const p01 = lerp(a, c1);
+        const p12 = lerp(c1, c2);
+        const p23 = lerp(c2, b);
+        const p012 = lerp(p01, p12);
+        const p123 = lerp(p12, p23);
+        const mid = lerp(p012, p123);
+        a.out = p01;
+        b.in = p23;
+        inserted = { x: mid.x, y: mid.y, in: p012, out: p123, smooth: true };
+    }
+    sub.nodes.splice(best.segIndex + 1, 0, inserted);
+    commitPathNodes(frame, best.pathIndex, best.model);
+    edit.selected = [{ path: best.pathIndex, sub: best.subIndex, node: best.segIndex + 1 }];
+    finishNodeEdit(frame);
+}
+
+// Break the path at the single selected anchor. A closed subpath opens there;
+// an open one is divided and the tail becomes a new path with the same style.
+function splitPathAtSelectedNode() {
+    const frame = getSelectionFrame();
+    const edit = state.nodeEdit;
+    if (!frame || edit.selected.length !== 1) {
+        showAlert('Select a single anchor to split the path at.');
+        return;
+    }
+    const ref = edit.selected[0];
+    const pathData = frame.paths[ref.path];
+    if (!pathData) return;
+    const model = parsePathNodes(pathData.d);
+    const sub = model[ref.sub];
+    if (!sub || !sub.nodes[ref.node]) return;
+    const n = sub.nodes.length;
+    
+    if (!sub.closed && (ref.node === 0 || ref.node === n - 1)) {
+        showAlert('The path already ends at this anchor.');
+        return;
+    }
+    
+    saveStateForUndo('Split path');
+    const node = sub.nodes[ref.node];
+    
+    if (sub.closed) {
+        const rotated = sub.nodes.slice(ref.node).concat(sub.nodes.slice(0, ref.node));
+        const end = { ...node, out: null, smooth: false };
+        rotated[0] = { ...node, in: null, smooth: false };
+        rotated.push(end);
+        sub.nodes = rotated;
+        sub.closed = false;
+        commitPathNodes(frame, ref.path, model);
+        edit.selected = [{ path: ref.path, sub: ref.sub, node: 0 }];
+    } else {
+        const head = sub.nodes.slice(0, ref.node + 1);
+        const tail = sub.nodes.slice(ref.node);
+        head[head.length - 1] = { ...node, out: null, smooth: false };
+        tail[0] = { ...node, in: null, smooth: false };
+        sub.nodes = head;
+        commitPathNodes(frame, ref.path, model);
+        
+        const newPath = JSON.parse(JSON.stringify(frame.paths[ref.path]));
+        newPath.d = serializePathNodes([{ closed: false, nodes: tail }]);
+        frame.paths.splice(ref.path + 1, 0, newPath);
+        
+        // Indices after the original path move up by one
+        edit.paths = edit.paths.map(p => p > ref.path ? p + 1 : p);
+        edit.paths.push(ref.path + 1);
+        edit.selected = [{ path: ref.path + 1, sub: 0, node: 0 }];
+    }
+    finishNodeEdit(frame);
+}
+
+// Join two selected end anchors. The same subpath closes; otherwise the second
+// subpath (possibly from another path) is appended to the first.
+function joinSelectedNodes() {
+    const frame = getSelectionFrame();
+    const edit = state.nodeEdit;
+    if (!frame || edit.selected.length !== 2) {
+        showAlert('Select two end anchors to join.');
+        return;
+    }
+    const [refA, refB] = edit.selected;
+    const models = {};
+    const modelFor = (idx) => models[idx] || (models[idx] = parsePathNodes(frame.paths[idx].d));
+    if (!frame.paths[refA.path] || !frame.paths[refB.path]) return;
+    const subA = modelFor(refA.path)[refA.sub];
+    const subB = modelFor(refB.path)[refB.sub];
+    const isEnd = (sub, i) => sub && !sub.closed && (i === 0 || i === sub.nodes.length - 1);
+    if (!isEnd(subA, refA.node) || !isEnd(subB, refB.node)) {
+        showAlert('Only the end anchors of open paths can be joined.');
+        return;
+    }
+    
+    saveStateForUndo('Join points');
+    const close = (a, b) => Math.hypot(a.x - b.x, a.y - b.y) < 0.5;
+    const reverse = (sub) => {
+        sub.nodes = sub.nodes.reverse().map(node => ({ ...node, in: node.out, out: node.in }));
+    };
+    
+    if (refA.path === refB.path && refA.sub === refB.sub) {
+        subA.closed = true;
+        const first = subA.nodes[0];
+        const last = subA.nodes[subA.nodes.length - 1];
+        if (subA.nodes.length > 2 && close(first, last)) {
+            first.in = last.in;
+            subA.nodes.pop();
+        }
+        commitPathNodes(frame, refA.path, models[refA.path]);
+        edit.selected = [];
+        finishNodeEdit(frame);
+        return;
+    }
+    
+    // Orient so A ends and B starts at the joined anchors
+    if (refA.node === 0) reverse(subA);
+    if (refB.node !== 0) reverse(subB);
+    const tail = subB.nodes.slice();
+    const last = subA.nodes[subA.nodes.length - 1];
+    if (close(last, tail[0])) {
+        last.out = tail[0].out;
+        tail.shift();
+    }
+    subA.nodes = subA.nodes.concat(tail);
+    
+    const modelB = modelFor(refB.path);
+    modelB.splice(refB.sub, 1);
+    commitPathNodes(frame, refA.path, models[refA.path]);
+    if (refB.path !== refA.path) {
+        commitPathNodes(frame, refB.path, modelB);
+    }
+    edit.selected = [];
+    finishNodeEdit(frame);
+}
+
+function drawNodeOverlay() {
+    if (state.tool !== 'node') return;
+    selectionOverlay.innerHTML = '';
+    const frame = getSelectionFrame();
+    const edit = state.nodeEdit;
+    if (!frame) return;
+    edit.paths = edit.paths.filter(idx => frame.paths[idx]);
+    
+    const ns = 'http://www.w3.org/2000/svg';
+    const handleLines = [];
+    const handleDots = [];
+    const anchors = [];
+    
+    for (const pathIndex of edit.paths) {
+        const pathData = frame.paths[pathIndex];
+        const highlight = document.createElementNS(ns, 'path');
+        highlight.setAttribute('d', pathData.d);
+        highlight.setAttribute('class', 'selection-highlight');
+        selectionOverlay.appendChild(highlight);
+        
+        const model = parsePathNodes(pathData.d);
+        model.forEach((sub, subIndex) => {
+            const n = sub.nodes.length;
+            sub.nodes.forEach((node, nodeIndex) => {
+                const ref = { path: pathIndex, sub: subIndex, node: nodeIndex };
+                const selected = isNodeSelected(ref);
+                anchors.push({ node, ref, selected });
+                
+                // Show the handles of selected anchors and the neighbouring handles that shape the same segments
+                const prevRef = { ...ref, node: nodeIndex > 0 ? nodeIndex - 1 : (sub.closed ? n - 1 : -1) };
+                const nextRef = { ...ref, node: nodeIndex < n - 1 ? nodeIndex + 1 : (sub.closed ? 0 : -1) };
+                const showIn = selected || (prevRef.node >= 0 && isNodeSelected(prevRef));
+                const showOut = selected || (nextRef.node >= 0 && isNodeSelected(nextRef));
+                if (node.in && showIn) {
+                    handleLines.push([node, node.in]);
+                    handleDots.push({ point: node.in, ref, side: 'in' });
+                }
+                if (node.out && showOut) {
+                    handleLines.push([node, node.out]);
+                    handleDots.push({ point: node.out, ref, side: 'out' });
+                }
+            });
+        });
+    }
+    
+    for (const [a, b] of handleLines) {
+        const line = document.createElementNS(ns, 'line');
+        line.setAttribute('x1', a.x);
+        line.setAttribute('y1', a.y);
+        line.setAttribute('x2', b.x);
+        line.setAttribute('y2', b.y);
+        line.setAttribute('class', 'node-handle-line');
+        selectionOverlay.appendChild(line);
+    }
+    
+    const setRef = (el, ref) => {
+        el.setAttribute('data-path', ref.path);
+        el.setAttribute('data-sub', ref.sub);
+        el.setAttribute('data-node', ref.node);
+    };
+    
+    const as = 6;
+    for (const a of anchors) {
+        const rect = document.createElementNS(ns, 'rect');
+        rect.setAttribute('x', a.node.x - as / 2);
+        rect.setAttribute('y', a.node.y - as / 2);
+        rect.setAttribute('width', as);
+        rect.setAttribute('height', as);
+        rect.setAttribute('class', 'node-anchor' + (a.selected ? ' selected' : '') + (a.node.smooth ? ' smooth' : ''));
+        rect.setAttribute('data-action', 'node-anchor');
+        setRef(rect, a.ref);
+        selectionOverlay.appendChild(rect);
+    }
+    
+    for (const h of handleDots) {
+        const dot = document.createElementNS(ns, 'circle');
+        dot.setAttribute('cx', h.point.x);
+        dot.setAttribute('cy', h.point.y);
+        dot.setAttribute('r', 3.5);
+        dot.setAttribute('class', 'node-handle');
+        dot.setAttribute('data-action', 'node-handle');
+        dot.setAttribute('data-side', h.side);
+        setRef(dot, h.ref);
+        selectionOverlay.appendChild(dot);
+    }
+}
+
 // ==================== SHORTCUTS PANEL ====================
 function toggleShortcutsPanel() {
     const panel = document.getElementById('shortcutsPanel');
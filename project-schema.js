@@ -0,0 +1,335 @@
+// Saved project format for AnimFrame: versions, migrations and field-level validation.
+// The editor loads this as a plain script before main.js; the command-line renderer
+// (animframe-cli.js) and the tests load it with require(). It needs no DOM.
+
+// ==================== PROJECT VERSIONS ====================
+// Saved projects carry a `version` and are upgraded one step at a time by PROJECT_MIGRATIONS.
+// migrateProject then checks the result against the full schema (PROJECT SCHEMA below).
+const PROJECT_VERSION = '4.5';
+const PROJECT_VERSIONS = ['4.0', '4.1', '4.2', '4.3', '4.4', '4.5'];
+
+// Each migration upgrades a project from the keyed version to the next one
+const PROJECT_MIGRATIONS = {
+    // 4.1 added per-layer opacity
+    '4.0': (data) => {
+        data.layers.forEach(layer => {
+            if (layer && layer.opacity === undefined) layer.opacity = 1;
+        });
+        return data;
+    },
+    // 4.2 and 4.3 only added optional fields (background layers, holds, tweens)
+    '4.1': (data) => data,
+    '4.2': (data) => data,
+    // 4.4 made canvas size and the project settings required
+    '4.3': (data) => {
+        if (data.canvasWidth === undefined) data.canvasWidth = 600;
+        if (data.canvasHeight === undefined) data.canvasHeight = 600;
+        if (data.fps === undefined) data.fps = 12;
+        if (data.backgroundColor === undefined) data.backgroundColor = '#ffffff';
+        if (data.layerIdCounter === undefined) {
+            data.layerIdCounter = data.layers.reduce((max, layer) => {
+                const match = layer && typeof layer.id === 'string' && layer.id.match(/(\d+)$/);
+                return match ? Math.max(max, parseInt(match[1])) : max;
+            }, data.layers.length);
+        }
+        return data;
+    },
+    // 4.5 replaced placeholder hold frames with an exposure length on each drawing.
+    // Later 4.5 files may also carry frameDurations and playbackSettings; they are optional
+    // additions that older 4.5 files simply lack, so they needed no new version.
+    '4.4': (data) => {
+        data.layers.forEach(layer => {
+            if (!layer || !Array.isArray(layer.frames)) return;
+            const drawings = [];
+            const kept = new Map();
+            layer.frames.forEach((frame, index) => {
+                if (!frame || typeof frame !== 'object') {
+                    drawings.push(frame);
+                    return;
+                }
+                const head = Number.isInteger(frame.holdReference) && frame.holdReference !== index
+                    ? layer.frames[frame.holdReference] : undefined;
+                const drawing = head ? kept.get(head) : undefined;
+                if (drawing && drawing === drawings[drawings.length - 1]) {
+                    drawing.exposure = (drawing.exposure || 1) + 1;
+                    kept.set(frame, drawing);
+                    return;
+                }
+                let copy = frame;
+                if (head && Array.isArray(head.paths)) {
+                    // A hold cut off from its drawing becomes a drawing of its own
+                    copy = { paths: JSON.parse(JSON.stringify(head.paths)) };
+                    if (head.referenceImage) copy.referenceImage = head.referenceImage;
+                }
+                delete copy.hold;
+                delete copy.holdReference;
+                kept.set(frame, copy);
+                drawings.push(copy);
+            });
+            layer.frames = drawings;
+        });
+        return data;
+    }
+};
+
+function describeProjectValue(value) {
+    if (value === undefined) return 'nothing';
+    if (Array.isArray(value)) return 'an array';
+    if (value === null) return 'null';
+    if (typeof value === 'string') return JSON.stringify(value.length > 40 ? value.slice(0, 40) + '…' : value);
+    if (typeof value === 'object') return 'an object';
+    return String(value);
+}
+
+function projectFieldError(path, expected, value) {
+    return new Error(`${path} must be ${expected} (found ${describeProjectValue(value)})`);
+}
+
+// ==================== PROJECT SCHEMA ====================
+// Every saved project (exported file, library record, localStorage fallback) has to
+// match this once it is migrated:
+//
+//   project: version, layers[], fps, frameDurations?, backgroundColor, canvasWidth, canvasHeight, layerIdCounter, onionSkinSettings?, playbackSettings?, audioTrack?, lipSync?
+//   layer:   id, name, visible, opacity, isBackground?, lockTiming?, frames[]
+//   frame:   paths[], exposure?, referenceImage?, key?, tween?, tweenGenerated?, motionTweens?
+//   path:    d, stroke, strokeWidth, fill, tool?, fillRule?, opacity?, shape?, tweenId?, motionTweenId?, motionSource?
+//   audio:   name, src, offset, volume
+//   lipSync: text, layerId, marks[{ frame, phoneme }], chart{ phoneme: paths[] }
+//   frameDurations: { frame index: milliseconds }
+//   playbackSettings: mode?, speed?, inPoint?, outPoint?, currentLayerOnly?, skipHolds?
+
+// Values the schema accepts; the editor uses the same tables for its menus and labels
+const FRAME_DURATION_MIN = 10;
+const FRAME_DURATION_MAX = 10000;
+
+const SHAPE_LABELS = {
+    rect: 'Rectangle',
+    ellipse: 'Ellipse',
+    polygon: 'Polygon',
+    star: 'Star',
+    line: 'Line'
+};
+
+const TWEEN_EASINGS = {
+    linear: null,
+    easeIn: [0.42, 0, 1, 1],
+    easeOut: [0, 0, 0.58, 1],
+    easeInOut: [0.42, 0, 0.58, 1]
+};
+
+const PLAYBACK_MODES = {
+    loop: 'Loop',
+    pingpong: 'Ping-Pong',
+    once: 'Play Once'
+};
+const PLAYBACK_SPEEDS = [0.25, 0.5, 0.75, 1, 1.5, 2];
+
+const LIP_SYNC_PHONEMES = {
+    AI: 'A, I',
+    E: 'E',
+    O: 'O',
+    U: 'U',
+    etc: 'C, D, G, K, N, R, S, Th, Y, Z',
+    FV: 'F, V',
+    L: 'L',
+    WQ: 'W, Q',
+    MBP: 'M, B, P',
+    rest: 'Rest'
+};
+
+// Throws an Error naming the first field that doesn't match the schema
+function validateProject(data) {
+    const check = (ok, path, expected, value) => {
+        if (!ok) throw projectFieldError(path, expected, value);
+    };
+    const isInt = (v) => Number.isInteger(v);
+    const isNum = (v) => typeof v === 'number' && isFinite(v);
+    const isStr = (v) => typeof v === 'string';
+    const optional = (obj, key, test, path, expected) => {
+        if (obj[key] !== undefined) check(test(obj[key]), path + '.' + key, expected, obj[key]);
+    };
+    
+    check(data && typeof data === 'object' && !Array.isArray(data), 'project', 'an object', data);
+    check(data.version === PROJECT_VERSION, 'version', `"${PROJECT_VERSION}"`, data.version);
+    check(isNum(data.fps) && data.fps > 0, 'fps', 'a positive number', data.fps);
+    if (data.frameDurations !== undefined) {
+        const durations = data.frameDurations;
+        check(durations && typeof durations === 'object' && !Array.isArray(durations), 'frameDurations', 'an object', durations);
+        Object.keys(durations).forEach(key => {
+            check(/^\d+$/.test(key), 'frameDurations', 'frame indices as keys', key);
+            check(isNum(durations[key]) && durations[key] >= FRAME_DURATION_MIN && durations[key] <= FRAME_DURATION_MAX,
+                `frameDurations.${key}`, `milliseconds from ${FRAME_DURATION_MIN} to ${FRAME_DURATION_MAX}`, durations[key]);
+        });
+    }
+    check(isStr(data.backgroundColor), 'backgroundColor', 'a color string', data.backgroundColor);
+    check(isInt(data.canvasWidth) && data.canvasWidth >= 1 && data.canvasWidth <= 4000, 'canvasWidth', 'an integer from 1 to 4000', data.canvasWidth);
+    check(isInt(data.canvasHeight) && data.canvasHeight >= 1 && data.canvasHeight <= 4000, 'canvasHeight', 'an integer from 1 to 4000', data.canvasHeight);
+    check(isInt(data.layerIdCounter) && data.layerIdCounter >= 0, 'layerIdCounter', 'a non-negative integer', data.layerIdCounter);
+    check(Array.isArray(data.layers) && data.layers.length > 0, 'layers', 'a non-empty array', data.layers);
+    
+    const layerIds = new Set();
+    data.layers.forEach((layer, li) => {
+        const lp = `layers[${li}]`;
+        check(layer && typeof layer === 'object' && !Array.isArray(layer), lp, 'an object', layer);
+        check(isStr(layer.id) && layer.id.length > 0, lp + '.id', 'a non-empty string', layer.id);
+        check(!layerIds.has(layer.id), lp + '.id', 'unique', layer.id);
+        layerIds.add(layer.id);
+        check(isStr(layer.name), lp + '.name', 'a string', layer.name);
+        check(typeof layer.visible === 'boolean', lp + '.visible', 'true or false', layer.visible);
+        check(isNum(layer.opacity) && layer.opacity >= 0 && layer.opacity <= 1, lp + '.opacity', 'a number from 0 to 1', layer.opacity);
+        optional(layer, 'isBackground', v => typeof v === 'boolean', lp, 'true or false');
+        optional(layer, 'lockTiming', v => typeof v === 'boolean', lp, 'true or false');
+        check(Array.isArray(layer.frames) && layer.frames.length > 0, lp + '.frames', 'a non-empty array', layer.frames);
+        
+        layer.frames.forEach((frame, fi) => {
+            const fp = `${lp}.frames[${fi}]`;
+            check(frame && typeof frame === 'object' && !Array.isArray(frame), fp, 'an object', frame);
+            check(Array.isArray(frame.paths), fp + '.paths', 'an array', frame.paths);
+            optional(frame, 'exposure', v => isInt(v) && v >= 1, fp, 'a positive integer');
+            optional(frame, 'referenceImage', v => isStr(v) && v.startsWith('data:image/'), fp, 'an image data URL');
+            optional(frame, 'key', v => typeof v === 'boolean', fp, 'true or false');
+            optional(frame, 'tweenGenerated', v => typeof v === 'boolean', fp, 'true or false');
+            if (frame.tween !== undefined) {
+                const tp = fp + '.tween';
+                const tween = frame.tween;
+                check(tween && typeof tween === 'object', tp, 'an object', tween);
+                check(isInt(tween.inbetweens) && tween.inbetweens >= 0, tp + '.inbetweens', 'a non-negative integer', tween.inbetweens);
+                check(tween.easing in TWEEN_EASINGS || tween.easing === 'custom', tp + '.easing', 'a known easing', tween.easing);
+                optional(tween, 'bezier', v => v === null || (Array.isArray(v) && v.length === 4 && v.every(isNum)), tp, 'null or four numbers');
+                optional(tween, 'match', v => v === 'index' || v === 'id', tp, '"index" or "id"');
+            }
+            if (frame.motionTweens !== undefined) {
+                check(Array.isArray(frame.motionTweens), fp + '.motionTweens', 'an array', frame.motionTweens);
+                frame.motionTweens.forEach((tween, ti) => {
+                    const tp = `${fp}.motionTweens[${ti}]`;
+                    check(tween && typeof tween === 'object', tp, 'an object', tween);
+                    check(isStr(tween.id), tp + '.id', 'a string', tween.id);
+                    check(isInt(tween.endOffset) && tween.endOffset > 0, tp + '.endOffset', 'a positive integer', tween.endOffset);
+                    ['translateX', 'translateY', 'rotation', 'scaleX', 'scaleY', 'pivotX', 'pivotY'].forEach(key => {
+                        check(isNum(tween[key]), tp + '.' + key, 'a number', tween[key]);
+                    });
+                    optional(tween, 'guide', v => v === null || isStr(v), tp, 'null or path data');
+                });
+            }
+            
+            frame.paths.forEach((path, pi) => {
+                const pp = `${fp}.paths[${pi}]`;
+                check(path && typeof path === 'object' && !Array.isArray(path), pp, 'an object', path);
+                check(isStr(path.d), pp + '.d', 'path data', path.d);
+                // Strokes copied from SVG attributes keep their string/null form
+                check(isStr(path.stroke) || path.stroke === null, pp + '.stroke', 'a color string', path.stroke);
+                check(parseFloat(path.strokeWidth) >= 0 && isFinite(path.strokeWidth), pp + '.strokeWidth', 'a non-negative number', path.strokeWidth);
+                check(isStr(path.fill) || path.fill === null, pp + '.fill', 'a color string', path.fill);
+                optional(path, 'tool', isStr, pp, 'a string');
+                optional(path, 'fillRule', v => v === 'nonzero' || v === 'evenodd', pp, '"nonzero" or "evenodd"');
+                optional(path, 'opacity', v => isNum(v) && v >= 0 && v <= 1, pp, 'a number from 0 to 1');
+                optional(path, 'tweenId', isStr, pp, 'a string');
+                optional(path, 'motionTweenId', isStr, pp, 'a string');
+                optional(path, 'motionSource', v => typeof v === 'boolean', pp, 'true or false');
+                if (path.shape !== undefined) {
+                    check(path.shape && path.shape.type in SHAPE_LABELS, pp + '.shape.type', 'a known shape', path.shape && path.shape.type);
+                }
+            });
+        });
+    });
+    
+    if (data.currentLayerId !== undefined) {
+        check(layerIds.has(data.currentLayerId), 'currentLayerId', 'the id of one of the layers', data.currentLayerId);
+    }
+    if (data.onionSkinSettings !== undefined) {
+        const settings = data.onionSkinSettings;
+        check(settings && typeof settings === 'object', 'onionSkinSettings', 'an object', settings);
+        ['framesBefore', 'framesAfter', 'beforeOpacity', 'afterOpacity'].forEach(key => {
+            check(isInt(settings[key]) && settings[key] >= 0, 'onionSkinSettings.' + key, 'a non-negative integer', settings[key]);
+        });
+        ['beforeColor', 'afterColor'].forEach(key => {
+            check(isStr(settings[key]), 'onionSkinSettings.' + key, 'a color string', settings[key]);
+        });
+    }
+    if (data.playbackSettings !== undefined) {
+        const settings = data.playbackSettings;
+        check(settings && typeof settings === 'object' && !Array.isArray(settings), 'playbackSettings', 'an object', settings);
+        optional(settings, 'mode', v => v in PLAYBACK_MODES, 'playbackSettings', Object.keys(PLAYBACK_MODES).map(m => `"${m}"`).join(', '));
+        optional(settings, 'speed', v => PLAYBACK_SPEEDS.includes(v), 'playbackSettings', `one of ${PLAYBACK_SPEEDS.join(', ')}`);
+        ['inPoint', 'outPoint'].forEach(key => {
+            optional(settings, key, v => v === null || (isInt(v) && v >= 0), 'playbackSettings', 'null or a frame index');
+        });
+        ['currentLayerOnly', 'skipHolds'].forEach(key => {
+            optional(settings, key, v => typeof v === 'boolean', 'playbackSettings', 'true or false');
+        });
+    }
+    if (data.currentFrameIndex !== undefined) {
+        check(isInt(data.currentFrameIndex) && data.currentFrameIndex >= 0, 'currentFrameIndex', 'a non-negative integer', data.currentFrameIndex);
+    }
+    if (data.audioTrack !== undefined && data.audioTrack !== null) {
+        const audio = data.audioTrack;
+        check(typeof audio === 'object' && !Array.isArray(audio), 'audioTrack', 'an object', audio);
+        check(isStr(audio.name), 'audioTrack.name', 'a string', audio.name);
+        check(isStr(audio.src) && audio.src.startsWith('data:audio/'), 'audioTrack.src', 'an audio data URL', audio.src);
+        check(isNum(audio.offset), 'audioTrack.offset', 'a number of seconds', audio.offset);
+        check(isNum(audio.volume) && audio.volume >= 0 && audio.volume <= 1, 'audioTrack.volume', 'a number from 0 to 1', audio.volume);
+    }
+    if (data.lipSync !== undefined && data.lipSync !== null) {
+        const lipSync = data.lipSync;
+        check(typeof lipSync === 'object' && !Array.isArray(lipSync), 'lipSync', 'an object', lipSync);
+        check(isStr(lipSync.text), 'lipSync.text', 'a string', lipSync.text);
+        // The layer may have been deleted since; the dialog falls back to another one
+        check(lipSync.layerId === null || isStr(lipSync.layerId), 'lipSync.layerId', 'null or a layer id', lipSync.layerId);
+        check(Array.isArray(lipSync.marks), 'lipSync.marks', 'an array', lipSync.marks);
+        lipSync.marks.forEach((mark, mi) => {
+            const mp = `lipSync.marks[${mi}]`;
+            check(mark && isInt(mark.frame) && mark.frame >= 0, mp + '.frame', 'a non-negative integer', mark && mark.frame);
+            check(Object.keys(LIP_SYNC_PHONEMES).includes(mark.phoneme), mp + '.phoneme', 'a Preston Blair phoneme', mark.phoneme);
+        });
+        check(lipSync.chart && typeof lipSync.chart === 'object', 'lipSync.chart', 'an object', lipSync.chart);
+        Object.keys(lipSync.chart).forEach(phoneme => {
+            check(Object.keys(LIP_SYNC_PHONEMES).includes(phoneme), 'lipSync.chart', 'Preston Blair phonemes as keys', phoneme);
+            check(Array.isArray(lipSync.chart[phoneme]), 'lipSync.chart.' + phoneme, 'an array of paths', lipSync.chart[phoneme]);
+        });
+    }
+}
+
+// Upgrade a parsed project of any supported version and validate it.
+// Returns the migrated data; throws with the offending field otherwise.
+function migrateProject(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw projectFieldError('project', 'an object', data);
+    }
+    if (!PROJECT_VERSIONS.includes(data.version)) {
+        throw new Error(`Unsupported project version ${describeProjectValue(data.version)}. Supported versions are ${PROJECT_VERSIONS.join(', ')}.`);
+    }
+    if (!Array.isArray(data.layers)) {
+        throw projectFieldError('layers', 'an array', data.layers);
+    }
+    
+    let version = data.version;
+    while (version !== PROJECT_VERSION) {
+        data = PROJECT_MIGRATIONS[version](data);
+        version = PROJECT_VERSIONS[PROJECT_VERSIONS.indexOf(version) + 1];
+        data.version = version;
+    }
+    
+    validateProject(data);
+    return data;
+}
+
+// ==================== MODULE ====================
+// In the browser everything above is a plain global; Node gets it as a module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PROJECT_VERSION,
+        PROJECT_VERSIONS,
+        PROJECT_MIGRATIONS,
+        describeProjectValue,
+        projectFieldError,
+        FRAME_DURATION_MIN,
+        FRAME_DURATION_MAX,
+        SHAPE_LABELS,
+        TWEEN_EASINGS,
+        PLAYBACK_MODES,
+        PLAYBACK_SPEEDS,
+        LIP_SYNC_PHONEMES,
+        validateProject,
+        migrateProject
+    };
+}
@@ -0,0 +1,945 @@
+// DOM-free rendering core for AnimFrame.
+// The editor loads this as a plain script before main.js; the command-line renderer
+// (animframe-cli.js) and the tests load it with require(). Layer compositing, SVG markup, path
+// parsing and a canvas-free rasterizer live here so every output agrees on what a frame shows.
+
+// ==================== COMPOSITING ====================
+// `project` is anything shaped like a saved project (layers, canvasWidth, canvasHeight, fps,
+// backgroundColor); the editor passes its live state.
+
+// A layer's frames are its drawings; each one stays on screen for `exposure` timeline frames
+// (1s, 2s, 3s...). Timeline frame indices are mapped to drawings through these helpers.
+function getExposure(frame) {
+    return frame && frame.exposure > 1 ? frame.exposure : 1;
+}
+
+// Number of timeline frames a layer covers
+function getLayerLength(layer) {
+    return layer.frames.reduce((sum, frame) => sum + getExposure(frame), 0);
+}
+
+// Index into layer.frames of the drawing shown on a timeline frame; -1 past the end
+function getDrawingIndex(layer, frameIndex) {
+    if (frameIndex < 0) return -1;
+    let start = 0;
+    for (let i = 0; i < layer.frames.length; i++) {
+        start += getExposure(layer.frames[i]);
+        if (frameIndex < start) return i;
+    }
+    return -1;
+}
+
+// Timeline frame a drawing starts on
+function getDrawingStart(layer, drawingIndex) {
+    let start = 0;
+    for (let i = 0; i < drawingIndex && i < layer.frames.length; i++) {
+        start += getExposure(layer.frames[i]);
+    }
+    return start;
+}
+
+// Background layers always show their first frame; other layers show the drawing exposed there
+function resolveLayerFrame(layer, frameIndex) {
+    const frame = layer.isBackground ? layer.frames[0] : layer.frames[getDrawingIndex(layer, frameIndex)];
+    return frame || null;
+}
+
+// Timeline length: the longest visible layer, or the longest layer when all are hidden
+function countProjectFrames(layers) {
+    const visible = layers.filter(layer => layer.visible);
+    return Math.max(...(visible.length > 0 ? visible : layers).map(getLayerLength), 1);
+}
+
+// Layers carrying video/image references are tracing aids and stay out of exports by default
+function isReferenceLayer(layer) {
+    return layer.frames.some(frame => frame.referenceImage);
+}
+
+// Layers in paint order for a frame: reference (video/image) layers go underneath drawing layers.
+// Hidden layers are only included on request (the editor keeps an empty group for them);
+// exporters can restrict the composite to a set of layer ids.
+function getProjectFrameComposite(project, frameIndex, includeHidden = false, layerIds = null) {
+    const references = [];
+    const drawings = [];
+    
+    project.layers.forEach(layer => {
+        if (!layer.visible && !includeHidden) return;
+        if (layerIds && !layerIds.has(layer.id)) return;
+        const frame = resolveLayerFrame(layer, frameIndex);
+        const entry = {
+            layer: layer,
+            frame: frame,
+            opacity: layer.visible ? (layer.opacity !== undefined ? layer.opacity : 1) : 0,
+            isReference: !!(frame && frame.referenceImage)
+        };
+        (entry.isReference ? references : drawings).push(entry);
+    });
+    
+    return references.concat(drawings);
+}
+
+// The one walk over a frame's composite, shared by the editor view, canvas exports, SVG markup
+// and the rasterizer. For each layer in paint order the painter gets layer(entry) (the frame may
+// be null), image(entry) for a reference image, path(pathData, entry) for each path and
+// endLayer(entry); afterReferences() runs once between the reference and drawing layers.
+// Every callback but path is optional. options: includeHidden, layerIds.
+function paintComposite(project, frameIndex, painter, options = {}) {
+    const composite = getProjectFrameComposite(project, frameIndex, !!options.includeHidden, options.layerIds || null);
+    let referencesDone = false;
+    const finishReferences = () => {
+        if (referencesDone) return;
+        referencesDone = true;
+        if (painter.afterReferences) painter.afterReferences();
+    };
+    
+    composite.forEach(entry => {
+        if (!entry.isReference) finishReferences();
+        if (painter.layer) painter.layer(entry);
+        const frame = entry.frame;
+        if (frame) {
+            if (frame.referenceImage && painter.image) painter.image(entry);
+            frame.paths.forEach(pathData => painter.path(pathData, entry));
+        }
+        if (painter.endLayer) painter.endLayer(entry);
+    });
+    finishReferences();
+}
+
+// ==================== TIMING ====================
+// Frames last 1000 / fps milliseconds unless `frameDurations` (timeline frame index -> ms)
+// overrides them. Times are in milliseconds from the start of frame 1; frames before it and
+// past the end count at the fps.
+function getFrameDuration(project, frameIndex) {
+    const override = project.frameDurations ? project.frameDurations[frameIndex] : undefined;
+    return override > 0 ? override : 1000 / project.fps;
+}
+
+function hasFrameDurations(project) {
+    return !!project.frameDurations && Object.keys(project.frameDurations).length > 0;
+}
+
+// Time a frame starts at; the frame count gives the end of the last frame
+function getFrameStartTime(project, frameIndex) {
+    const base = 1000 / project.fps;
+    let time = frameIndex * base;
+    if (frameIndex > 0 && project.frameDurations) {
+        Object.keys(project.frameDurations).forEach(key => {
+            if (Number(key) < frameIndex) time += getFrameDuration(project, key) - base;
+        });
+    }
+    return time;
+}
+
+// Frame shown at `time`
+function getFrameAtTime(project, time) {
+    if (time < 0 || !hasFrameDurations(project)) return Math.floor(time * project.fps / 1000);
+    let frame = 0;
+    let start = 0;
+    for (;;) {
+        const end = start + getFrameDuration(project, frame);
+        if (time < end) return frame;
+        start = end;
+        frame++;
+    }
+}
+
+// ==================== SVG MARKUP ====================
+// SVG markup for a single stored path (mirrors createPathElement)
+function createSVGPathMarkup(pathData) {
+    const opacity = pathData.opacity !== undefined && pathData.opacity < 1 ? ` opacity="${pathData.opacity}"` : '';
+    if (pathData.fill && pathData.fill !== 'none') {
+        const fillRule = pathData.fillRule ? ` fill-rule="${pathData.fillRule}"` : '';
+        const hasStroke = pathData.stroke && pathData.stroke !== 'none';
+        const strokeAttrs = hasStroke ? ` stroke-width="${pathData.strokeWidth}" stroke-linejoin="round"` : '';
+        return `<path d="${pathData.d}" fill="${pathData.fill}"${fillRule} stroke="${pathData.stroke || 'none'}"${strokeAttrs}${opacity}/>`;
+    }
+    return `<path d="${pathData.d}" fill="none" stroke="${pathData.stroke || 'none'}" stroke-width="${pathData.strokeWidth}" stroke-linecap="round" stroke-linejoin="round"${opacity}/>`;
+}
+
+function escapeXML(text) {
+    return String(text).replace(/[<>&"']/g, c => ({
+        '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;'
+    })[c]);
+}
+
+// Standalone SVG document for one frame. options: layerIds, rect (the canvas area to show)
+// and width/height (output size); everything defaults to the whole canvas at 1x.
+function createCompositeSVG(project, frameIndex, options = {}) {
+    const rect = options.rect || { x: 0, y: 0, width: project.canvasWidth, height: project.canvasHeight };
+    const width = options.width || rect.width;
+    const height = options.height || rect.height;
+    const bgFill = project.backgroundColor === 'transparent' ? 'none' : project.backgroundColor;
+    
+    let svgContent = `<?xml version="1.0" encoding="UTF-8" standalone="no"?>
+<svg width="${width}" height="${height}" viewBox="${rect.x} ${rect.y} ${rect.width} ${rect.height}" xmlns="http://www.w3.org/2000/svg" version="1.1">
+    <rect id="background" x="${rect.x}" y="${rect.y}" width="${rect.width}" height="${rect.height}" fill="${bgFill}"/>
+`;
+
+    // Composite all layers at this frame index
+    paintComposite(project, frameIndex, {
+        layer: ({ layer, frame, opacity }) => {
+            if (!frame) return;
+            svgContent += `    <!-- ${escapeXML(layer.name).replace(/--/g, '- -')} -->\n`;
+            svgContent += `    <g id="${layer.id}"${opacity < 1 ? ` opacity="${opacity}"` : ''}>\n`;
+        },
+        image: ({ frame }) => {
+            svgContent += `        <image href="${frame.referenceImage}" x="0" y="0" width="${project.canvasWidth}" height="${project.canvasHeight}" preserveAspectRatio="xMidYMid meet"/>\n`;
+        },
+        path: (pathData) => {
+            svgContent += `        ${createSVGPathMarkup(pathData)}\n`;
+        },
+        endLayer: ({ frame }) => {
+            if (frame) svgContent += `    </g>\n`;
+        }
+    }, { layerIds: options.layerIds });
+    
+    svgContent += `</svg>`;
+    
+    return svgContent;
+}
+
+// Percentage/fraction formatting for keyTimes and keyframe offsets
+function formatAnimationOffset(value) {
+    return parseFloat(value.toFixed(5)).toString();
+}
+
+// Visibility timeline for a frame group shown from `start` to `end` (fractions of the loop)
+function createSMILVisibility(start, end, options, duration) {
+    const values = [];
+    const keyTimes = [];
+    if (start > 0) {
+        values.push('hidden');
+        keyTimes.push(0);
+    }
+    values.push('visible');
+    keyTimes.push(start);
+    if (end < 1) {
+        values.push('hidden');
+        keyTimes.push(end);
+    }
+    const repeat = options.loop ? 'indefinite' : '1';
+    return `<animate attributeName="visibility" values="${values.join(';')}" keyTimes="${keyTimes.map(formatAnimationOffset).join(';')}" ` +
+        `dur="${duration}s" calcMode="discrete" repeatCount="${repeat}" fill="freeze"/>`;
+}
+
+function createCSSVisibility(name, start, end) {
+    const steps = [];
+    if (start > 0) steps.push('0% { visibility: hidden; }');
+    steps.push(`${formatAnimationOffset(start * 100)}% { visibility: visible; }`);
+    if (end < 1) steps.push(`${formatAnimationOffset(end * 100)}% { visibility: hidden; }`);
+    // The last frame stays up when playing once (animation-fill-mode: forwards)
+    steps.push(`100% { visibility: ${end < 1 ? 'hidden' : 'visible'}; }`);
+    return `@keyframes ${name} { ${steps.join(' ')} }`;
+}
+
+// options: mode, loop, title and a resolved export range (from, to, layerIds, rect, width, height)
+function createAnimatedSVG(project, options) {
+    const { rect, from } = options;
+    const startTime = getFrameStartTime(project, from);
+    const length = getFrameStartTime(project, options.to + 1) - startTime;
+    const duration = parseFloat((length / 1000).toFixed(4));
+    const offset = (i) => (getFrameStartTime(project, from + i) - startTime) / length;
+    const bgFill = project.backgroundColor === 'transparent' ? 'none' : project.backgroundColor;
+    
+    // Reference images are stored once in <defs> and reused by every frame that shows them
+    const imageIds = new Map();
+    const defs = [];
+    
+    const frameMarkup = [];
+    for (let i = from; i <= options.to; i++) {
+        let markup = '';
+        const isEmpty = (frame) => !frame || (frame.paths.length === 0 && !frame.referenceImage);
+        paintComposite(project, i, {
+            layer: ({ layer, frame, opacity }) => {
+                if (isEmpty(frame)) return;
+                markup += `        <g data-layer="${escapeXML(layer.name)}"${opacity < 1 ? ` opacity="${opacity}"` : ''}>\n`;
+            },
+            image: ({ frame }) => {
+                if (!imageIds.has(frame.referenceImage)) {
+                    const id = `ref-${imageIds.size + 1}`;
+                    imageIds.set(frame.referenceImage, id);
+                    defs.push(`        <image id="${id}" href="${frame.referenceImage}" x="0" y="0" width="${project.canvasWidth}" height="${project.canvasHeight}" preserveAspectRatio="xMidYMid meet"/>`);
+                }
+                markup += `            <use href="#${imageIds.get(frame.referenceImage)}"/>\n`;
+            },
+            path: (pathData) => {
+                markup += `            ${createSVGPathMarkup(pathData)}\n`;
+            },
+            endLayer: ({ frame }) => {
+                if (!isEmpty(frame)) markup += `        </g>\n`;
+            }
+        }, { layerIds: options.layerIds });
+        frameMarkup.push(markup);
+    }
+    
+    // Collapse runs of identical frames (holds, background-only stretches) into one group
+    const spans = [];
+    frameMarkup.forEach((markup, i) => {
+        const last = spans[spans.length - 1];
+        if (last && last.markup === markup) {
+            last.end = i + 1;
+        } else {
+            spans.push({ markup: markup, start: i, end: i + 1 });
+        }
+    });
+    
+    const css = [];
+    let groups = '';
+    spans.forEach((span, n) => {
+        const start = offset(span.start);
+        const end = offset(span.end);
+        const id = `frame-${from + span.start + 1}`;
+        const isStatic = spans.length === 1;
+        
+        if (options.mode === 'css') {
+            groups += `    <g id="${id}"${isStatic ? '' : ' class="frame"'}>\n`;
+            if (!isStatic) {
+                css.push(`        ${createCSSVisibility(`af-${n + 1}`, start, end)}`);
+                css.push(`        #${id} { animation-name: af-${n + 1}; }`);
+            }
+        } else {
+            groups += `    <g id="${id}"${isStatic ? '' : ' visibility="hidden"'}>\n`;
+            if (!isStatic) {
+                groups += `        ${createSMILVisibility(start, end, options, duration)}\n`;
+            }
+        }
+        groups += span.markup;
+        groups += `    </g>\n`;
+    });
+    
+    let style = '';
+    if (options.mode === 'css' && css.length > 0) {
+        const iterations = options.loop ? 'infinite' : '1';
+        style = `    <style>
+        .frame { visibility: hidden; animation-duration: ${duration}s; animation-timing-function: step-end; animation-iteration-count: ${iterations}; animation-fill-mode: forwards; }
+${css.join('\n')}
+    </style>
+`;
+    }
+    
+    return `<?xml version="1.0" encoding="UTF-8" standalone="no"?>
+<svg width="${options.width}" height="${options.height}" viewBox="${rect.x} ${rect.y} ${rect.width} ${rect.height}" xmlns="http://www.w3.org/2000/svg" version="1.1">
+    <title>${escapeXML(options.title || 'Animation')}</title>
+${style}${defs.length ? `    <defs>\n${defs.join('\n')}\n    </defs>\n` : ''}    <rect id="background" x="${rect.x}" y="${rect.y}" width="${rect.width}" height="${rect.height}" fill="${bgFill}"/>
+${groups}</svg>
+`;
+}
+
+// ==================== PATH GEOMETRY ====================
+// Path data is parsed into subpaths of nodes with absolute in/out handles; the node editor,
+// Lottie export and the rasterizer all work from this model.
+
+// Convert an SVG arc to cubic segments [c1x, c1y, c2x, c2y, x, y] (SVG spec F.6)
+function arcToCubics(x1, y1, rx, ry, angle, largeArc, sweep, x2, y2) {
+    if (rx === 0 || ry === 0) return [[x1, y1, x2, y2, x2, y2]];
+    
+    const phi = angle * Math.PI / 180;
+    const cosPhi = Math.cos(phi);
+    const sinPhi = Math.sin(phi);
+    const dx = (x1 - x2) / 2;
+    const dy = (y1 - y2) / 2;
+    const x1p = cosPhi * dx + sinPhi * dy;
+    const y1p = -sinPhi * dx + cosPhi * dy;
+    
+    rx = Math.abs(rx);
+    ry = Math.abs(ry);
+    const lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+    if (lambda > 1) {
+        rx *= Math.sqrt(lambda);
+        ry *= Math.sqrt(lambda);
+    }
+    
+    const num = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+    const den = rx * rx * y1p * y1p + ry * ry * x1p * x1p;
+    let coef = Math.sqrt(Math.max(0, num / den));
+    if (largeArc === sweep) coef = -coef;
+    const cxp = coef * rx * y1p / ry;
+    const cyp = -coef * ry * x1p / rx;
+    const cx = cosPhi * cxp - sinPhi * cyp + (x1 + x2) / 2;
+    const cy = sinPhi * cxp + cosPhi * cyp + (y1 + y2) / 2;
+    
+    const vecAngle = (ux, uy, vx, vy) => {
+        const a = Math.atan2(uy, ux);
+        const b = Math.atan2(vy, vx);
+        return b - a;
+    };
+    const theta1 = vecAngle(1, 0, (x1p - cxp) / rx, (y1p - cyp) / ry);
+    let delta = vecAngle((x1p - cxp) / rx, (y1p - cyp) / ry, (-x1p - cxp) / rx, (-y1p - cyp) / ry);
+    if (!sweep && delta > 0) delta -= 2 * Math.PI;
+    if (sweep && delta < 0) delta += 2 * Math.PI;
+    
+    const segments = Math.max(1, Math.ceil(Math.abs(delta) / (Math.PI / 2)));
+    const step = delta / segments;
+    const k = 4 / 3 * Math.tan(step / 4);
+    const point = (t) => {
+        const ex = rx * Math.cos(t);
+        const ey = ry * Math.sin(t);
+        return [cosPhi * ex - sinPhi * ey + cx, sinPhi * ex + cosPhi * ey + cy];
+    };
+    const deriv = (t) => {
+        const ex = -rx * Math.sin(t);
+        const ey = ry * Math.cos(t);
+        return [cosPhi * ex - sinPhi * ey, sinPhi * ex + cosPhi * ey];
+    };
+    
+    const result = [];
+    let t = theta1;
+    for (let i = 0; i < segments; i++) {
+        const p0 = point(t);
+        const d0 = deriv(t);
+        const p1 = i === segments - 1 ? [x2, y2] : point(t + step);
+        const d1 = deriv(t + step);
+        result.push([p0[0] + k * d0[0], p0[1] + k * d0[1], p1[0] - k * d1[0], p1[1] - k * d1[1], p1[0], p1[1]]);
+        t += step;
+    }
+    return result;
+}
+
+function parsePathNodes(d) {
+    const subpaths = [];
+    const segments = (d || '').match(/[MmLlHhVvCcSsQqTtAaZz][^MmLlHhVvCcSsQqTtAaZz]*/g);
+    if (!segments) return subpaths;
+    const numRe = /[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/g;
+    
+    let current = null;
+    let x = 0, y = 0;
+    let startX = 0, startY = 0;
+    let lastCubic = null; // Second control point of the previous C/S
+    let lastQuad = null;  // Control point of the previous Q/T
+    
+    const lastNode = () => current.nodes[current.nodes.length - 1];
+    const ensureSubpath = () => {
+        if (!current) {
+            current = { closed: false, nodes: [{ x: x, y: y, in: null, out: null }] };
+            subpaths.push(current);
+        }
+    };
+    const lineTo = (nx, ny) => {
+        ensureSubpath();
+        current.nodes.push({ x: nx, y: ny, in: null, out: null });
+        x = nx; y = ny;
+    };
+    const cubicTo = (c1x, c1y, c2x, c2y, nx, ny) => {
+        ensureSubpath();
+        lastNode().out = { x: c1x, y: c1y };
+        current.nodes.push({ x: nx, y: ny, in: { x: c2x, y: c2y }, out: null });
+        x = nx; y = ny;
+    };
+    
+    for (const seg of segments) {
+        const cmd = seg[0];
+        const rel = cmd === cmd.toLowerCase();
+        const v = (seg.slice(1).match(numRe) || []).map(Number);
+        const ox = () => rel ? x : 0;
+        const oy = () => rel ? y : 0;
+        let nextCubic = null;
+        let nextQuad = null;
+        
+        switch (cmd.toUpperCase()) {
+            case 'M':
+                for (let i = 0; i + 1 < v.length; i += 2) {
+                    if (i === 0) {
+                        x = v[0] + ox();
+                        y = v[1] + oy();
+                        startX = x; startY = y;
+                        current = { closed: false, nodes: [{ x: x, y: y, in: null, out: null }] };
+                        subpaths.push(current);
+                    } else {
+                        lineTo(v[i] + ox(), v[i + 1] + oy());
+                    }
+                }
+                break;
+            case 'L':
+                for (let i = 0; i + 1 < v.length; i += 2) lineTo(v[i] + ox(), v[i + 1] + oy());
+                break;
+            case 'H':
+                for (const n of v) lineTo(n + ox(), y);
+                break;
+            case 'V':
+                for (const n of v) lineTo(x, n + oy());
+                break;
+            case 'C':
+                for (let i = 0; i + 5 < v.length; i += 6) {
+                    const bx = ox(), by = oy();
+                    cubicTo(v[i] + bx, v[i + 1] + by, v[i + 2] + bx, v[i + 3] + by, v[i + 4] + bx, v[i + 5] + by);
+                    nextCubic = [v[i + 2] + bx, v[i + 3] + by];
+                }
+                break;
+            case 'S':
+                for (let i = 0; i + 3 < v.length; i += 4) {
+                    const bx = ox(), by = oy();
+                    const prev = nextCubic || lastCubic;
+                    const c1 = prev ? [2 * x - prev[0], 2 * y - prev[1]] : [x, y];
+                    cubicTo(c1[0], c1[1], v[i] + bx, v[i + 1] + by, v[i + 2] + bx, v[i + 3] + by);
+                    nextCubic = [v[i] + bx, v[i + 1] + by];
+                }
+                break;
+            case 'Q':
+                for (let i = 0; i + 3 < v.length; i += 4) {
+                    const bx = ox(), by = oy();
+                    const qx = v[i] + bx, qy = v[i + 1] + by;
+                    const ex = v[i + 2] + bx, ey = v[i + 3] + by;
+                    cubicTo(x + 2 / 3 * (qx - x), y + 2 / 3 * (qy - y), ex + 2 / 3 * (qx - ex), ey + 2 / 3 * (qy - ey), ex, ey);
+                    nextQuad = [qx, qy];
+                }
+                break;
+            case 'T':
+                for (let i = 0; i + 1 < v.length; i += 2) {
+                    const prev = nextQuad || lastQuad;
+                    const qx = prev ? 2 * x - prev[0] : x;
+                    const qy = prev ? 2 * y - prev[1] : y;
+                    const ex = v[i] + ox(), ey = v[i + 1] + oy();
+                    cubicTo(x + 2 / 3 * (qx - x), y + 2 / 3 * (qy - y), ex + 2 / 3 * (qx - ex), ey + 2 / 3 * (qy - ey), ex, ey);
+                    nextQuad = [qx, qy];
+                }
+                break;
+            case 'A':
+                for (let i = 0; i + 6 < v.length; i += 7) {
+                    const ex = v[i + 5] + ox(), ey = v[i + 6] + oy();
+                    const curves = arcToCubics(x, y, v[i], v[i + 1], v[i + 2], !!v[i + 3], !!v[i + 4], ex, ey);
+                    for (const c of curves) cubicTo(c[0], c[1], c[2], c[3], c[4], c[5]);
+                }
+                break;
+            case 'Z':
+                if (current) {
+                    current.closed = true;
+                    // Drop the duplicate end anchor that closes back onto the start
+                    const first = current.nodes[0];
+                    const last = lastNode();
+                    if (current.nodes.length > 1 && Math.hypot(last.x - first.x, last.y - first.y) < 0.01) {
+                        first.in = last.in;
+                        current.nodes.pop();
+                    }
+                }
+                x = startX; y = startY;
+                current = null;
+                break;
+        }
+        lastCubic = nextCubic;
+        lastQuad = nextQuad;
+    }
+    
+    // Handles sitting on their anchor carry no information
+    for (const sub of subpaths) {
+        for (const node of sub.nodes) {
+            if (node.in && node.in.x === node.x && node.in.y === node.y) node.in = null;
+            if (node.out && node.out.x === node.x && node.out.y === node.y) node.out = null;
+            node.smooth = isNodeSmooth(node);
+        }
+    }
+    return subpaths;
+}
+
+function isNodeSmooth(node) {
+    if (!node.in || !node.out) return false;
+    const a1 = Math.atan2(node.y - node.in.y, node.x - node.in.x);
+    const a2 = Math.atan2(node.out.y - node.y, node.out.x - node.x);
+    let diff = Math.abs(a1 - a2) % (2 * Math.PI);
+    if (diff > Math.PI) diff = 2 * Math.PI - diff;
+    return diff < 0.05;
+}
+
+// Polylines for parsed subpaths with every point passed through `map` (canvas -> output pixels).
+// Curves are cut into chords of a few pixels, which keeps them well under a pixel off the curve.
+function flattenPathNodes(subpaths, map) {
+    return subpaths.filter(sub => sub.nodes.length > 0).map(sub => {
+        const nodes = sub.nodes;
+        const points = [map(nodes[0].x, nodes[0].y)];
+        const count = sub.closed ? nodes.length : nodes.length - 1;
+        for (let i = 0; i < count; i++) {
+            const a = nodes[i];
+            const b = nodes[(i + 1) % nodes.length];
+            const p0 = points[points.length - 1];
+            const p3 = map(b.x, b.y);
+            if (a.out || b.in) {
+                const p1 = a.out ? map(a.out.x, a.out.y) : p0;
+                const p2 = b.in ? map(b.in.x, b.in.y) : p3;
+                const length = Math.hypot(p1[0] - p0[0], p1[1] - p0[1]) +
+                    Math.hypot(p2[0] - p1[0], p2[1] - p1[1]) +
+                    Math.hypot(p3[0] - p2[0], p3[1] - p2[1]);
+                const steps = Math.max(1, Math.min(100, Math.ceil(length / 3)));
+                for (let s = 1; s < steps; s++) {
+                    const t = s / steps;
+                    const mt = 1 - t;
+                    const w0 = mt * mt * mt, w1 = 3 * mt * mt * t, w2 = 3 * mt * t * t, w3 = t * t * t;
+                    points.push([
+                        w0 * p0[0] + w1 * p1[0] + w2 * p2[0] + w3 * p3[0],
+                        w0 * p0[1] + w1 * p1[1] + w2 * p2[1] + w3 * p3[1]
+                    ]);
+                }
+            }
+            points.push(p3);
+        }
+        return { points: points, closed: sub.closed };
+    });
+}
+
+// ==================== RASTERIZER ====================
+// Paints frames into RGBA pixels without a canvas, matching paintFrameComposite in main.js:
+// per-path alpha, eraser strokes cut with destination-out, round caps and joins.
+// Coverage is sampled on RASTER_SUBSAMPLES sub-scanlines per row with exact horizontal spans.
+const RASTER_SUBSAMPLES = 4;
+
+const RENDER_NAMED_COLORS = {
+    black: '#000000',
+    white: '#ffffff',
+    red: '#ff0000',
+    green: '#008000',
+    blue: '#0000ff',
+    yellow: '#ffff00',
+    gray: '#808080',
+    grey: '#808080'
+};
+
+// [r, g, b, a] in 0-255 for hex, rgb()/rgba() and a few named colors; null for none or unknown
+function parseRenderColor(color) {
+    if (!color || color === 'none' || color === 'transparent') return null;
+    let value = String(color).trim().toLowerCase();
+    value = RENDER_NAMED_COLORS[value] || value;
+    
+    let match = value.match(/^#([0-9a-f]{3,8})$/);
+    if (match) {
+        let hex = match[1];
+        if (hex.length === 3 || hex.length === 4) hex = hex.split('').map(c => c + c).join('');
+        if (hex.length !== 6 && hex.length !== 8) return null;
+        const channel = (i) => parseInt(hex.slice(i, i + 2), 16);
+        return [channel(0), channel(2), channel(4), hex.length === 8 ? channel(6) : 255];
+    }
+    
+    match = value.match(/^rgba?\(([^)]*)\)$/);
+    if (match) {
+        const parts = match[1].split(/[\s,/]+/).filter(Boolean).map(parseFloat);
+        if (parts.length < 3 || parts.some(isNaN)) return null;
+        return [parts[0], parts[1], parts[2], parts.length > 3 ? Math.round(Math.min(1, parts[3]) * 255) : 255];
+    }
+    return null;
+}
+
+// Premultiplied RGBA floats (0-1) until the frame is finished
+function createRaster(width, height) {
+    return { width: width, height: height, data: new Float32Array(width * height * 4) };
+}
+
+function fillRaster(raster, color) {
+    const a = color[3] / 255;
+    for (let i = 0; i < raster.data.length; i += 4) {
+        raster.data[i] = color[0] / 255 * a;
+        raster.data[i + 1] = color[1] / 255 * a;
+        raster.data[i + 2] = color[2] / 255 * a;
+        raster.data[i + 3] = a;
+    }
+}
+
+// Fill polygons (arrays of [x, y] in output pixels) with one color. `alpha` scales the color's
+// own alpha; `erase` removes coverage instead of painting (destination-out).
+function paintRasterPolygons(raster, polygons, fillRule, color, alpha, erase) {
+    const { width, height, data } = raster;
+    const edges = [];
+    let minY = Infinity;
+    let maxY = -Infinity;
+    polygons.forEach(points => {
+        for (let i = 0; i < points.length; i++) {
+            const a = points[i];
+            const b = points[(i + 1) % points.length];
+            if (a[1] === b[1]) continue;
+            const dir = b[1] > a[1] ? 1 : -1;
+            const top = dir > 0 ? a : b;
+            const bottom = dir > 0 ? b : a;
+            edges.push({ x: top[0], y0: top[1], y1: bottom[1], slope: (bottom[0] - top[0]) / (bottom[1] - top[1]), dir: dir });
+            minY = Math.min(minY, top[1]);
+            maxY = Math.max(maxY, bottom[1]);
+        }
+    });
+    if (edges.length === 0) return;
+    edges.sort((a, b) => a.y0 - b.y0);
+    
+    const sourceAlpha = alpha * color[3] / 255;
+    const r = color[0] / 255;
+    const g = color[1] / 255;
+    const b = color[2] / 255;
+    const weight = 1 / RASTER_SUBSAMPLES;
+    const coverage = new Float32Array(width);
+    const crossings = [];
+    let active = [];
+    let next = 0;
+    
+    const firstRow = Math.max(0, Math.floor(minY));
+    const lastRow = Math.min(height, Math.ceil(maxY));
+    for (let row = firstRow; row < lastRow; row++) {
+        let spanStart = width;
+        let spanEnd = -1;
+        for (let s = 0; s < RASTER_SUBSAMPLES; s++) {
+            const y = row + (s + 0.5) * weight;
+            while (next < edges.length && edges[next].y0 <= y) active.push(edges[next++]);
+            active = active.filter(edge => edge.y1 > y);
+            
+            crossings.length = 0;
+            active.forEach(edge => crossings.push({ x: edge.x + (y - edge.y0) * edge.slope, dir: edge.dir }));
+            crossings.sort((a, c) => a.x - c.x);
+            
+            let winding = 0;
+            for (let i = 0; i < crossings.length - 1; i++) {
+                winding += crossings[i].dir;
+                const inside = fillRule === 'evenodd' ? winding % 2 !== 0 : winding !== 0;
+                if (!inside) continue;
+                const x0 = Math.max(0, crossings[i].x);
+                const x1 = Math.min(width, crossings[i + 1].x);
+                if (x1 <= x0) continue;
+                const i0 = Math.floor(x0);
+                const i1 = Math.floor(x1);
+                if (i0 === i1) {
+                    coverage[i0] += (x1 - x0) * weight;
+                } else {
+                    coverage[i0] += (i0 + 1 - x0) * weight;
+                    for (let x = i0 + 1; x < i1; x++) coverage[x] += weight;
+                    if (i1 < width) coverage[i1] += (x1 - i1) * weight;
+                }
+                spanStart = Math.min(spanStart, i0);
+                spanEnd = Math.max(spanEnd, Math.min(i1, width - 1));
+            }
+        }
+        
+        for (let x = spanStart; x <= spanEnd; x++) {
+            const cover = Math.min(1, coverage[x]);
+            coverage[x] = 0;
+            if (cover <= 0) continue;
+            const a = cover * sourceAlpha;
+            const i = (row * width + x) * 4;
+            if (erase) {
+                data[i] *= 1 - a;
+                data[i + 1] *= 1 - a;
+                data[i + 2] *= 1 - a;
+                data[i + 3] *= 1 - a;
+            } else {
+                data[i] = r * a + data[i] * (1 - a);
+                data[i + 1] = g * a + data[i + 1] * (1 - a);
+                data[i + 2] = b * a + data[i + 2] * (1 - a);
+                data[i + 3] = a + data[i + 3] * (1 - a);
+            }
+        }
+    }
+}
+
+// Outline of a stroked polyline with round caps and joins: a quad per segment and a disc per
+// point. Every piece winds the same way so the nonzero rule unions them instead of cancelling.
+function createStrokePolygons(points, width) {
+    const radius = width / 2;
+    const polygons = [];
+    if (radius <= 0 || points.length === 0) return polygons;
+    
+    const sides = Math.max(8, Math.min(64, Math.ceil(radius * 2)));
+    const disc = (p) => {
+        const polygon = [];
+        for (let i = 0; i < sides; i++) {
+            const angle = i / sides * Math.PI * 2;
+            polygon.push([p[0] + Math.cos(angle) * radius, p[1] + Math.sin(angle) * radius]);
+        }
+        return polygon;
+    };
+    
+    polygons.push(disc(points[0]));
+    for (let i = 1; i < points.length; i++) {
+        const a = points[i - 1];
+        const b = points[i];
+        const length = Math.hypot(b[0] - a[0], b[1] - a[1]);
+        if (length === 0) continue;
+        // Normal to the segment; this corner order winds the same way as the discs
+        const nx = -(b[1] - a[1]) / length * radius;
+        const ny = (b[0] - a[0]) / length * radius;
+        polygons.push([[a[0] - nx, a[1] - ny], [b[0] - nx, b[1] - ny], [b[0] + nx, b[1] + ny], [a[0] + nx, a[1] + ny]]);
+        polygons.push(disc(b));
+    }
+    return polygons;
+}
+
+// Mirrors drawPathToCanvas in main.js
+function paintRasterPath(raster, pathData, layerOpacity, map, scale) {
+    if (!pathData.d) return;
+    const erase = pathData.tool === 'eraser';
+    const alpha = layerOpacity * (pathData.opacity !== undefined ? pathData.opacity : 1);
+    const lines = flattenPathNodes(parsePathNodes(pathData.d), map);
+    
+    const fill = pathData.fill && pathData.fill !== 'none' ? parseRenderColor(pathData.fill) : null;
+    if (fill) {
+        paintRasterPolygons(raster, lines.map(line => line.points), pathData.fillRule || 'nonzero', fill, alpha, erase);
+    }
+    
+    const stroke = pathData.stroke && pathData.stroke !== 'none' ? parseRenderColor(pathData.stroke) : null;
+    if (stroke) {
+        const width = (parseFloat(pathData.strokeWidth) || 1) * scale;
+        const polygons = [];
+        lines.forEach(line => polygons.push(...createStrokePolygons(line.points, width)));
+        paintRasterPolygons(raster, polygons, 'nonzero', stroke, alpha, erase);
+    }
+}
+
+// 8-bit RGBA pixels of a frame. options: rect (canvas area), width/height (output size), layerIds,
+// transparent (leave out the background). Reference images are not drawn; callers report them.
+function rasterizeFrame(project, frameIndex, options = {}) {
+    const rect = options.rect || { x: 0, y: 0, width: project.canvasWidth, height: project.canvasHeight };
+    const width = options.width || rect.width;
+    const height = options.height || rect.height;
+    const scaleX = width / rect.width;
+    const scaleY = height / rect.height;
+    const map = (x, y) => [(x - rect.x) * scaleX, (y - rect.y) * scaleY];
+    
+    const raster = createRaster(width, height);
+    if (!options.transparent) {
+        const background = project.backgroundColor === 'transparent' ? '#ffffff' : project.backgroundColor;
+        fillRaster(raster, parseRenderColor(background) || [255, 255, 255, 255]);
+    }
+    
+    paintComposite(project, frameIndex, {
+        path: (pathData, entry) => paintRasterPath(raster, pathData, entry.opacity, map, (scaleX + scaleY) / 2)
+    }, { layerIds: options.layerIds });
+    
+    const pixels = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0; i < pixels.length; i += 4) {
+        const a = raster.data[i + 3];
+        if (a <= 0) continue;
+        pixels[i] = raster.data[i] / a * 255;
+        pixels[i + 1] = raster.data[i + 1] / a * 255;
+        pixels[i + 2] = raster.data[i + 2] / a * 255;
+        pixels[i + 3] = a * 255;
+    }
+    return pixels;
+}
+
+// ==================== FILL REGION ====================
+// The paint bucket's flood fill over composite pixels (8-bit RGBA, as from getImageData or
+// rasterizeFrame). Returns a mask of the pixels within `tolerance` of the start colour, grown
+// by `grow` pixels so the fill tucks under antialiased stroke edges.
+function getFillRegion(pixels, width, height, x, y, tolerance = 32, grow = 3) {
+    const start = (y * width + x) * 4;
+    const matches = (i) =>
+        Math.abs(pixels[i] - pixels[start]) <= tolerance &&
+        Math.abs(pixels[i + 1] - pixels[start + 1]) <= tolerance &&
+        Math.abs(pixels[i + 2] - pixels[start + 2]) <= tolerance &&
+        Math.abs(pixels[i + 3] - pixels[start + 3]) <= tolerance;
+    const inside = (px, py) => !mask[py * width + px] && matches((py * width + px) * 4);
+    
+    // Scanline flood fill
+    let mask = new Uint8Array(width * height);
+    const stack = [[x, y]];
+    while (stack.length > 0) {
+        const [sx, sy] = stack.pop();
+        if (sx < 0 || sx >= width || sy < 0 || sy >= height || !inside(sx, sy)) continue;
+        
+        let left = sx;
+        while (left > 0 && inside(left - 1, sy)) left--;
+        let right = sx;
+        while (right < width - 1 && inside(right + 1, sy)) right++;
+        
+        for (let fx = left; fx <= right; fx++) {
+            mask[sy * width + fx] = 1;
+            if (sy > 0 && inside(fx, sy - 1)) stack.push([fx, sy - 1]);
+            if (sy < height - 1 && inside(fx, sy + 1)) stack.push([fx, sy + 1]);
+        }
+    }
+    
+    for (let pass = 0; pass < grow; pass++) {
+        const grown = new Uint8Array(width * height);
+        for (let py = 0; py < height; py++) {
+            for (let px = 0; px < width; px++) {
+                const i = py * width + px;
+                grown[i] = mask[i] ||
+                    (px > 0 && mask[i - 1]) || (px < width - 1 && mask[i + 1]) ||
+                    (py > 0 && mask[i - width]) || (py < height - 1 && mask[i + width]) ? 1 : 0;
+            }
+        }
+        mask = grown;
+    }
+    return mask;
+}
+
+// ==================== PNG ====================
+let crc32Table = null;
+
+function crc32(bytes, start = 0, end = bytes.length) {
+    if (!crc32Table) {
+        crc32Table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            crc32Table[n] = c >>> 0;
+        }
+    }
+    let crc = 0xffffffff;
+    for (let i = start; i < end; i++) crc = crc32Table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function createPNGChunk(type, data) {
+    const chunk = new Uint8Array(12 + data.length);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+    chunk.set(data, 8);
+    view.setUint32(8 + data.length, crc32(chunk, 4, 8 + data.length));
+    return chunk;
+}
+
+// PNG file from 8-bit RGBA. `deflate` compresses the scanlines (zlib.deflateSync under Node).
+function encodePNG(width, height, pixels, deflate) {
+    const stride = width * 4;
+    const scanlines = new Uint8Array((stride + 1) * height);
+    for (let y = 0; y < height; y++) {
+        // Filter byte 0 (none) followed by the row
+        scanlines.set(pixels.subarray(y * stride, (y + 1) * stride), y * (stride + 1) + 1);
+    }
+    
+    const header = new Uint8Array(13);
+    const view = new DataView(header.buffer);
+    view.setUint32(0, width);
+    view.setUint32(4, height);
+    header[8] = 8; // Bit depth
+    header[9] = 6; // RGBA
+    
+    const parts = [
+        new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        createPNGChunk('IHDR', header),
+        createPNGChunk('IDAT', deflate(scanlines)),
+        createPNGChunk('IEND', new Uint8Array(0))
+    ];
+    const bytes = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    parts.forEach(part => {
+        bytes.set(part, offset);
+        offset += part.length;
+    });
+    return bytes;
+}
+
+// ==================== MODULE ====================
+// In the browser everything above is a plain global; Node gets it as a module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        getExposure,
+        getLayerLength,
+        getDrawingIndex,
+        getDrawingStart,
+        resolveLayerFrame,
+        countProjectFrames,
+        isReferenceLayer,
+        getFrameDuration,
+        hasFrameDurations,
+        getFrameStartTime,
+        getFrameAtTime,
+        getProjectFrameComposite,
+        paintComposite,
+        createSVGPathMarkup,
+        escapeXML,
+        createCompositeSVG,
+        createAnimatedSVG,
+        arcToCubics,
+        parsePathNodes,
+        isNodeSmooth,
+        flattenPathNodes,
+        parseRenderColor,
+        rasterizeFrame,
+        getFillRegion,
+        crc32,
+        createPNGChunk,
+        encodePNG
+    };
+}
@@ -0,0 +1,73 @@
+// animframe-cli.js runs as a separate process here, reading projects from a temporary folder.
+//
+//   node --test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const schema = require('../project-schema.js');
+
+const CLI = path.join(__dirname, '..', 'animframe-cli.js');
+
+// Three frames: a drawing held for two, then a second drawing
+function createProject() {
+    return {
+        version: schema.PROJECT_VERSION,
+        canvasWidth: 32,
+        canvasHeight: 24,
+        fps: 12,
+        backgroundColor: '#ffffff',
+        layerIdCounter: 1,
+        layers: [{
+            id: 'layer-1',
+            name: 'Ink',
+            visible: true,
+            opacity: 1,
+            frames: [
+                { paths: [{ d: 'M 2 2 L 10 2 L 10 10 Z', stroke: '#000000', strokeWidth: 2, fill: 'none' }], exposure: 2 },
+                { paths: [{ d: 'M 12 2 L 20 2 L 20 10 Z', stroke: '#000000', strokeWidth: 2, fill: 'none' }] }
+            ]
+        }]
+    };
+}
+
+function runCli(project, args) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'animframe-cli-'));
+    try {
+        const input = path.join(dir, 'scene.json');
+        fs.writeFileSync(input, JSON.stringify(project));
+        const out = path.join(dir, 'frames');
+        const result = spawnSync(process.execPath, [CLI, input, '--out', out].concat(args), { encoding: 'utf8' });
+        const files = fs.existsSync(out) ? fs.readdirSync(out).sort() : [];
+        return { status: result.status, stderr: result.stderr, files: files };
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+test('renders the requested frames', () => {
+    const result = runCli(createProject(), ['--format', 'svg', '--from', '2', '--to', '3']);
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.deepStrictEqual(result.files, ['frame-002.svg', 'frame-003.svg']);
+});
+
+test('projects that fail the schema are rejected by field name', () => {
+    const project = createProject();
+    project.canvasWidth = 'wide';
+    const result = runCli(project, []);
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stderr, /canvasWidth must be /);
+    assert.deepStrictEqual(result.files, []);
+});
+
+test('frame numbers past the end are an error naming the frame count', () => {
+    for (const args of [['--from', '4'], ['--to', '9'], ['--from', '2', '--to', '5']]) {
+        const result = runCli(createProject(), ['--format', 'svg'].concat(args));
+        assert.strictEqual(result.status, 1, args.join(' '));
+        assert.match(result.stderr, /the project has 3 frames/);
+        assert.deepStrictEqual(result.files, []);
+    }
+});
@@ -0,0 +1,245 @@
+// The editor view (paintEditorComposite), canvas exports (paintFrameComposite), SVG markup and the
+// rasterizer all paint through paintComposite. These tests pin what that walk hands to a painter
+// for held drawings, background layers, layer opacity and hidden layers, and check the pixels
+// the rasterizer and the fill tool's flood fill get from it.
+//
+//   node --test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const schema = require('../project-schema.js');
+const core = require('../render-core.js');
+
+const WIDTH = 40;
+const HEIGHT = 30;
+
+function rect(x, y, width, height, fill) {
+    return { d: `M ${x} ${y} L ${x + width} ${y} L ${x + width} ${y + height} L ${x} ${y + height} Z`, stroke: 'none', strokeWidth: 0, fill: fill };
+}
+
+function outline(x, y, width, height) {
+    return Object.assign(rect(x, y, width, height, 'none'), { stroke: '#000000', strokeWidth: 2 });
+}
+
+const SKY = rect(0, 0, WIDTH, 12, '#3366cc');
+const BALL_A = rect(4, 18, 8, 8, '#ff0000');
+const BALL_B = rect(24, 18, 8, 8, '#ff0000');
+const GLASS = rect(16, 0, 4, HEIGHT, '#000000');
+const GRASS = rect(0, 0, WIDTH, HEIGHT, '#00ff00');
+const REFERENCE = 'data:image/png;base64,iVBORw0KGgo=';
+
+function createLayer(id, frames, extra) {
+    return Object.assign({ id: id, name: id, visible: true, opacity: 1, frames: frames }, extra);
+}
+
+// Timeline: the ball is held for three frames, then moves; the sky is a background layer;
+// the half-transparent glass only has a drawing on frame 1
+function createProject() {
+    return {
+        version: schema.PROJECT_VERSION,
+        canvasWidth: WIDTH,
+        canvasHeight: HEIGHT,
+        fps: 12,
+        backgroundColor: '#ffffff',
+        layerIdCounter: 4,
+        layers: [
+            createLayer('sky', [{ paths: [SKY] }], { isBackground: true }),
+            createLayer('ball', [{ paths: [BALL_A], exposure: 3 }, { paths: [BALL_B] }]),
+            createLayer('glass', [{ paths: [GLASS] }], { opacity: 0.5 }),
+            createLayer('hidden', [{ paths: [GRASS], exposure: 4 }], { visible: false })
+        ]
+    };
+}
+
+// Every painter call of one walk, in order
+function recordPaint(project, frameIndex, options) {
+    const calls = [];
+    core.paintComposite(project, frameIndex, {
+        layer: (entry) => calls.push(['layer', entry.layer.id, entry.opacity, !!entry.frame]),
+        image: (entry) => calls.push(['image', entry.layer.id, entry.frame.referenceImage]),
+        path: (pathData, entry) => calls.push(['path', entry.layer.id, pathData.d, entry.opacity]),
+        endLayer: (entry) => calls.push(['endLayer', entry.layer.id]),
+        afterReferences: () => calls.push(['afterReferences'])
+    }, options);
+    return calls;
+}
+
+// [layer id, path data, layer opacity] of each painted path
+function paintedPaths(project, frameIndex, options) {
+    return recordPaint(project, frameIndex, options)
+        .filter(call => call[0] === 'path')
+        .map(call => call.slice(1));
+}
+
+// The options paintEditorComposite and paintFrameComposite pass
+const EDITOR = { includeHidden: true };
+const EXPORT = {};
+
+test('held drawings are painted on every frame they are exposed', () => {
+    const project = createProject();
+    [EDITOR, EXPORT].forEach(options => {
+        [0, 1, 2].forEach(i => {
+            assert.deepStrictEqual(paintedPaths(project, i, options).filter(([id]) => id === 'ball'), [['ball', BALL_A.d, 1]]);
+        });
+        assert.deepStrictEqual(paintedPaths(project, 3, options).filter(([id]) => id === 'ball'), [['ball', BALL_B.d, 1]]);
+    });
+});
+
+test('background layers are painted on every frame', () => {
+    const project = createProject();
+    for (let i = 0; i < 4; i++) {
+        [EDITOR, EXPORT].forEach(options => {
+            assert.deepStrictEqual(paintedPaths(project, i, options)[0], ['sky', SKY.d, 1]);
+        });
+    }
+});
+
+test('layer opacity is passed with each path; layers without a drawing paint nothing', () => {
+    const project = createProject();
+    assert.deepStrictEqual(paintedPaths(project, 0, EXPORT), [
+        ['sky', SKY.d, 1],
+        ['ball', BALL_A.d, 1],
+        ['glass', GLASS.d, 0.5]
+    ]);
+    
+    const calls = recordPaint(project, 1, EXPORT);
+    assert.deepStrictEqual(calls.filter(call => call[1] === 'glass'), [['layer', 'glass', 0.5, false], ['endLayer', 'glass']]);
+});
+
+test('the editor keeps hidden layers at zero opacity and otherwise paints what exports paint', () => {
+    const project = createProject();
+    for (let i = 0; i < 4; i++) {
+        const editor = paintedPaths(project, i, EDITOR);
+        assert.deepStrictEqual(editor.filter(([id]) => id === 'hidden'), [['hidden', GRASS.d, 0]]);
+        assert.deepStrictEqual(editor.filter(([id]) => id !== 'hidden'), paintedPaths(project, i, EXPORT));
+        assert.ok(!paintedPaths(project, i, EXPORT).some(([id]) => id === 'hidden'));
+    }
+});
+
+test('reference layers are painted first, with onion skins between them and the drawings', () => {
+    const project = createProject();
+    project.layers.push(createLayer('video', [{ paths: [], referenceImage: REFERENCE }]));
+    const calls = recordPaint(project, 0, EDITOR);
+    assert.deepStrictEqual(calls.slice(0, 4), [
+        ['layer', 'video', 1, true],
+        ['image', 'video', REFERENCE],
+        ['endLayer', 'video'],
+        ['afterReferences']
+    ]);
+    assert.deepStrictEqual(calls.filter(call => call[0] === 'layer').map(call => call[1]), ['video', 'sky', 'ball', 'glass', 'hidden']);
+    
+    // Without references the onion skins go underneath everything
+    assert.deepStrictEqual(recordPaint(createProject(), 0, EDITOR)[0], ['afterReferences']);
+});
+
+test('a layer selection limits the walk', () => {
+    const project = createProject();
+    const calls = recordPaint(project, 2, { layerIds: new Set(['ball']) });
+    assert.deepStrictEqual(calls.filter(call => call[0] === 'layer').map(call => call[1]), ['ball']);
+});
+
+function pixelAt(pixels, x, y) {
+    const i = (y * WIDTH + x) * 4;
+    return Array.from(pixels.slice(i, i + 4));
+}
+
+function assertPixel(pixels, x, y, expected, tolerance = 1) {
+    const actual = pixelAt(pixels, x, y);
+    actual.forEach((value, i) => {
+        assert.ok(Math.abs(value - expected[i]) <= tolerance, `pixel ${x},${y} is ${actual}, expected ${expected}`);
+    });
+}
+
+test('held frames rasterize to their drawing', () => {
+    const project = createProject();
+    const held = [1, 2].map(i => core.rasterizeFrame(project, i));
+    assert.deepStrictEqual(held[0], held[1]);
+    held.forEach(pixels => assertPixel(pixels, 8, 22, [255, 0, 0, 255]));
+    
+    const moved = core.rasterizeFrame(project, 3);
+    assertPixel(moved, 8, 22, [255, 255, 255, 255]);
+    assertPixel(moved, 28, 22, [255, 0, 0, 255]);
+});
+
+test('background layers rasterize on every frame', () => {
+    const project = createProject();
+    for (let i = 0; i < 4; i++) {
+        assertPixel(core.rasterizeFrame(project, i), 30, 4, [0x33, 0x66, 0xcc, 255]);
+    }
+    
+    // An export limited to other layers leaves the background layer out
+    const ballOnly = core.rasterizeFrame(project, 2, { layerIds: new Set(['ball']) });
+    assertPixel(ballOnly, 30, 4, [255, 255, 255, 255]);
+});
+
+test('layer opacity blends with what is below', () => {
+    const project = createProject();
+    const pixels = core.rasterizeFrame(project, 0);
+    assertPixel(pixels, 18, 20, [128, 128, 128, 255]);
+    assertPixel(pixels, 18, 4, [0x1a, 0x33, 0x66, 255]);
+    
+    // The glass has no drawing after frame 1
+    assertPixel(core.rasterizeFrame(project, 1), 18, 20, [255, 255, 255, 255]);
+    
+    // Transparent exports keep the layer's alpha
+    assertPixel(core.rasterizeFrame(project, 0, { transparent: true }), 18, 20, [0, 0, 0, 128]);
+});
+
+test('hidden layers are left out of rasterized frames', () => {
+    const pixels = core.rasterizeFrame(createProject(), 0);
+    for (let y = 0; y < HEIGHT; y += 5) {
+        for (let x = 0; x < WIDTH; x += 5) {
+            assert.notDeepStrictEqual(pixelAt(pixels, x, y), [0, 255, 0, 255]);
+        }
+    }
+});
+
+test('SVG exports list the drawings of the walk', () => {
+    const project = createProject();
+    const held = core.createCompositeSVG(project, 2);
+    assert.ok(held.includes(SKY.d));
+    assert.ok(held.includes(BALL_A.d));
+    assert.ok(!held.includes(BALL_B.d));
+    assert.ok(!held.includes(GLASS.d));
+    assert.ok(!held.includes(GRASS.d));
+    assert.ok(core.createCompositeSVG(project, 3).includes(BALL_B.d));
+});
+
+// The fill tool floods the composite of the current frame, so a held outline or one on
+// a background layer has to stop the fill just like a drawing on the frame itself
+test('the fill region is bounded by held and background outlines', () => {
+    const project = {
+        version: schema.PROJECT_VERSION,
+        canvasWidth: WIDTH,
+        canvasHeight: HEIGHT,
+        fps: 12,
+        backgroundColor: '#ffffff',
+        layerIdCounter: 2,
+        layers: [
+            createLayer('set', [{ paths: [outline(22, 4, 14, 14)] }], { isBackground: true }),
+            createLayer('ink', [{ paths: [outline(4, 4, 14, 14)], exposure: 3 }, { paths: [] }])
+        ]
+    };
+    const region = (frameIndex, x, y) => {
+        const mask = core.getFillRegion(core.rasterizeFrame(project, frameIndex), WIDTH, HEIGHT, x, y);
+        return { mask: mask, size: mask.reduce((sum, v) => sum + v, 0) };
+    };
+    
+    // Inside the held outline: the fill reaches the stroke but not past it
+    const held = region(2, 11, 11);
+    assert.strictEqual(held.mask[11 * WIDTH + 11], 1);
+    assert.strictEqual(held.mask[11 * WIDTH + 1], 0);
+    assert.strictEqual(held.mask[26 * WIDTH + 11], 0);
+    assert.deepStrictEqual(held.mask, region(0, 11, 11).mask);
+    
+    // Inside the background outline on a later frame
+    const background = region(3, 29, 11);
+    assert.strictEqual(background.mask[11 * WIDTH + 29], 1);
+    assert.strictEqual(background.mask[11 * WIDTH + 38], 0);
+    assert.ok(background.size < 20 * 20);
+    
+    // Once the ink drawing ends, its area is open and floods with the rest of the canvas
+    const open = region(3, 11, 11);
+    assert.strictEqual(open.mask[26 * WIDTH + 11], 1);
+    assert.ok(open.size > held.size);
+});
@@ -0,0 +1,135 @@
+// Saved projects from every supported version must upgrade to PROJECT_VERSION and pass the schema.
+// Fixtures in test/fixtures hold one project per version, each using the features of its time.
+//
+//   node --test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const schema = require('../project-schema.js');
+const core = require('../render-core.js');
+
+function loadFixture(version) {
+    return JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', `project-${version}.json`), 'utf8'));
+}
+
+// A valid current-version project to break one field at a time
+function loadCurrent() {
+    return schema.migrateProject(loadFixture('4.4'));
+}
+
+for (const version of schema.PROJECT_VERSIONS.filter(v => v !== schema.PROJECT_VERSION)) {
+    test(`project ${version} migrates to ${schema.PROJECT_VERSION} and validates`, () => {
+        const data = schema.migrateProject(loadFixture(version));
+        assert.strictEqual(data.version, schema.PROJECT_VERSION);
+        assert.doesNotThrow(() => schema.validateProject(data));
+        
+        // Migrating an up-to-date project changes nothing
+        const again = schema.migrateProject(JSON.parse(JSON.stringify(data)));
+        assert.deepStrictEqual(again, data);
+    });
+}
+
+test('4.0 layers get full opacity and 4.3 defaults fill the project settings', () => {
+    const data = schema.migrateProject(loadFixture('4.0'));
+    assert.strictEqual(data.layers[0].opacity, 1);
+    assert.strictEqual(data.canvasWidth, 600);
+    assert.strictEqual(data.canvasHeight, 600);
+    assert.strictEqual(data.fps, 12);
+    assert.strictEqual(data.backgroundColor, '#ffffff');
+    assert.strictEqual(data.layerIdCounter, 1);
+});
+
+test('4.1 keeps its layer opacity and frame rate', () => {
+    const data = schema.migrateProject(loadFixture('4.1'));
+    assert.deepStrictEqual(data.layers.map(layer => layer.opacity), [0.5, 1]);
+    assert.strictEqual(data.fps, 24);
+    assert.strictEqual(data.layerIdCounter, 2);
+});
+
+test('4.2 hold frames become an exposure on their drawing', () => {
+    const data = schema.migrateProject(loadFixture('4.2'));
+    assert.strictEqual(data.layers[0].isBackground, true);
+    
+    const frames = data.layers[1].frames;
+    assert.strictEqual(frames.length, 2);
+    assert.strictEqual(frames[0].exposure, 3);
+    assert.strictEqual(frames[1].exposure, undefined);
+    frames.forEach(frame => {
+        assert.strictEqual(frame.hold, undefined);
+        assert.strictEqual(frame.holdReference, undefined);
+    });
+    assert.strictEqual(core.getLayerLength(data.layers[1]), 4);
+});
+
+test('4.3 keeps tweens and turns a hold cut off from its drawing into a copy', () => {
+    const data = schema.migrateProject(loadFixture('4.3'));
+    assert.strictEqual(data.layerIdCounter, 7);
+    assert.deepStrictEqual(data.layers[0].frames[0].tween, { inbetweens: 1, easing: 'easeInOut' });
+    assert.strictEqual(data.layers[0].frames[1].tweenGenerated, true);
+    
+    const frames = data.layers[1].frames;
+    assert.strictEqual(frames.length, 3);
+    assert.strictEqual(frames[0].exposure, 2);
+    assert.deepStrictEqual(frames[2].paths, frames[0].paths);
+    assert.notStrictEqual(frames[2].paths, frames[0].paths);
+});
+
+test('4.4 holds keep their timing and the lip sync track survives', () => {
+    const data = schema.migrateProject(loadFixture('4.4'));
+    const layer = data.layers[0];
+    assert.deepStrictEqual(layer.frames.map(core.getExposure), [2, 3]);
+    assert.strictEqual(core.getLayerLength(layer), 5);
+    assert.strictEqual(data.lipSync.marks.length, 2);
+    assert.strictEqual(data.audioTrack.volume, 0.8);
+});
+
+test('4.5 projects without the optional 4.5 additions still validate', () => {
+    const data = loadCurrent();
+    assert.strictEqual(data.frameDurations, undefined);
+    assert.strictEqual(data.playbackSettings, undefined);
+    assert.strictEqual(data.layers[0].lockTiming, undefined);
+    
+    data.frameDurations = { 1: 250 };
+    data.playbackSettings = { mode: 'pingpong', speed: 0.5, inPoint: 1, outPoint: null, currentLayerOnly: false, skipHolds: true };
+    data.layers[0].lockTiming = true;
+    assert.doesNotThrow(() => schema.validateProject(data));
+});
+
+test('unknown versions are rejected', () => {
+    const data = loadFixture('4.0');
+    data.version = '3.9';
+    assert.throws(() => schema.migrateProject(data), /Unsupported project version "3\.9"/);
+});
+
+// Each case breaks one field of a valid project; the error has to name that field
+const BAD_FIELDS = [
+    ['fps', data => { data.fps = 'fast'; }],
+    ['canvasWidth', data => { data.canvasWidth = 0; }],
+    ['layers', data => { data.layers = []; }],
+    ['layers[0].id', data => { data.layers[0].id = ''; }],
+    ['layers[0].opacity', data => { data.layers[0].opacity = 2; }],
+    ['layers[0].lockTiming', data => { data.layers[0].lockTiming = 'yes'; }],
+    ['layers[0].frames[1].exposure', data => { data.layers[0].frames[1].exposure = 0; }],
+    ['layers[0].frames[0].paths[0].d', data => { data.layers[0].frames[0].paths[0].d = 5; }],
+    ['layers[0].frames[0].paths[0].fillRule', data => { data.layers[0].frames[0].paths[0].fillRule = 'odd'; }],
+    ['currentLayerId', data => { data.currentLayerId = 'layer-9'; }],
+    ['frameDurations.2', data => { data.frameDurations = { 2: 5 }; }],
+    ['playbackSettings.mode', data => { data.playbackSettings = { mode: 'bounce' }; }],
+    ['playbackSettings.inPoint', data => { data.playbackSettings = { inPoint: -1 }; }],
+    ['onionSkinSettings.beforeColor', data => { data.onionSkinSettings.beforeColor = 3; }],
+    ['audioTrack.src', data => { data.audioTrack.src = 'line.wav'; }],
+    ['lipSync.marks[1].phoneme', data => { data.lipSync.marks[1].phoneme = 'TH'; }]
+];
+
+for (const [field, breakField] of BAD_FIELDS) {
+    test(`an invalid ${field} is reported by name`, () => {
+        const data = loadCurrent();
+        breakField(data);
+        assert.throws(() => schema.validateProject(data), error => {
+            assert.ok(error.message.startsWith(field + ' must be '), error.message);
+            return true;
+        });
+    });
+}